@@ -16,6 +16,76 @@ var optima = (function (exports) {
     });
   }
 
+  /**
+   * Generate a random lowercase hex ID (W3C trace context trace/span IDs)
+   * @param {number} bytes - Number of random bytes (16 for trace IDs, 8 for span IDs)
+   * @returns {string} Hex string, never all zeros
+   */
+  function generateHexId(bytes) {
+    const values = new Uint8Array(bytes);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+      crypto.getRandomValues(values);
+    } else {
+      for (let i = 0; i < bytes; i++) {
+        values[i] = Math.random() * 256 | 0;
+      }
+    }
+
+    // An all-zero ID is invalid
+    if (values.every(value => value === 0)) {
+      values[bytes - 1] = 1;
+    }
+
+    return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Hash a string to an unsigned 32-bit integer (FNV-1a)
+   * @param {string} str - String to hash
+   * @returns {number} Hash value
+   */
+  function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Get the navigation's activationStart (non-zero for prerendered pages)
+   * Page-load metrics are measured from activation, not from the prerender start
+   * @returns {number} activationStart in ms, or 0
+   */
+  function getActivationStart() {
+    try {
+      const navEntry = performance.getEntriesByType('navigation')[0];
+      return (navEntry && navEntry.activationStart) || 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Check if a URL path matches a route pattern
+   * `*` matches within one path segment, `**` matches across segments
+   * @param {string} pattern - Route pattern (e.g. '/checkout/**', '/products/*')
+   * @param {string} path - URL path
+   * @returns {boolean} True if the path matches
+   */
+  function matchRoutePattern(pattern, path) {
+    const regex = pattern
+      .split('**')
+      .map(part => part
+        .split('*')
+        .map(literal => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^/]*'))
+      .join('.*');
+
+    return new RegExp(`^${regex}$`).test(path);
+  }
+
   /**
    * Fixed exclusion list for Optima SDK requests - these are ALWAYS excluded
    * This list cannot be overridden by user configuration
@@ -118,6 +188,34 @@ var optima = (function (exports) {
     return false;
   }
 
+  /**
+   * Read Server-Timing metrics from a navigation or resource timing entry
+   * Cross-origin entries only expose them with Timing-Allow-Origin.
+   * @param {PerformanceResourceTiming} entry - Navigation or resource timing entry
+   * @param {Array|null} allowlist - Metric names to keep (null keeps all)
+   * @returns {Array} Server timing metrics ({ name, duration, description })
+   */
+  function extractServerTiming(entry, allowlist = null) {
+    const serverTiming = entry && entry.serverTiming;
+    if (!serverTiming || serverTiming.length === 0) {
+      return [];
+    }
+
+    const metrics = [];
+    for (let i = 0; i < serverTiming.length; i++) {
+      const metric = serverTiming[i];
+      if (Array.isArray(allowlist) && !allowlist.includes(metric.name)) continue;
+
+      metrics.push({
+        name: metric.name,
+        duration: metric.duration,
+        description: metric.description || null
+      });
+    }
+
+    return metrics;
+  }
+
   /**
    * View Management System for Optima SDK
    * Handles view lifecycle, data isolation, and collector management
@@ -140,7 +238,7 @@ var optima = (function (exports) {
 
     /**
      * Create a new view object with isolated data containers
-     * @param {string} type - 'initial' or 'route_change'
+     * @param {string} type - 'initial', 'route_change', 'bfcache_restore' or 'session_rotation'
      * @param {string} url - Current URL
      * @param {string} trigger - What triggered this view creation
      * @param {number} routeTriggerTime - Performance timestamp when route change was triggered (for route_change views)
@@ -150,16 +248,26 @@ var optima = (function (exports) {
       const view = {
         // View identification
         id: generateUUID(),
-        type: type, // 'initial' | 'route_change'
+        type: type, // 'initial' | 'route_change' | 'bfcache_restore' | 'session_rotation'
         url: url,
         trigger: trigger,
+        navigationType: this.getNavigationType(type), // Overrides the navigation entry type in meta
+        
+        // Session and tab this view belongs to
+        sessionId: this.sdk?.sessionId || null,
+        tabId: this.sdk?.tabCoordinator?.tabId || null,
+        sessionSequence: this.sdk?.sessionSequence || null,
+        sessionStart: false,
+        
+        // Trace shared by the view's AJAX spans (set on the first traced call)
+        traceId: null,
         
         // Timing information
         startTime: performance.now(),
         timestamp: Date.now(),
         duration: null,
         
-        // Route change specific timing
+        // Route change specific timing (pageshow time for bfcache restores)
         routeTriggerTime: routeTriggerTime, // When route change was actually triggered (for filtering resources)
         interactionBaseline: interactionBaseline, // User interaction time for better resource attribution
         
@@ -171,7 +279,9 @@ var optima = (function (exports) {
           FCP: null,
           INP: null,
           TTFB: null,
-          loading_time: null
+          loading_time: null,
+          route_fcp: null, // Soft-navigation paints (route_change views only)
+          route_lcp: null
         },
         
         // Resource data (maintains existing structure)
@@ -183,6 +293,13 @@ var optima = (function (exports) {
         // Errors that occurred in this view
         errors: [],
         
+        // Main thread activity (longest entries kept, counts and TBT cover all)
+        longTasks: [],
+        longAnimationFrames: [],
+        longTaskCount: 0,
+        longAnimationFrameCount: 0,
+        totalBlockingTime: 0,
+        
         // Events that occurred in this view
         events: [],
         
@@ -212,16 +329,35 @@ var optima = (function (exports) {
       return view;
     }
 
+    /**
+     * Get the navigation type override for a new view
+     * @param {string} type - View type
+     * @returns {string|null} 'back_forward_cache', 'prerender' or null to use the navigation entry type
+     */
+    getNavigationType(type) {
+      if (type === 'bfcache_restore') return 'back_forward_cache';
+      
+      // A prerendered page has an activationStart once it is shown
+      if (type === 'initial' && (document.prerendering || getActivationStart() > 0)) return 'prerender';
+      
+      return null;
+    }
+
     /**
      * Start a new view and properly handle the transition
-     * @param {string} type - 'initial' or 'route_change'
+     * @param {string} type - 'initial', 'route_change', 'bfcache_restore' or 'session_rotation'
      * @param {string} url - Current URL
      * @param {number|null} interactionBaseline - User interaction time for baseline filtering (optional)
      * @param {number|null} routeTriggerTime - Performance timestamp when route change was triggered (for route_change views)
      * @returns {Object} New current view
      */
-    startNewView(type, url, interactionBaseline = null, routeTriggerTime = null) {
-      const trigger = type === 'initial' ? 'page_load' : 'pushstate';
+    startNewView(type, url, interactionBaseline = null, routeTriggerTime = null, viewTrigger = null) {
+      // A view would re-install the observers and XHR/fetch patches a denial removed
+      if (this.sdk && typeof this.sdk.isCollectionAllowed === 'function' && !this.sdk.isCollectionAllowed()) {
+        return this.currentView;
+      }
+      
+      const trigger = viewTrigger || (type === 'initial' ? 'page_load' : 'pushstate');
       console.log(`[Optima ViewManager] 🔄 Starting new ${type} view: ${url} (trigger: ${trigger})`);
       
       // CRITICAL: Clear old observers IMMEDIATELY to prevent contamination
@@ -230,13 +366,25 @@ var optima = (function (exports) {
         this.sdk._resetPerformanceObservers();
       }
       
+      // Returning after the inactivity timeout: the new view belongs to a new session
+      const sessionExpired = this.sdk && typeof this.sdk.isSessionExpired === 'function' && this.sdk.isSessionExpired();
+      
       // Complete current view if exists and not already completed
       if (this.currentView && !this.currentView.isCompleted) {
-        this.completeView('new_view_started');
+        this.completeView(sessionExpired ? 'session_timeout' : 'new_view_started');
+      }
+      
+      if (sessionExpired) {
+        this.sdk.rotateSession(trigger);
       }
       
       // Create new view with interaction baseline
       this.currentView = this.createView(type, url, trigger, interactionBaseline, routeTriggerTime);
+      
+      // First view of a new session carries the session_start flag
+      if (this.sdk && typeof this.sdk.consumeSessionStart === 'function') {
+        this.currentView.sessionStart = this.sdk.consumeSessionStart();
+      }
       this.viewStartTime = this.currentView.startTime;
       
       // Reset collectors for new view (this now mainly resets state, observers already cleared)
@@ -308,7 +456,9 @@ var optima = (function (exports) {
         resources: view.resources.length,
         ajaxRequests: view.ajaxRequests.length,
         errors: view.errors.length,
-        events: view.events.length
+        events: view.events.length,
+        longTasks: view.longTasks.length,
+        longAnimationFrames: view.longAnimationFrames.length
       });
       
       // Limit history size
@@ -348,6 +498,10 @@ var optima = (function (exports) {
       if (this.currentView && this.currentView.isActive) {
         this.currentView.lastActivityTime = Date.now();
       }
+      
+      if (this.sdk && typeof this.sdk.touchSession === 'function') {
+        this.sdk.touchSession();
+      }
     }
 
     /**
@@ -568,6 +722,9 @@ var optima = (function (exports) {
    * Handles detection of route changes and triggers view transitions
    */
 
+  // A click this soon (ms) after a touch or Enter/Space on the same element is the same activation
+  const ACTIVATION_CLICK_WINDOW = 1000;
+
   /**
    * RouteChangeDetector - Detects various types of route changes
    */
@@ -581,6 +738,15 @@ var optima = (function (exports) {
       this.lastUserInteractionTime = null;
       this.lastUserInteractionType = null;
       this.userInteractionTimeout = 5000; // 5 seconds - interactions older than this are ignored
+      this.lastActivation = null; // { element, time } of the last touch/keyboard breadcrumb
+      
+      // Kept so cleanup can restore the page exactly as it was
+      this.originalPushState = null;
+      this.originalReplaceState = null;
+      this.patchedPushState = null;
+      this.patchedReplaceState = null;
+      this.listeners = [];
+      this.mutationObserver = null;
       
       console.log('[Optima RouteDetector] 🛣️ Route detector initialized');
     }
@@ -615,6 +781,18 @@ var optima = (function (exports) {
       console.log('[Optima RouteDetector] ✅ Route detection setup complete');
     }
 
+    /**
+     * Add an event listener that cleanup removes again
+     * @param {EventTarget} target - Event target
+     * @param {string} type - Event type
+     * @param {Function} handler - Listener
+     * @param {Object} [options] - Listener options
+     */
+    addListener(target, type, handler, options) {
+      target.addEventListener(type, handler, options);
+      this.listeners.push({ target, type, handler, options });
+    }
+
     /**
      * Setup user interaction tracking for better route change attribution
      */
@@ -622,17 +800,17 @@ var optima = (function (exports) {
       console.log('[Optima RouteDetector] 👆 Setting up user interaction tracking');
       
       // Track clicks
-      document.addEventListener('click', (event) => {
+      this.addListener(document, 'click', (event) => {
         this.recordUserInteraction('click', event);
       }, { capture: true, passive: true });
       
       // Track touch events for mobile
-      document.addEventListener('touchstart', (event) => {
+      this.addListener(document, 'touchstart', (event) => {
         this.recordUserInteraction('touchstart', event);
       }, { capture: true, passive: true });
       
       // Track keyboard navigation (Enter, Space on focusable elements)
-      document.addEventListener('keydown', (event) => {
+      this.addListener(document, 'keydown', (event) => {
         if ((event.key === 'Enter' || event.key === ' ') && 
             this.isNavigationElement(event.target)) {
           this.recordUserInteraction('keydown', event);
@@ -651,18 +829,49 @@ var optima = (function (exports) {
       const interactionTime = performance.now();
       
       // Only record interactions on potentially navigational elements
-      if (this.isNavigationElement(event.target)) {
-        this.lastUserInteractionTime = interactionTime;
-        this.lastUserInteractionType = type;
-        
-        console.log(`[Optima RouteDetector] 👆 User interaction recorded: ${type} at ${interactionTime.toFixed(2)}ms on`, {
-          tagName: event.target.tagName,
-          className: event.target.className,
-          id: event.target.id,
-          href: event.target.href,
-          textContent: event.target.textContent?.substring(0, 50)
-        });
+      const target = this.findNavigationElement(event.target);
+      if (!target) return;
+      
+      this.lastUserInteractionTime = interactionTime;
+      this.lastUserInteractionType = type;
+      
+      this.recordInteractionBreadcrumb(type, event, target, interactionTime);
+      
+      console.log(`[Optima RouteDetector] 👆 User interaction recorded: ${type} at ${interactionTime.toFixed(2)}ms on`, {
+        tagName: target.tagName,
+        className: target.className,
+        id: target.id,
+        href: target.href,
+        textContent: target.textContent?.substring(0, 50)
+      });
+    }
+
+    /**
+     * Add one breadcrumb per activation
+     * Taps and Enter/Space are followed by a click on the same element, which is skipped.
+     * @param {string} type - Type of interaction (click, touchstart, keydown)
+     * @param {Event} event - The interaction event
+     * @param {Element} target - Navigation element the event resolved to
+     * @param {number} interactionTime - performance.now() of the event
+     */
+    recordInteractionBreadcrumb(type, event, target, interactionTime) {
+      const activation = this.lastActivation;
+      if (type === 'click' && activation && activation.element === target &&
+          interactionTime - activation.time < ACTIVATION_CLICK_WINDOW) {
+        this.lastActivation = null;
+        return;
       }
+      this.lastActivation = type === 'click' ? null : { element: target, time: interactionTime };
+      
+      const text = getNodeText(target);
+      const description = `${target.tagName.toLowerCase()}${target.id ? '#' + target.id : ''}${text ? ` "${text}"` : ''}`;
+      this.viewManager.sdk?.addBreadcrumb('click', type === 'keydown' ? `${event.key === ' ' ? 'Space' : event.key} on ${description}` : description, {
+        interaction: type,
+        tag: target.tagName.toLowerCase(),
+        id: target.id || null,
+        text: text,
+        href: target.href || null
+      });
     }
 
     /**
@@ -671,7 +880,31 @@ var optima = (function (exports) {
      * @returns {boolean} True if element might trigger navigation
      */
     isNavigationElement(element) {
-      if (!element || !element.tagName) return false;
+      return this.findNavigationElement(element) !== null;
+    }
+
+    /**
+     * Find the element that makes a target navigational: the target itself or one of 3 ancestors
+     * @param {Element} element - The target element
+     * @returns {Element|null} Navigation element or null
+     */
+    findNavigationElement(element) {
+      let candidate = element;
+      for (let level = 0; candidate && level <= 3; level++) {
+        if (this.looksNavigational(candidate)) return candidate;
+        candidate = candidate.parentElement;
+      }
+      
+      return null;
+    }
+
+    /**
+     * Check a single element (not its parents) for navigation markers
+     * @param {Element} element - Element to check
+     * @returns {boolean} True for links, buttons and elements with navigation attributes or classes
+     */
+    looksNavigational(element) {
+      if (!element.tagName) return false;
       
       const tagName = element.tagName.toLowerCase();
       
@@ -686,23 +919,12 @@ var optima = (function (exports) {
       
       // Elements with navigation-related classes
       const className = element.className || '';
-      if (typeof className === 'string' && 
-          (className.includes('nav') || 
-           className.includes('link') || 
-           className.includes('button') ||
-           className.includes('menu') ||
-           className.includes('tab'))) return true;
-      
-      // Check parent elements (up to 3 levels) for navigation context
-      let parent = element.parentElement;
-      let level = 0;
-      while (parent && level < 3) {
-        if (this.isNavigationElement(parent)) return true;
-        parent = parent.parentElement;
-        level++;
-      }
-      
-      return false;
+      return typeof className === 'string' && 
+        (className.includes('nav') || 
+         className.includes('link') || 
+         className.includes('button') ||
+         className.includes('menu') ||
+         className.includes('tab'));
     }
 
     /**
@@ -728,9 +950,11 @@ var optima = (function (exports) {
     patchHistoryAPI() {
       const originalPushState = history.pushState;
       const originalReplaceState = history.replaceState;
+      this.originalPushState = originalPushState;
+      this.originalReplaceState = originalReplaceState;
       
       // Patch pushState
-      history.pushState = (...args) => {
+      this.patchedPushState = history.pushState = (...args) => {
         // Capture trigger time IMMEDIATELY when event fires
         const triggerTime = performance.now();
         
@@ -742,7 +966,7 @@ var optima = (function (exports) {
       };
       
       // Patch replaceState
-      history.replaceState = (...args) => {
+      this.patchedReplaceState = history.replaceState = (...args) => {
         // Capture trigger time IMMEDIATELY when event fires
         const triggerTime = performance.now();
         
@@ -760,7 +984,7 @@ var optima = (function (exports) {
      * Setup popstate event listener for back/forward navigation
      */
     setupPopstateListener() {
-      window.addEventListener('popstate', (event) => {
+      this.addListener(window, 'popstate', (event) => {
         // Capture trigger time IMMEDIATELY when event fires
         const triggerTime = performance.now();
         
@@ -775,7 +999,7 @@ var optima = (function (exports) {
      * Setup hashchange event listener for hash-based routing
      */
     setupHashchangeListener() {
-      window.addEventListener('hashchange', (event) => {
+      this.addListener(window, 'hashchange', (event) => {
         // Capture trigger time IMMEDIATELY when event fires
         const triggerTime = performance.now();
         
@@ -796,7 +1020,7 @@ var optima = (function (exports) {
       }
       
       // Create observer for significant DOM changes that might indicate route changes
-      const observer = new MutationObserver((mutations) => {
+      const observer = this.mutationObserver = new MutationObserver((mutations) => {
         let significantChange = false;
         
         // Capture trigger time IMMEDIATELY when mutation is detected
@@ -843,7 +1067,7 @@ var optima = (function (exports) {
           console.log('[Optima RouteDetector] 🔧 Mutation observer setup');
         } else {
           // If body is not available yet, wait for DOMContentLoaded
-          document.addEventListener('DOMContentLoaded', () => {
+          this.addListener(document, 'DOMContentLoaded', () => {
             observer.observe(document.body, {
               childList: true,
               subtree: true,
@@ -912,6 +1136,12 @@ var optima = (function (exports) {
         
         console.groupEnd();
         
+        this.viewManager.sdk?.addBreadcrumb('navigation', `${this.currentUrl} → ${newUrl}`, {
+          from: this.currentUrl,
+          to: newUrl,
+          trigger: method
+        });
+        
         // Update current URL
         this.currentUrl = newUrl;
         
@@ -1113,4273 +1343,8933 @@ var optima = (function (exports) {
     cleanup() {
       console.log('[Optima RouteDetector] 🧹 Cleaning up route detection');
       
-      // Note: We can't easily unpatch history API without storing original references
-      // This is acceptable for most use cases as the SDK typically runs for the page lifetime
+      // Only unpatch if nothing re-patched history after us, otherwise we would drop their wrapper
+      if (this.originalPushState && history.pushState === this.patchedPushState) {
+        history.pushState = this.originalPushState;
+      }
+      if (this.originalReplaceState && history.replaceState === this.patchedReplaceState) {
+        history.replaceState = this.originalReplaceState;
+      }
+      this.originalPushState = null;
+      this.originalReplaceState = null;
+      
+      this.listeners.forEach(({ target, type, handler, options }) => {
+        target.removeEventListener(type, handler, options);
+      });
+      this.listeners = [];
+      
+      if (this.mutationObserver) {
+        this.mutationObserver.disconnect();
+        this.mutationObserver = null;
+      }
       
       this.isSetup = false;
     }
   }
 
   /**
-   * View-Based Data Sender for Optima SDK
-   * Handles smart data synchronization with immediate and batched sending
+   * Session Management for Optima SDK
+   * Keeps the session alive across page loads with an inactivity timeout
    */
 
+  // Same keys as the older builds, so upgrading doesn't split running sessions
+  const SESSION_ID_KEY = 'optima_session_id';
+  const SESSION_LAST_ACTIVITY_KEY = 'optima_session_last_activity';
+  const SESSION_START_KEY = 'optima_session_start';
+  const SESSION_SEQUENCE_KEY = 'optima_session_sequence';
+
   /**
-   * ViewBasedDataSender - Manages data sending strategy for view-based architecture
+   * SessionManager - Persists the session in localStorage and rotates it after inactivity
    */
-  class ViewBasedDataSender {
-    constructor(sdk) {
-      this.sdk = sdk;
-      this.sendQueue = [];
-      this.batchTimer = null;
-      this.maxBatchSize = 3;
-      this.batchTimeout = 5000; // 5 seconds
-      this.isProcessing = false;
-      
-      // Track which views have had their initial session created
-      this.createdViewSessions = new Set();
-      
-      console.log('[Optima DataSender] 📤 Data sender initialized');
+  class SessionManager {
+    constructor(options = {}) {
+      this.timeout = options.timeout || 30 * 60 * 1000; // 30 minutes
+      this.maxDuration = options.maxDuration || 4 * 60 * 60 * 1000; // 4 hours
+      this.touchInterval = 5000; // Write activity to storage at most every 5 seconds
+      this.persist = options.persist !== false; // False keeps the session in memory only (consent pending)
+
+      this.sessionId = null;
+      this.startedAt = null;
+      this.lastActivity = null;
+      this.sequence = 0;
+      this.lastWrite = 0;
+
+      console.log('[Optima SessionManager] 🆔 Session manager initialized');
     }
 
     /**
-     * Send view data with appropriate strategy
-     * @param {Object} view - View object with collected data
-     * @param {string} trigger - What triggered the send
+     * Resume the stored session or start a new one
+     * @returns {Object} { sessionId, isNew, sequence }
      */
-    sendViewData(view, trigger = 'completed') {
-      if (!view || !this.sdk.sessionId) {
-        console.warn('[Optima DataSender] ⚠️ Cannot send view data: missing view or session');
-        return;
+    resume() {
+      const stored = this.readStoredSession();
+
+      if (stored.sessionId && !this.isExpiredState(stored, Date.now())) {
+        this.sessionId = stored.sessionId;
+        // Sessions created by older builds have no start time - count from now
+        this.startedAt = stored.startedAt || Date.now();
+        this.sequence = stored.sequence || 1;
+        this.touch(true);
+
+        console.log(`[Optima SessionManager] ♻️ Resumed session ${this.sessionId.substring(0, 8)}... (sequence: ${this.sequence})`);
+        return { sessionId: this.sessionId, isNew: false, sequence: this.sequence };
       }
-      
-      console.log(`[Optima DataSender] 📦 Preparing to send view data: ${view.id.substring(0, 8)}... (trigger: ${trigger})`);
-      
-      // Mark this view as having its session created
-      this.createdViewSessions.add(view.id);
-      
-      // Format payload for server
-      const payload = this.formatViewPayload(view, trigger);
-      
-      // Determine sending strategy
-      if (this.shouldSendImmediately(trigger, view.type)) {
-        this.sendImmediate(payload);
-      } else {
-        this.queueForBatch(payload);
+
+      return this.startNew(stored.sessionId ? 'expired' : 'no_session');
+    }
+
+    /**
+     * Start a new session
+     * @param {string} reason - Why a new session is started
+     * @returns {Object} { sessionId, isNew, sequence }
+     */
+    startNew(reason = 'manual') {
+      const stored = this.readStoredSession();
+      const now = Date.now();
+
+      this.sessionId = generateUUID();
+      this.startedAt = now;
+      this.sequence = Math.max(stored.sequence || 0, this.sequence) + 1;
+
+      this.writeStoredSession();
+      this.touch(true);
+
+      console.log(`[Optima SessionManager] 🆕 Started session ${this.sessionId.substring(0, 8)}... (sequence: ${this.sequence}, reason: ${reason})`);
+      return { sessionId: this.sessionId, isNew: true, sequence: this.sequence };
+    }
+
+    /**
+     * Switch to a newer session, e.g. one another tab already started
+     * Adopts the stored session if it is still valid, otherwise starts a new one.
+     * @param {string} reason - Why the session is rotated
+     * @returns {Object} { sessionId, isNew, sequence }
+     */
+    rotate(reason = 'manual') {
+      const stored = this.readStoredSession();
+
+      if (stored.sessionId && stored.sessionId !== this.sessionId && !this.isExpiredState(stored, Date.now())) {
+        this.adopt(stored);
+        return { sessionId: this.sessionId, isNew: false, sequence: this.sequence };
       }
+
+      return this.startNew(reason);
     }
 
     /**
-     * Format view data into server payload
-     * @param {Object} view - View object
-     * @param {string} trigger - Send trigger
-     * @returns {Object} Formatted payload
+     * Take over a session started elsewhere
+     * @param {Object} session - { sessionId, startedAt, sequence }
      */
-    formatViewPayload(view, trigger) {
-      console.log(`[Optima DataSender] 🔍 Formatting payload for view: ${view.id.substring(0, 8)}...`);
-      console.log(`[Optima DataSender] 📊 View data summary:`, {
-        resources: view.resources?.length || 0,
-        ajaxRequests: view.ajaxRequests?.length || 0,
-        errors: view.errors?.length || 0,
-        events: view.events?.length || 0,
-        webVitals: Object.keys(view.webVitals || {}).length
-      });
-      
-      // Track resources specifically
-      if (view.resources && view.resources.length > 0) {
-        console.log(`[Optima DataSender] 📦 RESOURCES TO SEND (${view.resources.length}):`);
-        
-        // Log each resource with key details
-        view.resources.forEach((resource, index) => {
-          const isJsFile = resource.name && (resource.name.endsWith('.js') || resource.name.includes('.bundle.'));
-          const logPrefix = isJsFile ? '🟨 JS/BUNDLE' : '📄 RESOURCE';
-          
-          console.log(`[Optima DataSender] ${logPrefix} ${index + 1}: ${resource.name || 'unknown'} (type: ${resource.initiatorType || 'unknown'}, size: ${resource.transferSize || 0})`);
-          
-          // Special attention to releases.bundle.js
-          if (resource.name && resource.name.includes('releases.bundle.js')) {
-            console.log(`[Optima DataSender] 🎯 FOUND releases.bundle.js! Details:`, {
-              name: resource.name,
-              type: resource.initiatorType,
-              size: resource.transferSize,
-              startTime: resource.startTime,
-              duration: resource.duration,
-              viewId: view.id.substring(0, 8)
-            });
-          }
-        });
-        
-        // Summary of JS/bundle files
-        const jsFiles = view.resources.filter(r => r.name && (r.name.endsWith('.js') || r.name.includes('.bundle.')));
-        console.log(`[Optima DataSender] 🟨 JS/Bundle files in payload: ${jsFiles.length}/${view.resources.length}`);
-      } else {
-        console.log(`[Optima DataSender] ⚠️ NO RESOURCES to send for view ${view.id.substring(0, 8)}`);
+    adopt(session) {
+      this.sessionId = session.sessionId;
+      this.startedAt = session.startedAt || Date.now();
+      this.sequence = session.sequence || this.sequence;
+      this.lastActivity = Math.max(this.lastActivity || 0, session.lastActivity || 0);
+
+      console.log(`[Optima SessionManager] 🔗 Adopted session ${this.sessionId.substring(0, 8)}... (sequence: ${this.sequence})`);
+    }
+
+    /**
+     * Persist the session ID, start time and sequence
+     */
+    writeStoredSession() {
+      if (!this.persist) return;
+
+      try {
+        localStorage.setItem(SESSION_ID_KEY, this.sessionId);
+        localStorage.setItem(SESSION_START_KEY, String(this.startedAt));
+        localStorage.setItem(SESSION_SEQUENCE_KEY, String(this.sequence));
+      } catch (error) {
+        // Session still works for this page, it just won't survive a reload
       }
-      
-      const payload = {
-        // Session identification
-        session_id: this.sdk.sessionId,
-        session_type: view.type, // 'initial' or 'route_change'
-        view_id: view.id,
-        
-        // Trigger and timing info
-        trigger: trigger,
-        timestamp: view.timestamp,
-        url: view.url,
-        duration: view.duration,
-        completion_reason: view.completionReason,
-        
-        // View-specific data (maintaining existing structure)
-        web_vitals: this.formatWebVitals(view.webVitals, view.type),
-        resources: view.resources || [],
-        ajax_requests: view.ajaxRequests || [],
-        errors: view.errors || [],
-        events: view.events || [],
-        
-        // Complete metadata (same as legacy SDK)
-        meta: this.sdk.generateMetadata(),
-        
-        // View-specific metadata
-        view_metadata: {
-          start_time: view.startTime,
-          last_activity: view.lastActivityTime,
-          resource_count: view.resources?.length || 0,
-          ajax_count: view.ajaxRequests?.length || 0,
-          error_count: view.errors?.length || 0,
-          event_count: view.events?.length || 0,
-          web_vitals_count: Object.keys(view.webVitals).filter(k => view.webVitals[k]?.value).length
-        },
-        
-        // Send metadata
-        send_timestamp: Date.now(),
-        send_strategy: this.shouldSendImmediately(trigger, view.type) ? 'immediate' : 'batch'
-      };
-      
-      return payload;
     }
 
     /**
-     * Format web vitals for sending
-     * @param {Object} webVitals - Web vitals object
-     * @param {string} sessionType - Session type ('initial' or 'route_change')
-     * @returns {Object} Formatted web vitals
+     * Start persisting the in-memory session (e.g. once consent is granted)
      */
-    formatWebVitals(webVitals, sessionType) {
-      const formatted = {};
-      
-      // Define which metrics are only applicable for initial page load
-      const initialLoadOnlyMetrics = ['LCP', 'FCP', 'FID', 'TTFB'];
-      
-      console.log(`[Optima DataSender] 🔍 Formatting web vitals for ${sessionType} session:`);
-      
-      Object.keys(webVitals).forEach(metric => {
-        if (webVitals[metric]?.value !== null && webVitals[metric]?.value !== undefined) {
-          
-          // Filter out initial-load-only metrics for route changes
-          if (sessionType === 'route_change' && initialLoadOnlyMetrics.includes(metric)) {
-            console.log(`[Optima DataSender] 🚫 Filtering out ${metric} for route change session`);
-            return; // Skip this metric
-          }
-          
-          console.log(`[Optima DataSender] ✅ Including ${metric} = ${webVitals[metric].value} for ${sessionType}`);
-          
-          formatted[metric] = {
-            value: webVitals[metric].value,
-            timestamp: webVitals[metric].timestamp,
-            view_relative_time: webVitals[metric].viewRelativeTime,
-            ...webVitals[metric] // Include any additional details
-          };
-        } else {
-          console.log(`[Optima DataSender] ⚠️ Skipping ${metric} - no valid value (${webVitals[metric]?.value})`);
-        }
-      });
-      
-      console.log(`[Optima DataSender] 📊 Final formatted web vitals count: ${Object.keys(formatted).length}`);
-      
-      return formatted;
+    enablePersistence() {
+      if (this.persist) return;
+
+      this.persist = true;
+      this.writeStoredSession();
+      this.touch(true);
+
+      console.log(`[Optima SessionManager] 💾 Session ${this.sessionId.substring(0, 8)}... now persisted`);
     }
 
     /**
-     * Determine if data should be sent immediately
-     * @param {string} trigger - Send trigger
-     * @param {string} viewType - View type
-     * @returns {boolean} True if should send immediately
+     * Read the persisted session
+     * @returns {Object} { sessionId, startedAt, lastActivity, sequence }
      */
-    shouldSendImmediately(trigger, viewType) {
-      // Route changes should send immediately
-      if (trigger === 'new_view_started' && viewType === 'route_change') {
-        return true;
+    readStoredSession() {
+      if (!this.persist) {
+        return { sessionId: null, startedAt: null, lastActivity: null, sequence: 0 };
       }
-      
-      // Route change completions should send immediately
-      if (trigger === 'route_change_trigger') {
-        return true;
+
+      try {
+        return {
+          sessionId: localStorage.getItem(SESSION_ID_KEY),
+          startedAt: parseInt(localStorage.getItem(SESSION_START_KEY), 10) || null,
+          lastActivity: parseInt(localStorage.getItem(SESSION_LAST_ACTIVITY_KEY), 10) || null,
+          sequence: parseInt(localStorage.getItem(SESSION_SEQUENCE_KEY), 10) || 0
+        };
+      } catch (error) {
+        return { sessionId: null, startedAt: null, lastActivity: null, sequence: 0 };
       }
-      
-      // Page unload/visibility changes should send immediately
-      if (trigger === 'page_unload' || trigger === 'page_hidden') {
-        return true;
+    }
+
+    /**
+     * Record user activity, writing to storage at most once per touchInterval
+     * @param {boolean} force - Write to storage immediately
+     */
+    touch(force = false) {
+      const now = Date.now();
+      this.lastActivity = now;
+
+      if (!force && now - this.lastWrite < this.touchInterval) {
+        return;
       }
-      
-      // Error conditions should send immediately
-      if (trigger === 'error' || trigger === 'critical_error') {
-        return true;
+
+      this.lastWrite = now;
+      if (!this.persist) return;
+
+      try {
+        localStorage.setItem(SESSION_LAST_ACTIVITY_KEY, String(now));
+      } catch (error) {
+        // In-memory activity time is still used for expiry checks
       }
-      
-      // Everything else can be batched
-      return false;
     }
 
     /**
-     * Send data immediately
-     * @param {Object} payload - Data payload
+     * Record activity unless the session already timed out
+     * An expired session must be rotated first, not silently extended
+     * @returns {boolean} True if activity was recorded
      */
-    sendImmediate(payload) {
-      console.log(`[Optima DataSender] 🚀 Sending immediately: ${payload.view_id.substring(0, 8)}...`);
-      
-      this.performSend(payload, {
-        immediate: true,
-        sync: payload.trigger === 'page_unload' || payload.trigger === 'page_hidden'
-      });
+    recordActivity() {
+      if (Date.now() - (this.lastActivity || 0) > this.timeout && this.isExpired()) {
+        return false;
+      }
+
+      this.touch();
+      return true;
     }
 
     /**
-     * Queue data for batch sending
-     * @param {Object} payload - Data payload
+     * Check whether the current session has timed out or run too long
+     * Activity recorded by other tabs keeps the session alive too
+     * @returns {boolean} True if a new session should be started
      */
-    queueForBatch(payload) {
-      console.log(`[Optima DataSender] 📋 Queuing for batch: ${payload.view_id.substring(0, 8)}...`);
-      
-      this.sendQueue.push(payload);
-      
-      // Process queue if it's full
-      if (this.sendQueue.length >= this.maxBatchSize) {
-        this.processBatchQueue();
-      } else {
-        // Set/reset batch timer
-        this.setBatchTimer();
+    isExpired() {
+      if (!this.sessionId) return true;
+
+      const stored = this.readStoredSession();
+      const lastActivity = Math.max(this.lastActivity || 0, stored.sessionId === this.sessionId ? stored.lastActivity || 0 : 0);
+
+      return this.isExpiredState({ startedAt: this.startedAt, lastActivity: lastActivity }, Date.now());
+    }
+
+    /**
+     * Check session timestamps against the timeout and maximum duration
+     * @param {Object} state - { startedAt, lastActivity }
+     * @param {number} now - Current time
+     * @returns {boolean} True if expired
+     */
+    isExpiredState(state, now) {
+      if (!state.lastActivity || now - state.lastActivity > this.timeout) {
+        return true;
       }
+
+      return !!state.startedAt && now - state.startedAt > this.maxDuration;
     }
 
     /**
-     * Set batch timer for automatic processing
+     * Get session status for debugging
+     * @returns {Object} Session status
      */
-    setBatchTimer() {
-      if (this.batchTimer) {
-        clearTimeout(this.batchTimer);
+    getStatus() {
+      return {
+        sessionId: this.sessionId,
+        sequence: this.sequence,
+        startedAt: this.startedAt,
+        lastActivity: this.lastActivity,
+        timeout: this.timeout,
+        maxDuration: this.maxDuration,
+        expired: this.isExpired()
+      };
+    }
+  }
+
+  /**
+   * Tab Coordination for Optima SDK
+   * Shares the session between tabs and elects a leader tab for shared work
+   */
+
+  const TAB_CHANNEL_NAME = 'optima-sdk';
+  const TAB_ID_KEY = 'optima_tab_id';
+  const TAB_LEADER_KEY = 'optima_tab_leader';
+
+  /**
+   * TabCoordinator - BroadcastChannel messaging plus a localStorage leader lease
+   */
+  class TabCoordinator {
+    constructor(sdk, options = {}) {
+      this.sdk = sdk;
+      this.leaseDuration = options.leaseDuration || 5000; // Leader must renew within 5 seconds
+      this.renewInterval = options.renewInterval || 2000;
+
+      this.tabId = this.loadTabId();
+      this.instanceId = generateUUID(); // Tells this page apart from a duplicated tab with the same tab ID
+      this.channel = null;
+      this.isLeader = false;
+      this.renewTimer = null;
+      this.pagehideHandler = null;
+
+      console.log(`[Optima TabCoordinator] 🗂️ Tab coordinator initialized (tab: ${this.tabId.substring(0, 8)}...)`);
+    }
+
+    /**
+     * Get the tab ID, keeping it across reloads of the same tab
+     * @returns {string} Tab ID
+     */
+    loadTabId() {
+      try {
+        let tabId = sessionStorage.getItem(TAB_ID_KEY);
+        if (!tabId) {
+          tabId = generateUUID();
+          sessionStorage.setItem(TAB_ID_KEY, tabId);
+        }
+        return tabId;
+      } catch (error) {
+        return generateUUID();
       }
-      
-      this.batchTimer = setTimeout(() => {
-        this.processBatchQueue();
-      }, this.batchTimeout);
     }
 
     /**
-     * Process the batch queue
+     * Take a new tab ID after finding that another open tab already uses ours
      */
-    processBatchQueue() {
-      if (this.sendQueue.length === 0 || this.isProcessing) {
-        return;
+    regenerateTabId() {
+      const previousTabId = this.tabId;
+      this.tabId = generateUUID();
+
+      try {
+        sessionStorage.setItem(TAB_ID_KEY, this.tabId);
+      } catch (error) {
+        // Kept for this page only
       }
-      
-      console.log(`[Optima DataSender] 📦 Processing batch queue: ${this.sendQueue.length} items`);
-      
-      this.isProcessing = true;
-      
-      // Clear batch timer
-      if (this.batchTimer) {
-        clearTimeout(this.batchTimer);
-        this.batchTimer = null;
+
+      // The lease under the shared ID belongs to the other tab
+      this.isLeader = false;
+
+      const currentView = this.sdk.viewManager?.currentView;
+      if (currentView && currentView.tabId === previousTabId) {
+        currentView.tabId = this.tabId;
       }
-      
-      // Process all queued items
-      const batch = [...this.sendQueue];
-      this.sendQueue = [];
-      
-      // Send each item in the batch
-      batch.forEach((payload, index) => {
-        setTimeout(() => {
-          this.performSend(payload, { batch: true, batchIndex: index, batchSize: batch.length });
-        }, index * 100); // Stagger sends by 100ms to avoid overwhelming server
-      });
-      
-      // Reset processing flag after all sends are initiated
-      setTimeout(() => {
-        this.isProcessing = false;
-      }, batch.length * 100 + 500);
+
+      console.log(`[Optima TabCoordinator] 🪪 Tab ID ${previousTabId.substring(0, 8)}... is used by a duplicated tab, now ${this.tabId.substring(0, 8)}...`);
     }
 
     /**
-     * Perform the actual send operation
-     * @param {Object} payload - Data payload
-     * @param {Object} options - Send options
+     * Open the channel and start the leader election
      */
-    performSend(payload, options = {}) {
-      try {
-        // Add send options to payload
-        payload.send_options = {
-          immediate: options.immediate || false,
-          sync: options.sync || false,
-          batch: options.batch || false,
-          batch_index: options.batchIndex,
-          batch_size: options.batchSize
-        };
-        
-        // Enhanced logging for better traceability
-        const requestType = payload.type || 'view_completion';
-        const sessionType = payload.session_type || 'unknown';
-        const sendMethod = options.immediate ? 'immediate' : 'batch';
-        
-        console.log(`[Optima DataSender] 📤 SENDING ${requestType.toUpperCase()}: view=${payload.view_id.substring(0, 8)}..., session_type=${sessionType}, method=${sendMethod}`);
-        
-        if (payload.trigger) {
-          console.log(`[Optima DataSender] 🔍 Trigger: ${payload.trigger}`);
+    start() {
+      if (typeof BroadcastChannel !== 'undefined') {
+        try {
+          this.channel = new BroadcastChannel(TAB_CHANNEL_NAME);
+          this.channel.onmessage = (event) => this.handleMessage(event.data);
+        } catch (error) {
+          console.warn('[Optima TabCoordinator] ⚠️ BroadcastChannel unavailable:', error);
         }
-        
-        // Use SDK's send method
-        this.sdk._sendToServer('/api/optima/collect', payload, {
-          sync: options.sync,
-          immediate: options.immediate
-        });
-        
-        console.log(`[Optima DataSender] ✅ SENT ${requestType.toUpperCase()}: view=${payload.view_id.substring(0, 8)}..., session_type=${sessionType}`);
-        
+      }
+
+      // A duplicated tab copies sessionStorage, tab ID included - the original answers
+      this.broadcast({ type: 'tab_hello' });
+
+      this.renewLeadership();
+      this.renewTimer = setInterval(() => this.renewLeadership(), this.renewInterval);
+
+      // Hand leadership over right away instead of waiting for the lease to expire
+      this.pagehideHandler = () => this.resign();
+      window.addEventListener('pagehide', this.pagehideHandler);
+    }
+
+    /**
+     * Send a message to the other tabs
+     * @param {Object} message - Message with a `type` field
+     */
+    broadcast(message) {
+      if (!this.channel) return;
+
+      try {
+        this.channel.postMessage({ ...message, tabId: this.tabId, instanceId: this.instanceId });
       } catch (error) {
-        console.error('[Optima DataSender] ❌ Error sending view data:', error);
-        
-        // For critical sends, try fallback
-        if (options.immediate && !options.sync) {
-          console.log('[Optima DataSender] 🔄 Retrying with sync send');
-          try {
-            this.sdk._sendToServer('/api/optima/collect', payload, { sync: true });
-          } catch (fallbackError) {
-            console.error('[Optima DataSender] ❌ Fallback send also failed:', fallbackError);
-          }
-        }
+        console.warn('[Optima TabCoordinator] ⚠️ Failed to broadcast message:', error);
       }
     }
 
     /**
-     * Send continuous metric update
-     * @param {Object} update - Metric update data
+     * Handle a message from another tab
+     * @param {Object} message - Received message
      */
-    sendContinuousUpdate(update) {
-      if (!update || !this.sdk.sessionId) {
-        console.warn('[Optima DataSender] ⚠️ Cannot send continuous update: missing data or session');
+    handleMessage(message) {
+      if (!message) return;
+
+      if (message.tabId === this.tabId) {
+        if (message.instanceId === this.instanceId) return;
+
+        if (message.type === 'tab_hello') {
+          this.broadcast({ type: 'tab_id_taken' });
+        } else if (message.type === 'tab_id_taken') {
+          this.regenerateTabId();
+        }
         return;
       }
-      
-      console.log(`[Optima DataSender] 📊 Preparing continuous update for view: ${update.view_id.substring(0, 8)}...`);
-      console.log(`[Optima DataSender] 📊 Update includes (ALL from view session start): web_vitals=${Object.keys(update.web_vitals || {}).length}, resources=${(update.resources || []).length}, ajax=${(update.ajax_requests || []).length}, errors=${(update.errors || []).length}`);
-      
-      // Track resources in continuous updates (now sending ALL resources from view session start)
-      if (update.resources && update.resources.length > 0) {
-        console.log(`[Optima DataSender] 📦 CONTINUOUS UPDATE - ALL RESOURCES FROM VIEW SESSION START (${update.resources.length}):`);
-        
-        update.resources.forEach((resource, index) => {
-          const isJsFile = resource.name && (resource.name.endsWith('.js') || resource.name.includes('.bundle.'));
-          const logPrefix = isJsFile ? '🟨 JS/BUNDLE' : '📄 RESOURCE';
-          
-          console.log(`[Optima DataSender] ${logPrefix} ${index + 1}: ${resource.name || 'unknown'} (type: ${resource.initiatorType || 'unknown'}, size: ${resource.transferSize || 0})`);
-          
-          // Special attention to releases.bundle.js
-          if (resource.name && resource.name.includes('releases.bundle.js')) {
-            console.log(`[Optima DataSender] 🎯 CONTINUOUS UPDATE - FOUND releases.bundle.js! Details:`, {
-              name: resource.name,
-              type: resource.initiatorType,
-              size: resource.transferSize,
-              startTime: resource.startTime,
-              duration: resource.duration,
-              viewId: update.view_id.substring(0, 8),
-              updateType: 'continuous_all_from_view_start'
-            });
+
+      switch (message.type) {
+        case 'session_started':
+          this.sdk.adoptSession(message);
+          break;
+        case 'leader_resigned':
+          this.renewLeadership();
+          break;
+        case 'replay_requested':
+          if (this.isLeader && this.sdk.dataSender) {
+            this.sdk.dataSender.replayPersistedQueue(message.trigger);
           }
-        });
-        
-        const jsFiles = update.resources.filter(r => r.name && (r.name.endsWith('.js') || r.name.includes('.bundle.')));
-        console.log(`[Optima DataSender] 🟨 JS/Bundle files in continuous update (ALL from view start): ${jsFiles.length}/${update.resources.length}`);
+          break;
+        case 'consent_denied':
+          // Consent is per user, not per tab
+          this.sdk.setConsent('denied', { broadcast: false });
+          break;
       }
-      
-      // Get current view to determine session_type
-      const currentView = this.sdk.viewManager?.currentView;
-      
-      // Check if this view has had its session created yet
-      const hasSessionCreated = this.createdViewSessions.has(update.view_id);
-      
-      const sessionType = currentView?.type || 'initial';
-      
-      const payload = {
-        session_id: this.sdk.sessionId,
-        session_type: sessionType,
-        view_id: update.view_id,
-        type: 'continuous_update',
-        web_vitals: this.formatWebVitals(update.web_vitals || {}, sessionType),
-        resources: update.resources || [],
-        ajax_requests: update.ajax_requests || [],
-        errors: update.errors || [],
-        timestamp: update.timestamp,
-        send_timestamp: Date.now(),
-        // Only mark as update-only if session has been created
-        is_update_only: hasSessionCreated,
-        // Include complete metadata
-        meta: this.sdk.generateMetadata()
-      };
-      
-      console.log(`[Optima DataSender] 🔍 View session exists: ${hasSessionCreated}, is_update_only: ${hasSessionCreated}`);
-      
-      // If this is the first update for this view, mark session as created
-      if (!hasSessionCreated) {
-        this.createdViewSessions.add(update.view_id);
-      }
-      
-      // Continuous updates are sent immediately but non-blocking
-      // Add 3-second delay for updates when session has been created
-      if (hasSessionCreated) {
-        console.log(`[Optima DataSender] ⏳ Delaying performSend by 3 seconds for existing session view: ${update.view_id.substring(0, 8)}...`);
-        setTimeout(() => {
-          this.performSend(payload, { immediate: true, sync: false });
-        }, 3000);
-      } else {
-        this.performSend(payload, { immediate: true, sync: false });
+    }
+
+    /**
+     * Read the current leader lease
+     * @returns {Object|null} { tabId, expires } or null
+     */
+    readLease() {
+      try {
+        const stored = localStorage.getItem(TAB_LEADER_KEY);
+        return stored ? JSON.parse(stored) : null;
+      } catch (error) {
+        return null;
       }
     }
 
     /**
-     * Force flush all queued data (for page unload)
+     * Check the stored lease rather than the cached flag, which can be up to a
+     * renewal interval stale (e.g. after the tab was frozen in the background)
+     * @returns {boolean} True if the lease in storage is ours and unexpired
      */
-    forceFlush() {
-      console.log('[Optima DataSender] 🚨 Force flushing all queued data');
-      
-      if (this.sendQueue.length > 0) {
-        // Send all queued items immediately with sync
-        this.sendQueue.forEach(payload => {
-          payload.trigger = 'force_flush';
-          this.performSend(payload, { immediate: true, sync: true });
-        });
-        
-        this.sendQueue = [];
+    holdsLease() {
+      let lease;
+      try {
+        const stored = localStorage.getItem(TAB_LEADER_KEY);
+        lease = stored ? JSON.parse(stored) : null;
+      } catch (error) {
+        // Without shared storage every tab is on its own
+        return this.isLeader;
       }
-      
-      // Clear batch timer
-      if (this.batchTimer) {
-        clearTimeout(this.batchTimer);
-        this.batchTimer = null;
+
+      const held = !!lease && lease.tabId === this.tabId && lease.expires > Date.now();
+      if (!held && this.isLeader) {
+        this.isLeader = false;
+        console.log(`[Optima TabCoordinator] 🪑 Tab ${this.tabId.substring(0, 8)}... lease expired or taken over`);
       }
+
+      return held;
     }
 
     /**
-     * Get queue status for debugging
-     * @returns {Object} Queue status
+     * Take or renew the leader lease if it is free, expired or already ours
      */
-    getQueueStatus() {
-      return {
-        queueLength: this.sendQueue.length,
-        isProcessing: this.isProcessing,
-        hasBatchTimer: !!this.batchTimer,
-        maxBatchSize: this.maxBatchSize,
-        batchTimeout: this.batchTimeout
-      };
+    renewLeadership() {
+      const now = Date.now();
+      const lease = this.readLease();
+      let isLeader = false;
+
+      try {
+        if (!lease || lease.expires < now || lease.tabId === this.tabId) {
+          localStorage.setItem(TAB_LEADER_KEY, JSON.stringify({ tabId: this.tabId, expires: now + this.leaseDuration }));
+
+          // Read back - another tab may have written in between
+          isLeader = this.readLease()?.tabId === this.tabId;
+        }
+      } catch (error) {
+        // Without shared storage every tab is on its own
+        isLeader = true;
+      }
+
+      if (isLeader && !this.isLeader) {
+        this.isLeader = true;
+        console.log(`[Optima TabCoordinator] 👑 Tab ${this.tabId.substring(0, 8)}... is now the leader`);
+        this.sdk.onTabLeadershipAcquired();
+      } else if (!isLeader && this.isLeader) {
+        this.isLeader = false;
+        console.log(`[Optima TabCoordinator] 🪑 Tab ${this.tabId.substring(0, 8)}... lost leadership`);
+      }
     }
 
     /**
-     * Update sending configuration
-     * @param {Object} config - New configuration
+     * Give up leadership so another tab can take over
      */
-    updateConfig(config) {
-      if (config.maxBatchSize) this.maxBatchSize = config.maxBatchSize;
-      if (config.batchTimeout) this.batchTimeout = config.batchTimeout;
-      
-      console.log('[Optima DataSender] ⚙️ Configuration updated:', { 
-        maxBatchSize: this.maxBatchSize, 
-        batchTimeout: this.batchTimeout 
-      });
+    resign() {
+      if (!this.isLeader) return;
+
+      this.isLeader = false;
+      try {
+        if (this.readLease()?.tabId === this.tabId) {
+          localStorage.removeItem(TAB_LEADER_KEY);
+        }
+      } catch (error) {
+        // Lease expires on its own
+      }
+
+      this.broadcast({ type: 'leader_resigned' });
+      console.log(`[Optima TabCoordinator] 👋 Tab ${this.tabId.substring(0, 8)}... resigned leadership`);
     }
 
     /**
-     * Remove view from created sessions tracking (when view is completed)
-     * @param {string} viewId - View ID to remove
+     * Get coordinator status for debugging
+     * @returns {Object} Coordinator status
      */
-    markViewCompleted(viewId) {
-      if (this.createdViewSessions.has(viewId)) {
-        console.log(`[Optima DataSender] ✅ Marking view as completed: ${viewId.substring(0, 8)}...`);
-        // Keep the view in the set for a while in case there are delayed continuous updates
-        setTimeout(() => {
-          this.createdViewSessions.delete(viewId);
-          console.log(`[Optima DataSender] 🧹 Cleaned up view tracking: ${viewId.substring(0, 8)}...`);
-        }, 30000); // Clean up after 30 seconds
-      }
+    getStatus() {
+      return {
+        tabId: this.tabId,
+        isLeader: this.isLeader,
+        hasChannel: !!this.channel,
+        lease: this.readLease()
+      };
     }
 
     /**
-     * Cleanup data sender
+     * Cleanup coordinator (for testing or shutdown)
      */
     cleanup() {
-      console.log('[Optima DataSender] 🧹 Cleaning up data sender');
-      
-      // Force flush any remaining data
-      this.forceFlush();
-      
-      // Clear timer
-      if (this.batchTimer) {
-        clearTimeout(this.batchTimer);
-        this.batchTimer = null;
+      this.resign();
+
+      if (this.renewTimer) {
+        clearInterval(this.renewTimer);
+        this.renewTimer = null;
+      }
+
+      if (this.pagehideHandler) {
+        window.removeEventListener('pagehide', this.pagehideHandler);
+        this.pagehideHandler = null;
+      }
+
+      if (this.channel) {
+        this.channel.close();
+        this.channel = null;
       }
-      
-      // Clear view tracking
-      this.createdViewSessions.clear();
-      
-      this.isProcessing = false;
     }
   }
 
   /**
-   * Continuous Metrics Manager for Optima SDK
-   * Handles background updates for metrics that continue throughout view lifetime
+   * Persistent Send Queue for Optima SDK
+   * Keeps payloads that could not be delivered so they can be replayed later
    */
 
+  const SEND_QUEUE_DB_NAME = 'optima-sdk';
+  const SEND_QUEUE_STORE_NAME = 'send-queue';
+  const SEND_QUEUE_STORAGE_KEY = 'optima_send_queue';
+
   /**
-   * ContinuousMetricsManager - Manages continuous metric updates
+   * PersistentSendQueue - Durable outbound queue backed by IndexedDB with a localStorage fallback
    */
-  class ContinuousMetricsManager {
-    constructor(viewManager, dataSender) {
-      this.viewManager = viewManager;
-      this.dataSender = dataSender;
-      this.updateInterval = null;
-      this.lastSentMetrics = {};
-      this.updateIntervalMs = 10000; // 10 seconds
-      this.isTracking = false;
-      this.significantChangeThresholds = {
-        CLS: 0.01,  // 0.01 CLS score change
-        INP: 50     // 50ms INP change
-      };
-      
-      console.log('[Optima ContinuousMetrics] 📊 Continuous metrics manager initialized');
-    }
+  class PersistentSendQueue {
+    constructor(options = {}) {
+      this.maxEntries = options.maxEntries || 100;
+      this.maxBytes = options.maxBytes || 1024 * 1024; // 1MB
+      this.maxAge = options.maxAge || 24 * 60 * 60 * 1000; // 24 hours
 
-    /**
-     * Start continuous metrics tracking
-     */
-    startContinuousTracking() {
-      if (this.isTracking) {
-        console.warn('[Optima ContinuousMetrics] ⚠️ Continuous tracking already started');
-        return;
-      }
-      
-      console.log('[Optima ContinuousMetrics] 🚀 Starting continuous metrics tracking');
-      
-      this.isTracking = true;
-      this.lastSentMetrics = {};
-      
-      // Start periodic updates
-      this.updateInterval = setInterval(() => {
-        this.checkAndSendUpdates();
-      }, this.updateIntervalMs);
+      // localStorage has a much smaller quota, so cap it separately
+      this.maxLocalStorageBytes = Math.min(this.maxBytes, 512 * 1024);
+
+      this.db = null;
+      this.backend = null; // 'indexeddb' | 'localstorage' | 'memory'
+      this.memoryEntries = [];
+      this.sequence = 0; // Orders entries created within the same millisecond
+      this.ready = this.open().then(() => this.upgradeLocalEntries());
       
-      // Also send updates on significant metric changes (via event listeners)
-      this.setupChangeDetection();
+      // Mutations run one after another so a remove never overtakes its write
+      this.pendingOperation = this.ready;
+      this.closed = false;
+
+      console.log('[Optima SendQueue] 💾 Persistent send queue initialized');
     }
 
     /**
-     * Stop continuous metrics tracking
+     * Open the storage backend, preferring IndexedDB
+     * @returns {Promise} Resolves once a backend is selected
      */
-    stopContinuousTracking() {
-      if (!this.isTracking) return;
-      
-      console.log('[Optima ContinuousMetrics] 🛑 Stopping continuous metrics tracking');
-      
-      this.isTracking = false;
-      
-      if (this.updateInterval) {
-        clearInterval(this.updateInterval);
-        this.updateInterval = null;
-      }
-      
-      this.lastSentMetrics = {};
+    open() {
+      return new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+          this.backend = this.isLocalStorageAvailable() ? 'localstorage' : 'memory';
+          console.log(`[Optima SendQueue] ⚠️ IndexedDB not available, using ${this.backend}`);
+          resolve();
+          return;
+        }
+
+        try {
+          const request = indexedDB.open(SEND_QUEUE_DB_NAME, 1);
+
+          request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SEND_QUEUE_STORE_NAME)) {
+              db.createObjectStore(SEND_QUEUE_STORE_NAME, { keyPath: 'id' });
+            }
+          };
+
+          request.onsuccess = () => {
+            this.db = request.result;
+            this.backend = 'indexeddb';
+            console.log('[Optima SendQueue] ✅ Using IndexedDB backend');
+            resolve();
+          };
+
+          request.onerror = () => {
+            this.backend = this.isLocalStorageAvailable() ? 'localstorage' : 'memory';
+            console.warn(`[Optima SendQueue] ⚠️ IndexedDB open failed, using ${this.backend}:`, request.error);
+            resolve();
+          };
+        } catch (error) {
+          this.backend = this.isLocalStorageAvailable() ? 'localstorage' : 'memory';
+          console.warn(`[Optima SendQueue] ⚠️ IndexedDB unavailable, using ${this.backend}:`, error);
+          resolve();
+        }
+      });
     }
 
     /**
-     * Setup change detection for immediate updates on significant changes
+     * Move entries written synchronously to localStorage (see enqueueSync) into IndexedDB
+     * @returns {Promise} Resolves once moved, or right away if there is nothing to move
      */
-    setupChangeDetection() {
-      // Monitor for significant CLS changes
-      this.setupCLSChangeDetection();
-      
-      // Monitor for significant INP changes
-      this.setupINPChangeDetection();
+    upgradeLocalEntries() {
+      if (this.backend !== 'indexeddb') return Promise.resolve();
+
+      const entries = this.readLocalEntries();
+      if (entries.length === 0) return Promise.resolve();
+
+      return this.idbTransaction('readwrite', store => {
+        entries.forEach(entry => store.put(entry));
+      }).then(() => {
+        localStorage.removeItem(SEND_QUEUE_STORAGE_KEY);
+        console.log(`[Optima SendQueue] ⬆️ Moved ${entries.length} entries from localStorage to IndexedDB`);
+      }).catch(error => {
+        // They stay in localStorage and are moved on a later load
+        console.warn('[Optima SendQueue] ⚠️ Could not move localStorage entries to IndexedDB:', error);
+      });
     }
 
     /**
-     * Setup CLS change detection
+     * Check whether localStorage can be written
+     * @returns {boolean} True if localStorage is usable
      */
-    setupCLSChangeDetection() {
-      if (!('PerformanceObserver' in window)) return;
-      
+    isLocalStorageAvailable() {
       try {
-        const clsObserver = new PerformanceObserver((list) => {
-          if (!this.isTracking || !this.viewManager.currentView?.isActive) return;
-          
-          const entries = list.getEntries();
-          let hasSignificantChange = false;
-          
-          entries.forEach((entry) => {
-            if (!entry.hadRecentInput) {
-              hasSignificantChange = true;
-            }
-          });
-          
-          // If we detected significant CLS changes, check for updates sooner
-          if (hasSignificantChange) {
-            setTimeout(() => {
-              this.checkAndSendUpdates();
-            }, 1000); // Check after 1 second delay
-          }
-        });
-        
-        clsObserver.observe({ type: 'layout-shift', buffered: false });
-        
+        const testKey = '__optima_test__';
+        localStorage.setItem(testKey, '1');
+        localStorage.removeItem(testKey);
+        return true;
       } catch (error) {
-        console.error('[Optima ContinuousMetrics] ❌ Error setting up CLS change detection:', error);
+        return false;
       }
     }
 
     /**
-     * Setup INP change detection
+     * Add a payload to the queue
+     * @param {string} endpoint - API endpoint the payload was meant for
+     * @param {Object} payload - Payload to persist
+     * @param {Object} meta - Extra entry fields (reason, attempts)
+     * @returns {string|null} Entry ID, or null if the payload could not be serialized
      */
-    setupINPChangeDetection() {
-      // Listen for interaction events that might affect INP
-      const eventTypes = ['click', 'keydown', 'pointerdown'];
-      
-      eventTypes.forEach(type => {
-        document.addEventListener(type, () => {
-          if (!this.isTracking || !this.viewManager.currentView?.isActive) return;
-          
-          // Check for INP updates after interactions
-          setTimeout(() => {
-            this.checkForINPUpdate();
-          }, 500); // Check after 500ms to allow for processing
-        }, { passive: true });
+    enqueue(endpoint, payload, meta = {}) {
+      const entry = this.createEntry(endpoint, payload, meta);
+      if (!entry) return null;
+
+      this.serialize(() => this.write(entry)).catch(error => {
+        console.error('[Optima SendQueue] ❌ Failed to persist payload:', error);
       });
+
+      console.log(`[Optima SendQueue] 📥 Queued ${endpoint} payload: ${entry.id.substring(0, 8)}... (${entry.size} bytes, reason: ${entry.reason})`);
+
+      return entry.id;
     }
 
     /**
-     * Check specifically for INP updates
+     * Add a payload to the localStorage fallback before returning
+     * IndexedDB writes are asynchronous and may never finish once the page is hidden for good;
+     * the entry is moved to IndexedDB on the next load.
+     * @param {string} endpoint - API endpoint the payload was meant for
+     * @param {Object} payload - Payload to persist
+     * @param {Object} meta - Extra entry fields (reason, attempts)
+     * @returns {string|null} Entry ID, or null if the payload could not be stored
      */
-    checkForINPUpdate() {
-      if (!this.viewManager.currentView?.isActive) return;
-      
-      const currentINP = this.viewManager.currentView.webVitals.INP?.value;
-      const lastSentINP = this.lastSentMetrics.INP;
-      
-      if (currentINP && this.hasSignificantINPChange(currentINP, lastSentINP)) {
-        console.log('[Optima ContinuousMetrics] 🖱️ Significant INP change detected, sending update');
-        this.sendContinuousUpdate();
+    enqueueSync(endpoint, payload, meta = {}) {
+      if (this.closed || this.backend === 'memory' || !this.isLocalStorageAvailable()) {
+        return this.enqueue(endpoint, payload, meta);
       }
+
+      const entry = this.createEntry(endpoint, payload, meta);
+      if (!entry) return null;
+
+      const { kept } = this.applyLimits([...this.readLocalEntries(), entry], this.maxLocalStorageBytes);
+      if (!kept.some(item => item.id === entry.id)) {
+        console.warn(`[Optima SendQueue] ⚠️ Payload too large for the localStorage fallback (${entry.size} bytes)`);
+        return null;
+      }
+      this.writeLocalEntries(kept);
+
+      console.log(`[Optima SendQueue] 📥 Queued ${endpoint} payload synchronously: ${entry.id.substring(0, 8)}... (${entry.size} bytes, reason: ${entry.reason})`);
+
+      return entry.id;
     }
 
     /**
-     * Check for metric updates and send if significant changes detected
+     * Build a queue entry
+     * @param {string} endpoint - API endpoint the payload was meant for
+     * @param {Object} payload - Payload to persist
+     * @param {Object} meta - Extra entry fields (reason, attempts)
+     * @returns {Object|null} Entry, or null if the payload can't be serialized or is too large
      */
-    checkAndSendUpdates() {
-      if (!this.isTracking || !this.viewManager.currentView?.isActive) {
-        return;
+    createEntry(endpoint, payload, meta) {
+      let serialized;
+      try {
+        serialized = JSON.stringify(payload);
+      } catch (error) {
+        console.error('[Optima SendQueue] ❌ Cannot serialize payload for persistence:', error);
+        return null;
       }
-      
-      const currentMetrics = this.getCurrentContinuousMetrics();
-      
-      if (this.hasSignificantChanges(currentMetrics)) {
-        console.log('[Optima ContinuousMetrics] 📊 Significant changes detected, sending update');
-        this.sendContinuousUpdate();
+
+      const entry = {
+        id: generateUUID(),
+        endpoint: endpoint,
+        payload: payload,
+        size: serialized.length,
+        createdAt: Date.now(),
+        sequence: this.sequence++,
+        attempts: meta.attempts || 0,
+        reason: meta.reason || 'send_failed'
+      };
+
+      if (entry.size > this.maxBytes) {
+        console.warn(`[Optima SendQueue] ⚠️ Payload too large to persist (${entry.size} bytes)`);
+        return null;
       }
+
+      return entry;
     }
 
     /**
-     * Get current continuous metrics from active view
-     * @returns {Object} Current continuous metrics and data
+     * Stop all storage access: queued operations are skipped, then the database is closed
+     * @returns {Promise} Resolves once the operation already running (if any) has finished
      */
-    getCurrentContinuousMetrics() {
-      if (!this.viewManager.currentView) return {};
-      
-      const currentView = this.viewManager.currentView;
-      const webVitals = currentView.webVitals;
-      const isInitialLoad = currentView.type === 'initial';
-      
-      // Define which metrics are appropriate for each view type
-      const continuousMetrics = ['CLS', 'INP', 'loading_time'];
-      const initialLoadOnlyMetrics = ['LCP', 'FCP', 'FID', 'TTFB'];
-      
-      const result = {
-        webVitals: {},
-        resourceCount: currentView.resources?.length || 0,
-        ajaxCount: currentView.ajaxRequests?.length || 0,
-        errorCount: currentView.errors?.length || 0
-      };
-      
-      // Always include continuous metrics
-      continuousMetrics.forEach(metric => {
-        result.webVitals[metric] = webVitals[metric]?.value || null;
+    close() {
+      this.closed = true;
+
+      return this.pendingOperation.then(() => {
+        if (this.db) {
+          this.db.close();
+          this.db = null;
+        }
       });
-      
-      // Only include initial-load-only metrics for initial page load
-      if (isInitialLoad) {
-        initialLoadOnlyMetrics.forEach(metric => {
-          result.webVitals[metric] = webVitals[metric]?.value || null;
-        });
-      } else {
-        // For route changes, explicitly set initial-load-only metrics to null
-        initialLoadOnlyMetrics.forEach(metric => {
-          result.webVitals[metric] = null;
-        });
-        console.log('[Optima ContinuousMetrics] 🚫 Excluding initial-load-only metrics for route change view');
-      }
-      
-      return result;
     }
 
     /**
-     * Check if there are significant changes in metrics
-     * @param {Object} currentMetrics - Current metric values
-     * @returns {boolean} True if significant changes detected
+     * Run a mutating operation after all previously scheduled ones
+     * @param {Function} operation - Returns a promise
+     * @returns {Promise} Result of the operation
      */
-    hasSignificantChanges(currentMetrics) {
-      const lastMetrics = this.lastSentMetrics;
-      
-      // Check web vitals changes
-      if (this.hasSignificantWebVitalsChange(currentMetrics.webVitals, lastMetrics.webVitals)) {
-        return true;
-      }
-      
-      // Check for new resources, AJAX requests, or errors
-      if (this.hasSignificantDataChange(currentMetrics, lastMetrics)) {
-        return true;
-      }
-      
-      // If no metrics were sent before and we have data now
-      if (Object.keys(lastMetrics).length === 0 && this.hasAnyData(currentMetrics)) {
-        return true;
-      }
-      
-      return false;
+    serialize(operation) {
+      // Operations queued before close() never touch storage again
+      const run = this.pendingOperation.then(() => (this.closed ? undefined : operation()));
+      this.pendingOperation = run.catch(() => {});
+      return run;
     }
 
     /**
-     * Check for significant web vitals changes
-     * @param {Object} current - Current web vitals
-     * @param {Object} last - Last sent web vitals
-     * @returns {boolean} True if significant change
+     * Write an entry and enforce size, count and age limits
+     * @param {Object} entry - Queue entry
+     * @returns {Promise} Resolves when written
      */
-    hasSignificantWebVitalsChange(current, last = {}) {
-      // Check CLS changes
-      if (this.hasSignificantCLSChange(current.CLS, last.CLS)) {
-        return true;
-      }
-      
-      // Check INP changes
-      if (this.hasSignificantINPChange(current.INP, last.INP)) {
-        return true;
-      }
-      
-      // Check for new web vitals (LCP, FCP, FID, TTFB, loading_time)
-      const newVitals = ['LCP', 'FCP', 'FID', 'TTFB', 'loading_time'];
-      for (const vital of newVitals) {
-        if (current[vital] !== null && (last[vital] === null || last[vital] === undefined)) {
-          console.log(`[Optima ContinuousMetrics] 🆕 New ${vital} detected: ${current[vital]}`);
-          return true;
+    write(entry) {
+      return this.readAll().then(entries => {
+        entries.push(entry);
+
+        const { kept, dropped } = this.applyLimits(entries);
+
+        if (dropped.length > 0) {
+          console.log(`[Optima SendQueue] 🧹 Dropping ${dropped.length} expired/overflow entries`);
+        }
+
+        if (this.backend === 'indexeddb') {
+          return this.idbTransaction('readwrite', store => {
+            dropped.forEach(item => store.delete(item.id));
+            if (kept.some(item => item.id === entry.id)) {
+              store.put(entry);
+            }
+          });
         }
+
+        return this.writeAll(kept);
+      });
+    }
+
+    /**
+     * Split entries into those to keep and those to drop
+     * @param {Array} entries - All entries
+     * @param {number} [byteLimit] - Size budget (defaults to the current backend's)
+     * @returns {Object} { kept, dropped }
+     */
+    applyLimits(entries, byteLimit = this.backend === 'localstorage' ? this.maxLocalStorageBytes : this.maxBytes) {
+      const now = Date.now();
+
+      // Newest first so the oldest entries are evicted on overflow
+      const sorted = [...entries].sort((a, b) => this.compareEntries(b, a));
+      const kept = [];
+      const dropped = [];
+      let totalBytes = 0;
+
+      sorted.forEach(item => {
+        const isExpired = now - item.createdAt > this.maxAge;
+        const overCount = kept.length >= this.maxEntries;
+        const overBytes = totalBytes + item.size > byteLimit;
+
+        if (isExpired || overCount || overBytes) {
+          dropped.push(item);
+        } else {
+          kept.push(item);
+          totalBytes += item.size;
+        }
+      });
+
+      return { kept: kept.reverse(), dropped };
+    }
+
+    /**
+     * Read all entries, oldest first
+     * @returns {Promise<Array>} Queue entries
+     */
+    readAll() {
+      return this.ready.then(() => {
+        if (this.backend === 'indexeddb') {
+          return new Promise((resolve, reject) => {
+            const request = this.db
+              .transaction(SEND_QUEUE_STORE_NAME, 'readonly')
+              .objectStore(SEND_QUEUE_STORE_NAME)
+              .getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+          });
+        }
+
+        if (this.backend === 'localstorage') {
+          return this.readLocalEntries();
+        }
+
+        return [...this.memoryEntries];
+      }).then(entries => entries.sort((a, b) => this.compareEntries(a, b)));
+    }
+
+    /**
+     * Order entries oldest first
+     * @param {Object} a - Queue entry
+     * @param {Object} b - Queue entry
+     * @returns {number} Sort order
+     */
+    compareEntries(a, b) {
+      return (a.createdAt - b.createdAt) || ((a.sequence || 0) - (b.sequence || 0));
+    }
+
+    /**
+     * Replace the whole queue (localStorage / memory backends)
+     * @param {Array} entries - Entries to store
+     * @returns {Promise} Resolves when written
+     */
+    writeAll(entries) {
+      if (this.backend === 'localstorage') {
+        this.writeLocalEntries(entries);
+        return Promise.resolve();
       }
-      
-      return false;
+
+      this.memoryEntries = [...entries];
+      return Promise.resolve();
     }
 
     /**
-     * Check for significant data changes (resources, AJAX, errors)
-     * @param {Object} current - Current metrics
-     * @param {Object} last - Last sent metrics
-     * @returns {boolean} True if significant change
+     * Read the entries stored in localStorage
+     * @returns {Array} Entries (empty if none or unreadable)
      */
-    hasSignificantDataChange(current, last = {}) {
-      // Check for new resources (threshold: 5 new resources)
-      if (current.resourceCount > (last.resourceCount || 0) && 
-          current.resourceCount - (last.resourceCount || 0) >= 5) {
-        console.log(`[Optima ContinuousMetrics] 📦 Significant resource increase: ${current.resourceCount} (+${current.resourceCount - (last.resourceCount || 0)})`);
-        return true;
+    readLocalEntries() {
+      try {
+        return JSON.parse(localStorage.getItem(SEND_QUEUE_STORAGE_KEY) || '[]');
+      } catch (error) {
+        return [];
       }
-      
-      // Check for new AJAX requests (threshold: 3 new requests)
-      if (current.ajaxCount > (last.ajaxCount || 0) && 
-          current.ajaxCount - (last.ajaxCount || 0) >= 3) {
-        console.log(`[Optima ContinuousMetrics] 🌐 Significant AJAX increase: ${current.ajaxCount} (+${current.ajaxCount - (last.ajaxCount || 0)})`);
-        return true;
+    }
+
+    /**
+     * Replace the entries stored in localStorage
+     * @param {Array} entries - Entries to store, oldest first
+     */
+    writeLocalEntries(entries) {
+      let remaining = [...entries];
+
+      // On quota errors keep evicting the oldest entry until it fits
+      while (remaining.length > 0) {
+        try {
+          localStorage.setItem(SEND_QUEUE_STORAGE_KEY, JSON.stringify(remaining));
+          return;
+        } catch (error) {
+          remaining = remaining.slice(1);
+        }
       }
-      
-      // Check for new errors (threshold: any new error)
-      if (current.errorCount > (last.errorCount || 0)) {
-        console.log(`[Optima ContinuousMetrics] ❌ New errors detected: ${current.errorCount} (+${current.errorCount - (last.errorCount || 0)})`);
-        return true;
+
+      try {
+        localStorage.removeItem(SEND_QUEUE_STORAGE_KEY);
+      } catch (error) {
+        // Nothing stored
       }
-      
-      return false;
     }
 
     /**
-     * Check if current metrics have any data
-     * @param {Object} metrics - Metrics to check
-     * @returns {boolean} True if has any data
+     * Run an IndexedDB transaction
+     * @param {string} mode - Transaction mode
+     * @param {Function} callback - Receives the object store
+     * @returns {Promise} Resolves on transaction complete
      */
-    hasAnyData(metrics) {
-      // Has any web vitals
-      const hasWebVitals = Object.values(metrics.webVitals || {}).some(value => value !== null);
-      
-      // Has any resources, AJAX, or errors
-      const hasData = metrics.resourceCount > 0 || metrics.ajaxCount > 0 || metrics.errorCount > 0;
-      
-      return hasWebVitals || hasData;
+    idbTransaction(mode, callback) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(SEND_QUEUE_STORE_NAME, mode);
+        callback(transaction.objectStore(SEND_QUEUE_STORE_NAME));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
     }
 
     /**
-     * Check for significant CLS change
-     * @param {number} current - Current CLS value
-     * @param {number} last - Last sent CLS value
-     * @returns {boolean} True if significant change
+     * Remove an entry from the queue
+     * @param {string} id - Entry ID
+     * @returns {Promise} Resolves when removed
      */
-    hasSignificantCLSChange(current, last) {
-      if (current === null || current === undefined) return false;
-      if (last === null || last === undefined) return current > 0;
-      
-      const change = Math.abs(current - last);
-      return change >= this.significantChangeThresholds.CLS;
+    remove(id) {
+      return this.serialize(() => {
+        if (this.backend === 'indexeddb') {
+          // An entry written by enqueueSync may not have been moved to IndexedDB yet
+          const local = this.readLocalEntries();
+          if (local.some(item => item.id === id)) {
+            this.writeLocalEntries(local.filter(item => item.id !== id));
+          }
+          return this.idbTransaction('readwrite', store => store.delete(id));
+        }
+
+        return this.readAll().then(entries => this.writeAll(entries.filter(item => item.id !== id)));
+      });
     }
 
     /**
-     * Check for significant INP change
-     * @param {number} current - Current INP value
-     * @param {number} last - Last sent INP value
-     * @returns {boolean} True if significant change
+     * Update an entry in place
+     * @param {Object} entry - Entry to store
+     * @returns {Promise} Resolves when updated
      */
-    hasSignificantINPChange(current, last) {
-      if (current === null || current === undefined) return false;
-      if (last === null || last === undefined) return current > 0;
-      
-      const change = Math.abs(current - last);
-      return change >= this.significantChangeThresholds.INP;
+    update(entry) {
+      return this.serialize(() => {
+        if (this.backend === 'indexeddb') {
+          return this.idbTransaction('readwrite', store => store.put(entry));
+        }
+
+        return this.readAll().then(entries => this.writeAll(entries.map(item => item.id === entry.id ? entry : item)));
+      });
     }
 
     /**
-     * Send continuous metric update
+     * Remove every entry
+     * @returns {Promise} Resolves when cleared
      */
-    sendContinuousUpdate() {
-      if (!this.viewManager.currentView?.isActive) return;
-      
-      const currentMetrics = this.getCurrentContinuousMetrics();
-      const currentView = this.viewManager.currentView;
-      
-      // Prepare comprehensive update payload
-      const update = {
-        view_id: currentView.id,
-        web_vitals: {},
-        resources: [],
-        ajax_requests: [],
-        errors: [],
-        timestamp: Date.now()
-      };
-      
-      // Include web vitals that have values and are appropriate for the view type
-      const isInitialLoad = currentView.type === 'initial';
-      const continuousMetrics = ['CLS', 'INP', 'loading_time'];
-      const initialLoadOnlyMetrics = ['LCP', 'FCP', 'FID', 'TTFB'];
-      
-      // Determine which metrics to include based on view type
-      const allowedMetrics = isInitialLoad 
-        ? [...continuousMetrics, ...initialLoadOnlyMetrics]  // All metrics for initial load
-        : continuousMetrics;  // Only continuous metrics for route changes
-      
-      const webVitalsMap = {
-        LCP: 'LCP',
-        FCP: 'FCP', 
-        FID: 'FID',
-        CLS: 'CLS',
-        INP: 'INP',
-        TTFB: 'TTFB',
-        loading_time: 'loading_time'
-      };
-      
-      Object.entries(webVitalsMap).forEach(([key, vitalName]) => {
-        // Only include metrics that are allowed for this view type
-        if (allowedMetrics.includes(key) && 
-            currentMetrics.webVitals[key] !== null && 
-            currentView.webVitals[key]) {
-          console.log(`[Optima ContinuousMetrics] ✅ Including ${vitalName} = ${currentMetrics.webVitals[key]} for ${currentView.type} view`);
-          
-          update.web_vitals[vitalName] = {
-            value: currentMetrics.webVitals[key],
-            timestamp: currentView.webVitals[key].timestamp,
-            view_relative_time: currentView.webVitals[key].viewRelativeTime,
-            // Include metric-specific details
-            ...(key === 'CLS' && {
-              lastShiftTime: currentView.webVitals[key].lastShiftTime,
-              lastShiftValue: currentView.webVitals[key].lastShiftValue,
-              shiftSource: currentView.webVitals[key].shiftSource,
-              hadRecentInput: currentView.webVitals[key].hadRecentInput
-            }),
-            ...(key === 'INP' && {
-              interaction_type: currentView.webVitals[key].interactionType,
-              target: currentView.webVitals[key].target,
-              processing_time: currentView.webVitals[key].processingTime,
-              input_delay: currentView.webVitals[key].inputDelay,
-              manual: currentView.webVitals[key].manual
-            }),
-            ...(key === 'LCP' && {
-              element: currentView.webVitals[key].element,
-              url: currentView.webVitals[key].url,
-              absolute_time: currentView.webVitals[key].absoluteTime,
-              attribution: currentView.webVitals[key].attribution,
-              entry: currentView.webVitals[key].entry,
-              source: currentView.webVitals[key].source
-            }),
-            ...(key === 'FID' && {
-              absolute_time: currentView.webVitals[key].absoluteTime,
-              processing_time: currentView.webVitals[key].processingTime,
-              interaction_type: currentView.webVitals[key].interactionType,
-              target: currentView.webVitals[key].target,
-              source: currentView.webVitals[key].source
-            }),
-            ...(key === 'FCP' && {
-              absolute_time: currentView.webVitals[key].absoluteTime,
-              source: currentView.webVitals[key].source
-            }),
-            ...(key === 'TTFB' && {
-              domain_lookup: currentView.webVitals[key].domainLookup,
-              connection: currentView.webVitals[key].connection,
-              request: currentView.webVitals[key].request,
-              tls: currentView.webVitals[key].tls
-            }),
-            ...(key === 'loading_time' && {
-              reason: currentView.webVitals[key].reason,
-              activity_sources: currentView.webVitals[key].activitySources,
-              detailed_activities: currentView.webVitals[key].detailedActivities,
-              view_type: currentView.webVitals[key].viewType,
-              baseline_time: currentView.webVitals[key].baselineTime,
-              end_time: currentView.webVitals[key].endTime
-            })
-          };
-        } else if (!allowedMetrics.includes(key) && !isInitialLoad) {
-          console.log(`[Optima ContinuousMetrics] 🚫 Skipping ${vitalName} for route change view`);
-        } else if (allowedMetrics.includes(key)) {
-          // Metric is allowed but has no value - log for debugging
-          console.log(`[Optima ContinuousMetrics] ⚠️ ${vitalName} allowed for ${currentView.type} but no value: currentMetrics=${currentMetrics.webVitals[key]}, viewVitals=${currentView.webVitals[key] ? 'exists' : 'null'}`);
+    clear() {
+      return this.serialize(() => {
+        if (this.backend === 'indexeddb') {
+          return this.idbTransaction('readwrite', store => store.clear());
         }
+
+        if (this.backend === 'localstorage') {
+          localStorage.removeItem(SEND_QUEUE_STORAGE_KEY);
+        }
+        this.memoryEntries = [];
       });
-      
-      // Include ALL resources since view session started (not just new ones since last update)
-      if (currentView.resources && currentView.resources.length > 0) {
-        update.resources = currentView.resources; // Send all resources from the view session
-        console.log(`[Optima ContinuousMetrics] 📦 Including ALL ${update.resources.length} resources from view session start`);
-        
-        // DETAILED LIFECYCLE TRACKING for releases.bundle.js
-        const releasesBundleInUpdate = update.resources.find(r => r.name && r.name.includes('releases.bundle.js'));
-        if (releasesBundleInUpdate) {
-          console.log(`[Optima ContinuousMetrics] 🎯 LIFECYCLE - releases.bundle.js is included in continuous update!`);
-          console.log(`[Optima ContinuousMetrics] 🎯 LIFECYCLE - Update details:`, {
-            totalResourcesFromViewStart: update.resources.length,
-            currentResourceCount: currentView.resources.length,
-            releasesBundleIndex: update.resources.findIndex(r => r.name && r.name.includes('releases.bundle.js')),
-            releasesBundleDetails: {
-              name: releasesBundleInUpdate.name,
-              type: releasesBundleInUpdate.type,
-              size: releasesBundleInUpdate.transfer_size,
-              startTime: releasesBundleInUpdate.start_time,
-              viewId: releasesBundleInUpdate.viewId.substring(0, 8)
-            }
-          });
+    }
+
+    /**
+     * Replay queued entries oldest first
+     * Entries are removed once `sendFn` resolves truthy; failed entries stay queued
+     * @param {Function} sendFn - (entry) => Promise<boolean>
+     * @returns {Promise<Object>} Replay summary
+     */
+    replay(sendFn) {
+      return this.readAll().then(entries => {
+        const { kept, dropped } = this.applyLimits(entries);
+        const summary = { sent: 0, failed: 0, expired: dropped.length };
+
+        // Purge expired entries before replaying
+        const purge = dropped.length > 0
+          ? Promise.all(dropped.map(item => this.remove(item.id)))
+          : Promise.resolve();
+
+        return purge.then(() => kept.reduce((chain, entry) => {
+          return chain.then(() => Promise.resolve(sendFn(entry))
+            .catch(() => false)
+            .then(delivered => {
+              if (delivered) {
+                summary.sent++;
+                return this.remove(entry.id);
+              }
+              summary.failed++;
+              return this.update({ ...entry, attempts: entry.attempts + 1 });
+            }));
+        }, Promise.resolve())).then(() => summary);
+      });
+    }
+  }
+
+  /**
+   * Send Circuit Breaker for Optima SDK
+   * Stops sending after repeated failures; state is shared across tabs through localStorage
+   */
+
+  const CIRCUIT_BREAKER_STORAGE_KEY = 'optima_circuit_breaker';
+
+  /**
+   * SendCircuitBreaker - closed → open (after repeated failures) → half_open (single probe) → closed
+   */
+  class SendCircuitBreaker {
+    constructor(options = {}) {
+      this.failureThreshold = options.failureThreshold || 5;
+      this.cooldown = options.cooldown || 60000; // 1 minute
+      this.maxCooldown = options.maxCooldown || 10 * 60000; // 10 minutes
+      this.probeTimeout = 30000; // A probe that never reports back frees the slot after 30s
+
+      // In-memory copy used when localStorage is unavailable
+      this.memoryState = null;
+
+      console.log('[Optima CircuitBreaker] 🔌 Circuit breaker initialized');
+    }
+
+    /**
+     * Read the shared breaker state
+     * @returns {Object} Breaker state
+     */
+    getState() {
+      const defaults = { state: 'closed', failures: 0, openUntil: 0, cooldown: this.cooldown, probeUntil: 0 };
+
+      try {
+        const stored = localStorage.getItem(CIRCUIT_BREAKER_STORAGE_KEY);
+        if (stored) {
+          return { ...defaults, ...JSON.parse(stored) };
         }
+      } catch (error) {
+        if (this.memoryState) return { ...this.memoryState };
       }
-      
-      // Include ALL AJAX requests since view session started (not just new ones since last update)
-      if (currentView.ajaxRequests && currentView.ajaxRequests.length > 0) {
-        update.ajax_requests = currentView.ajaxRequests; // Send all AJAX requests from the view session
-        console.log(`[Optima ContinuousMetrics] 🌐 Including ALL ${update.ajax_requests.length} AJAX requests from view session start`);
-      }
-      
-      // Include ALL errors since view session started (not just new ones since last update)
-      if (currentView.errors && currentView.errors.length > 0) {
-        update.errors = currentView.errors; // Send all errors from the view session
-        console.log(`[Optima ContinuousMetrics] ❌ Including ALL ${update.errors.length} errors from view session start`);
+
+      return this.memoryState ? { ...this.memoryState } : defaults;
+    }
+
+    /**
+     * Persist the shared breaker state
+     * @param {Object} state - Breaker state
+     */
+    setState(state) {
+      this.memoryState = { ...state };
+
+      try {
+        localStorage.setItem(CIRCUIT_BREAKER_STORAGE_KEY, JSON.stringify(state));
+      } catch (error) {
+        // Memory state is enough for this tab
       }
-      
-      // Send update via data sender
-      this.dataSender.sendContinuousUpdate(update);
-      
-      // Update last sent metrics
-      this.lastSentMetrics = { ...currentMetrics };
-      
-      console.log('[Optima ContinuousMetrics] ✅ Sent comprehensive continuous update:', {
-        webVitals: Object.keys(update.web_vitals),
-        resources: update.resources.length,
-        ajaxRequests: update.ajax_requests.length,
-        errors: update.errors.length
-      });
     }
 
     /**
-     * Update change thresholds
-     * @param {Object} thresholds - New threshold values
+     * Check whether a request may be sent right now
+     * When the cooldown has passed, exactly one tab gets to send a probe request
+     * @returns {boolean} True if sending is allowed
      */
-    updateThresholds(thresholds) {
-      if (thresholds.CLS !== undefined) {
-        this.significantChangeThresholds.CLS = thresholds.CLS;
+    canSend() {
+      const current = this.getState();
+      const now = Date.now();
+
+      if (current.state === 'closed') {
+        return true;
       }
-      
-      if (thresholds.INP !== undefined) {
-        this.significantChangeThresholds.INP = thresholds.INP;
+
+      if (now < current.openUntil) {
+        return false;
       }
-      
-      console.log('[Optima ContinuousMetrics] ⚙️ Updated thresholds:', this.significantChangeThresholds);
+
+      // Another tab is already probing the collector
+      if (current.state === 'half_open' && now < current.probeUntil) {
+        return false;
+      }
+
+      this.setState({ ...current, state: 'half_open', probeUntil: now + this.probeTimeout });
+      console.log('[Optima CircuitBreaker] 🟡 Cooldown over, sending probe request');
+
+      return true;
     }
 
     /**
-     * Update tracking interval
-     * @param {number} intervalMs - New interval in milliseconds
+     * Record a successful send
+     * @returns {boolean} True if the breaker was not closed before (collector recovered)
      */
-    updateInterval(intervalMs) {
-      this.updateIntervalMs = intervalMs;
-      
-      // Restart tracking with new interval if currently tracking
-      if (this.isTracking) {
-        this.stopContinuousTracking();
-        this.startContinuousTracking();
+    recordSuccess() {
+      const current = this.getState();
+
+      if (current.state === 'closed' && current.failures === 0) {
+        return false;
       }
-      
-      console.log('[Optima ContinuousMetrics] ⚙️ Updated interval:', intervalMs);
+
+      this.setState({ state: 'closed', failures: 0, openUntil: 0, cooldown: this.cooldown, probeUntil: 0 });
+
+      if (current.state !== 'closed') {
+        console.log('[Optima CircuitBreaker] 🟢 Collector recovered, circuit closed');
+        return true;
+      }
+
+      return false;
     }
 
     /**
-     * Trigger update check when new web vital is detected
-     * @param {string} vitalName - Name of the web vital
-     * @param {number} value - Value of the web vital
+     * Record a failed send (5xx, 429 or network error)
+     * @param {number|null} retryAfterMs - Server-requested delay, if any
      */
-    onWebVitalDetected(vitalName, value) {
-      if (!this.isTracking || !this.viewManager.currentView?.isActive) return;
-      
-      console.log(`[Optima ContinuousMetrics] 📊 Web vital detected: ${vitalName} = ${value}`);
-      
-      const currentView = this.viewManager.currentView;
-      const isInitialLoad = currentView.type === 'initial';
-      
-      // Define metric categories
-      const initialLoadOnlyVitals = ['LCP', 'FCP', 'FID', 'TTFB'];
-      const continuousVitals = ['CLS', 'INP', 'loading_time'];
-      
-      // For initial-load-only vitals, only send updates if this is an initial load
-      if (initialLoadOnlyVitals.includes(vitalName)) {
-        if (isInitialLoad) {
-          console.log(`[Optima ContinuousMetrics] 🚀 Initial load vital detected for initial view, sending immediate update`);
-          setTimeout(() => {
-            this.checkAndSendUpdates();
-          }, 100); // Small delay to ensure metric is recorded in view
-        } else {
-          console.log(`[Optima ContinuousMetrics] 🚫 Ignoring ${vitalName} for route change view - not applicable`);
-        }
+    recordFailure(retryAfterMs = null) {
+      const current = this.getState();
+      const failures = current.failures + 1;
+      const now = Date.now();
+
+      // A failed probe reopens the circuit with a longer cooldown
+      if (current.state === 'half_open') {
+        const cooldown = Math.min(current.cooldown * 2, this.maxCooldown);
+        this.open(current, failures, Math.max(cooldown, retryAfterMs || 0), cooldown);
+        return;
       }
-      
-      // For continuous vitals, always send updates regardless of view type
-      else if (continuousVitals.includes(vitalName)) {
-        console.log(`[Optima ContinuousMetrics] 📊 Continuous vital detected, sending update`);
-        setTimeout(() => {
-          this.checkAndSendUpdates();
-        }, 100);
+
+      if (failures >= this.failureThreshold) {
+        this.open(current, failures, Math.max(current.cooldown, retryAfterMs || 0), current.cooldown);
+        return;
+      }
+
+      // Server asked everybody to back off - respect it even below the threshold
+      if (retryAfterMs) {
+        this.setState({ ...current, failures, state: 'open', openUntil: Math.max(current.openUntil, now + retryAfterMs) });
+        console.log(`[Optima CircuitBreaker] ⏸️ Throttled by server for ${retryAfterMs}ms`);
+        return;
       }
+
+      this.setState({ ...current, failures });
     }
 
     /**
-     * Force send current metrics (for testing or manual triggers)
+     * Open the circuit
+     * @param {Object} current - Current state
+     * @param {number} failures - Consecutive failure count
+     * @param {number} openFor - How long to stay open in ms
+     * @param {number} cooldown - Cooldown to remember for the next failed probe
      */
-    forceSendUpdate() {
-      console.log('[Optima ContinuousMetrics] 🔧 Force sending continuous update');
-      this.sendContinuousUpdate();
+    open(current, failures, openFor, cooldown) {
+      this.setState({
+        state: 'open',
+        failures: failures,
+        openUntil: Date.now() + openFor,
+        cooldown: cooldown,
+        probeUntil: 0
+      });
+
+      console.warn(`[Optima CircuitBreaker] 🔴 Circuit open for ${Math.round(openFor / 1000)}s after ${failures} failures`);
     }
 
     /**
-     * Get tracking status for debugging
-     * @returns {Object} Tracking status
+     * Get breaker status for debugging
+     * @returns {Object} Breaker status
      */
     getStatus() {
+      const current = this.getState();
       return {
-        isTracking: this.isTracking,
-        updateInterval: this.updateIntervalMs,
-        lastSentMetrics: { ...this.lastSentMetrics },
-        thresholds: { ...this.significantChangeThresholds },
-        hasActiveView: !!this.viewManager.currentView?.isActive
+        ...current,
+        remainingOpenMs: Math.max(0, current.openUntil - Date.now())
       };
     }
+  }
 
-    /**
-     * Reset continuous metrics tracking (for new view)
-     */
-    reset() {
-      console.log('[Optima ContinuousMetrics] 🔄 Resetting continuous metrics tracking');
-      
-      this.lastSentMetrics = {};
-      
-      // Don't stop tracking, just reset the baseline
-      if (this.isTracking) {
-        console.log('[Optima ContinuousMetrics] 🔄 Continuing tracking with reset baseline');
+  /**
+   * Payload Redactor for Optima SDK
+   * Scrubs personal data from every payload before it leaves the browser
+   */
+
+  // Built-in detectors, applied to every string value (in this order)
+  const REDACTION_DETECTORS = {
+    jwt: { pattern: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, replacement: '[jwt]' },
+    email: { pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, replacement: '[email]' },
+    uuid: { pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, replacement: '[uuid]' },
+    card: { pattern: /\b(?:\d[ -]?){12,18}\d\b/g, replacement: '[card]', luhn: true }
+  };
+
+  // Query parameters that are redacted (case-insensitive; a name matches on whole `_`/`-`/camelCase words,
+  // so `promo_code` is redacted but `zipcode` is not)
+  const DEFAULT_QUERY_PARAM_DENYLIST = ['token', 'password', 'passwd', 'secret', 'email', 'auth', 'code', 'key', 'signature', 'session'];
+
+  // Credential words redacted wherever they appear in a parameter name (`resettoken`, `apikey`, `authorization`),
+  // whatever the denylist says - a missed credential costs more than an over-redacted parameter
+  const CREDENTIAL_PARAM_WORDS = ['token', 'key', 'secret', 'auth', 'session', 'password', 'passwd', 'signature'];
+
+  // Card number prefixes (Visa, Mastercard, Amex, Diners, JCB, Discover/UnionPay)
+  // Digit runs without separators must start with one, so Luhn-valid timestamps and IDs are left alone
+  const CARD_IIN_PATTERN = /^(?:4|5[1-5]|2[2-7]|3[0478]|35|6)/;
+
+  // Payload keys holding the SDK's own identifiers - never scrubbed
+  const REDACTION_SKIP_KEYS = new Set([
+    'session_id', 'sessionId', 'view_id', 'viewId', 'tab_id', 'tabId', 'batch_id',
+    'trace_id', 'traceId', 'spanId', 'api_key', 'queryHash', 'query_hash'
+  ]);
+
+  /**
+   * Normalize a parameter name to its lowercase words, delimited for whole-word matching
+   * @param {string} name - Parameter name such as `access_token` or `sessionKey`
+   * @returns {string} Words joined and wrapped by `_` (e.g. `_access_token_`)
+   */
+  function toParamWords(name) {
+    const words = String(name)
+      .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+      .toLowerCase()
+      .split(/[_\-]+/)
+      .filter(Boolean);
+    return `_${words.join('_')}_`;
+  }
+
+  /**
+   * PayloadRedactor - Deep-copies a payload with personal data replaced by placeholders
+   */
+  class PayloadRedactor {
+    constructor(config = {}) {
+      this.enabled = config.enabled !== false;
+      this.detectors = (config.detectors || Object.keys(REDACTION_DETECTORS))
+        .map(name => REDACTION_DETECTORS[name])
+        .filter(Boolean);
+      this.queryParamDenylist = (config.queryParamDenylist || DEFAULT_QUERY_PARAM_DENYLIST).map(toParamWords);
+      this.queryParamAllowlist = Array.isArray(config.queryParamAllowlist)
+        ? config.queryParamAllowlist.map(name => name.toLowerCase())
+        : null;
+      this.rules = (config.rules || []).map(rule => ({
+        pattern: rule.pattern instanceof RegExp
+          ? new RegExp(rule.pattern.source, rule.pattern.flags.includes('g') ? rule.pattern.flags : rule.pattern.flags + 'g')
+          : new RegExp(String(rule.pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'),
+        replacement: rule.replacement || '[redacted]'
+      }));
+
+      console.log(`[Optima Redactor] 🛡️ Redaction ${this.enabled ? 'enabled' : 'disabled'} (${this.detectors.length} detectors, ${this.rules.length} custom rules)`);
+    }
+
+    /**
+     * Redact a payload
+     * @param {*} data - Payload (not modified)
+     * @returns {*} Redacted copy
+     */
+    redact(data) {
+      if (!this.enabled) return data;
+      return this.redactValue(data, null);
+    }
+
+    /**
+     * Redact any JSON value
+     * @param {*} value - Value to redact
+     * @param {string|null} key - Key the value is stored under
+     * @returns {*} Redacted copy
+     */
+    redactValue(value, key) {
+      if (typeof value === 'string') {
+        return REDACTION_SKIP_KEYS.has(key) ? value : this.redactString(value);
+      }
+
+      if (Array.isArray(value)) {
+        return value.map(item => this.redactValue(item, key));
+      }
+
+      if (value && typeof value === 'object') {
+        const result = {};
+        Object.keys(value).forEach(childKey => {
+          result[childKey] = this.redactValue(value[childKey], childKey);
+        });
+        return result;
       }
+
+      return value;
     }
 
     /**
-     * Cleanup continuous metrics manager
+     * Redact a string (URLs get their query parameters filtered first)
+     * @param {string} text - String to redact
+     * @returns {string} Redacted string
      */
-    cleanup() {
-      console.log('[Optima ContinuousMetrics] 🧹 Cleaning up continuous metrics manager');
-      
-      this.stopContinuousTracking();
+    redactString(text) {
+      let result = /^https?:\/\//i.test(text) ? this.redactUrl(text) : text;
+
+      this.detectors.forEach(detector => {
+        result = result.replace(detector.pattern, match =>
+          detector.luhn && !this.isCardNumber(match) ? match : detector.replacement
+        );
+      });
+
+      this.rules.forEach(rule => {
+        result = result.replace(rule.pattern, rule.replacement);
+      });
+
+      return result;
+    }
+
+    /**
+     * Redact denied (or not allowed) query parameter values of a URL
+     * @param {string} url - Absolute URL
+     * @returns {string} URL with redacted parameter values
+     */
+    redactUrl(url) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        return url;
+      }
+
+      if (!parsed.search) return url;
+
+      let changed = false;
+      parsed.searchParams.forEach((value, name) => {
+        if (this.isParamRedacted(name) && value !== '[redacted]') {
+          parsed.searchParams.set(name, '[redacted]');
+          changed = true;
+        }
+      });
+
+      // Keep the original string when nothing changed so encoding is untouched
+      return changed ? parsed.href : url;
+    }
+
+    /**
+     * Check if a query parameter value must be redacted
+     * @param {string} name - Parameter name
+     * @returns {boolean} True if the value is redacted
+     */
+    isParamRedacted(name) {
+      const lowerName = name.toLowerCase();
+
+      if (this.queryParamAllowlist) {
+        return !this.queryParamAllowlist.includes(lowerName);
+      }
+
+      const compactName = lowerName.replace(/[_\-]/g, '');
+      if (CREDENTIAL_PARAM_WORDS.some(word => compactName.includes(word))) return true;
+
+      const words = toParamWords(name);
+      return this.queryParamDenylist.some(denied => words.includes(denied));
+    }
+
+    /**
+     * Check if a digit run found by the card detector is a card number
+     * @param {string} candidate - Digits, possibly with spaces or dashes
+     * @returns {boolean} True for Luhn-valid numbers that are grouped or start with a card prefix
+     */
+    isCardNumber(candidate) {
+      const digits = candidate.replace(/\D/g, '');
+      const hasSeparators = digits.length !== candidate.length;
+      return (hasSeparators || CARD_IIN_PATTERN.test(digits)) && this.passesLuhn(candidate);
+    }
+
+    /**
+     * Luhn checksum - tells card numbers apart from other long digit runs
+     * @param {string} candidate - Digits, possibly with spaces or dashes
+     * @returns {boolean} True if the checksum is valid
+     */
+    passesLuhn(candidate) {
+      const digits = candidate.replace(/\D/g, '');
+      if (digits.length < 13 || digits.length > 19) return false;
+
+      let sum = 0;
+      for (let i = 0; i < digits.length; i++) {
+        let digit = parseInt(digits[digits.length - 1 - i], 10);
+        if (i % 2 === 1) {
+          digit *= 2;
+          if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+      }
+
+      return sum % 10 === 0;
     }
   }
 
   /**
-   * View-Scoped Collectors for Optima SDK
-   * Handles resource collection with proper view isolation
+   * Breadcrumb Trail for Optima SDK
+   * Remembers what happened before an error (navigations, clicks, AJAX calls, console warnings)
    */
 
+  const BREADCRUMB_CATEGORIES = ['navigation', 'click', 'ajax', 'console', 'custom'];
+
+  // Data keys kept when a category is redacted - structure only, never user content
+  const BREADCRUMB_SAFE_DATA_KEYS = ['method', 'status', 'duration', 'interaction', 'tag', 'trigger'];
+
+  // Longest string kept in a breadcrumb's data (URLs, element text); every error carries the whole trail
+  const BREADCRUMB_MAX_DATA_VALUE_LENGTH = 200;
 
   /**
-   * ViewScopedResourceCollector - Collects resources scoped to current view
+   * BreadcrumbTrail - Fixed-size ring buffer of recent breadcrumbs
    */
-  class ViewScopedResourceCollector {
-    constructor(viewManager) {
-      this.viewManager = viewManager;
-      this.processedUrls = new Set();
-      this.resourceObserver = null;
-      this.isObserving = false;
-      
-      // Debug tracking for missing resources
-      this.allDetectedResources = new Set();
-      this.setupGlobalResourceTracking();
+  class BreadcrumbTrail {
+    constructor(config = {}) {
+      this.maxBreadcrumbs = Math.max(1, config.maxBreadcrumbs || 50);
+      this.categories = new Set(config.categories || BREADCRUMB_CATEGORIES);
+      this.redactions = config.redact || {};
 
-      console.log('[Optima ViewScopedCollector] 📦 Resource collector initialized');
+      this.entries = new Array(this.maxBreadcrumbs);
+      this.next = 0; // Slot the next breadcrumb is written to
+      this.size = 0;
+
+      console.log(`[Optima Breadcrumbs] 🍞 Breadcrumb trail initialized (max: ${this.maxBreadcrumbs}, categories: ${[...this.categories].join(', ')})`);
     }
 
     /**
-     * Helper method to safely format numbers
-     * @param {number} value - Value to format
-     * @param {number} digits - Number of decimal places
-     * @returns {string} Formatted string
+     * Record a breadcrumb, overwriting the oldest once the buffer is full
+     * @param {string} category - One of BREADCRUMB_CATEGORIES
+     * @param {string} message - Short description
+     * @param {Object} [data] - Extra structured data
+     * @param {string} [level] - 'info' | 'warning' | 'error'
+     * @returns {Object|null} Recorded breadcrumb, or null if the category is off or redaction dropped it
      */
-    safeToFixed(value, digits = 2) {
-      if (typeof value !== 'number' || isNaN(value)) {
-        return '0.00';
-      }
-      return value.toFixed(digits);
+    add(category, message, data = null, level = 'info') {
+      if (!this.categories.has(category)) return null;
+
+      const breadcrumb = this.applyRedaction({
+        timestamp: Date.now(),
+        category,
+        level,
+        message: message == null ? null : String(message).substring(0, 300),
+        data: data ? this.truncateData(data) : null
+      });
+      if (!breadcrumb) return null;
+
+      this.entries[this.next] = breadcrumb;
+      this.next = (this.next + 1) % this.maxBreadcrumbs;
+      this.size = Math.min(this.size + 1, this.maxBreadcrumbs);
+
+      return breadcrumb;
     }
 
     /**
-     * Setup global resource tracking for all resources
+     * Copy breadcrumb data with long strings cut to BREADCRUMB_MAX_DATA_VALUE_LENGTH
+     * @param {Object} data - Breadcrumb data
+     * @returns {Object} Truncated copy
      */
-    setupGlobalResourceTracking() {
-      // This method can be used for global resource tracking if needed
-      console.log('[Optima ViewScopedCollector] 🌐 Global resource tracking setup');
+    truncateData(data) {
+      const truncated = {};
+      Object.keys(data).forEach(key => {
+        const value = data[key];
+        truncated[key] = typeof value === 'string' && value.length > BREADCRUMB_MAX_DATA_VALUE_LENGTH
+          ? value.substring(0, BREADCRUMB_MAX_DATA_VALUE_LENGTH) + '...'
+          : value;
+      });
+      return truncated;
     }
 
     /**
-     * Start collecting resources for current view
+     * Apply the category's redaction setting
+     * `true` keeps only the category, level, time and BREADCRUMB_SAFE_DATA_KEYS;
+     * a function gets the breadcrumb and returns a replacement (or null to drop it).
+     * The payload redactor still runs on whatever is kept when the error is sent.
+     * @param {Object} breadcrumb - Breadcrumb
+     * @returns {Object|null} Redacted breadcrumb or null
      */
-    startCollecting() {
-      if (this.viewManager.currentView) {
-        console.log(`[Optima ViewScopedCollector] 🚀 Starting collection for view: ${this.viewManager.currentView.id}`);
-        
-      // Clear processed URLs for new view
-      this.processedUrls.clear();
-      
-        // Setup resource observer for new resources
-      this.setupResourceObserver();
-      
-        // Collect existing resources from performance buffer
-      this.collectExistingResources();
-      } else {
-        console.warn('[Optima ViewScopedCollector] ⚠️ No active view to collect resources for');
+    applyRedaction(breadcrumb) {
+      const redaction = this.redactions[breadcrumb.category];
+
+      if (typeof redaction === 'function') {
+        try {
+          return redaction({ ...breadcrumb }) || null;
+        } catch (error) {
+          console.warn('[Optima Breadcrumbs] ⚠️ Breadcrumb redaction failed, dropping breadcrumb:', error);
+          return null;
+        }
+      }
+
+      if (redaction === true) {
+        const data = {};
+        BREADCRUMB_SAFE_DATA_KEYS.forEach(key => {
+          if (breadcrumb.data && breadcrumb.data[key] !== undefined) data[key] = breadcrumb.data[key];
+        });
+        return { ...breadcrumb, message: '[redacted]', data: Object.keys(data).length > 0 ? data : null };
       }
+
+      return breadcrumb;
     }
 
     /**
-     * Stop collecting resources
+     * Copy the trail, oldest first
+     * @returns {Array<Object>} Breadcrumbs
      */
-    stopCollecting() {
-      if (this.resourceObserver && this.isObserving) {
-        this.resourceObserver.disconnect();
-        this.isObserving = false;
-        console.log('[Optima ViewScopedCollector] ⏹️ Resource collection stopped');
+    snapshot() {
+      const start = (this.next - this.size + this.maxBreadcrumbs) % this.maxBreadcrumbs;
+      const breadcrumbs = [];
+
+      for (let i = 0; i < this.size; i++) {
+        const breadcrumb = this.entries[(start + i) % this.maxBreadcrumbs];
+        breadcrumbs.push({ ...breadcrumb, data: breadcrumb.data ? { ...breadcrumb.data } : null });
       }
+
+      return breadcrumbs;
     }
 
     /**
-     * Clear all observers
+     * Forget every breadcrumb
      */
-    clearObservers() {
-      this.stopCollecting();
+    clear() {
+      this.entries = new Array(this.maxBreadcrumbs);
+      this.next = 0;
+      this.size = 0;
+    }
+  }
+
+  /**
+   * View-Based Data Sender for Optima SDK
+   * Handles smart data synchronization with immediate and batched sending
+   */
+
+  // sendBeacon and keepalive fetch share a ~64KB in-flight budget; stay a bit below it
+  const KEEPALIVE_MAX_BYTES = 60 * 1024;
+
+  /**
+   * Get the UTF-8 size of a string - what request limits count, unlike String#length
+   * @param {string} text - Text to measure
+   * @returns {number} Size in bytes
+   */
+  function getByteLength(text) {
+    if (typeof TextEncoder !== 'undefined') return new TextEncoder().encode(text).length;
+    return new Blob([text]).size;
+  }
+
+  // _sendToServer results for payloads it deliberately didn't send (a failed send resolves false)
+  const SEND_RESULT_SAMPLED_OUT = 'sampled_out';
+  const SEND_RESULT_HELD = 'held';
+
+  // Payload collections that may be split across chunks, with the limit that caps each of them
+  const CHUNKED_PAYLOAD_FIELDS = [
+    { field: 'resources', limit: 'maxResourcesPerBatch' },
+    { field: 'ajax_requests', limit: 'maxAjaxCallsPerBatch' },
+    { field: 'events', limit: 'maxEventsPerBatch' },
+    { field: 'errors', limit: null },
+    { field: 'web_vitals', limit: 'maxWebVitalsPerBatch' }
+  ];
+
+  /**
+   * Batch envelope contract (batchMode: 'envelope')
+   *
+   * POST /api/optima/collect/batch
+   * {
+   *   type: 'batch',
+   *   batch_version: 1,
+   *   batch_id: string,          // Unique per request, lets the server drop replayed duplicates
+   *   session_id: string,
+   *   meta: Object,              // Shared metadata (generateMetadata() of the first payload)
+   *   payload_count: number,
+   *   payloads: [                // Same shape as individual /api/optima/collect bodies, minus `meta`
+   *     { ...payload, meta_overrides: Object, meta_removed?: Array<string> }
+   *   ],
+   *   api_key, timestamp, user_agent  // Added by _sendToServer as for every request
+   * }
+   *
+   * The effective meta of a payload is { ...envelope.meta, ...payload.meta_overrides } without
+   * the keys listed in meta_removed (shared keys the payload's own meta did not have).
+   * Payloads without meta_overrides (later chunks of a view) carry no meta at all.
+   * Payloads are independent: the server must process each one as if it had been
+   * POSTed to /api/optima/collect on its own, in array order. Chunked views
+   * (chunk_index/chunk_count) may be spread across several envelopes.
+   */
+  const BATCH_ENDPOINT = '/api/optima/collect/batch';
+  const BATCH_ENVELOPE_VERSION = 1;
+
+  /**
+   * Serialize a value with object keys sorted, so equal meta values compare equal
+   * @param {*} value - JSON-compatible value
+   * @returns {string} JSON text
+   */
+  function stableStringify(value) {
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    if (Array.isArray(value)) return `[${value.map(item => stableStringify(item) ?? 'null').join(',')}]`;
+
+    const fields = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+
+  /**
+   * ViewBasedDataSender - Manages data sending strategy for view-based architecture
+   */
+  class ViewBasedDataSender {
+    constructor(sdk) {
+      this.sdk = sdk;
+      this.sendQueue = [];
+      this.batchTimer = null;
+      this.maxBatchSize = 3;
+      this.batchTimeout = 5000; // 5 seconds
+      this.batchMode = 'legacy'; // 'legacy' (one request per payload) or 'envelope' (one request per batch)
+      this.isProcessing = false;
+      
+      // Per-chunk limits for oversized payloads
+      this.maxEventsPerBatch = 50;
+      this.maxResourcesPerBatch = 50;
+      this.maxWebVitalsPerBatch = 20;
+      this.maxAjaxCallsPerBatch = 50;
+      this.maxChunkBytes = KEEPALIVE_MAX_BYTES - 4 * 1024; // Headroom for fields added at send time
+      
+      // Track which views have had their initial session created
+      this.createdViewSessions = new Set();
+      
+      // Durable queue for payloads that could not be delivered
+      this.offlineQueue = null;
+      this.persistableEndpoints = ['/api/optima/collect', BATCH_ENDPOINT];
+      this.isReplaying = false;
+      this.onlineHandler = null;
+      
+      console.log('[Optima DataSender] 📤 Data sender initialized');
     }
 
     /**
-     * Setup PerformanceObserver for new resources
+     * Setup the persistent offline queue and replay triggers
+     * @param {Object} options - Queue limits (maxEntries, maxBytes, maxAge)
      */
-    setupResourceObserver() {
-      if (!('PerformanceObserver' in window)) {
-        console.warn('[Optima ViewScopedCollector] ⚠️ PerformanceObserver not supported');
-        return;
-      }
+    setupOfflineQueue(options = {}) {
+      if (this.offlineQueue) return;
       
-      // Disconnect existing observer
-      if (this.resourceObserver && this.isObserving) {
-        this.resourceObserver.disconnect();
-      }
+      this.offlineQueue = new PersistentSendQueue(options);
       
-      try {
-        this.resourceObserver = new PerformanceObserver((list) => {
-          const entries = list.getEntries();
-          
-          // FIXED: Notify loading time tracker about resource activity
-          this.notifyLoadingTimeTracker(entries);
-          
-          this.processResourceEntries(entries);
-        });
-        
-        this.resourceObserver.observe({ entryTypes: ['resource'] });
-        this.isObserving = true;
-      } catch (error) {
-        console.error('[Optima ViewScopedCollector] ❌ Failed to setup resource observer:', error);
+      // Replay as soon as the browser reports connectivity again
+      this.onlineHandler = () => {
+        console.log('[Optima DataSender] 🌐 Back online, replaying persisted payloads');
+        this.replayPersistedQueue('online');
+      };
+      window.addEventListener('online', this.onlineHandler);
+      
+      console.log('[Optima DataSender] 💾 Offline queue enabled');
+    }
+
+    /**
+     * Check whether payloads for an endpoint should survive a failed send
+     * @param {string} endpoint - API endpoint
+     * @returns {boolean} True if the endpoint is persistable
+     */
+    isPersistableEndpoint(endpoint) {
+      return !!this.offlineQueue && this.persistableEndpoints.includes(endpoint);
+    }
+
+    /**
+     * Persist a payload whose send failed so it can be replayed later
+     * @param {string} endpoint - API endpoint
+     * @param {Object} payload - Payload that failed to send
+     * @param {string} reason - Why the payload is being persisted
+     * @param {Object} [options] - { sync } - write before returning (unload-time sends)
+     * @returns {string|null} Queue entry ID or null if not persisted
+     */
+    persistFailedSend(endpoint, payload, reason = 'send_failed', options = {}) {
+      if (!this.isPersistableEndpoint(endpoint)) {
+        return null;
       }
+      
+      const meta = {
+        reason: reason,
+        attempts: payload.offline_replay?.attempts || 0
+      };
+      return options.sync
+        ? this.offlineQueue.enqueueSync(endpoint, payload, meta)
+        : this.offlineQueue.enqueue(endpoint, payload, meta);
     }
 
     /**
-     * Notify loading time tracker about resource activity
-     * @param {Array} entries - Resource entries
+     * Replay persisted payloads (on page load or when back online)
+     * @param {string} trigger - What triggered the replay
+     * @returns {Promise} Resolves when the replay pass is done
      */
-    notifyLoadingTimeTracker(entries) {
-      // Get the loading time tracker from the web vitals collector
-      const webVitalsCollector = this.viewManager.webVitalsCollector;
-      if (!webVitalsCollector) {
-        console.warn('[Optima ViewScopedCollector] ⚠️ No webVitalsCollector found on viewManager');
-        return;
+    replayPersistedQueue(trigger = 'manual') {
+      if (!this.offlineQueue || this.isReplaying) {
+        return Promise.resolve(null);
       }
       
-      if (!webVitalsCollector.loadingTimeTracker) {
-        console.warn('[Optima ViewScopedCollector] ⚠️ No loadingTimeTracker found on webVitalsCollector');
-        return;
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        console.log('[Optima DataSender] 📴 Still offline, skipping replay');
+        return Promise.resolve(null);
       }
       
-      const loadingTimeTracker = webVitalsCollector.loadingTimeTracker;
+      // A prerendering page replays on activation (page_load)
+      if (typeof document !== 'undefined' && document.prerendering) {
+        return Promise.resolve(null);
+      }
       
-      // Only notify if tracker is active
-      if (!loadingTimeTracker.isTracking || loadingTimeTracker.isComplete) {
-        console.log(`[Optima ViewScopedCollector] 🔄 Loading time tracker not active (isTracking: ${loadingTimeTracker.isTracking}, isComplete: ${loadingTimeTracker.isComplete})`);
-        return;
+      // The queue is shared between tabs - only the leader tab replays it
+      if (typeof this.sdk.isLeaderTab === 'function' && !this.sdk.isLeaderTab()) {
+        console.log(`[Optima DataSender] 🪑 Not the leader tab, asking the leader to replay (trigger: ${trigger})`);
+        this.sdk.tabCoordinator?.broadcast({ type: 'replay_requested', trigger: trigger });
+        return Promise.resolve(null);
       }
       
-      console.log(`[Optima ViewScopedCollector] 🎯 Notifying loading time tracker about ${entries.length} resources`);
+      this.isReplaying = true;
+      console.log(`[Optima DataSender] 🔁 Replaying persisted payloads (trigger: ${trigger})`);
       
-      entries.forEach(entry => {
-        const resourceStartTime = performance.timeOrigin + entry.startTime;
+      return this.offlineQueue.replay(entry => {
+        const payload = {
+          ...entry.payload,
+          offline_replay: {
+            queued_at: entry.createdAt,
+            attempts: entry.attempts + 1,
+            reason: entry.reason,
+            trigger: trigger
+          }
+        };
         
-        // Check if this resource should be considered for loading time
-        if (resourceStartTime >= loadingTimeTracker.baselineTime) {
-          // Add to pending resources and record activity with details
-          loadingTimeTracker.pendingResources.add(entry.name);
-          
-          const resourceDetails = {
-            url: entry.name,
-            type: entry.initiatorType || 'unknown',
-            size: entry.transferSize || 0,
-            duration: Math.round(entry.duration || 0),
-            startTime: Math.round(entry.startTime),
-            endTime: Math.round(entry.startTime + (entry.duration || 0))
-          };
-          
-          loadingTimeTracker.recordActivity('resource', resourceDetails);
-          
-          console.log(`[Optima ViewScopedCollector] 🎯 Notified loading time tracker about resource: ${entry.name.substring(entry.name.lastIndexOf('/') + 1)}`);
-          
-          // Remove from pending when complete
-          setTimeout(() => {
-            loadingTimeTracker.pendingResources.delete(entry.name);
-          }, 50);
-        } else {
-          console.log(`[Optima ViewScopedCollector] ⏰ Resource filtered out (started before baseline): ${entry.name.substring(entry.name.lastIndexOf('/') + 1)}`);
-        }
+        // No in-page retries for replays: a failed (or held) entry simply stays queued
+        return this.sdk._sendToServer(entry.endpoint, payload, { skipPersist: true, retry: false })
+          .then(result => result === true);
+      }).then(summary => {
+        console.log('[Optima DataSender] ✅ Replay finished:', summary);
+        return summary;
+      }).catch(error => {
+        console.error('[Optima DataSender] ❌ Replay failed:', error);
+        return null;
+      }).finally(() => {
+        this.isReplaying = false;
       });
     }
 
     /**
-     * Collect existing resources that belong to current view
+     * Send view data with appropriate strategy
+     * @param {Object} view - View object with collected data
+     * @param {string} trigger - What triggered the send
      */
-    collectExistingResources() {
-      if (!this.viewManager.currentView) return;
-      
-        const currentView = this.viewManager.currentView;
-        const isInitialLoad = currentView.type === 'initial';
-        
-      // Get all resource entries
-      const entries = performance.getEntriesByType('resource');
+    sendViewData(view, trigger = 'completed') {
+      if (!view || !this.sdk.sessionId) {
+        console.warn('[Optima DataSender] ⚠️ Cannot send view data: missing view or session');
+        return;
+      }
       
-      // FIXED: Notify loading time tracker about existing resources
-      this.notifyLoadingTimeTrackerAboutExistingResources(entries, isInitialLoad);
+      console.log(`[Optima DataSender] 📦 Preparing to send view data: ${view.id.substring(0, 8)}... (trigger: ${trigger})`);
       
-      // Calculate filter time based on view type
-      const filterTime = isInitialLoad ? 0 : this.calculateRouteChangeFilterTime(currentView);
+      // Mark this view as having its session created
+      this.createdViewSessions.add(view.id);
       
-      // Enhanced logging for resource collection process
-      console.group(
-        `%c📦 Resource Collection Process %c${currentView.type.toUpperCase()}`,
-        'color: #8b5cf6; font-weight: bold; font-size: 14px;',
-        'color: #3b82f6; font-weight: bold; font-size: 12px; background: #eff6ff; padding: 2px 6px; border-radius: 4px;'
-      );
+      // Format payload for server
+      const payload = this.formatViewPayload(view, trigger);
       
-      console.log('%c📊 Collection Configuration:', 'color: #6b7280; font-weight: bold;');
-      console.table({
-        'View Type': currentView.type,
-        'View Start Time': `${currentView.startTime.toFixed(2)}ms`,
-        'Filter Time': isInitialLoad ? '0ms (collect all)' : `${filterTime.toFixed(2)}ms`,
-        'Total Resources Available': entries.length,
-        'Is Initial Load': isInitialLoad
+      // Determine sending strategy
+      if (this.shouldSendImmediately(trigger, view.type)) {
+        this.sendImmediate(payload);
+      } else {
+        this.queueForBatch(payload);
+      }
+    }
+
+    /**
+     * Format view data into server payload
+     * @param {Object} view - View object
+     * @param {string} trigger - Send trigger
+     * @returns {Object} Formatted payload
+     */
+    formatViewPayload(view, trigger) {
+      console.log(`[Optima DataSender] 🔍 Formatting payload for view: ${view.id.substring(0, 8)}...`);
+      console.log(`[Optima DataSender] 📊 View data summary:`, {
+        resources: view.resources?.length || 0,
+        ajaxRequests: view.ajaxRequests?.length || 0,
+        errors: view.errors?.length || 0,
+        events: view.events?.length || 0,
+        webVitals: Object.keys(view.webVitals || {}).length
       });
       
-        if (!isInitialLoad) {
-        console.log('%c🎯 Route Change Filter Details:', 'color: #6b7280; font-weight: bold;');
-          if (currentView.interactionBaseline && typeof currentView.interactionBaseline === 'number') {
-          console.log(`🎯 Interaction baseline: ${currentView.interactionBaseline.toFixed(2)}ms (using for filtering)`);
-          console.log(`⚡ Baseline advantage: ${(currentView.routeTriggerTime && typeof currentView.routeTriggerTime === 'number') ? (currentView.routeTriggerTime - currentView.interactionBaseline).toFixed(2) : 'N/A'}ms earlier than route trigger`);
+      // Track resources specifically
+      if (view.resources && view.resources.length > 0) {
+        console.log(`[Optima DataSender] 📦 RESOURCES TO SEND (${view.resources.length}):`);
+        
+        // Log each resource with key details
+        view.resources.forEach((resource, index) => {
+          const isJsFile = resource.name && (resource.name.endsWith('.js') || resource.name.includes('.bundle.'));
+          const logPrefix = isJsFile ? '🟨 JS/BUNDLE' : '📄 RESOURCE';
+          
+          console.log(`[Optima DataSender] ${logPrefix} ${index + 1}: ${resource.name || 'unknown'} (type: ${resource.initiatorType || 'unknown'}, size: ${resource.transferSize || 0})`);
+          
+          // Special attention to releases.bundle.js
+          if (resource.name && resource.name.includes('releases.bundle.js')) {
+            console.log(`[Optima DataSender] 🎯 FOUND releases.bundle.js! Details:`, {
+              name: resource.name,
+              type: resource.initiatorType,
+              size: resource.transferSize,
+              startTime: resource.startTime,
+              duration: resource.duration,
+              viewId: view.id.substring(0, 8)
+            });
           }
-          if (currentView.routeTriggerTime && typeof currentView.routeTriggerTime === 'number') {
-          console.log(`🎯 Route trigger time: ${currentView.routeTriggerTime.toFixed(2)}ms`);
-          console.log(`⏰ View creation delay: ${(currentView.startTime - currentView.routeTriggerTime).toFixed(2)}ms`);
-        }
+        });
+        
+        // Summary of JS/bundle files
+        const jsFiles = view.resources.filter(r => r.name && (r.name.endsWith('.js') || r.name.includes('.bundle.')));
+        console.log(`[Optima DataSender] 🟨 JS/Bundle files in payload: ${jsFiles.length}/${view.resources.length}`);
+      } else {
+        console.log(`[Optima DataSender] ⚠️ NO RESOURCES to send for view ${view.id.substring(0, 8)}`);
       }
       
-      // Track filtering results
-      let includedCount = 0;
-      let excludedCount = 0;
-      const includedResources = [];
-      const excludedResources = [];
+      const payload = {
+        // Session identification
+        session_id: view.sessionId || this.sdk.sessionId,
+        session_type: view.type, // 'initial', 'route_change', 'bfcache_restore' or 'session_rotation'
+        view_id: view.id,
+        session_sequence: view.sessionSequence || this.sdk.sessionSequence,
+        session_start: !!view.sessionStart,
+        tab_id: view.tabId,
+        trace_id: view.traceId || null, // Shared by the spans of this view's AJAX calls
         
-        // Find releases.bundle.js for detailed lifecycle tracking
-        const releasesBundleEntry = entries.find(entry => entry.name.includes('releases.bundle.js'));
-        if (releasesBundleEntry) {
-        console.log(`🎯 LIFECYCLE START - releases.bundle.js detected in existing resources`);
-        console.log(`🎯 LIFECYCLE - Resource timing:`, {
-            resourceStartTime: this.safeToFixed(releasesBundleEntry.startTime),
-            routeTriggerTime: (currentView.routeTriggerTime && typeof currentView.routeTriggerTime === 'number') ? currentView.routeTriggerTime.toFixed(2) : 'N/A',
-            viewStartTime: this.safeToFixed(currentView.startTime),
-            filterTime: this.safeToFixed(filterTime),
-            timeDifference: this.safeToFixed(releasesBundleEntry.startTime - filterTime),
-            viewType: currentView.type,
-            isInitialLoad: isInitialLoad
-          });
-        }
+        // Trigger and timing info
+        trigger: trigger,
+        timestamp: view.timestamp,
+        url: view.url,
+        duration: view.duration,
+        completion_reason: view.completionReason,
         
-        // For initial load, collect all resources from buffer
-      // For route changes, only collect resources that started after filter time
-      entries.forEach(entry => {
-        const shouldInclude = isInitialLoad || entry.startTime >= filterTime;
+        // View-specific data (maintaining existing structure)
+        web_vitals: this.formatWebVitals(view.webVitals, view.type),
+        ...(view.type === 'initial' && { navigation_timing: this.formatNavigationTiming() }),
+        server_timing_summary: this.summarizeServerTiming(view.ajaxRequests),
+        graphql_operations: this.summarizeGraphQLOperations(view.ajaxRequests),
+        main_thread: {
+          total_blocking_time: Math.round(view.totalBlockingTime),
+          long_task_count: view.longTaskCount,
+          long_animation_frame_count: view.longAnimationFrameCount
+        },
+        long_tasks: view.longTasks,
+        long_animation_frames: view.longAnimationFrames,
+        resources: view.resources || [],
+        ajax_requests: view.ajaxRequests || [],
+        errors: view.errors || [],
+        events: view.events || [],
         
-        if (shouldInclude) {
-          // Process and add the resource
-          const resourceData = this.processResourceEntry(entry, currentView);
-          if (resourceData) {
-            if (this.viewManager.addResource(resourceData)) {
-              includedCount++;
-              includedResources.push({
-                name: this.truncateUrl(entry.name, 50),
-                startTime: entry.startTime.toFixed(2),
-                type: entry.initiatorType || 'unknown',
-                size: entry.transferSize || 0
-              });
-            }
+        // Complete metadata (same as legacy SDK)
+        meta: this.sdk.generateMetadata(view),
+        
+        // View-specific metadata
+        view_metadata: {
+          start_time: view.startTime,
+          last_activity: view.lastActivityTime,
+          resource_count: view.resources?.length || 0,
+          ajax_count: view.ajaxRequests?.length || 0,
+          error_count: view.errors?.length || 0,
+          event_count: view.events?.length || 0,
+          web_vitals_count: Object.keys(view.webVitals).filter(k => view.webVitals[k]?.value).length
+        },
+        
+        // Send metadata
+        send_timestamp: Date.now(),
+        send_strategy: this.shouldSendImmediately(trigger, view.type) ? 'immediate' : 'batch'
+      };
+      
+      return payload;
+    }
+
+    /**
+     * Format web vitals for sending
+     * @param {Object} webVitals - Web vitals object
+     * @param {string} sessionType - Session type ('initial', 'route_change', 'bfcache_restore' or 'session_rotation')
+     * @returns {Object} Formatted web vitals
+     */
+    formatWebVitals(webVitals, sessionType) {
+      const formatted = {};
+      
+      // Define which metrics are only applicable for initial page load
+      // (bfcache restores keep their restore-relative FCP/LCP)
+      const initialLoadOnlyMetrics = sessionType === 'bfcache_restore' ? ['FID', 'TTFB'] : ['LCP', 'FCP', 'FID', 'TTFB'];
+      
+      console.log(`[Optima DataSender] 🔍 Formatting web vitals for ${sessionType} session:`);
+      
+      Object.keys(webVitals).forEach(metric => {
+        if (webVitals[metric]?.value !== null && webVitals[metric]?.value !== undefined) {
+          
+          // Filter out initial-load-only metrics for route changes and bfcache restores
+          if (sessionType !== 'initial' && initialLoadOnlyMetrics.includes(metric)) {
+            console.log(`[Optima DataSender] 🚫 Filtering out ${metric} for ${sessionType} session`);
+            return; // Skip this metric
           }
+          
+          console.log(`[Optima DataSender] ✅ Including ${metric} = ${webVitals[metric].value} for ${sessionType}`);
+          
+          formatted[metric] = {
+            value: webVitals[metric].value,
+            timestamp: webVitals[metric].timestamp,
+            view_relative_time: webVitals[metric].viewRelativeTime,
+            ...webVitals[metric] // Include any additional details
+          };
         } else {
-          excludedCount++;
-          excludedResources.push({
-            name: this.truncateUrl(entry.name, 50),
-            startTime: entry.startTime.toFixed(2),
-            timeDiff: (entry.startTime - filterTime).toFixed(2),
-            type: entry.initiatorType || 'unknown'
-          });
+          console.log(`[Optima DataSender] ⚠️ Skipping ${metric} - no valid value (${webVitals[metric]?.value})`);
         }
       });
       
-      // Log filtering results
-      console.log('%c📊 Collection Results:', 'color: #10b981; font-weight: bold;');
-      console.table({
-        'Total Resources': entries.length,
-        'Included': includedCount,
-        'Excluded': excludedCount,
-        'Inclusion Rate': `${((includedCount / entries.length) * 100).toFixed(1)}%`
-      });
-      
-      // Show sample of included resources
-      if (includedResources.length > 0) {
-        console.log('%c✅ Sample Included Resources (first 5):', 'color: #10b981; font-weight: bold;');
-        console.table(includedResources.slice(0, 5));
-      }
-      
-      // Show sample of excluded resources for route changes
-      if (!isInitialLoad && excludedResources.length > 0) {
-        console.log('%c❌ Sample Excluded Resources (first 5):', 'color: #ef4444; font-weight: bold;');
-        console.table(excludedResources.slice(0, 5));
-      }
+      console.log(`[Optima DataSender] 📊 Final formatted web vitals count: ${Object.keys(formatted).length}`);
       
-      console.log(`✅ Resource collection completed: ${includedCount} resources added to ${currentView.type} view`);
-      console.groupEnd();
+      return formatted;
     }
 
     /**
-     * Notify loading time tracker about existing resources in the buffer
-     * @param {Array} entries - All resource entries
-     * @param {boolean} isInitialLoad - Whether this is an initial load
+     * Format the navigation timing waterfall for the initial view
+     * Marks are offsets from navigation start (ms), as in the PerformanceNavigationTiming entry.
+     * @returns {Object|null} Navigation timing or null if unavailable
      */
-    notifyLoadingTimeTrackerAboutExistingResources(entries, isInitialLoad) {
-      // Get the loading time tracker from the web vitals collector
-      const webVitalsCollector = this.viewManager.webVitalsCollector;
-      if (!webVitalsCollector) {
-        console.warn('[Optima ViewScopedCollector] ⚠️ No webVitalsCollector found on viewManager for existing resources');
-        return;
-      }
-      
-      if (!webVitalsCollector.loadingTimeTracker) {
-        console.warn('[Optima ViewScopedCollector] ⚠️ No loadingTimeTracker found on webVitalsCollector for existing resources');
-        return;
+    formatNavigationTiming() {
+      let navEntry = null;
+      try {
+        navEntry = performance.getEntriesByType('navigation')[0];
+      } catch (error) {
+        return null;
       }
+      if (!navEntry) return null;
       
-      const loadingTimeTracker = webVitalsCollector.loadingTimeTracker;
+      const round = value => Math.round(value * 100) / 100;
+      const span = (start, end) => (start > 0 && end >= start) ? round(end - start) : 0;
       
-      // Only notify if tracker is active
-      if (!loadingTimeTracker.isTracking || loadingTimeTracker.isComplete) {
-        console.log(`[Optima ViewScopedCollector] 🔄 Loading time tracker not active for existing resources (isTracking: ${loadingTimeTracker.isTracking}, isComplete: ${loadingTimeTracker.isComplete})`);
-        return;
-      }
+      return {
+        type: navEntry.type,
+        delivery_type: navEntry.deliveryType ?? null, // '' (network), 'cache', 'navigational-prefetch'
+        next_hop_protocol: navEntry.nextHopProtocol || null,
+        activation_start: round(navEntry.activationStart || 0),
+        
+        // Phase durations
+        redirect_count: navEntry.redirectCount,
+        redirect_time: span(navEntry.redirectStart, navEntry.redirectEnd),
+        worker_time: span(navEntry.workerStart, navEntry.fetchStart),
+        dns_time: span(navEntry.domainLookupStart, navEntry.domainLookupEnd),
+        tcp_time: span(navEntry.connectStart, navEntry.connectEnd),
+        tls_time: span(navEntry.secureConnectionStart, navEntry.connectEnd),
+        request_time: span(navEntry.requestStart, navEntry.responseStart),
+        response_time: span(navEntry.responseStart, navEntry.responseEnd),
+        dom_content_loaded_time: span(navEntry.domContentLoadedEventStart, navEntry.domContentLoadedEventEnd),
+        load_event_time: span(navEntry.loadEventStart, navEntry.loadEventEnd),
+        
+        // Waterfall marks
+        marks: {
+          redirect_start: round(navEntry.redirectStart),
+          redirect_end: round(navEntry.redirectEnd),
+          worker_start: round(navEntry.workerStart),
+          fetch_start: round(navEntry.fetchStart),
+          domain_lookup_start: round(navEntry.domainLookupStart),
+          domain_lookup_end: round(navEntry.domainLookupEnd),
+          connect_start: round(navEntry.connectStart),
+          secure_connection_start: round(navEntry.secureConnectionStart),
+          connect_end: round(navEntry.connectEnd),
+          request_start: round(navEntry.requestStart),
+          response_start: round(navEntry.responseStart),
+          response_end: round(navEntry.responseEnd),
+          dom_interactive: round(navEntry.domInteractive),
+          dom_content_loaded_event_start: round(navEntry.domContentLoadedEventStart),
+          dom_content_loaded_event_end: round(navEntry.domContentLoadedEventEnd),
+          dom_complete: round(navEntry.domComplete),
+          load_event_start: round(navEntry.loadEventStart),
+          load_event_end: round(navEntry.loadEventEnd)
+        },
+        
+        // Sizes (0 for cross-origin redirects and cache hits)
+        transfer_size: navEntry.transferSize,
+        encoded_body_size: navEntry.encodedBodySize,
+        decoded_body_size: navEntry.decodedBodySize,
+        
+        server_timing: extractServerTiming(navEntry, this.sdk.config.serverTimingAllowlist)
+      };
+    }
+
+    /**
+     * Aggregate GraphQL calls in a view per operation
+     * A batched call counts towards each of its operations with the full call duration.
+     * @param {Array} ajaxRequests - AJAX requests of the view
+     * @returns {Array} Per-operation stats, slowest total first
+     */
+    summarizeGraphQLOperations(ajaxRequests) {
+      const byOperation = {};
       
-      console.log(`[Optima ViewScopedCollector] 🎯 Notifying loading time tracker about ${entries.length} existing resources (isInitialLoad: ${isInitialLoad})`);
+      (ajaxRequests || []).forEach(request => {
+        (request.graphqlOperations || []).forEach(operation => {
+          const key = `${operation.operationType}:${operation.operationName}:${operation.queryHash}`;
+          const stats = byOperation[key] || (byOperation[key] = {
+            operation_name: operation.operationName,
+            operation_type: operation.operationType,
+            query_hash: operation.queryHash,
+            count: 0,
+            error_count: 0,
+            total_duration: 0,
+            max_duration: 0
+          });
+          
+          stats.count++;
+          stats.total_duration += request.duration || 0;
+          stats.max_duration = Math.max(stats.max_duration, request.duration || 0);
+          if (request.errored || request.aborted || request.timedOut || request.status >= 400) {
+            stats.error_count++;
+          }
+        });
+      });
       
-      let notifiedCount = 0;
+      return Object.values(byOperation)
+        .map(stats => ({ ...stats, avg_duration: Math.round(stats.total_duration / stats.count) }))
+        .sort((a, b) => b.total_duration - a.total_duration);
+    }
+
+    /**
+     * Aggregate Server-Timing metrics of slow AJAX calls in a view
+     * @param {Array} ajaxRequests - AJAX requests of the view
+     * @returns {Object} Slow call count and the top server-side contributors by total duration
+     */
+    summarizeServerTiming(ajaxRequests) {
+      const threshold = this.sdk.config.slowAjaxThreshold;
+      const slowRequests = (ajaxRequests || []).filter(request => request.duration >= threshold);
+      const byName = {};
       
-      entries.forEach(entry => {
-        const resourceStartTime = performance.timeOrigin + entry.startTime;
-        
-        // Check if this resource should be considered for loading time
-        if (resourceStartTime >= loadingTimeTracker.baselineTime) {
-          // Add to pending resources and record activity with details
-          loadingTimeTracker.pendingResources.add(entry.name);
-          
-          const resourceDetails = {
-            url: entry.name,
-            type: entry.initiatorType || 'unknown',
-            size: entry.transferSize || 0,
-            duration: Math.round(entry.duration || 0),
-            startTime: Math.round(entry.startTime),
-            endTime: Math.round(entry.startTime + (entry.duration || 0))
-          };
-          
-          loadingTimeTracker.recordActivity('resource', resourceDetails);
-          notifiedCount++;
+      slowRequests.forEach(request => {
+        (request.serverTiming || []).forEach(metric => {
+          if (!metric.duration) return;
           
-          // Remove from pending when complete
-          setTimeout(() => {
-            loadingTimeTracker.pendingResources.delete(entry.name);
-          }, 50);
-        }
+          const stats = byName[metric.name] || (byName[metric.name] = { name: metric.name, count: 0, total_duration: 0, max_duration: 0 });
+          stats.count++;
+          stats.total_duration += metric.duration;
+          stats.max_duration = Math.max(stats.max_duration, metric.duration);
+        });
       });
       
-      if (notifiedCount > 0) {
-        console.log(`[Optima ViewScopedCollector] 🎯 Notified loading time tracker about ${notifiedCount} existing resources`);
-      } else {
-        console.log(`[Optima ViewScopedCollector] ⏰ No existing resources met baseline criteria for loading time tracking`);
+      const topContributors = Object.values(byName)
+        .sort((a, b) => b.total_duration - a.total_duration)
+        .slice(0, 5)
+        .map(stats => ({
+          ...stats,
+          total_duration: Math.round(stats.total_duration * 100) / 100,
+          avg_duration: Math.round((stats.total_duration / stats.count) * 100) / 100
+        }));
+      
+      return {
+        slow_threshold: threshold,
+        slow_ajax_count: slowRequests.length,
+        top_contributors: topContributors
+      };
+    }
+
+    /**
+     * Determine if data should be sent immediately
+     * @param {string} trigger - Send trigger
+     * @param {string} viewType - View type
+     * @returns {boolean} True if should send immediately
+     */
+    shouldSendImmediately(trigger, viewType) {
+      // Route change (and session rotation) views should send immediately
+      if (trigger === 'new_view_started' && (viewType === 'route_change' || viewType === 'session_rotation')) {
+        return true;
+      }
+      
+      // Route change completions should send immediately
+      if (trigger === 'route_change_trigger') {
+        return true;
+      }
+      
+      // Page unload/visibility changes should send immediately
+      if (trigger === 'page_unload' || trigger === 'page_hidden') {
+        return true;
+      }
+      
+      // Error conditions should send immediately
+      if (trigger === 'error' || trigger === 'critical_error') {
+        return true;
       }
+      
+      // Everything else can be batched
+      return false;
     }
 
     /**
-     * Helper method to truncate URLs for logging
-     * @param {string} url - URL to truncate
-     * @param {number} maxLength - Maximum length
-     * @returns {string} Truncated URL
+     * Send data immediately
+     * @param {Object} payload - Data payload
      */
-    truncateUrl(url, maxLength = 50) {
-      if (!url || url.length <= maxLength) return url;
-      return url.substring(0, maxLength - 3) + '...';
+    sendImmediate(payload) {
+      console.log(`[Optima DataSender] 🚀 Sending immediately: ${payload.view_id.substring(0, 8)}...`);
+      
+      this.performSend(payload, {
+        immediate: true,
+        sync: payload.trigger === 'page_unload' || payload.trigger === 'page_hidden'
+      });
     }
 
     /**
-     * Calculate filter time for route changes - now aligned with loading time baseline
-     * @param {Object} currentView - Current view object
-     * @returns {number} Filter time in performance.now() format
+     * Queue data for batch sending
+     * @param {Object} payload - Data payload
      */
-    calculateRouteChangeFilterTime(currentView) {
-      // FIXED: Use the same baseline logic as loading time tracker
-      const routeTriggerTime = currentView.routeTriggerTime;
-      const interactionBaseline = currentView.interactionBaseline;
+    queueForBatch(payload) {
+      console.log(`[Optima DataSender] 📋 Queuing for batch: ${payload.view_id.substring(0, 8)}...`);
       
-      console.group('🎯 Resource Filter Time Calculation');
+      this.sendQueue.push(payload);
       
-      if (routeTriggerTime && typeof routeTriggerTime === 'number') {
-        // Use precise route trigger time - ALIGNED with loading time baseline
-        console.log(`✅ Using route trigger time: ${routeTriggerTime.toFixed(2)}ms`);
-        console.log(`🎯 Filter baseline aligned with loading time baseline`);
-        console.groupEnd();
-        return routeTriggerTime;
-      } else if (interactionBaseline && typeof interactionBaseline === 'number') {
-        // Fallback to interaction baseline if available
-        console.log(`🔄 Using interaction baseline: ${interactionBaseline.toFixed(2)}ms`);
-        console.log(`⚠️ Route trigger time not available, using interaction fallback`);
-        console.groupEnd();
-        return interactionBaseline;
-            } else {
-        // Final fallback to view start time
-        console.warn(`⚠️ No route trigger or interaction time available, using view start time: ${currentView.startTime.toFixed(2)}ms`);
-        console.log(`🚨 Filter baseline NOT aligned with loading time baseline`);
-        console.groupEnd();
-        return currentView.startTime;
+      // Process queue if it's full
+      if (this.sendQueue.length >= this.maxBatchSize) {
+        this.processBatchQueue();
+      } else {
+        // Set/reset batch timer
+        this.setBatchTimer();
       }
     }
 
     /**
-     * Process a single resource entry and return resource data
-     * @param {PerformanceResourceTiming} entry - Resource timing entry
-     * @param {Object} currentView - Current view object
-     * @returns {Object|null} Resource data object or null if should not be processed
+     * Set batch timer for automatic processing
      */
-    processResourceEntry(entry, currentView) {
-      try {
-        // Skip if already processed
-        if (this.processedUrls.has(entry.name)) {
-          return null;
-        }
-        
-        // Skip if we shouldn't collect this resource
-        if (!this.shouldCollectResource(entry)) {
-          return null;
-        }
-        
-        // FIXED: For initial loads, don't filter by time - collect ALL resources
-        // For route changes, use proper filter time
-        const isInitialLoad = currentView.type === 'initial';
-        let filterTime = 0; // Default for initial load
-        
-        if (!isInitialLoad) {
-          // Only calculate filter time for route changes
-          filterTime = this.calculateRouteChangeFilterTime(currentView);
-        }
-        
-        // Extract full resource data with correct filter time
-        const resourceData = this.extractFullResourceData(entry, filterTime, isInitialLoad);
-        
-        // Mark as processed
-        this.processedUrls.add(entry.name);
-        
-        return resourceData;
-        
-      } catch (error) {
-        console.error('[Optima ViewScopedCollector] ❌ Error processing single resource:', entry.name, error);
-        return null;
+    setBatchTimer() {
+      if (this.batchTimer) {
+        clearTimeout(this.batchTimer);
       }
+      
+      this.batchTimer = setTimeout(() => {
+        this.processBatchQueue();
+      }, this.batchTimeout);
     }
 
     /**
-     * Process resource entries and add to current view
-     * @param {Array} entries - Performance resource entries
+     * Process the batch queue
      */
-    processResourceEntries(entries) {
-      if (!this.viewManager.currentView || !this.viewManager.currentView.isActive) {
-        console.warn('[Optima ViewScopedCollector] ⚠️ No active view to process resources for');
+    processBatchQueue() {
+      if (this.sendQueue.length === 0 || this.isProcessing) {
         return;
       }
       
-      const currentView = this.viewManager.currentView;
-      const isInitialLoad = currentView.type === 'initial';
+      console.log(`[Optima DataSender] 📦 Processing batch queue: ${this.sendQueue.length} items`);
       
-      // FIXED: For initial loads, use 0 as filter time to collect ALL resources
-      // For route changes, calculate proper filter time
-      let filterTime = 0; // Default for initial load
+      this.isProcessing = true;
       
-      if (!isInitialLoad) {
-        // Only calculate filter time for route changes
-        if (currentView.interactionBaseline) {
-          filterTime = currentView.interactionBaseline;
-          console.log(`[Optima ViewScopedCollector] 🎯 Using interaction baseline for filtering: ${this.safeToFixed(filterTime)}ms`);
-        } else {
-          filterTime = currentView.routeTriggerTime || currentView.startTime;
-          console.log(`[Optima ViewScopedCollector] 🎯 Using route trigger time for filtering: ${this.safeToFixed(filterTime)}ms`);
-        }
-      } else {
-        console.log(`[Optima ViewScopedCollector] 🎯 Initial load: collecting ALL resources from time 0`);
+      // Clear batch timer
+      if (this.batchTimer) {
+        clearTimeout(this.batchTimer);
+        this.batchTimer = null;
       }
       
-      let processedCount = 0;
+      // Process all queued items
+      const batch = [...this.sendQueue];
+      this.sendQueue = [];
       
+      if (this.batchMode === 'envelope') {
+        this.sendBatchEnvelope(batch, { sync: false });
+        this.isProcessing = false;
+        return;
+      }
       
-      entries.forEach((entry, index) => {
-        const url = entry.name;
-        url.toLowerCase().includes('.js');
-        url.includes('bundle') || url.includes('chunk');
+      // Legacy mode: send each item in the batch
+      batch.forEach((payload, index) => {
+        setTimeout(() => {
+          this.performSend(payload, { batch: true, batchIndex: index, batchSize: batch.length });
+        }, index * 100); // Stagger sends by 100ms to avoid overwhelming server
+      });
+      
+      // Reset processing flag after all sends are initiated
+      setTimeout(() => {
+        this.isProcessing = false;
+      }, batch.length * 100 + 500);
+    }
+
+    /**
+     * Perform the actual send operation
+     * @param {Object} payload - Data payload
+     * @param {Object} options - Send options
+     */
+    performSend(payload, options = {}) {
+      // Split oversized payloads so each request fits the limits and the beacon budget
+      if (payload.chunk_count === undefined) {
+        const chunks = this.chunkPayload(payload);
         
-        // DETAILED LIFECYCLE TRACKING for releases.bundle.js in processResourceEntries
-        if (url.includes('releases.bundle.js')) {
-          console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - releases.bundle.js in processResourceEntries - Entry ${index + 1}/${entries.length}`);
-          console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - Processing checks begin:`, {
-            url: url,
-            startTime: this.safeToFixed(entry.startTime),
-            filterTime: this.safeToFixed(filterTime),
-            isInitialLoad: isInitialLoad,
-            viewType: currentView.type
-          });
-        }
-        
-        // Skip if already processed
-        if (this.processedUrls.has(entry.name)) {
-          if (url.includes('releases.bundle.js')) {
-            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE END - releases.bundle.js SKIPPED: already processed`);
-            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - processedUrls contains:`, Array.from(this.processedUrls).filter(u => u.includes('releases.bundle')));
-          }
+        if (chunks.length > 1) {
+          console.log(`[Optima DataSender] ✂️ Splitting payload for view ${payload.view_id.substring(0, 8)}... into ${chunks.length} chunks`);
+          chunks.forEach(chunk => this.performSend(chunk, options));
           return;
         }
-
-        if (url.includes('releases.bundle.js')) {
-          console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - releases.bundle.js passed alreadyProcessed check`);
-        }
+      }
+      
+      try {
+        // Add send options to payload
+        payload.send_options = {
+          immediate: options.immediate || false,
+          sync: options.sync || false,
+          batch: options.batch || false,
+          batch_index: options.batchIndex,
+          batch_size: options.batchSize
+        };
         
-        // FIXED: For initial loads, collect ALL resources (no timing check)
-        // For route changes, skip if started before filter time
-        if (!isInitialLoad && entry.startTime < filterTime) {
-          if (url.includes('releases.bundle.js')) {
-            const timeType = currentView.routeTriggerTime ? 'route trigger' : 'view start';
-            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE END - releases.bundle.js SKIPPED: timing check failed`);
-            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - Timing details:`, {
-              resourceStartTime: this.safeToFixed(entry.startTime),
-              filterTime: this.safeToFixed(filterTime),
-              timeType: timeType,
-              timeDifference: this.safeToFixed(entry.startTime - filterTime),
-              condition: `${this.safeToFixed(entry.startTime)} < ${this.safeToFixed(filterTime)}`,
-              result: 'FAILED - resource started before filter time'
-            });
-          }
-          return;
-        }
+        // Enhanced logging for better traceability
+        const requestType = payload.type || 'view_completion';
+        const sessionType = payload.session_type || 'unknown';
+        const sendMethod = options.immediate ? 'immediate' : 'batch';
         
-        if (url.includes('releases.bundle.js')) {
-          console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - releases.bundle.js passed timing check`);
-          console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - Timing validation:`, {
-            condition: isInitialLoad ? 'initial load (no timing check)' : `${this.safeToFixed(entry.startTime)} >= ${this.safeToFixed(filterTime)}`,
-            result: 'PASSED'
-          });
+        console.log(`[Optima DataSender] 📤 SENDING ${requestType.toUpperCase()}: view=${payload.view_id.substring(0, 8)}..., session_type=${sessionType}, method=${sendMethod}`);
+        
+        if (payload.trigger) {
+          console.log(`[Optima DataSender] 🔍 Trigger: ${payload.trigger}`);
         }
         
-        // Skip if we shouldn't collect this resource
-        if (!this.shouldCollectResource(entry)) {
-          if (url.includes('releases.bundle.js')) {
-            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE END - releases.bundle.js SKIPPED: shouldCollectResource returned false`);
+        // Use SDK's send method
+        Promise.resolve(this.sdk._sendToServer('/api/optima/collect', payload, {
+          sync: options.sync,
+          immediate: options.immediate
+        })).then(result => {
+          if (result === true) {
+            console.log(`[Optima DataSender] ✅ SENT ${requestType.toUpperCase()}: view=${payload.view_id.substring(0, 8)}..., session_type=${sessionType}`);
+          } else if (result === SEND_RESULT_SAMPLED_OUT) {
+            console.log(`[Optima DataSender] ⏭️ NOT SENT ${requestType.toUpperCase()}: view=${payload.view_id.substring(0, 8)}... (session not sampled)`);
+          } else if (result === SEND_RESULT_HELD) {
+            console.log(`[Optima DataSender] ⏸️ HELD ${requestType.toUpperCase()}: view=${payload.view_id.substring(0, 8)}... (waiting for consent or an error promotion)`);
+          } else {
+            console.warn(`[Optima DataSender] ⚠️ NOT DELIVERED ${requestType.toUpperCase()}: view=${payload.view_id.substring(0, 8)}... (kept for replay if the offline queue is enabled)`);
           }
-          return;
-        }
+        });
         
-        if (url.includes('releases.bundle.js')) {
-          console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - releases.bundle.js passed shouldCollectResource check`);
-          console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - Proceeding to extract resource data and add to view`);
-        }
+      } catch (error) {
+        console.error('[Optima DataSender] ❌ Error sending view data:', error);
         
-        try {
-          // Extract full resource data maintaining existing structure
-          const resourceData = this.extractFullResourceData(entry, filterTime, isInitialLoad);
-          
-          if (url.includes('releases.bundle.js')) {
-            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - releases.bundle.js resource data extracted:`, {
-              name: resourceData.name,
-              type: resourceData.type,
-              size: resourceData.transfer_size,
-              startTime: resourceData.start_time,
-              duration: resourceData.duration,
-              viewId: resourceData.viewId.substring(0, 8)
-            });
-          }
-          
-          // Add to current view
-          this.viewManager.addResource(resourceData);
-          
-          if (url.includes('releases.bundle.js')) {
-            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - releases.bundle.js added to ViewManager`);
-          }
-          
-          // Check if this is an AJAX request and extract it
-          if (this.isAjaxRequest(entry)) {
-            const ajaxData = this.convertToAjaxData(resourceData, entry);
-            this.viewManager.addAjaxRequest(ajaxData);
-            
-            if (url.includes('releases.bundle.js')) {
-              console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - releases.bundle.js also processed as AJAX request`);
-            }
-          }
-          
-          this.processedUrls.add(entry.name);
-          processedCount++;
-          
-          if (url.includes('releases.bundle.js')) {
-            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE SUCCESS - releases.bundle.js processing completed successfully`);
-            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - Added to processedUrls, total processed: ${processedCount}`);
-          }
-          
-        } catch (error) {
-          console.error('[Optima ViewScopedCollector] ❌ Error processing resource:', entry.name, error);
-          if (url.includes('releases.bundle.js')) {
-            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE ERROR - releases.bundle.js processing failed:`, error);
+        // For critical sends, try fallback
+        if (options.immediate && !options.sync) {
+          console.log('[Optima DataSender] 🔄 Retrying with sync send');
+          try {
+            this.sdk._sendToServer('/api/optima/collect', payload, { sync: true });
+          } catch (fallbackError) {
+            console.error('[Optima DataSender] ❌ Fallback send also failed:', fallbackError);
           }
         }
-      });
+      }
     }
 
     /**
-     * Extract full resource data maintaining existing structure
-     * @param {PerformanceResourceTiming} entry - Resource timing entry
-     * @param {number} filterTime - Filter time for relative calculations
-     * @param {boolean} isInitialLoad - Whether this is an initial load
-     * @returns {Object} Resource data object
+     * Send payloads as batch envelopes (see the contract above BATCH_ENDPOINT)
+     * Payloads are grouped so that each envelope stays within the byte budget.
+     * @param {Array} payloads - Data payloads
+     * @param {Object} options - Send options (sync)
      */
-    extractFullResourceData(entry, filterTime, isInitialLoad) {
-      this.viewManager.currentView;
-      
-      // FIXED: For initial load, use absolute timing from navigation start
-      // For route changes, use relative timing from filter time
-      let viewRelativeStartTime;
-      
-      if (isInitialLoad) {
-        // For initial loads, use absolute timing from navigation start (entry.startTime is already relative to navigation start)
-        viewRelativeStartTime = entry.startTime;
-      } else {
-        // For route changes, use relative timing from filter time
-        viewRelativeStartTime = entry.startTime - filterTime;
-      }
+    sendBatchEnvelope(payloads, options = {}) {
+      if (payloads.length === 0) return;
       
-      // Calculate all timing values
-      const dnsTime = Math.round(entry.domainLookupEnd - entry.domainLookupStart);
-      const tlsTime = entry.secureConnectionStart ? 
-        Math.round(entry.connectEnd - entry.secureConnectionStart) : 0;
-      const connectionTime = Math.round(entry.connectEnd - entry.connectStart);
-      const requestTime = Math.round(entry.responseStart - entry.requestStart);
-      const responseTime = Math.round(entry.responseEnd - entry.responseStart);
-      const duration = Math.round(entry.duration);
+      const chunks = [];
+      payloads.forEach(payload => {
+        if (payload.chunk_count === undefined) {
+          chunks.push(...this.chunkPayload(payload));
+        } else {
+          chunks.push(payload);
+        }
+      });
       
-      // Determine resource type
-      const resourceType = this.getResourceType(entry);
+      const sharedMeta = chunks.find(chunk => chunk.meta)?.meta || this.sdk.generateMetadata();
+      const envelopeBaseSize = JSON.stringify(sharedMeta).length + 512;
       
-      // Determine cache status
-      const cacheStatus = this.getCacheStatus(entry);
+      // Group payloads under the byte budget
+      const groups = [];
+      let current = null;
       
-      // Build resource data object (maintaining existing structure)
-      const resourceData = {
-        // Basic resource info
-        name: entry.name,
-        size: entry.transferSize || 0,
-        ttfb: requestTime,
-        type: resourceType,
-        
-        // Timing object (existing structure)
-        timing: {
-          dns: dnsTime,
-          tls: tlsTime,
-          request: requestTime,
-          response: responseTime,
-          connection: connectionTime
-        },
-        
-        // Individual timing fields (existing structure)
-        dnsTime: dnsTime,
-        tlsTime: tlsTime,
-        dns_time: dnsTime,
-        tls_time: tlsTime,
-        duration: duration,
-        downloadTime: responseTime,
-        download_time: responseTime,
-        connectionTime: connectionTime,
-        connection_time: connectionTime,
+      chunks.forEach(chunk => {
+        const entry = this.toEnvelopeEntry(chunk, sharedMeta);
+        const size = JSON.stringify(entry).length + 1;
         
-        // View-relative timing - FIXED to use correct calculation
-        start_time: Math.round(viewRelativeStartTime),
+        if (!current || current.size + size > this.maxChunkBytes) {
+          current = { entries: [], size: envelopeBaseSize };
+          groups.push(current);
+        }
         
-        // Cache and transfer info
-        cacheStatus: cacheStatus,
-        cache_status: cacheStatus,
-        decoded_size: entry.decodedBodySize || 0,
-        encoded_size: entry.encodedBodySize || 0,
-        transfer_size: entry.transferSize || 0,
+        current.entries.push(entry);
+        current.size += size;
+      });
+      
+      groups.forEach((group, groupIndex) => {
+        group.entries.forEach((entry, index) => {
+          entry.send_options = {
+            immediate: false,
+            sync: options.sync || false,
+            batch: true,
+            batch_index: index,
+            batch_size: group.entries.length
+          };
+        });
         
-        // Performance timing details
-        connect_end: Math.round(entry.connectEnd),
-        connect_start: Math.round(entry.connectStart),
-        fetch_start: Math.round(entry.fetchStart),
-        response_end: Math.round(entry.responseEnd),
-        response_start: Math.round(entry.responseStart),
-        request_start: Math.round(entry.requestStart),
-        domain_lookup_end: Math.round(entry.domainLookupEnd),
-        domain_lookup_start: Math.round(entry.domainLookupStart),
-        secure_connection_start: Math.round(entry.secureConnectionStart || 0),
+        const envelope = {
+          type: 'batch',
+          batch_version: BATCH_ENVELOPE_VERSION,
+          batch_id: generateUUID(),
+          session_id: this.sdk.sessionId,
+          meta: sharedMeta,
+          payload_count: group.entries.length,
+          payloads: group.entries
+        };
         
-        // Protocol info
-        next_hop_protocol: entry.nextHopProtocol || 'unknown',
-        initiator_type: entry.initiatorType || 'other',
+        console.log(`[Optima DataSender] 📦 SENDING BATCH ENVELOPE ${groupIndex + 1}/${groups.length}: ${group.entries.length} payloads (~${Math.round(group.size / 1024)}KB)`);
         
-        // View metadata
-        viewId: this.viewManager.currentView.id,
-        viewType: this.viewManager.currentView.type,
-        view_relative_timing: true,
+        try {
+          this.sdk._sendToServer(BATCH_ENDPOINT, envelope, { sync: options.sync });
+        } catch (error) {
+          console.error('[Optima DataSender] ❌ Error sending batch envelope:', error);
+        }
+      });
+    }
+
+    /**
+     * Convert a payload into a batch envelope entry
+     * @param {Object} payload - Data payload
+     * @param {Object} sharedMeta - Envelope-level meta
+     * @returns {Object} Payload without meta, plus the keys that differ from or are missing in the shared meta
+     */
+    toEnvelopeEntry(payload, sharedMeta) {
+      const { meta, ...entry } = payload;
+      
+      if (meta) {
+        const overrides = {};
+        Object.keys(meta).forEach(key => {
+          const value = meta[key];
+          const shared = sharedMeta[key];
+          const isObject = value !== null && typeof value === 'object' && shared !== null && typeof shared === 'object';
+          if (isObject ? stableStringify(value) !== stableStringify(shared) : value !== shared) {
+            overrides[key] = value;
+          }
+        });
+        entry.meta_overrides = overrides;
         
-        // Debug info
-        debug_info: {
-          original_start_time: entry.startTime,
-          filter_time: filterTime,
-          is_initial_load: isInitialLoad,
-          calculation_method: isInitialLoad ? 'absolute_from_navigation' : 'relative_from_filter'
+        const removed = Object.keys(sharedMeta).filter(key => !(key in meta));
+        if (removed.length > 0) {
+          entry.meta_removed = removed;
         }
-      };
+      }
       
-      return resourceData;
+      return entry;
     }
 
     /**
-     * Determine if resource entry is an AJAX request
-     * @param {PerformanceResourceTiming} entry - Resource timing entry
-     * @returns {boolean} True if AJAX request
+     * Split a payload into chunks that respect the per-batch limits and byte budget
+     * Chunks share the view_id and carry chunk_index/chunk_count; only the first
+     * chunk carries meta, view_metadata, navigation_timing, the per-view summaries
+     * and main thread data.
+     * @param {Object} payload - Data payload
+     * @returns {Array} Chunks (the original payload if no split is needed)
      */
-    isAjaxRequest(entry) {
-      // Check initiator type first (most reliable)
-      if (entry.initiatorType === 'xmlhttprequest' || entry.initiatorType === 'fetch') {
-        return true;
-      }
-      
-      // Check if it's marked as AJAX in our system
-      if (entry.is_ajax === true) {
-        return true;
-      }
+    chunkPayload(payload) {
+      const items = [];
+      const emptyFields = {};
       
-      // Additional heuristics for AJAX detection
-      const url = entry.name.toLowerCase();
+      CHUNKED_PAYLOAD_FIELDS.forEach(({ field, limit }) => {
+        const value = payload[field];
+        if (!value) return;
+        
+        const isArray = Array.isArray(value);
+        emptyFields[field] = isArray ? [] : {};
+        
+        (isArray ? value : Object.entries(value)).forEach(item => {
+          items.push({ field, isArray, limit: limit ? this[limit] : Infinity, item, size: JSON.stringify(item).length + 1 });
+        });
+      });
       
-      // Skip common static resource types
-      if (url.endsWith('.js') || url.endsWith('.css') || url.endsWith('.png') || 
-          url.endsWith('.jpg') || url.endsWith('.jpeg') || url.endsWith('.gif') || 
-          url.endsWith('.svg') || url.endsWith('.woff') || url.endsWith('.woff2') || 
-          url.endsWith('.ttf') || url.endsWith('.ico')) {
-        return false;
-      }
+      const firstBase = { ...payload, ...emptyFields };
+      const restBase = { ...firstBase };
+      delete restBase.meta;
+      delete restBase.view_metadata;
+      delete restBase.navigation_timing;
+      delete restBase.server_timing_summary;
+      delete restBase.graphql_operations;
+      delete restBase.main_thread;
+      delete restBase.long_tasks;
+      delete restBase.long_animation_frames;
+      
+      // chunk_index/chunk_count are only added once the chunks are known
+      const markerSize = JSON.stringify({ chunk_index: 9999, chunk_count: 9999 }).length;
+      const firstBaseSize = JSON.stringify(firstBase).length + markerSize;
+      const restBaseSize = JSON.stringify(restBase).length + markerSize;
+      
+      // Greedy fill: start a new chunk when a category limit or the byte budget is hit
+      const groups = [];
+      let current = null;
+      
+      items.forEach(entry => {
+        const fits = current &&
+          (current.counts[entry.field] || 0) < entry.limit &&
+          current.size + entry.size <= this.maxChunkBytes;
+        
+        if (!fits) {
+          current = { entries: [], counts: {}, size: groups.length === 0 ? firstBaseSize : restBaseSize };
+          groups.push(current);
+        }
+        
+        current.entries.push(entry);
+        current.counts[entry.field] = (current.counts[entry.field] || 0) + 1;
+        current.size += entry.size;
+      });
       
-      // Check for API-like URLs
-      if (url.includes('/api/') || url.includes('/ajax/') || url.includes('/graphql')) {
-        return true;
+      if (groups.length <= 1) {
+        return [payload];
       }
       
-      return false;
-    }
-
-    /**
-     * Convert resource data to AJAX data format
-     * @param {Object} resourceData - Resource data object
-     * @param {PerformanceResourceTiming} entry - Original performance entry
-     * @returns {Object} AJAX data object
-     */
-    convertToAjaxData(resourceData, entry) {
-      return {
-        type: entry.initiatorType === 'xmlhttprequest' ? 'xhr' : 'fetch',
-        method: 'GET', // Default, as we can't determine from Performance API
-        method_inferred: true,
-        url: resourceData.name,
-        status: 200, // Default, as we can't determine from Performance API
-        statusText: 'OK',
-        startTime: resourceData.start_time,
-        duration: resourceData.duration,
-        async: true,
-        requestPayloadSize: 0, // Not available from Performance API
-        responseSize: resourceData.transfer_size,
-        aborted: false,
-        errored: false,
-        timedOut: false,
-        timestamp: Date.now(),
-        resourceTiming: {
-          startTime: resourceData.start_time,
-          duration: resourceData.duration,
-          domainLookupTime: resourceData.dnsTime,
-          connectTime: resourceData.connectionTime,
-          tlsTime: resourceData.tlsTime,
-          requestStartTime: resourceData.request_start,
-          ttfb: resourceData.ttfb,
-          downloadTime: resourceData.downloadTime,
-          entryType: 'resource',
-          initiatorType: entry.initiatorType
-        },
-        requestHeaders: {
-          'content-type': 'unknown',
-          'content-length': 'unknown'
-        },
-        responseHeaders: {
-          'content-type': 'unknown',
-          'content-length': resourceData.transfer_size.toString(),
-          'cache-control': 'unknown'
-        },
+      return groups.map((group, index) => {
+        const chunk = { ...(index === 0 ? firstBase : restBase) };
+        Object.keys(emptyFields).forEach(field => {
+          chunk[field] = Array.isArray(emptyFields[field]) ? [] : {};
+        });
         
-        // View metadata
-        viewId: this.viewManager.currentView.id,
-        viewType: this.viewManager.currentView.type
-      };
+        group.entries.forEach(({ field, isArray, item }) => {
+          if (isArray) {
+            chunk[field].push(item);
+          } else {
+            chunk[field][item[0]] = item[1];
+          }
+        });
+        
+        chunk.chunk_index = index;
+        chunk.chunk_count = groups.length;
+        return chunk;
+      });
     }
 
     /**
-     * Determine resource type from performance entry
-     * @param {PerformanceResourceTiming} entry - Resource timing entry
-     * @returns {string} Resource type
+     * Send continuous metric update
+     * @param {Object} update - Metric update data
      */
-    getResourceType(entry) {
-      const url = entry.name.toLowerCase();
+    sendContinuousUpdate(update) {
+      if (!update || !this.sdk.sessionId) {
+        console.warn('[Optima DataSender] ⚠️ Cannot send continuous update: missing data or session');
+        return;
+      }
       
-      // FIXED: Check for JavaScript files first, regardless of initiatorType
-      // This handles cases where JS files are loaded via <link> tags (modulepreload, prefetch, etc.)
-      // which would have initiatorType='link' but are actually JavaScript files
-      if (url.endsWith('.js')) return 'script';
+      console.log(`[Optima DataSender] 📊 Preparing continuous update for view: ${update.view_id.substring(0, 8)}...`);
+      console.log(`[Optima DataSender] 📊 Update includes (ALL from view session start): web_vitals=${Object.keys(update.web_vitals || {}).length}, resources=${(update.resources || []).length}, ajax=${(update.ajax_requests || []).length}, errors=${(update.errors || []).length}`);
       
-      // Check by initiator type for non-JS files
-      if (entry.initiatorType === 'img') return 'image';
-      if (entry.initiatorType === 'script') return 'script';
-      if (entry.initiatorType === 'link') return 'stylesheet';
-      if (entry.initiatorType === 'xmlhttprequest') return 'xhr';
-      if (entry.initiatorType === 'fetch') return 'fetch';
+      // Track resources in continuous updates (now sending ALL resources from view session start)
+      if (update.resources && update.resources.length > 0) {
+        console.log(`[Optima DataSender] 📦 CONTINUOUS UPDATE - ALL RESOURCES FROM VIEW SESSION START (${update.resources.length}):`);
+        
+        update.resources.forEach((resource, index) => {
+          const isJsFile = resource.name && (resource.name.endsWith('.js') || resource.name.includes('.bundle.'));
+          const logPrefix = isJsFile ? '🟨 JS/BUNDLE' : '📄 RESOURCE';
+          
+          console.log(`[Optima DataSender] ${logPrefix} ${index + 1}: ${resource.name || 'unknown'} (type: ${resource.initiatorType || 'unknown'}, size: ${resource.transferSize || 0})`);
+          
+          // Special attention to releases.bundle.js
+          if (resource.name && resource.name.includes('releases.bundle.js')) {
+            console.log(`[Optima DataSender] 🎯 CONTINUOUS UPDATE - FOUND releases.bundle.js! Details:`, {
+              name: resource.name,
+              type: resource.initiatorType,
+              size: resource.transferSize,
+              startTime: resource.startTime,
+              duration: resource.duration,
+              viewId: update.view_id.substring(0, 8),
+              updateType: 'continuous_all_from_view_start'
+            });
+          }
+        });
+        
+        const jsFiles = update.resources.filter(r => r.name && (r.name.endsWith('.js') || r.name.includes('.bundle.')));
+        console.log(`[Optima DataSender] 🟨 JS/Bundle files in continuous update (ALL from view start): ${jsFiles.length}/${update.resources.length}`);
+      }
       
-      // Fallback to URL-based detection for other file types
-      if (url.endsWith('.css')) return 'stylesheet';
-      if (url.endsWith('.png') || url.endsWith('.jpg') || url.endsWith('.jpeg') || 
-          url.endsWith('.gif') || url.endsWith('.svg') || url.endsWith('.webp')) return 'image';
-      if (url.endsWith('.woff') || url.endsWith('.woff2') || url.endsWith('.ttf')) return 'font';
-      if (url.endsWith('.mp4') || url.endsWith('.webm') || url.endsWith('.ogg')) return 'media';
+      // Get current view to determine session_type
+      const currentView = this.sdk.viewManager?.currentView;
       
-      return 'other';
+      // Check if this view has had its session created yet
+      const hasSessionCreated = this.createdViewSessions.has(update.view_id);
+      
+      const sessionType = currentView?.type || 'initial';
+      
+      const payload = {
+        session_id: this.sdk.sessionId,
+        session_type: sessionType,
+        view_id: update.view_id,
+        session_sequence: this.sdk.sessionSequence,
+        tab_id: this.sdk.tabCoordinator?.tabId || null,
+        type: 'continuous_update',
+        web_vitals: this.formatWebVitals(update.web_vitals || {}, sessionType),
+        resources: update.resources || [],
+        ajax_requests: update.ajax_requests || [],
+        errors: update.errors || [],
+        timestamp: update.timestamp,
+        send_timestamp: Date.now(),
+        // Only mark as update-only if session has been created
+        is_update_only: hasSessionCreated,
+        // Include complete metadata
+        meta: this.sdk.generateMetadata()
+      };
+      
+      console.log(`[Optima DataSender] 🔍 View session exists: ${hasSessionCreated}, is_update_only: ${hasSessionCreated}`);
+      
+      // If this is the first update for this view, mark session as created
+      if (!hasSessionCreated) {
+        this.createdViewSessions.add(update.view_id);
+      }
+      
+      // Continuous updates are sent immediately but non-blocking
+      // Add 3-second delay for updates when session has been created
+      if (hasSessionCreated) {
+        console.log(`[Optima DataSender] ⏳ Delaying performSend by 3 seconds for existing session view: ${update.view_id.substring(0, 8)}...`);
+        setTimeout(() => {
+          this.performSend(payload, { immediate: true, sync: false });
+        }, 3000);
+      } else {
+        this.performSend(payload, { immediate: true, sync: false });
+      }
     }
 
     /**
-     * Determine cache status from performance entry
-     * @param {PerformanceResourceTiming} entry - Resource timing entry
-     * @returns {string} Cache status
+     * Queue an AJAX call that finished after its view was sent (merged per view until the next batch)
+     * @param {Object} view - Completed view the call started in
+     * @param {Object} ajaxRequest - AJAX data object
      */
-    getCacheStatus(entry) {
-      // If transfer size is 0 but encoded size > 0, likely from cache
-      if (entry.transferSize === 0 && entry.encodedBodySize > 0) {
-        return 'cache';
-      }
+    sendLateAjaxUpdate(view, ajaxRequest) {
+      if (!this.sdk.sessionId) return;
       
-      // If transfer size > 0, came from network
-      if (entry.transferSize > 0) {
-        return 'network';
+      // Late calls ride along with the next batch (or the unload flush) - a burst of
+      // aborts at unload must not turn into one request per call
+      const queued = this.sendQueue.find(payload => payload.type === 'ajax_late_update' && payload.view_id === view.id);
+      if (queued) {
+        queued.ajax_requests.push(ajaxRequest);
+        queued.timestamp = Math.max(queued.timestamp, ajaxRequest.timestamp);
+        return;
       }
       
-      // If both are 0, might be cached or failed
-      if (entry.transferSize === 0 && entry.encodedBodySize === 0) {
-        return 'unknown';
-      }
+      console.log(`[Optima DataSender] 🕰️ Queuing late AJAX call for completed view: ${view.id.substring(0, 8)}...`);
       
-      return 'network';
+      const payload = {
+        session_id: view.sessionId || this.sdk.sessionId,
+        session_type: view.type,
+        view_id: view.id,
+        session_sequence: view.sessionSequence || this.sdk.sessionSequence,
+        tab_id: view.tabId,
+        type: 'ajax_late_update',
+        ajax_requests: [ajaxRequest],
+        timestamp: ajaxRequest.timestamp,
+        send_timestamp: Date.now(),
+        is_update_only: true,
+        meta: this.sdk.generateMetadata(view)
+      };
+      
+      this.queueForBatch(payload);
     }
 
     /**
-     * Determine if we should collect this resource
-     * @param {PerformanceResourceTiming} entry - Resource timing entry
-     * @returns {boolean} True if should collect
+     * Force flush all queued data (for page unload)
      */
-    shouldCollectResource(entry) {
-      const url = entry.name;
-
-      // Get SDK config for exclusion list
-      const sdkConfig = this.viewManager.sdk?.config || {};
-
-      // Use the unified exclusion list for consistency across all SDK components
-      if (isInExclusionList(url, sdkConfig)) {
-        return false;
-      }
-
-      // Skip data URLs
-      if (url.startsWith('data:')) {
-        return false;
-      }
+    forceFlush() {
+      console.log('[Optima DataSender] 🚨 Force flushing all queued data');
       
-      // Skip blob URLs
-      if (url.startsWith('blob:')) {
-        return false;
+      if (this.sendQueue.length > 0) {
+        this.sendQueue.forEach(payload => {
+          payload.trigger = 'force_flush';
+        });
+        
+        // Send all queued items immediately with sync
+        if (this.batchMode === 'envelope') {
+          this.sendBatchEnvelope(this.sendQueue, { sync: true });
+        } else {
+          this.sendQueue.forEach(payload => {
+            this.performSend(payload, { immediate: true, sync: true });
+          });
+        }
+        
+        this.sendQueue = [];
       }
       
-      return true;
+      // Clear batch timer
+      if (this.batchTimer) {
+        clearTimeout(this.batchTimer);
+        this.batchTimer = null;
+      }
     }
 
     /**
-     * Get processed URLs count for debugging
-     * @returns {number} Number of processed URLs
+     * Get queue status for debugging
+     * @returns {Object} Queue status
      */
-    getProcessedCount() {
-      return this.processedUrls.size;
+    getQueueStatus() {
+      return {
+        queueLength: this.sendQueue.length,
+        isProcessing: this.isProcessing,
+        hasBatchTimer: !!this.batchTimer,
+        maxBatchSize: this.maxBatchSize,
+        batchTimeout: this.batchTimeout,
+        batchMode: this.batchMode
+      };
     }
 
     /**
-     * Reset collector state
+     * Update sending configuration
+     * @param {Object} config - New configuration
      */
-    reset() {  
-      this.processedUrls.clear();
+    updateConfig(config) {
+      if (config.maxBatchSize) this.maxBatchSize = config.maxBatchSize;
+      if (config.batchTimeout) this.batchTimeout = config.batchTimeout;
+      if (config.batchMode === 'envelope' || config.batchMode === 'legacy') this.batchMode = config.batchMode;
+      if (config.maxEventsPerBatch) this.maxEventsPerBatch = config.maxEventsPerBatch;
+      if (config.maxResourcesPerBatch) this.maxResourcesPerBatch = config.maxResourcesPerBatch;
+      if (config.maxWebVitalsPerBatch) this.maxWebVitalsPerBatch = config.maxWebVitalsPerBatch;
+      if (config.maxAjaxCallsPerBatch) this.maxAjaxCallsPerBatch = config.maxAjaxCallsPerBatch;
       
-      if (this.resourceObserver && this.isObserving) {
-        this.resourceObserver.disconnect();
-        this.isObserving = false;
-      }
+      console.log('[Optima DataSender] ⚙️ Configuration updated:', { 
+        maxBatchSize: this.maxBatchSize, 
+        batchTimeout: this.batchTimeout,
+        batchMode: this.batchMode,
+        maxEventsPerBatch: this.maxEventsPerBatch,
+        maxResourcesPerBatch: this.maxResourcesPerBatch,
+        maxWebVitalsPerBatch: this.maxWebVitalsPerBatch,
+        maxAjaxCallsPerBatch: this.maxAjaxCallsPerBatch
+      });
     }
 
     /**
-     * Get debug information about resource collection
+     * Remove view from created sessions tracking (when view is completed)
+     * @param {string} viewId - View ID to remove
      */
-    getDebugInfo() {
-      const allResources = performance.getEntriesByType('resource');
-      return {
-        totalDetected: allResources.length,
-        totalProcessed: this.processedUrls.size,
-        jsFiles: allResources.filter(entry => entry.name.toLowerCase().includes('.js')).length,
-        bundleFiles: allResources.filter(entry => entry.name.includes('bundle') || entry.name.includes('chunk')).length,
-        processedUrls: Array.from(this.processedUrls)
-      };
+    markViewCompleted(viewId) {
+      if (this.createdViewSessions.has(viewId)) {
+        console.log(`[Optima DataSender] ✅ Marking view as completed: ${viewId.substring(0, 8)}...`);
+        // Keep the view in the set for a while in case there are delayed continuous updates
+        setTimeout(() => {
+          this.createdViewSessions.delete(viewId);
+          console.log(`[Optima DataSender] 🧹 Cleaned up view tracking: ${viewId.substring(0, 8)}...`);
+        }, 30000); // Clean up after 30 seconds
+      }
     }
-  }
 
-  /**
-   * Layout Shift Analysis Utilities
-   * Functions for analyzing layout shifts and identifying their sources
-   */
-
-  /**
-   * Extract information about the largest layout shift source
-   * @param {PerformanceEntry} entry - The layout-shift performance entry
-   * @returns {Object|null} Detailed information about the shift source or null if no sources
-   */
-  function getLargestShiftSource(entry) {
-    // Safety check - if no entry, sources, or empty sources array, return null
-    if (!entry || !entry.sources || entry.sources.length === 0) {
-      return null;
-    }
-    
-    try {
-      // Find the source with the largest impact
-      const largestSource = entry.sources.reduce((largest, source) => {
-        try {
-          // Some browsers provide impactValue, otherwise we estimate from node and geometry
-          const currentImpact = source.impactValue || calculateImpactValue(source);
-          const largestImpact = largest.impactValue || calculateImpactValue(largest);
-          
-          return currentImpact > largestImpact ? source : largest;
-        } catch (err) {
-          // If there's an error calculating impact, use the current largest
-          return largest;
-        }
-      }, entry.sources[0]);
+    /**
+     * Cleanup data sender
+     */
+    cleanup() {
+      console.log('[Optima DataSender] 🧹 Cleaning up data sender');
       
-      // Safety check - if no largest source found
-      if (!largestSource) {
-        return null;
+      // Force flush any remaining data
+      this.forceFlush();
+      
+      // Clear timer
+      if (this.batchTimer) {
+        clearTimeout(this.batchTimer);
+        this.batchTimer = null;
       }
       
-      // Get the DOM node or element that shifted
-      const node = largestSource.node;
+      // Clear view tracking
+      this.createdViewSessions.clear();
       
-      // If no node is available, return position data only
-      if (!node) {
-        return {
-          previousRect: formatRect(largestSource.previousRect),
-          currentRect: formatRect(largestSource.currentRect),
-          impactValue: largestSource.impactValue || calculateImpactValue(largestSource),
-          nodeLost: true,
-          shiftType: determineShiftType(largestSource)
-        };
+      // Stop listening for connectivity changes (persisted entries stay for the next page load)
+      if (this.onlineHandler) {
+        window.removeEventListener('online', this.onlineHandler);
+        this.onlineHandler = null;
       }
       
-      // Get more detailed information about the element
-      return {
-        // Element identification - with safety checks
-        tagName: node.tagName || 'UNKNOWN',
-        id: node.id || null,
-        className: typeof node.className === 'string' ? node.className : null,
-        cssPath: generateCSSPath(node),
-        domPath: generateDOMPath(node),
-        
-        // Element content
-        textContent: getNodeText(node),
-        
-        // Element attributes useful for debugging
-        attributes: getElementAttributes(node),
-        
-        // Position data
-        previousRect: formatRect(largestSource.previousRect),
-        currentRect: formatRect(largestSource.currentRect),
-        impactValue: largestSource.impactValue || calculateImpactValue(largestSource),
-        
-        // Shift metadata
-        shiftType: determineShiftType(largestSource),
-        isAnimating: isNodeAnimating(node),
-        isImage: node.tagName === 'IMG',
-        isIframe: node.tagName === 'IFRAME',
-        isVideo: node.tagName === 'VIDEO'
-      };
-    } catch (error) {
-      // If there's an error processing the layout shift, log it and return null
-      return null;
-    }
-  }
-
-  /**
-   * Calculate visual impact value of a shift source when not directly provided
-   * @param {Object} source - The layout shift source
-   * @returns {number} Estimated impact value
-   */
-  function calculateImpactValue(source) {
-    // No source or rects
-    if (!source || !source.previousRect || !source.currentRect) {
-      return 0;
+      this.isProcessing = false;
     }
-    
-    // We can estimate impact from the displacement distance and size of element
-    const prev = source.previousRect;
-    const curr = source.currentRect;
-    
-    // Distance moved
-    const dx = Math.abs(prev.x - curr.x);
-    const dy = Math.abs(prev.y - curr.y);
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    
-    // Size of element
-    const area = Math.max(
-      prev.width * prev.height,
-      curr.width * curr.height
-    );
-    
-    // Simple impact estimate: area × distance normalized to viewport
-    const viewportArea = window.innerWidth * window.innerHeight;
-    
-    return distance * (area / viewportArea);
   }
 
   /**
-   * Format a DOMRectReadOnly for easier display and analysis
-   * @param {DOMRectReadOnly} rect - The DOM rect object
-   * @returns {Object} Formatted rect with rounded values
+   * Continuous Metrics Manager for Optima SDK
+   * Handles background updates for metrics that continue throughout view lifetime
    */
-  function formatRect(rect) {
-    if (!rect) return null;
-    
-    return {
-      x: Math.round(rect.x),
-      y: Math.round(rect.y),
-      width: Math.round(rect.width),
-      height: Math.round(rect.height),
-      top: Math.round(rect.top),
-      right: Math.round(rect.right),
-      bottom: Math.round(rect.bottom),
-      left: Math.round(rect.left)
-    };
-  }
 
   /**
-   * Generate a CSS selector path for an element
-   * @param {Element} element - The DOM element
-   * @returns {string} CSS path for the element
+   * ContinuousMetricsManager - Manages continuous metric updates
    */
-  function generateCSSPath(element) {
-    if (!element) return null;
-    
-    const path = [];
-    let currentElement = element;
-    
-    while (currentElement && currentElement.nodeType === Node.ELEMENT_NODE) {
-      let selector = currentElement.tagName.toLowerCase();
+  class ContinuousMetricsManager {
+    constructor(viewManager, dataSender) {
+      this.viewManager = viewManager;
+      this.dataSender = dataSender;
+      this.updateInterval = null;
+      this.lastSentMetrics = {};
+      this.updateIntervalMs = 10000; // 10 seconds
+      this.isTracking = false;
+      this.significantChangeThresholds = {
+        CLS: 0.01,  // 0.01 CLS score change
+        INP: 50     // 50ms INP change
+      };
       
-      // Add ID if present (most specific)
-      if (currentElement.id) {
-        selector += `#${currentElement.id}`;
-        path.unshift(selector);
-        break; // ID is unique, no need to go further up the tree
+      console.log('[Optima ContinuousMetrics] 📊 Continuous metrics manager initialized');
+    }
+
+    /**
+     * Start continuous metrics tracking
+     */
+    startContinuousTracking() {
+      if (this.isTracking) {
+        console.warn('[Optima ContinuousMetrics] ⚠️ Continuous tracking already started');
+        return;
       }
       
-      // Add classes if present
-      if (currentElement.className && typeof currentElement.className === 'string') {
-        const classes = currentElement.className.trim().split(/\s+/);
-        if (classes.length > 0 && classes[0] !== '') {
-          selector += `.${classes.join('.')}`;
-        }
-      }
+      console.log('[Optima ContinuousMetrics] 🚀 Starting continuous metrics tracking');
       
-      // Try to add :nth-child for more specificity
-      let sibling = currentElement;
-      let nthChild = 1;
+      this.isTracking = true;
+      this.lastSentMetrics = {};
       
-      while (sibling = sibling.previousElementSibling) {
-        nthChild++;
-      }
+      // Start periodic updates
+      this.updateInterval = setInterval(() => {
+        this.checkAndSendUpdates();
+      }, this.updateIntervalMs);
       
-      if (nthChild > 1) {
-        selector += `:nth-child(${nthChild})`;
-      }
+      // Also send updates on significant metric changes (via event listeners)
+      this.setupChangeDetection();
+    }
+
+    /**
+     * Stop continuous metrics tracking
+     */
+    stopContinuousTracking() {
+      if (!this.isTracking) return;
       
-      path.unshift(selector);
+      console.log('[Optima ContinuousMetrics] 🛑 Stopping continuous metrics tracking');
       
-      // Stop if we've reached the body or if path is getting too long
-      if (currentElement.tagName.toLowerCase() === 'body' || path.length >= 5) {
-        break;
+      this.isTracking = false;
+      
+      if (this.updateInterval) {
+        clearInterval(this.updateInterval);
+        this.updateInterval = null;
       }
       
-      currentElement = currentElement.parentNode;
+      this.lastSentMetrics = {};
     }
-    
-    return path.join(' > ');
-  }
 
-  /**
-   * Generate a DOM path for an element
-   * @param {Element} element - The DOM element
-   * @returns {string} DOM path
-   */
-  function generateDOMPath(element) {
-    if (!element) return null;
-    
-    const path = [];
-    let currentElement = element;
-    
-    while (currentElement && currentElement.nodeType === Node.ELEMENT_NODE) {
-      let selector = currentElement.tagName.toLowerCase();
-      
-      // Add ID if present (most specific)
-      if (currentElement.id) {
-        selector = `${selector}#${currentElement.id}`;
-      }
-      
-      path.unshift(selector);
-      
-      // Stop if we've reached the body or if path is getting too long
-      if (currentElement.tagName.toLowerCase() === 'body' || path.length >= 5) {
-        break;
-      }
+    /**
+     * Stop the periodic check while the tab is hidden, keeping the change detection set up
+     * With several tabs open only the visible ones keep an interval running.
+     */
+    pause() {
+      if (!this.isTracking || !this.updateInterval) return;
       
-      currentElement = currentElement.parentNode;
+      clearInterval(this.updateInterval);
+      this.updateInterval = null;
+      console.log('[Optima ContinuousMetrics] ⏸️ Paused while the tab is hidden');
     }
-    
-    return path.join(' > ');
-  }
-
-  /**
-   * Get trimmed text content from a node
-   * @param {Node} node - The DOM node
-   * @returns {string|null} Trimmed text content
-   */
-  function getNodeText(node) {
-    if (!node || !node.textContent) return null;
-    
-    // Trim and normalize whitespace
-    const text = node.textContent.trim().replace(/\s+/g, ' ');
-    
-    // Limit length for efficiency
-    return text.length > 60 ? text.substring(0, 60) + '...' : text;
-  }
 
-  /**
-   * Get key attributes from an element
-   * @param {Element} element - The DOM element
-   * @returns {Object} Map of relevant attributes
-   */
-  function getElementAttributes(element) {
-    if (!element || !element.attributes) return {};
-    
-    const relevantAttrs = {};
-    const importantAttrs = ['src', 'href', 'alt', 'title', 'aria-label', 'role', 'data-testid'];
-    
-    // Extract specific attributes we care about
-    importantAttrs.forEach(attr => {
-      if (element.hasAttribute(attr)) {
-        relevantAttrs[attr] = element.getAttribute(attr);
-      }
-    });
-    
-    // Add any data-* attributes
-    for (let i = 0; i < element.attributes.length; i++) {
-      const attr = element.attributes[i];
-      if (attr.name.startsWith('data-') && !importantAttrs.includes(attr.name)) {
-        relevantAttrs[attr.name] = attr.value;
-      }
+    /**
+     * Restart the periodic check after pause()
+     */
+    resume() {
+      if (!this.isTracking || this.updateInterval) return;
+      
+      this.updateInterval = setInterval(() => {
+        this.checkAndSendUpdates();
+      }, this.updateIntervalMs);
+      console.log('[Optima ContinuousMetrics] ▶️ Resumed');
     }
-    
-    return relevantAttrs;
-  }
 
-  /**
-   * Determine what kind of shift occurred
-   * @param {Object} source - The layout shift source
-   * @returns {string} The type of shift that occurred
-   */
-  function determineShiftType(source) {
-    if (!source || !source.previousRect || !source.currentRect) {
-      return 'unknown';
-    }
-    
-    const prev = source.previousRect;
-    const curr = source.currentRect;
-    
-    // Check if element appeared
-    if (prev.width === 0 && prev.height === 0 && (curr.width > 0 || curr.height > 0)) {
-      return 'appeared';
-    }
-    
-    // Check if element disappeared
-    if (curr.width === 0 && curr.height === 0 && (prev.width > 0 || prev.height > 0)) {
-      return 'disappeared';
-    }
-    
-    // Check resize vs move
-    const sizeChanged = Math.abs(prev.width - curr.width) > 1 || Math.abs(prev.height - curr.height) > 1;
-    const positionChanged = Math.abs(prev.x - curr.x) > 1 || Math.abs(prev.y - curr.y) > 1;
-    
-    if (sizeChanged && positionChanged) {
-      return 'resize-and-move';
-    }
-    
-    if (sizeChanged) {
-      return 'resize';
-    }
-    
-    if (positionChanged) {
-      return 'move';
+    /**
+     * Setup change detection for immediate updates on significant changes
+     */
+    setupChangeDetection() {
+      // Monitor for significant CLS changes
+      this.setupCLSChangeDetection();
+      
+      // Monitor for significant INP changes
+      this.setupINPChangeDetection();
     }
-    
-    return 'unknown';
-  }
 
-  /**
-   * Check if a node is likely involved in an animation
-   * @param {Element} node - The DOM node
-   * @returns {boolean} Whether the node appears to be animating
-   */
-  function isNodeAnimating(node) {
-    if (!node || !window.getComputedStyle) {
-      return false;
-    }
-    
-    try {
-      const style = window.getComputedStyle(node);
+    /**
+     * Setup CLS change detection
+     */
+    setupCLSChangeDetection() {
+      if (!('PerformanceObserver' in window)) return;
       
-      // Check for CSS transitions or animations
-      return (
-        style.transitionDuration !== '0s' ||
-        style.animationName !== 'none' ||
-        node.classList.contains('animate') ||
-        node.classList.contains('fade') ||
-        node.classList.contains('slide')
-      );
-    } catch (e) {
-      return false;
+      try {
+        const clsObserver = new PerformanceObserver((list) => {
+          if (!this.isTracking || !this.viewManager.currentView?.isActive) return;
+          
+          const entries = list.getEntries();
+          let hasSignificantChange = false;
+          
+          entries.forEach((entry) => {
+            if (!entry.hadRecentInput) {
+              hasSignificantChange = true;
+            }
+          });
+          
+          // If we detected significant CLS changes, check for updates sooner
+          if (hasSignificantChange) {
+            setTimeout(() => {
+              this.checkAndSendUpdates();
+            }, 1000); // Check after 1 second delay
+          }
+        });
+        
+        clsObserver.observe({ type: 'layout-shift', buffered: false });
+        
+      } catch (error) {
+        console.error('[Optima ContinuousMetrics] ❌ Error setting up CLS change detection:', error);
+      }
     }
-  }
-
-  /**
-   * View-Scoped Web Vitals for Optima SDK
-   * Handles web vitals collection with proper view isolation
-   */
 
+    /**
+     * Setup INP change detection
+     */
+    setupINPChangeDetection() {
+      // Listen for interaction events that might affect INP
+      const eventTypes = ['click', 'keydown', 'pointerdown'];
+      
+      eventTypes.forEach(type => {
+        document.addEventListener(type, () => {
+          if (!this.isTracking || !this.viewManager.currentView?.isActive) return;
+          
+          // Check for INP updates after interactions
+          setTimeout(() => {
+            this.checkForINPUpdate();
+          }, 500); // Check after 500ms to allow for processing
+        }, { passive: true });
+      });
+    }
 
-  /**
-   * ViewScopedWebVitals - Manages web vitals collection per view
-   */
-  class ViewScopedWebVitals {
-    constructor(viewManager) {
-      this.viewManager = viewManager;
-      this.observers = new Map();
-      this.continuousMetrics = ['CLS', 'INP']; // Metrics that continue after route change
-      this.initialOnlyMetrics = ['LCP', 'FID', 'FCP', 'TTFB']; // Metrics only for initial load
-      this.isSetup = false;
-      this.loadingTimeTracker = null; // Track active loading time tracker
+    /**
+     * Check specifically for INP updates
+     */
+    checkForINPUpdate() {
+      if (!this.viewManager.currentView?.isActive) return;
       
-      console.log('[Optima ViewScopedWebVitals] 📊 Web vitals collector initialized');
+      const currentINP = this.viewManager.currentView.webVitals.INP?.value;
+      const lastSentINP = this.lastSentMetrics.INP;
+      
+      if (currentINP && this.hasSignificantINPChange(currentINP, lastSentINP)) {
+        console.log('[Optima ContinuousMetrics] 🖱️ Significant INP change detected, sending update');
+        this.sendContinuousUpdate();
+      }
     }
 
     /**
-     * Start collecting web vitals for current view
-     * @param {string} viewType - 'initial' or 'route_change'
+     * Check for metric updates and send if significant changes detected
      */
-    startCollecting(viewType) {
-      if (!this.viewManager.currentView) {
-        console.warn('[Optima ViewScopedWebVitals] ⚠️ No active view to collect web vitals for');
+    checkAndSendUpdates() {
+      if (!this.isTracking || !this.viewManager.currentView?.isActive) {
         return;
       }
       
-      console.log(`[Optima ViewScopedWebVitals] 🚀 Starting web vitals collection for ${viewType} view`);
-      
-      // Clear existing observers
-      this.clearObservers();
+      const currentMetrics = this.getCurrentContinuousMetrics();
       
-      if (viewType === 'initial') {
-        this.setupAllMetrics();
-      } else {
-        this.setupRouteChangeMetrics();
+      if (this.hasSignificantChanges(currentMetrics)) {
+        console.log('[Optima ContinuousMetrics] 📊 Significant changes detected, sending update');
+        this.sendContinuousUpdate();
       }
-      
-      this.isSetup = true;
     }
 
     /**
-     * Setup all metrics for initial page load
+     * Get current continuous metrics from active view
+     * @returns {Object} Current continuous metrics and data
      */
-    setupAllMetrics() {
-      console.log('[Optima ViewScopedWebVitals] 🔧 Setting up all metrics for initial load');
+    getCurrentContinuousMetrics() {
+      if (!this.viewManager.currentView) return {};
       
-      // Initial load gets all metrics
-      this.setupLCP();
-      this.setupFID();
-      this.setupFCP();
-      this.setupTTFB();
-      this.setupCLS();
-      this.setupINP();
-      this.setupLoadingTime();
+      const currentView = this.viewManager.currentView;
+      const webVitals = currentView.webVitals;
+      const hasLoadMetrics = currentView.type === 'initial' || currentView.type === 'bfcache_restore'; // bfcache restores report restore-relative FCP/LCP
+      
+      // Define which metrics are appropriate for each view type
+      const continuousMetrics = ['CLS', 'INP', 'loading_time', 'route_fcp', 'route_lcp'];
+      const initialLoadOnlyMetrics = ['LCP', 'FCP', 'FID', 'TTFB'];
+      
+      const result = {
+        webVitals: {},
+        resourceCount: currentView.resources?.length || 0,
+        ajaxCount: currentView.ajaxRequests?.length || 0,
+        errorCount: currentView.errors?.length || 0
+      };
+      
+      // Always include continuous metrics
+      continuousMetrics.forEach(metric => {
+        result.webVitals[metric] = webVitals[metric]?.value || null;
+      });
+      
+      // Only include initial-load-only metrics for initial page load
+      if (hasLoadMetrics) {
+        initialLoadOnlyMetrics.forEach(metric => {
+          result.webVitals[metric] = webVitals[metric]?.value || null;
+        });
+      } else {
+        // For route changes, explicitly set initial-load-only metrics to null
+        initialLoadOnlyMetrics.forEach(metric => {
+          result.webVitals[metric] = null;
+        });
+        console.log('[Optima ContinuousMetrics] 🚫 Excluding initial-load-only metrics for route change view');
+      }
+      
+      return result;
     }
 
     /**
-     * Setup only continuous metrics for route changes
+     * Check if there are significant changes in metrics
+     * @param {Object} currentMetrics - Current metric values
+     * @returns {boolean} True if significant changes detected
      */
-    setupRouteChangeMetrics() {
-      console.log('[Optima ViewScopedWebVitals] 🔧 Setting up continuous metrics for route change');
+    hasSignificantChanges(currentMetrics) {
+      const lastMetrics = this.lastSentMetrics;
       
-      // Route changes get continuous metrics + loading time
-      this.setupCLS();
-      this.setupINP();
-      this.setupLoadingTime(); // Loading time is also relevant for route changes
+      // Check web vitals changes
+      if (this.hasSignificantWebVitalsChange(currentMetrics.webVitals, lastMetrics.webVitals)) {
+        return true;
+      }
+      
+      // Check for new resources, AJAX requests, or errors
+      if (this.hasSignificantDataChange(currentMetrics, lastMetrics)) {
+        return true;
+      }
+      
+      // If no metrics were sent before and we have data now
+      if (Object.keys(lastMetrics).length === 0 && this.hasAnyData(currentMetrics)) {
+        return true;
+      }
+      
+      return false;
     }
 
     /**
-     * Setup Largest Contentful Paint (LCP) - Initial load only
+     * Check for significant web vitals changes
+     * @param {Object} current - Current web vitals
+     * @param {Object} last - Last sent web vitals
+     * @returns {boolean} True if significant change
      */
-    setupLCP() {
-      if (!('PerformanceObserver' in window)) {
-        console.warn('[Optima ViewScopedWebVitals] ⚠️ PerformanceObserver not supported - skipping LCP');
-        return;
+    hasSignificantWebVitalsChange(current, last = {}) {
+      // Check CLS changes
+      if (this.hasSignificantCLSChange(current.CLS, last.CLS)) {
+        return true;
       }
       
-      const currentView = this.viewManager.currentView;
-      
-      // LCP is ONLY applicable for initial page load, not route changes
-      if (currentView.type !== 'initial') {
-        console.log('[Optima ViewScopedWebVitals] 🎯 Skipping LCP setup - only applicable for initial page load');
-        return;
+      // Check INP changes
+      if (this.hasSignificantINPChange(current.INP, last.INP)) {
+        return true;
       }
       
-      console.log('[Optima ViewScopedWebVitals] 🎯 Setting up LCP tracking for initial page load');
-      
-      try {
-        const viewStartTime = this.viewManager.currentView.startTime;
-        const currentView = this.viewManager.currentView;
-        let lastLCPValue = 0;
-        
-        console.log(`[Optima ViewScopedWebVitals] 🎯 LCP setup - viewStartTime: ${viewStartTime}, viewType: ${currentView.type}`);
-        
-        const lcpObserver = new PerformanceObserver((list) => {
-          if (!this.viewManager.currentView || !this.viewManager.currentView.isActive) {
-            console.log('[Optima ViewScopedWebVitals] 🎯 LCP observer fired but no active view');
-            return;
-          }
-          
-          const entries = list.getEntries();
-          console.log(`[Optima ViewScopedWebVitals] 🎯 LCP observer fired with ${entries.length} entries`);
-          
-          if (entries.length === 0) return;
-          
-          const lastEntry = entries[entries.length - 1];
-          console.log(`[Optima ViewScopedWebVitals] 🎯 LCP entry - startTime: ${lastEntry.startTime}, size: ${lastEntry.size}`);
-          
-          // For initial page load, accept all LCP entries from the buffer
-          // For route changes, only accept entries after view start
-          const isInitialLoad = currentView.type === 'initial';
-          if (!isInitialLoad && lastEntry.startTime < viewStartTime) {
-            console.log(`[Optima ViewScopedWebVitals] 🎯 LCP entry filtered out - occurred before view start (${lastEntry.startTime} < ${viewStartTime})`);
-            return;
-          }
-          
-          // For initial load, always accept buffered entries
-          if (isInitialLoad) {
-            console.log(`[Optima ViewScopedWebVitals] 🎯 LCP entry accepted for initial load - startTime: ${lastEntry.startTime}`);
-          }
-          
-          // Calculate view-relative timing
-          let viewRelativeTime;
-          if (isInitialLoad) {
-            // For initial load, use absolute time
-            viewRelativeTime = lastEntry.startTime;
-          } else {
-            // For route changes, use relative time
-            viewRelativeTime = lastEntry.startTime - viewStartTime;
-          }
-          
-          // Only send event if it's a new, larger value
-          if (lastEntry.startTime > lastLCPValue) {
-            lastLCPValue = lastEntry.startTime;
-            
-            // Extract LCP element information
-            const elementInfo = this.extractLCPElementInfo(lastEntry);
-            
-            // Calculate LCP attribution
-            const attribution = this.calculateLCPAttribution(lastEntry, viewStartTime);
-            
-            // Update view's web vital
-            this.viewManager.updateWebVital('LCP', viewRelativeTime, {
-              absoluteTime: lastEntry.startTime,
-              element: elementInfo,
-              attribution: attribution,
-              entry: {
-                id: lastEntry.id,
-                size: lastEntry.size,
-                loadTime: lastEntry.loadTime,
-                renderTime: lastEntry.renderTime
-              }
-            });
-            
-            console.log(`[Optima ViewScopedWebVitals] 🎯 LCP updated: ${viewRelativeTime}ms (absolute: ${lastEntry.startTime}ms)`);
-          } else {
-            console.log(`[Optima ViewScopedWebVitals] 🎯 LCP entry ignored - not larger than previous (${lastEntry.startTime} <= ${lastLCPValue})`);
-          }
-        });
-        
-        // Use buffered: true for initial load to capture metrics before SDK init
-        // Use buffered: false for route changes to avoid contamination from previous view
-        const shouldUseBuffer = currentView.type === 'initial';
-        console.log(`[Optima ViewScopedWebVitals] 🎯 LCP observer buffered: ${shouldUseBuffer} (viewType: ${currentView.type})`);
-        
-        lcpObserver.observe({ type: 'largest-contentful-paint', buffered: shouldUseBuffer });
-        this.observers.set('LCP', lcpObserver);
-        
-        // Also check if LCP has already been determined (fallback)
-        setTimeout(() => {
-          if (lastLCPValue === 0) {
-            console.log('[Optima ViewScopedWebVitals] 🎯 No LCP detected via observer, checking performance entries directly');
-            const lcpEntries = performance.getEntriesByType('largest-contentful-paint');
-            console.log(`[Optima ViewScopedWebVitals] 🎯 Found ${lcpEntries.length} LCP entries in performance buffer`);
-            
-            if (lcpEntries.length > 0) {
-              const lastLCPEntry = lcpEntries[lcpEntries.length - 1];
-              console.log(`[Optima ViewScopedWebVitals] 🎯 Latest LCP from buffer: ${lastLCPEntry.startTime}ms, size: ${lastLCPEntry.size}`);
-              
-              // Process the entry manually
-              const isInitialLoad = currentView.type === 'initial';
-              let viewRelativeTime;
-              if (isInitialLoad) {
-                viewRelativeTime = lastLCPEntry.startTime;
-              } else {
-                viewRelativeTime = Math.max(0, lastLCPEntry.startTime - viewStartTime);
-              }
-              
-              if (viewRelativeTime >= 0) {
-                const elementInfo = this.extractLCPElementInfo(lastLCPEntry);
-                const attribution = this.calculateLCPAttribution(lastLCPEntry, viewStartTime);
-                
-                this.viewManager.updateWebVital('LCP', viewRelativeTime, {
-                  absoluteTime: lastLCPEntry.startTime,
-                  element: elementInfo,
-                  attribution: attribution,
-                  entry: {
-                    id: lastLCPEntry.id,
-                    size: lastLCPEntry.size,
-                    loadTime: lastLCPEntry.loadTime,
-                    renderTime: lastLCPEntry.renderTime
-                  },
-                  source: 'fallback'
-                });
-                
-                console.log(`[Optima ViewScopedWebVitals] 🎯 LCP recorded via fallback: ${viewRelativeTime}ms`);
-              }
-            }
-          }
-        }, 100);
-        
-      } catch (error) {
-        console.error('[Optima ViewScopedWebVitals] ❌ Error setting up LCP:', error);
+      // Check for new web vitals (LCP, FCP, FID, TTFB, loading_time)
+      const newVitals = ['LCP', 'FCP', 'FID', 'TTFB', 'loading_time', 'route_fcp', 'route_lcp'];
+      for (const vital of newVitals) {
+        if (current[vital] !== null && (last[vital] === null || last[vital] === undefined)) {
+          console.log(`[Optima ContinuousMetrics] 🆕 New ${vital} detected: ${current[vital]}`);
+          return true;
+        }
       }
+      
+      return false;
     }
 
     /**
-     * Setup First Input Delay (FID) - Initial load only
+     * Check for significant data changes (resources, AJAX, errors)
+     * @param {Object} current - Current metrics
+     * @param {Object} last - Last sent metrics
+     * @returns {boolean} True if significant change
      */
-    setupFID() {
-      if (!('PerformanceObserver' in window)) return;
-      
-      const currentView = this.viewManager.currentView;
+    hasSignificantDataChange(current, last = {}) {
+      // Check for new resources (threshold: 5 new resources)
+      if (current.resourceCount > (last.resourceCount || 0) && 
+          current.resourceCount - (last.resourceCount || 0) >= 5) {
+        console.log(`[Optima ContinuousMetrics] 📦 Significant resource increase: ${current.resourceCount} (+${current.resourceCount - (last.resourceCount || 0)})`);
+        return true;
+      }
       
-      // FID is ONLY applicable for initial page load, not route changes
-      if (currentView.type !== 'initial') {
-        console.log('[Optima ViewScopedWebVitals] ⚡ Skipping FID setup - only applicable for initial page load');
-        return;
+      // Check for new AJAX requests (threshold: 3 new requests)
+      if (current.ajaxCount > (last.ajaxCount || 0) && 
+          current.ajaxCount - (last.ajaxCount || 0) >= 3) {
+        console.log(`[Optima ContinuousMetrics] 🌐 Significant AJAX increase: ${current.ajaxCount} (+${current.ajaxCount - (last.ajaxCount || 0)})`);
+        return true;
       }
       
-      console.log('[Optima ViewScopedWebVitals] ⚡ Setting up FID tracking for initial page load');
+      // Check for new errors (threshold: any new error)
+      if (current.errorCount > (last.errorCount || 0)) {
+        console.log(`[Optima ContinuousMetrics] ❌ New errors detected: ${current.errorCount} (+${current.errorCount - (last.errorCount || 0)})`);
+        return true;
+      }
       
-      try {
-        const viewStartTime = this.viewManager.currentView.startTime;
-        let fidRecorded = false;
-        
-        console.log(`[Optima ViewScopedWebVitals] ⚡ FID setup - viewStartTime: ${viewStartTime}, viewType: ${currentView.type}`);
-        
-        const fidObserver = new PerformanceObserver((list) => {
-          if (!this.viewManager.currentView || !this.viewManager.currentView.isActive) return;
-          
-          const entries = list.getEntries();
-          
-          entries.forEach((entry) => {
-            if (fidRecorded) return; // Only record the first FID
-            
-            console.log(`[Optima ViewScopedWebVitals] ⚡ FID entry found - startTime: ${entry.startTime}`);
-            
-            // For initial page load, accept all FID entries from the buffer (use absolute timing)
-            const viewRelativeTime = entry.startTime;
-            const processingTime = entry.processingEnd - entry.processingStart;
-            const fidValue = entry.processingStart - entry.startTime;
-            
-            // Update view's web vital
-            this.viewManager.updateWebVital('FID', fidValue, {
-              absoluteTime: entry.startTime,
-              viewRelativeTime: viewRelativeTime,
-              processingTime: processingTime,
-              interactionType: entry.name,
-              target: entry.target ? this.getElementInfo(entry.target) : null
-            });
-            
-            fidRecorded = true;
-            console.log(`[Optima ViewScopedWebVitals] ⚡ FID recorded: ${fidValue}ms (absolute: ${entry.startTime}ms)`);
-          });
-        });
-        
-        // Use buffered: true for initial load to capture metrics before SDK init
-        // Use buffered: false for route changes to avoid contamination from previous view
-        const shouldUseBuffer = currentView.type === 'initial';
-        console.log(`[Optima ViewScopedWebVitals] ⚡ FID observer buffered: ${shouldUseBuffer} (viewType: ${currentView.type})`);
-        
-        fidObserver.observe({ type: 'first-input', buffered: shouldUseBuffer });
-        this.observers.set('FID', fidObserver);
-        
-        // Also check if FID has already been determined (fallback)
-        setTimeout(() => {
-          if (!fidRecorded) {
-            console.log('[Optima ViewScopedWebVitals] ⚡ No FID detected via observer, checking performance entries directly');
-            const fidEntries = performance.getEntriesByType('first-input');
-            
-            if (fidEntries.length > 0) {
-              const fidEntry = fidEntries[0]; // First input is the first one
-              console.log(`[Optima ViewScopedWebVitals] ⚡ FID found in buffer: ${fidEntry.startTime}ms`);
-              
-              // For initial page load, use absolute timing
-              const viewRelativeTime = fidEntry.startTime;
-              const processingTime = fidEntry.processingEnd - fidEntry.processingStart;
-              const fidValue = fidEntry.processingStart - fidEntry.startTime;
-              
-              this.viewManager.updateWebVital('FID', fidValue, {
-                absoluteTime: fidEntry.startTime,
-                viewRelativeTime: viewRelativeTime,
-                processingTime: processingTime,
-                interactionType: fidEntry.name,
-                target: fidEntry.target ? this.getElementInfo(fidEntry.target) : null,
-                source: 'fallback'
-              });
-              
-              fidRecorded = true;
-              console.log(`[Optima ViewScopedWebVitals] ⚡ FID recorded via fallback: ${fidValue}ms`);
-            } else {
-              console.log('[Optima ViewScopedWebVitals] ⚡ No FID entry found in performance buffer');
-            }
-          }
-        }, 1000); // Wait 1 second for buffered entries
-        
-      } catch (error) {
-        console.error('[Optima ViewScopedWebVitals] ❌ Error setting up FID:', error);
-      }
+      return false;
     }
 
     /**
-     * Setup First Contentful Paint (FCP) - Initial load only
+     * Check if current metrics have any data
+     * @param {Object} metrics - Metrics to check
+     * @returns {boolean} True if has any data
      */
-    setupFCP() {
-      if (!('PerformanceObserver' in window)) return;
-      
-      const currentView = this.viewManager.currentView;
-      
-      // FCP is ONLY applicable for initial page load, not route changes
-      if (currentView.type !== 'initial') {
-        console.log('[Optima ViewScopedWebVitals] 🎨 Skipping FCP setup - only applicable for initial page load');
-        return;
-      }
+    hasAnyData(metrics) {
+      // Has any web vitals
+      const hasWebVitals = Object.values(metrics.webVitals || {}).some(value => value !== null);
       
-      console.log('[Optima ViewScopedWebVitals] 🎨 Setting up FCP tracking for initial page load');
+      // Has any resources, AJAX, or errors
+      const hasData = metrics.resourceCount > 0 || metrics.ajaxCount > 0 || metrics.errorCount > 0;
       
-      try {
-        const viewStartTime = this.viewManager.currentView.startTime;
-        let fcpRecorded = false;
-        
-        console.log(`[Optima ViewScopedWebVitals] 🎨 FCP setup - viewStartTime: ${viewStartTime}, viewType: ${currentView.type}`);
-        
-        const fcpObserver = new PerformanceObserver((list) => {
-          if (!this.viewManager.currentView || !this.viewManager.currentView.isActive) return;
-          
-          const entries = list.getEntries();
-          const fcpEntry = entries.find(entry => entry.name === 'first-contentful-paint');
-          
-          if (fcpEntry && !fcpRecorded) {
-            console.log(`[Optima ViewScopedWebVitals] 🎨 FCP entry found - startTime: ${fcpEntry.startTime}`);
-            
-            // For initial page load, accept all FCP entries from the buffer (use absolute timing)
-            const viewRelativeTime = fcpEntry.startTime;
-            
-            this.viewManager.updateWebVital('FCP', viewRelativeTime, {
-              absoluteTime: fcpEntry.startTime
-            });
-            
-            fcpRecorded = true;
-            console.log(`[Optima ViewScopedWebVitals] 🎨 FCP recorded: ${viewRelativeTime}ms (absolute: ${fcpEntry.startTime}ms)`);
-          }
-        });
-        
-        // Use buffered: true for initial load to capture metrics before SDK init
-        // Use buffered: false for route changes to avoid contamination from previous view
-        const shouldUseBuffer = currentView.type === 'initial';
-        console.log(`[Optima ViewScopedWebVitals] 🎨 FCP observer buffered: ${shouldUseBuffer} (viewType: ${currentView.type})`);
-        
-        fcpObserver.observe({ type: 'paint', buffered: shouldUseBuffer });
-        this.observers.set('FCP', fcpObserver);
-        
-        // Also check if FCP has already been determined (fallback)
-        setTimeout(() => {
-          if (!fcpRecorded) {
-            console.log('[Optima ViewScopedWebVitals] 🎨 No FCP detected via observer, checking performance entries directly');
-            const paintEntries = performance.getEntriesByType('paint');
-            const fcpEntry = paintEntries.find(entry => entry.name === 'first-contentful-paint');
-            
-            if (fcpEntry) {
-              console.log(`[Optima ViewScopedWebVitals] 🎨 FCP found in buffer: ${fcpEntry.startTime}ms`);
-              
-              // For initial page load, use absolute timing
-              const viewRelativeTime = fcpEntry.startTime;
-              
-              this.viewManager.updateWebVital('FCP', viewRelativeTime, {
-                absoluteTime: fcpEntry.startTime,
-                source: 'fallback'
-              });
-              
-              fcpRecorded = true;
-              console.log(`[Optima ViewScopedWebVitals] 🎨 FCP recorded via fallback: ${viewRelativeTime}ms`);
-            } else {
-              console.log('[Optima ViewScopedWebVitals] 🎨 No FCP entry found in performance buffer');
-            }
-          }
-        }, 1000); // Wait 1 second for buffered entries
-        
-      } catch (error) {
-        console.error('[Optima ViewScopedWebVitals] ❌ Error setting up FCP:', error);
-      }
+      return hasWebVitals || hasData;
     }
 
     /**
-     * Setup Time to First Byte (TTFB) - Initial load only
+     * Check for significant CLS change
+     * Both values are worst-session-window CLS, so they only grow when a worse window appears
+     * @param {number} current - Current windowed CLS value
+     * @param {number} last - Last sent windowed CLS value
+     * @returns {boolean} True if significant change
      */
-    setupTTFB() {
-      const currentView = this.viewManager.currentView;
-      
-      // TTFB is ONLY applicable for initial page load, not route changes
-      if (currentView.type !== 'initial') {
-        console.log('[Optima ViewScopedWebVitals] 🌐 Skipping TTFB setup - only applicable for initial page load');
-        return;
-      }
-      
-      console.log('[Optima ViewScopedWebVitals] 🌐 Setting up TTFB tracking for initial page load');
+    hasSignificantCLSChange(current, last) {
+      if (current === null || current === undefined) return false;
+      if (last === null || last === undefined) return current > 0;
       
-      try {
-        const navEntry = performance.getEntriesByType('navigation')[0];
-        if (!navEntry) return;
-        
-        const ttfb = navEntry.responseStart - navEntry.requestStart;
-        
-        this.viewManager.updateWebVital('TTFB', ttfb, {
-          domainLookup: navEntry.domainLookupEnd - navEntry.domainLookupStart,
-          connection: navEntry.connectEnd - navEntry.connectStart,
-          request: navEntry.responseStart - navEntry.requestStart,
-          tls: navEntry.secureConnectionStart ? navEntry.connectEnd - navEntry.secureConnectionStart : 0
-        });
-        
-        console.log(`[Optima ViewScopedWebVitals] 🌐 TTFB recorded: ${ttfb}ms`);
-        
-      } catch (error) {
-        console.error('[Optima ViewScopedWebVitals] ❌ Error setting up TTFB:', error);
-      }
+      const change = Math.abs(current - last);
+      return change >= this.significantChangeThresholds.CLS;
     }
 
     /**
-     * Setup Cumulative Layout Shift (CLS) - Continuous metric
+     * Check for significant INP change
+     * @param {number} current - Current INP value
+     * @param {number} last - Last sent INP value
+     * @returns {boolean} True if significant change
      */
-    setupCLS() {
-      if (!('PerformanceObserver' in window)) return;
-      
-      console.log('[Optima ViewScopedWebVitals] 📐 Setting up CLS tracking');
+    hasSignificantINPChange(current, last) {
+      if (current === null || current === undefined) return false;
+      if (last === null || last === undefined) return current > 0;
       
-      try {
-        const viewStartTime = this.viewManager.currentView.startTime;
-        let clsValue = 0;
-        
-        const clsObserver = new PerformanceObserver((list) => {
-          if (!this.viewManager.currentView || !this.viewManager.currentView.isActive) return;
-          
-          const entries = list.getEntries();
-          
-          entries.forEach((entry) => {
-            // Only count shifts that happened after view start
-            if (entry.startTime >= viewStartTime && !entry.hadRecentInput) {
-              clsValue += entry.value;
-              
-              // Get shift source information
-              const shiftSource = getLargestShiftSource(entry);
-              
-              // Update view's web vital
-              this.viewManager.updateWebVital('CLS', clsValue, {
-                lastShiftTime: entry.startTime - viewStartTime,
-                lastShiftValue: entry.value,
-                shiftSource: shiftSource,
-                hadRecentInput: entry.hadRecentInput
-              });
-            }
-          });
-        });
-        
-        // For CLS: Use buffered: true for initial load to include layout shifts from page load
-        // Use buffered: false for route changes to only track shifts after route change
-        const currentView = this.viewManager.currentView;
-        const shouldUseBuffer = currentView.type === 'initial';
-        console.log(`[Optima ViewScopedWebVitals] 📐 CLS observer buffered: ${shouldUseBuffer} (viewType: ${currentView.type})`);
-        
-        clsObserver.observe({ type: 'layout-shift', buffered: shouldUseBuffer });
-        this.observers.set('CLS', clsObserver);
-        
-      } catch (error) {
-        console.error('[Optima ViewScopedWebVitals] ❌ Error setting up CLS:', error);
-      }
+      const change = Math.abs(current - last);
+      return change >= this.significantChangeThresholds.INP;
     }
 
     /**
-     * Setup Interaction to Next Paint (INP) - Continuous metric
+     * Send continuous metric update
      */
-    setupINP() {
-      console.log('[Optima ViewScopedWebVitals] 🖱️ Setting up INP tracking');
+    sendContinuousUpdate() {
+      if (!this.viewManager.currentView?.isActive) return;
       
-      try {
-        const viewStartTime = this.viewManager.currentView.startTime;
-        let maxINP = 0;
-        
-        // Track interactions with event listeners
-        const eventTypes = ['click', 'keydown', 'pointerdown'];
-        
-        eventTypes.forEach(type => {
-          document.addEventListener(type, (event) => {
-            if (!this.viewManager.currentView || !this.viewManager.currentView.isActive) return;
-            
-            const eventTime = performance.now();
-            
-            // Only track interactions within current view
-            if (eventTime < viewStartTime) return;
-            
-            // Measure interaction timing
-            this.measureInteraction(event, eventTime - viewStartTime);
-          }, { passive: true, capture: true });
-        });
-        
-        // Also use PerformanceObserver for event entries if available
-        if ('PerformanceObserver' in window && 
-            PerformanceObserver.supportedEntryTypes?.includes('event')) {
-          
-          const inpObserver = new PerformanceObserver((list) => {
-            if (!this.viewManager.currentView || !this.viewManager.currentView.isActive) return;
-            
-            const entries = list.getEntries();
-            
-                      entries.forEach((entry) => {
-              if (entry.startTime >= viewStartTime) {
-                const duration = entry.processingEnd - entry.startTime;
-                const elementInfo = entry.target ? this.getElementInfo(entry.target) : null;
-                
-                console.log(`[Optima ViewScopedWebVitals] 🖱️ INP entry detected:`, {
-                  duration: duration,
-                  interactionType: entry.name,
-                  startTime: entry.startTime,
-                  processingStart: entry.processingStart,
-                  processingEnd: entry.processingEnd,
-                  elementInfo: elementInfo,
-                  currentMaxINP: maxINP
-                });
-                
-                if (duration > maxINP) {
-                  maxINP = duration;
-                  
-                  this.viewManager.updateWebVital('INP', duration, {
-                    viewRelativeTime: entry.startTime - viewStartTime,
-                    interactionType: entry.name,
-                    target: elementInfo,
-                    processingTime: entry.processingEnd - entry.processingStart,
-                    inputDelay: entry.processingStart - entry.startTime
-                  });
-                  
-                  console.log(`[Optima ViewScopedWebVitals] 🖱️ INP updated: ${duration}ms (element: ${elementInfo?.tagName}#${elementInfo?.id || 'no-id'})`);
-                } else {
-                  console.log(`[Optima ViewScopedWebVitals] 🖱️ INP entry ignored (${duration}ms <= ${maxINP}ms)`);
-                }
-              } else {
-                console.log(`[Optima ViewScopedWebVitals] 🖱️ INP entry ignored (before view start: ${entry.startTime} < ${viewStartTime})`);
-              }
-            });
-          });
-          
-          // For INP: Use buffered: true for initial load to include interactions from page load
-          // Use buffered: false for route changes to only track interactions after route change
-          const currentView = this.viewManager.currentView;
-          const shouldUseBuffer = currentView.type === 'initial';
-          console.log(`[Optima ViewScopedWebVitals] 🖱️ INP observer buffered: ${shouldUseBuffer} (viewType: ${currentView.type})`);
+      const currentMetrics = this.getCurrentContinuousMetrics();
+      const currentView = this.viewManager.currentView;
+      
+      // Prepare comprehensive update payload
+      const update = {
+        view_id: currentView.id,
+        web_vitals: {},
+        resources: [],
+        ajax_requests: [],
+        errors: [],
+        timestamp: Date.now()
+      };
+      
+      // Include web vitals that have values and are appropriate for the view type
+      const hasLoadMetrics = currentView.type === 'initial' || currentView.type === 'bfcache_restore';
+      const continuousMetrics = ['CLS', 'INP', 'loading_time', 'route_fcp', 'route_lcp'];
+      const initialLoadOnlyMetrics = ['LCP', 'FCP', 'FID', 'TTFB'];
+      
+      // Determine which metrics to include based on view type
+      const allowedMetrics = hasLoadMetrics 
+        ? [...continuousMetrics, ...initialLoadOnlyMetrics]  // All metrics for initial load
+        : continuousMetrics;  // Only continuous metrics for route changes
+      
+      const webVitalsMap = {
+        LCP: 'LCP',
+        FCP: 'FCP', 
+        FID: 'FID',
+        CLS: 'CLS',
+        INP: 'INP',
+        TTFB: 'TTFB',
+        loading_time: 'loading_time',
+        route_fcp: 'route_fcp',
+        route_lcp: 'route_lcp'
+      };
+      
+      Object.entries(webVitalsMap).forEach(([key, vitalName]) => {
+        // Only include metrics that are allowed for this view type
+        if (allowedMetrics.includes(key) && 
+            currentMetrics.webVitals[key] !== null && 
+            currentView.webVitals[key]) {
+          console.log(`[Optima ContinuousMetrics] ✅ Including ${vitalName} = ${currentMetrics.webVitals[key]} for ${currentView.type} view`);
           
-          inpObserver.observe({ type: 'event', buffered: shouldUseBuffer });
-          this.observers.set('INP', inpObserver);
+          update.web_vitals[vitalName] = {
+            value: currentMetrics.webVitals[key],
+            timestamp: currentView.webVitals[key].timestamp,
+            view_relative_time: currentView.webVitals[key].viewRelativeTime,
+            // Include metric-specific details
+            ...(key === 'CLS' && {
+              window_start: currentView.webVitals[key].windowStart,
+              window_end: currentView.webVitals[key].windowEnd,
+              window_shift_count: currentView.webVitals[key].windowShiftCount,
+              largest_shift_time: currentView.webVitals[key].largestShiftTime,
+              largest_shift_value: currentView.webVitals[key].largestShiftValue,
+              shift_source: currentView.webVitals[key].shiftSource,
+              // Pre-window fields, kept under their original names for existing consumers
+              lastShiftTime: currentView.webVitals[key].lastShiftTime,
+              lastShiftValue: currentView.webVitals[key].lastShiftValue,
+              shiftSource: currentView.webVitals[key].shiftSource,
+              hadRecentInput: currentView.webVitals[key].hadRecentInput
+            }),
+            ...(key === 'INP' && {
+              interaction_type: currentView.webVitals[key].interactionType,
+              event_type: currentView.webVitals[key].eventType,
+              target: currentView.webVitals[key].target,
+              interaction_target: currentView.webVitals[key].interactionTarget,
+              input_delay: currentView.webVitals[key].inputDelay,
+              processing_duration: currentView.webVitals[key].processingDuration,
+              presentation_delay: currentView.webVitals[key].presentationDelay,
+              interaction_count: currentView.webVitals[key].interactionCount,
+              long_animation_frames: currentView.webVitals[key].longAnimationFrames
+            }),
+            ...(key === 'LCP' && {
+              element: currentView.webVitals[key].element,
+              url: currentView.webVitals[key].url,
+              absolute_time: currentView.webVitals[key].absoluteTime,
+              attribution: currentView.webVitals[key].attribution,
+              entry: currentView.webVitals[key].entry,
+              source: currentView.webVitals[key].source
+            }),
+            ...(key === 'FID' && {
+              absolute_time: currentView.webVitals[key].absoluteTime,
+              processing_time: currentView.webVitals[key].processingTime,
+              interaction_type: currentView.webVitals[key].interactionType,
+              target: currentView.webVitals[key].target,
+              source: currentView.webVitals[key].source
+            }),
+            ...(key === 'FCP' && {
+              absolute_time: currentView.webVitals[key].absoluteTime,
+              source: currentView.webVitals[key].source
+            }),
+            ...(key === 'TTFB' && {
+              domain_lookup: currentView.webVitals[key].domainLookup,
+              connection: currentView.webVitals[key].connection,
+              request: currentView.webVitals[key].request,
+              tls: currentView.webVitals[key].tls
+            }),
+            ...(key === 'loading_time' && {
+              reason: currentView.webVitals[key].reason,
+              activity_sources: currentView.webVitals[key].activitySources,
+              detailed_activities: currentView.webVitals[key].detailedActivities,
+              view_type: currentView.webVitals[key].viewType,
+              baseline_time: currentView.webVitals[key].baselineTime,
+              end_time: currentView.webVitals[key].endTime
+            }),
+            ...((key === 'route_fcp' || key === 'route_lcp') && {
+              source: currentView.webVitals[key].source,
+              baseline_time: currentView.webVitals[key].baselineTime,
+              element: currentView.webVitals[key].element,
+              size: currentView.webVitals[key].size
+            })
+          };
+        } else if (!allowedMetrics.includes(key) && !hasLoadMetrics) {
+          console.log(`[Optima ContinuousMetrics] 🚫 Skipping ${vitalName} for route change view`);
+        } else if (allowedMetrics.includes(key)) {
+          // Metric is allowed but has no value - log for debugging
+          console.log(`[Optima ContinuousMetrics] ⚠️ ${vitalName} allowed for ${currentView.type} but no value: currentMetrics=${currentMetrics.webVitals[key]}, viewVitals=${currentView.webVitals[key] ? 'exists' : 'null'}`);
         }
+      });
+      
+      // Include ALL resources since view session started (not just new ones since last update)
+      if (currentView.resources && currentView.resources.length > 0) {
+        update.resources = currentView.resources; // Send all resources from the view session
+        console.log(`[Optima ContinuousMetrics] 📦 Including ALL ${update.resources.length} resources from view session start`);
         
-      } catch (error) {
-        console.error('[Optima ViewScopedWebVitals] ❌ Error setting up INP:', error);
+        // DETAILED LIFECYCLE TRACKING for releases.bundle.js
+        const releasesBundleInUpdate = update.resources.find(r => r.name && r.name.includes('releases.bundle.js'));
+        if (releasesBundleInUpdate) {
+          console.log(`[Optima ContinuousMetrics] 🎯 LIFECYCLE - releases.bundle.js is included in continuous update!`);
+          console.log(`[Optima ContinuousMetrics] 🎯 LIFECYCLE - Update details:`, {
+            totalResourcesFromViewStart: update.resources.length,
+            currentResourceCount: currentView.resources.length,
+            releasesBundleIndex: update.resources.findIndex(r => r.name && r.name.includes('releases.bundle.js')),
+            releasesBundleDetails: {
+              name: releasesBundleInUpdate.name,
+              type: releasesBundleInUpdate.type,
+              size: releasesBundleInUpdate.transfer_size,
+              startTime: releasesBundleInUpdate.start_time,
+              viewId: releasesBundleInUpdate.viewId.substring(0, 8)
+            }
+          });
+        }
+      }
+      
+      // Include ALL AJAX requests since view session started (not just new ones since last update)
+      if (currentView.ajaxRequests && currentView.ajaxRequests.length > 0) {
+        update.ajax_requests = currentView.ajaxRequests; // Send all AJAX requests from the view session
+        console.log(`[Optima ContinuousMetrics] 🌐 Including ALL ${update.ajax_requests.length} AJAX requests from view session start`);
       }
+      
+      // Include ALL errors since view session started (not just new ones since last update)
+      if (currentView.errors && currentView.errors.length > 0) {
+        update.errors = currentView.errors; // Send all errors from the view session
+        console.log(`[Optima ContinuousMetrics] ❌ Including ALL ${update.errors.length} errors from view session start`);
+      }
+      
+      // Send update via data sender
+      this.dataSender.sendContinuousUpdate(update);
+      
+      // Update last sent metrics
+      this.lastSentMetrics = { ...currentMetrics };
+      
+      console.log('[Optima ContinuousMetrics] ✅ Sent comprehensive continuous update:', {
+        webVitals: Object.keys(update.web_vitals),
+        resources: update.resources.length,
+        ajaxRequests: update.ajax_requests.length,
+        errors: update.errors.length
+      });
     }
 
     /**
-     * Setup loading time tracking - For both initial load and route changes
+     * Update change thresholds
+     * @param {Object} thresholds - New threshold values
      */
-    setupLoadingTime() {
-      console.log('[Optima ViewScopedWebVitals] ⏱️ Setting up loading time tracking');
+    updateThresholds(thresholds) {
+      if (thresholds.CLS !== undefined) {
+        this.significantChangeThresholds.CLS = thresholds.CLS;
+      }
       
-      try {
-        // Cleanup any existing tracker
-        if (this.loadingTimeTracker) {
-          this.loadingTimeTracker.cleanup();
-        }
-        
-        // Create and start new tracker
-        this.loadingTimeTracker = new ViewScopedLoadingTimeTracker(this.viewManager);
-        this.loadingTimeTracker.start();
-        
-      } catch (error) {
-        console.error('[Optima ViewScopedWebVitals] ❌ Error setting up loading time:', error);
+      if (thresholds.INP !== undefined) {
+        this.significantChangeThresholds.INP = thresholds.INP;
       }
+      
+      console.log('[Optima ContinuousMetrics] ⚙️ Updated thresholds:', this.significantChangeThresholds);
     }
 
     /**
-     * Measure interaction timing manually
-     * @param {Event} event - The interaction event
-     * @param {number} viewRelativeTime - Time relative to view start
+     * Update tracking interval
+     * @param {number} intervalMs - New interval in milliseconds
      */
-    measureInteraction(event, viewRelativeTime) {
-      const startTime = performance.now();
-      const elementInfo = this.getElementInfo(event.target);
+    updateInterval(intervalMs) {
+      this.updateIntervalMs = intervalMs;
       
-      console.log(`[Optima ViewScopedWebVitals] 🖱️ Manual interaction detected:`, {
-        eventType: event.type,
-        elementInfo: elementInfo,
-        viewRelativeTime: viewRelativeTime,
-        startTime: startTime
-      });
+      // Restart tracking with new interval if currently tracking
+      if (this.isTracking) {
+        this.stopContinuousTracking();
+        this.startContinuousTracking();
+      }
       
-      // Use requestAnimationFrame to measure when the next paint happens
-      requestAnimationFrame(() => {
-        const endTime = performance.now();
-        const duration = endTime - startTime;
-        
-        // Update INP if this interaction is slower
-        const currentINP = this.viewManager.currentView?.webVitals?.INP?.value || 0;
-        
-        console.log(`[Optima ViewScopedWebVitals] 🖱️ Manual interaction measured:`, {
-          duration: duration,
-          currentINP: currentINP,
-          willUpdate: duration > currentINP,
-          elementInfo: elementInfo
-        });
-        
-        if (duration > currentINP) {
-          this.viewManager.updateWebVital('INP', duration, {
-            viewRelativeTime: viewRelativeTime,
-            interactionType: event.type,
-            target: elementInfo,
-            manual: true
-          });
-          
-          console.log(`[Optima ViewScopedWebVitals] 🖱️ Manual INP recorded: ${duration}ms (element: ${elementInfo?.tagName}#${elementInfo?.id || 'no-id'})`);
+      console.log('[Optima ContinuousMetrics] ⚙️ Updated interval:', intervalMs);
+    }
+
+    /**
+     * Trigger update check when new web vital is detected
+     * @param {string} vitalName - Name of the web vital
+     * @param {number} value - Value of the web vital
+     */
+    onWebVitalDetected(vitalName, value) {
+      if (!this.isTracking || !this.viewManager.currentView?.isActive) return;
+      
+      console.log(`[Optima ContinuousMetrics] 📊 Web vital detected: ${vitalName} = ${value}`);
+      
+      const currentView = this.viewManager.currentView;
+      const hasLoadMetrics = currentView.type === 'initial' || currentView.type === 'bfcache_restore';
+      
+      // Define metric categories
+      const initialLoadOnlyVitals = ['LCP', 'FCP', 'FID', 'TTFB'];
+      const continuousVitals = ['CLS', 'INP', 'loading_time', 'route_fcp', 'route_lcp'];
+      
+      // For initial-load-only vitals, only send updates if this is an initial load
+      if (initialLoadOnlyVitals.includes(vitalName)) {
+        if (hasLoadMetrics) {
+          console.log(`[Optima ContinuousMetrics] 🚀 Initial load vital detected for initial view, sending immediate update`);
+          setTimeout(() => {
+            this.checkAndSendUpdates();
+          }, 100); // Small delay to ensure metric is recorded in view
         } else {
-          console.log(`[Optima ViewScopedWebVitals] 🖱️ Manual interaction ignored (${duration}ms <= ${currentINP}ms)`);
+          console.log(`[Optima ContinuousMetrics] 🚫 Ignoring ${vitalName} for route change view - not applicable`);
         }
-      });
+      }
+      
+      // For continuous vitals, always send updates regardless of view type
+      else if (continuousVitals.includes(vitalName)) {
+        console.log(`[Optima ContinuousMetrics] 📊 Continuous vital detected, sending update`);
+        setTimeout(() => {
+          this.checkAndSendUpdates();
+        }, 100);
+      }
     }
 
     /**
-     * Extract LCP element information
-     * @param {PerformanceEntry} lcpEntry - LCP performance entry
-     * @returns {Object} Element information
+     * Force send current metrics (for testing or manual triggers)
      */
-    extractLCPElementInfo(lcpEntry) {
-      try {
-        if (!lcpEntry.element) return null;
-        
-        return {
-          tagName: lcpEntry.element.tagName,
-          id: lcpEntry.element.id || null,
-          className: lcpEntry.element.className || null,
-          src: lcpEntry.element.src || lcpEntry.element.currentSrc || null,
-          url: lcpEntry.url || null,
-          size: lcpEntry.size || 0
-        };
-      } catch (error) {
-        return null;
-      }
+    forceSendUpdate() {
+      console.log('[Optima ContinuousMetrics] 🔧 Force sending continuous update');
+      this.sendContinuousUpdate();
     }
 
     /**
-     * Calculate LCP attribution breakdown
-     * @param {PerformanceEntry} lcpEntry - LCP performance entry
-     * @param {number} viewStartTime - View start time
-     * @returns {Object} Attribution breakdown
+     * Get tracking status for debugging
+     * @returns {Object} Tracking status
      */
-    calculateLCPAttribution(lcpEntry, viewStartTime) {
-      try {
-        const navEntry = performance.getEntriesByType('navigation')[0];
-        if (!navEntry) return null;
-        
-        return {
-          ttfb: Math.round(navEntry.responseStart - navEntry.requestStart),
-          resourceLoadDelay: Math.round(Math.max(0, lcpEntry.loadTime - navEntry.responseStart)),
-          resourceLoadDuration: Math.round(Math.max(0, lcpEntry.loadTime - lcpEntry.startTime)),
-          elementRenderDelay: Math.round(lcpEntry.startTime - viewStartTime)
-        };
-      } catch (error) {
-        return null;
-      }
+    getStatus() {
+      return {
+        isTracking: this.isTracking,
+        updateInterval: this.updateIntervalMs,
+        lastSentMetrics: { ...this.lastSentMetrics },
+        thresholds: { ...this.significantChangeThresholds },
+        hasActiveView: !!this.viewManager.currentView?.isActive
+      };
     }
 
     /**
-     * Get element information for interactions
-     * @param {Element} element - DOM element
-     * @returns {Object} Element information
+     * Reset continuous metrics tracking (for new view)
      */
-    getElementInfo(element) {
-      if (!element) return null;
+    reset() {
+      console.log('[Optima ContinuousMetrics] 🔄 Resetting continuous metrics tracking');
       
-      try {
-        const info = {
-          tagName: element.tagName,
-          id: element.id || null,
-          className: element.className || null,
-          textContent: element.textContent?.substring(0, 100) || null,
-          type: element.type || null,
-          name: element.name || null,
-          href: element.href || null,
-          role: element.getAttribute('role') || null
-        };
-        
-        // Add more context for debugging
-        if (element.closest) {
-          const parentButton = element.closest('button');
-          const parentLink = element.closest('a');
-          const parentForm = element.closest('form');
-          
-          if (parentButton && parentButton !== element) {
-            info.parentButton = {
-              id: parentButton.id || null,
-              className: parentButton.className || null,
-              textContent: parentButton.textContent?.substring(0, 50) || null
-            };
-          }
-          
-          if (parentLink && parentLink !== element) {
-            info.parentLink = {
-              href: parentLink.href || null,
-              textContent: parentLink.textContent?.substring(0, 50) || null
-            };
-          }
-          
-          if (parentForm && parentForm !== element) {
-            info.parentForm = {
-              id: parentForm.id || null,
-              name: parentForm.name || null,
-              action: parentForm.action || null
-            };
-          }
-        }
-        
-        return info;
-      } catch (error) {
-        console.warn('[Optima ViewScopedWebVitals] ⚠️ Error getting element info:', error);
-        return { error: error.message };
+      this.lastSentMetrics = {};
+      
+      // Don't stop tracking, just reset the baseline
+      if (this.isTracking) {
+        console.log('[Optima ContinuousMetrics] 🔄 Continuing tracking with reset baseline');
       }
     }
 
     /**
-     * Clear all observers
+     * Cleanup continuous metrics manager
      */
-    clearObservers() {
-      console.log('[Optima ViewScopedWebVitals] 🧹 Clearing web vitals observers');
+    cleanup() {
+      console.log('[Optima ContinuousMetrics] 🧹 Cleaning up continuous metrics manager');
       
-      this.observers.forEach((observer, metric) => {
-        try {
-          observer.disconnect();
-        } catch (error) {
-          console.error(`[Optima ViewScopedWebVitals] ❌ Error disconnecting ${metric} observer:`, error);
-        }
-      });
+      this.stopContinuousTracking();
+    }
+  }
+
+  /**
+   * View-Scoped Collectors for Optima SDK
+   * Handles resource collection with proper view isolation
+   */
+
+
+  /**
+   * ViewScopedResourceCollector - Collects resources scoped to current view
+   */
+  class ViewScopedResourceCollector {
+    constructor(viewManager) {
+      this.viewManager = viewManager;
+      this.processedUrls = new Set();
+      this.resourceObserver = null;
+      this.isObserving = false;
       
-      this.observers.clear();
+      // Debug tracking for missing resources
+      this.allDetectedResources = new Set();
+      this.setupGlobalResourceTracking();
+
+      console.log('[Optima ViewScopedCollector] 📦 Resource collector initialized');
     }
 
     /**
-     * Stop collecting and cleanup
+     * Helper method to safely format numbers
+     * @param {number} value - Value to format
+     * @param {number} digits - Number of decimal places
+     * @returns {string} Formatted string
      */
-    stopCollecting() {
-      console.log('[Optima ViewScopedWebVitals] 🛑 Stopping web vitals collection');
+    safeToFixed(value, digits = 2) {
+      if (typeof value !== 'number' || isNaN(value)) {
+        return '0.00';
+      }
+      return value.toFixed(digits);
+    }
+
+    /**
+     * Setup global resource tracking for all resources
+     */
+    setupGlobalResourceTracking() {
+      // This method can be used for global resource tracking if needed
+      console.log('[Optima ViewScopedCollector] 🌐 Global resource tracking setup');
+    }
+
+    /**
+     * Start collecting resources for current view
+     */
+    startCollecting() {
+      if (this.viewManager.currentView) {
+        console.log(`[Optima ViewScopedCollector] 🚀 Starting collection for view: ${this.viewManager.currentView.id}`);
+        
+      // Clear processed URLs for new view
+      this.processedUrls.clear();
       
-      this.clearObservers();
+        // Setup resource observer for new resources
+      this.setupResourceObserver();
       
-      // Cleanup loading time tracker
-      if (this.loadingTimeTracker) {
-        this.loadingTimeTracker.cleanup();
-        this.loadingTimeTracker = null;
+        // Collect existing resources from performance buffer
+      this.collectExistingResources();
+      } else {
+        console.warn('[Optima ViewScopedCollector] ⚠️ No active view to collect resources for');
       }
-      
-      this.isSetup = false;
     }
 
     /**
-     * Reset for new view
+     * Stop collecting resources
      */
-    reset() {
-      console.log('[Optima ViewScopedWebVitals] 🔄 Resetting web vitals collector');
-      
+    stopCollecting() {
+      if (this.resourceObserver && this.isObserving) {
+        this.resourceObserver.disconnect();
+        this.isObserving = false;
+        console.log('[Optima ViewScopedCollector] ⏹️ Resource collection stopped');
+      }
+    }
+
+    /**
+     * Clear all observers
+     */
+    clearObservers() {
       this.stopCollecting();
     }
-  }
 
-  /**
-   * View-Scoped Loading Time Tracker
-   * Adapted from legacy SDK's sophisticated activity-based tracking
-   */
-  class ViewScopedLoadingTimeTracker {
-    constructor(viewManager) {
-      this.viewManager = viewManager;
-      this.startTime = null;
-      this.lastActivityTime = null;
-      this.isComplete = false;
-      this.isTracking = false;
-      this.activitySources = new Set();
-      this.detailedActivities = []; // New: Array to store detailed activity information
-      this.quietPeriod = 200; // 200ms quiet period
-      this.maxWaitTime = 20000; // 20 seconds maximum
-      this.checkInterval = null;
-      this.observers = [];
-      this.pendingRequests = new Set();
-      this.pendingResources = new Set();
-      this.viewType = null;
-      this.baselineTime = null;
+    /**
+     * Setup PerformanceObserver for new resources
+     */
+    setupResourceObserver() {
+      if (!('PerformanceObserver' in window)) {
+        console.warn('[Optima ViewScopedCollector] ⚠️ PerformanceObserver not supported');
+        return;
+      }
       
-      // Store original methods for cleanup
-      this.originalXHROpen = null;
-      this.originalXHRSend = null;
-      this.originalFetch = null;
+      // Disconnect existing observer
+      if (this.resourceObserver && this.isObserving) {
+        this.resourceObserver.disconnect();
+      }
+      
+      try {
+        this.resourceObserver = new PerformanceObserver((list) => {
+          const entries = list.getEntries();
+          
+          // FIXED: Notify loading time tracker about resource activity
+          this.notifyLoadingTimeTracker(entries);
+          
+          this.processResourceEntries(entries);
+        });
+        
+        this.resourceObserver.observe({ entryTypes: ['resource'] });
+        this.isObserving = true;
+      } catch (error) {
+        console.error('[Optima ViewScopedCollector] ❌ Failed to setup resource observer:', error);
+      }
     }
 
-    start() {
-      if (!this.viewManager.currentView) return;
+    /**
+     * Notify loading time tracker about resource activity
+     * @param {Array} entries - Resource entries
+     */
+    notifyLoadingTimeTracker(entries) {
+      // Get the loading time tracker from the web vitals collector
+      const webVitalsCollector = this.viewManager.webVitalsCollector;
+      if (!webVitalsCollector) {
+        console.warn('[Optima ViewScopedCollector] ⚠️ No webVitalsCollector found on viewManager');
+        return;
+      }
       
-      const currentView = this.viewManager.currentView;
-      this.viewType = currentView.type;
-      this.isTracking = true;
+      if (!webVitalsCollector.loadingTimeTracker) {
+        console.warn('[Optima ViewScopedCollector] ⚠️ No loadingTimeTracker found on webVitalsCollector');
+        return;
+      }
       
-      // ENHANCED BASELINE TIME CALCULATION WITH COMPREHENSIVE LOGGING
-      console.group(`🎯 Loading Time Baseline Calculation - ${this.viewType.toUpperCase()} VIEW`);
+      const loadingTimeTracker = webVitalsCollector.loadingTimeTracker;
       
-      if (this.viewType === 'initial') {
-        // For initial page load, use navigation fetchStart time (when actual request began)
-        try {
-          const navEntry = performance.getEntriesByType('navigation')[0];
-          if (navEntry) {
-            // FIXED: Use fetchStart instead of startTime (which is always 0)
-            this.baselineTime = performance.timeOrigin + navEntry.fetchStart;
-            
-            console.log('📊 Navigation Timing Details:');
-            console.table({
-              'Navigation Start': `${navEntry.startTime}ms (always 0)`,
-              'Fetch Start': `${navEntry.fetchStart}ms ✅ USING THIS`,
-              'DOM Content Loaded': `${navEntry.domContentLoadedEventEnd}ms`,
-              'Load Event End': `${navEntry.loadEventEnd}ms`,
-              'Performance Origin': new Date(performance.timeOrigin).toISOString()
-            });
-            
-            console.log(`✅ Initial load baseline: ${this.baselineTime} (performance.timeOrigin + ${navEntry.fetchStart}ms)`);
-          } else {
-            this.baselineTime = performance.timeOrigin;
-            console.warn('⚠️ No navigation entry found, using performance.timeOrigin as fallback');
-          }
-        } catch (e) {
-          this.baselineTime = performance.timeOrigin;
-          console.error('❌ Error getting navigation timing, using performance.timeOrigin as fallback:', e);
-        }
-      } else {
-        // For route changes, use the precise route trigger time if available
-        const routeTriggerTime = currentView.routeTriggerTime;
-        const interactionBaseline = currentView.interactionBaseline;
-        
-        console.log('📊 Route Change Timing Details:');
-        console.table({
-          'View Start Time': `${currentView.startTime.toFixed(2)}ms`,
-          'Route Trigger Time': routeTriggerTime ? `${routeTriggerTime.toFixed(2)}ms ✅ USING THIS` : 'Not available',
-          'Interaction Baseline': interactionBaseline ? `${interactionBaseline.toFixed(2)}ms (alternative)` : 'Not available',
-          'Current Time': `${performance.now().toFixed(2)}ms`,
-          'View Creation Delay': routeTriggerTime ? `${(currentView.startTime - routeTriggerTime).toFixed(2)}ms` : 'N/A'
-        });
+      // Only notify if tracker is active
+      if (!loadingTimeTracker.isTracking || loadingTimeTracker.isComplete) {
+        console.log(`[Optima ViewScopedCollector] 🔄 Loading time tracker not active (isTracking: ${loadingTimeTracker.isTracking}, isComplete: ${loadingTimeTracker.isComplete})`);
+        return;
+      }
+      
+      console.log(`[Optima ViewScopedCollector] 🎯 Notifying loading time tracker about ${entries.length} resources`);
+      
+      entries.forEach(entry => {
+        const resourceStartTime = performance.timeOrigin + entry.startTime;
         
-        if (routeTriggerTime && typeof routeTriggerTime === 'number') {
-          // FIXED: Use precise route trigger time instead of current time
-          this.baselineTime = performance.timeOrigin + routeTriggerTime;
-          console.log(`✅ Route change baseline: ${this.baselineTime} (performance.timeOrigin + ${routeTriggerTime.toFixed(2)}ms)`);
-          console.log(`⚡ Precision advantage: ${((performance.timeOrigin + performance.now()) - this.baselineTime).toFixed(2)}ms earlier than current time`);
+        // Check if this resource should be considered for loading time
+        if (resourceStartTime >= loadingTimeTracker.baselineTime) {
+          // Add to pending resources and record activity with details
+          loadingTimeTracker.pendingResources.add(entry.name);
+          
+          const resourceDetails = {
+            url: entry.name,
+            type: entry.initiatorType || 'unknown',
+            size: entry.transferSize || 0,
+            duration: Math.round(entry.duration || 0),
+            startTime: Math.round(entry.startTime),
+            endTime: Math.round(entry.startTime + (entry.duration || 0))
+          };
+          
+          loadingTimeTracker.recordActivity('resource', resourceDetails);
+          
+          console.log(`[Optima ViewScopedCollector] 🎯 Notified loading time tracker about resource: ${entry.name.substring(entry.name.lastIndexOf('/') + 1)}`);
+          
+          // Remove from pending when complete
+          setTimeout(() => {
+            loadingTimeTracker.pendingResources.delete(entry.name);
+          }, 50);
         } else {
-          // Fallback to current time if route trigger time is not available
-          this.baselineTime = performance.timeOrigin + performance.now();
-          console.warn('⚠️ No route trigger time available, using current time as fallback');
-          console.log(`🔄 Fallback baseline: ${this.baselineTime} (performance.timeOrigin + ${performance.now().toFixed(2)}ms)`);
+          console.log(`[Optima ViewScopedCollector] ⏰ Resource filtered out (started before baseline): ${entry.name.substring(entry.name.lastIndexOf('/') + 1)}`);
         }
-      }
+      });
+    }
+
+    /**
+     * Collect existing resources that belong to current view
+     */
+    collectExistingResources() {
+      if (!this.viewManager.currentView) return;
       
-      this.startTime = this.baselineTime;
-      this.lastActivityTime = this.baselineTime;
+        const currentView = this.viewManager.currentView;
+        const isInitialLoad = currentView.type === 'initial';
+        
+      // Get all resource entries
+      const entries = performance.getEntriesByType('resource');
       
-      console.log(`🎯 FINAL BASELINE: ${this.baselineTime}`);
-      console.log(`📅 Baseline Date: ${new Date(this.baselineTime).toISOString()}`);
-      console.log(`⏱️ Time since baseline: ${((performance.timeOrigin + performance.now()) - this.baselineTime).toFixed(2)}ms`);
-      console.groupEnd();
+      // FIXED: Notify loading time tracker about existing resources
+      this.notifyLoadingTimeTrackerAboutExistingResources(entries, isInitialLoad);
       
-      // Enhanced loading time tracking start log
+      // Calculate filter time based on view type
+      const filterTime = isInitialLoad ? 0 : this.calculateRouteChangeFilterTime(currentView);
+      
+      // Enhanced logging for resource collection process
       console.group(
-        `%c🚀 Loading Time Tracking Started %c${this.viewType.toUpperCase()}`,
-        'color: #10b981; font-weight: bold; font-size: 14px;',
+        `%c📦 Resource Collection Process %c${currentView.type.toUpperCase()}`,
+        'color: #8b5cf6; font-weight: bold; font-size: 14px;',
         'color: #3b82f6; font-weight: bold; font-size: 12px; background: #eff6ff; padding: 2px 6px; border-radius: 4px;'
       );
       
-      console.log('%c📊 Tracking Configuration:', 'color: #6b7280; font-weight: bold;');
+      console.log('%c📊 Collection Configuration:', 'color: #6b7280; font-weight: bold;');
       console.table({
-        'View Type': this.viewType,
-        'Baseline Time': new Date(this.baselineTime).toISOString(),
-        'Quiet Period': `${this.quietPeriod}ms`,
-        'Max Wait Time': `${this.viewType === 'initial' ? this.maxWaitTime : 20000}ms`,
-        'Activity Sources': 'resource, xhr, fetch, dom_mutation'
+        'View Type': currentView.type,
+        'View Start Time': `${currentView.startTime.toFixed(2)}ms`,
+        'Filter Time': isInitialLoad ? '0ms (collect all)' : `${filterTime.toFixed(2)}ms`,
+        'Total Resources Available': entries.length,
+        'Is Initial Load': isInitialLoad
       });
       
-      console.groupEnd();
-      
-      // Setup activity monitoring
-      this.setupResourceObserver();
-      this.setupXHRMonitoring();
-      this.setupFetchMonitoring();
-      this.setupMutationObserver();
-      
-      // Start checking for completion
-      this.startCompletionCheck();
-      
-      // Maximum timeout - shorter for route changes
-      const timeout = this.viewType === 'initial' ? this.maxWaitTime : 20000; // 20s for route changes
-      setTimeout(() => {
-        if (!this.isComplete) {
-          this.complete('timeout');
+        if (!isInitialLoad) {
+        console.log('%c🎯 Route Change Filter Details:', 'color: #6b7280; font-weight: bold;');
+          if (currentView.interactionBaseline && typeof currentView.interactionBaseline === 'number') {
+          console.log(`🎯 Interaction baseline: ${currentView.interactionBaseline.toFixed(2)}ms (using for filtering)`);
+          console.log(`⚡ Baseline advantage: ${(currentView.routeTriggerTime && typeof currentView.routeTriggerTime === 'number') ? (currentView.routeTriggerTime - currentView.interactionBaseline).toFixed(2) : 'N/A'}ms earlier than route trigger`);
+          }
+          if (currentView.routeTriggerTime && typeof currentView.routeTriggerTime === 'number') {
+          console.log(`🎯 Route trigger time: ${currentView.routeTriggerTime.toFixed(2)}ms`);
+          console.log(`⏰ View creation delay: ${(currentView.startTime - currentView.routeTriggerTime).toFixed(2)}ms`);
         }
-      }, timeout);
-    }
-
-    recordActivity(source, details = null) {
-      if (this.isComplete || !this.isTracking) return;
-      
-      const currentTime = performance.timeOrigin + performance.now();
-      const timeSinceBaseline = currentTime - this.baselineTime;
-      const timeSinceLastActivity = currentTime - this.lastActivityTime;
-      
-      this.lastActivityTime = currentTime;
-      this.activitySources.add(source);
+      }
       
-      // Store detailed activity information
-      if (details) {
-        const activityRecord = {
-          type: source,
-          timestamp: currentTime,
-          timeSinceBaseline: Math.round(timeSinceBaseline),
-          ...details
-        };
-        this.detailedActivities.push(activityRecord);
+      // Track filtering results
+      let includedCount = 0;
+      let excludedCount = 0;
+      const includedResources = [];
+      const excludedResources = [];
         
-        // Limit detailed activities to prevent memory bloat (keep last 50)
-        if (this.detailedActivities.length > 50) {
-          this.detailedActivities = this.detailedActivities.slice(-50);
+        // Find releases.bundle.js for detailed lifecycle tracking
+        const releasesBundleEntry = entries.find(entry => entry.name.includes('releases.bundle.js'));
+        if (releasesBundleEntry) {
+        console.log(`🎯 LIFECYCLE START - releases.bundle.js detected in existing resources`);
+        console.log(`🎯 LIFECYCLE - Resource timing:`, {
+            resourceStartTime: this.safeToFixed(releasesBundleEntry.startTime),
+            routeTriggerTime: (currentView.routeTriggerTime && typeof currentView.routeTriggerTime === 'number') ? currentView.routeTriggerTime.toFixed(2) : 'N/A',
+            viewStartTime: this.safeToFixed(currentView.startTime),
+            filterTime: this.safeToFixed(filterTime),
+            timeDifference: this.safeToFixed(releasesBundleEntry.startTime - filterTime),
+            viewType: currentView.type,
+            isInitialLoad: isInitialLoad
+          });
         }
-      }
+        
+        // For initial load, collect all resources from buffer
+      // For route changes, only collect resources that started after filter time
+      entries.forEach(entry => {
+        const shouldInclude = isInitialLoad || entry.startTime >= filterTime;
+        
+        if (shouldInclude) {
+          // Process and add the resource
+          const resourceData = this.processResourceEntry(entry, currentView);
+          if (resourceData) {
+            if (this.viewManager.addResource(resourceData)) {
+              includedCount++;
+              includedResources.push({
+                name: this.truncateUrl(entry.name, 50),
+                startTime: entry.startTime.toFixed(2),
+                type: entry.initiatorType || 'unknown',
+                size: entry.transferSize || 0
+              });
+            }
+          }
+        } else {
+          excludedCount++;
+          excludedResources.push({
+            name: this.truncateUrl(entry.name, 50),
+            startTime: entry.startTime.toFixed(2),
+            timeDiff: (entry.startTime - filterTime).toFixed(2),
+            type: entry.initiatorType || 'unknown'
+          });
+        }
+      });
       
-      // Enhanced activity logging with context
-      console.log(
-        `%c📊 Activity Detected %c${source.toUpperCase()}`,
-        'color: #f59e0b; font-weight: bold;',
-        'color: #ffffff; background: #f59e0b; padding: 1px 4px; border-radius: 3px; font-size: 11px;'
-      );
-      console.log(`⏱️ Time since baseline: ${timeSinceBaseline.toFixed(2)}ms`);
-      console.log(`⏰ Time since last activity: ${timeSinceLastActivity.toFixed(2)}ms`);
-      if (details) {
-        console.log(`🔍 Activity details:`, details);
+      // Log filtering results
+      console.log('%c📊 Collection Results:', 'color: #10b981; font-weight: bold;');
+      console.table({
+        'Total Resources': entries.length,
+        'Included': includedCount,
+        'Excluded': excludedCount,
+        'Inclusion Rate': `${((includedCount / entries.length) * 100).toFixed(1)}%`
+      });
+      
+      // Show sample of included resources
+      if (includedResources.length > 0) {
+        console.log('%c✅ Sample Included Resources (first 5):', 'color: #10b981; font-weight: bold;');
+        console.table(includedResources.slice(0, 5));
       }
-      console.log(`📈 Active sources: [${Array.from(this.activitySources).join(', ')}]`);
-      console.log(`🔄 Pending: ${this.pendingRequests.size} requests, ${this.pendingResources.size} resources`);
       
-      // Reset completion check
-      if (this.checkInterval) {
-        clearTimeout(this.checkInterval);
+      // Show sample of excluded resources for route changes
+      if (!isInitialLoad && excludedResources.length > 0) {
+        console.log('%c❌ Sample Excluded Resources (first 5):', 'color: #ef4444; font-weight: bold;');
+        console.table(excludedResources.slice(0, 5));
       }
-      this.startCompletionCheck();
+      
+      console.log(`✅ Resource collection completed: ${includedCount} resources added to ${currentView.type} view`);
+      console.groupEnd();
     }
 
-    setupResourceObserver() {
-      if (!window.PerformanceObserver || 
-          !window.PerformanceObserver.supportedEntryTypes ||
-          !window.PerformanceObserver.supportedEntryTypes.includes('resource')) {
-        return;
-      }
-
-      try {
-        const observer = new PerformanceObserver((list) => {
-          if (this.isComplete || !this.isTracking) return;
+    /**
+     * Notify loading time tracker about existing resources in the buffer
+     * @param {Array} entries - All resource entries
+     * @param {boolean} isInitialLoad - Whether this is an initial load
+     */
+    notifyLoadingTimeTrackerAboutExistingResources(entries, isInitialLoad) {
+      // Get the loading time tracker from the web vitals collector
+      const webVitalsCollector = this.viewManager.webVitalsCollector;
+      if (!webVitalsCollector) {
+        console.warn('[Optima ViewScopedCollector] ⚠️ No webVitalsCollector found on viewManager for existing resources');
+        return;
+      }
+      
+      if (!webVitalsCollector.loadingTimeTracker) {
+        console.warn('[Optima ViewScopedCollector] ⚠️ No loadingTimeTracker found on webVitalsCollector for existing resources');
+        return;
+      }
+      
+      const loadingTimeTracker = webVitalsCollector.loadingTimeTracker;
+      
+      // Only notify if tracker is active
+      if (!loadingTimeTracker.isTracking || loadingTimeTracker.isComplete) {
+        console.log(`[Optima ViewScopedCollector] 🔄 Loading time tracker not active for existing resources (isTracking: ${loadingTimeTracker.isTracking}, isComplete: ${loadingTimeTracker.isComplete})`);
+        return;
+      }
+      
+      console.log(`[Optima ViewScopedCollector] 🎯 Notifying loading time tracker about ${entries.length} existing resources (isInitialLoad: ${isInitialLoad})`);
+      
+      let notifiedCount = 0;
+      
+      entries.forEach(entry => {
+        const resourceStartTime = performance.timeOrigin + entry.startTime;
+        
+        // Check if this resource should be considered for loading time
+        if (resourceStartTime >= loadingTimeTracker.baselineTime) {
+          // Add to pending resources and record activity with details
+          loadingTimeTracker.pendingResources.add(entry.name);
           
-          const entries = list.getEntries();
+          const resourceDetails = {
+            url: entry.name,
+            type: entry.initiatorType || 'unknown',
+            size: entry.transferSize || 0,
+            duration: Math.round(entry.duration || 0),
+            startTime: Math.round(entry.startTime),
+            endTime: Math.round(entry.startTime + (entry.duration || 0))
+          };
           
-          entries.forEach(entry => {
-            const resourceStartTime = performance.timeOrigin + entry.startTime;
-            
-            // For initial load: consider all resources after navigation start
-            // For route changes: consider resources after baseline (route change time)
-            if (resourceStartTime >= this.baselineTime) {
-              this.pendingResources.add(entry.name);
-              
-              // Create detailed activity information for this resource
-              const resourceDetails = {
-                url: entry.name,
-                type: entry.initiatorType || 'unknown',
-                size: entry.transferSize || 0,
-                duration: Math.round(entry.duration || 0),
-                startTime: Math.round(entry.startTime),
-                endTime: Math.round(entry.startTime + (entry.duration || 0))
-              };
-              
-              this.recordActivity('resource', resourceDetails);
-              
-              // Remove from pending when complete
-              setTimeout(() => {
-                this.pendingResources.delete(entry.name);
-              }, 50);
+          loadingTimeTracker.recordActivity('resource', resourceDetails);
+          notifiedCount++;
+          
+          // Remove from pending when complete
+          setTimeout(() => {
+            loadingTimeTracker.pendingResources.delete(entry.name);
+          }, 50);
+        }
+      });
+      
+      if (notifiedCount > 0) {
+        console.log(`[Optima ViewScopedCollector] 🎯 Notified loading time tracker about ${notifiedCount} existing resources`);
+      } else {
+        console.log(`[Optima ViewScopedCollector] ⏰ No existing resources met baseline criteria for loading time tracking`);
+      }
+    }
+
+    /**
+     * Helper method to truncate URLs for logging
+     * @param {string} url - URL to truncate
+     * @param {number} maxLength - Maximum length
+     * @returns {string} Truncated URL
+     */
+    truncateUrl(url, maxLength = 50) {
+      if (!url || url.length <= maxLength) return url;
+      return url.substring(0, maxLength - 3) + '...';
+    }
+
+    /**
+     * Calculate filter time for route changes - now aligned with loading time baseline
+     * @param {Object} currentView - Current view object
+     * @returns {number} Filter time in performance.now() format
+     */
+    calculateRouteChangeFilterTime(currentView) {
+      // FIXED: Use the same baseline logic as loading time tracker
+      const routeTriggerTime = currentView.routeTriggerTime;
+      const interactionBaseline = currentView.interactionBaseline;
+      
+      console.group('🎯 Resource Filter Time Calculation');
+      
+      if (routeTriggerTime && typeof routeTriggerTime === 'number') {
+        // Use precise route trigger time - ALIGNED with loading time baseline
+        console.log(`✅ Using route trigger time: ${routeTriggerTime.toFixed(2)}ms`);
+        console.log(`🎯 Filter baseline aligned with loading time baseline`);
+        console.groupEnd();
+        return routeTriggerTime;
+      } else if (interactionBaseline && typeof interactionBaseline === 'number') {
+        // Fallback to interaction baseline if available
+        console.log(`🔄 Using interaction baseline: ${interactionBaseline.toFixed(2)}ms`);
+        console.log(`⚠️ Route trigger time not available, using interaction fallback`);
+        console.groupEnd();
+        return interactionBaseline;
+            } else {
+        // Final fallback to view start time
+        console.warn(`⚠️ No route trigger or interaction time available, using view start time: ${currentView.startTime.toFixed(2)}ms`);
+        console.log(`🚨 Filter baseline NOT aligned with loading time baseline`);
+        console.groupEnd();
+        return currentView.startTime;
+      }
+    }
+
+    /**
+     * Process a single resource entry and return resource data
+     * @param {PerformanceResourceTiming} entry - Resource timing entry
+     * @param {Object} currentView - Current view object
+     * @returns {Object|null} Resource data object or null if should not be processed
+     */
+    processResourceEntry(entry, currentView) {
+      try {
+        // Skip if already processed
+        if (this.processedUrls.has(entry.name)) {
+          return null;
+        }
+        
+        // Skip if we shouldn't collect this resource
+        if (!this.shouldCollectResource(entry)) {
+          return null;
+        }
+        
+        // FIXED: For initial loads, don't filter by time - collect ALL resources
+        // For route changes, use proper filter time
+        const isInitialLoad = currentView.type === 'initial';
+        let filterTime = 0; // Default for initial load
+        
+        if (!isInitialLoad) {
+          // Only calculate filter time for route changes
+          filterTime = this.calculateRouteChangeFilterTime(currentView);
+        }
+        
+        // Extract full resource data with correct filter time
+        const resourceData = this.extractFullResourceData(entry, filterTime, isInitialLoad);
+        
+        // Mark as processed
+        this.processedUrls.add(entry.name);
+        
+        return resourceData;
+        
+      } catch (error) {
+        console.error('[Optima ViewScopedCollector] ❌ Error processing single resource:', entry.name, error);
+        return null;
+      }
+    }
+
+    /**
+     * Process resource entries and add to current view
+     * @param {Array} entries - Performance resource entries
+     */
+    processResourceEntries(entries) {
+      if (!this.viewManager.currentView || !this.viewManager.currentView.isActive) {
+        console.warn('[Optima ViewScopedCollector] ⚠️ No active view to process resources for');
+        return;
+      }
+      
+      const currentView = this.viewManager.currentView;
+      const isInitialLoad = currentView.type === 'initial';
+      
+      // FIXED: For initial loads, use 0 as filter time to collect ALL resources
+      // For route changes, calculate proper filter time
+      let filterTime = 0; // Default for initial load
+      
+      if (!isInitialLoad) {
+        // Only calculate filter time for route changes
+        if (currentView.interactionBaseline) {
+          filterTime = currentView.interactionBaseline;
+          console.log(`[Optima ViewScopedCollector] 🎯 Using interaction baseline for filtering: ${this.safeToFixed(filterTime)}ms`);
+        } else {
+          filterTime = currentView.routeTriggerTime || currentView.startTime;
+          console.log(`[Optima ViewScopedCollector] 🎯 Using route trigger time for filtering: ${this.safeToFixed(filterTime)}ms`);
+        }
+      } else {
+        console.log(`[Optima ViewScopedCollector] 🎯 Initial load: collecting ALL resources from time 0`);
+      }
+      
+      let processedCount = 0;
+      
+      
+      entries.forEach((entry, index) => {
+        const url = entry.name;
+        url.toLowerCase().includes('.js');
+        url.includes('bundle') || url.includes('chunk');
+        
+        // DETAILED LIFECYCLE TRACKING for releases.bundle.js in processResourceEntries
+        if (url.includes('releases.bundle.js')) {
+          console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - releases.bundle.js in processResourceEntries - Entry ${index + 1}/${entries.length}`);
+          console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - Processing checks begin:`, {
+            url: url,
+            startTime: this.safeToFixed(entry.startTime),
+            filterTime: this.safeToFixed(filterTime),
+            isInitialLoad: isInitialLoad,
+            viewType: currentView.type
+          });
+        }
+        
+        // Skip if already processed
+        if (this.processedUrls.has(entry.name)) {
+          if (url.includes('releases.bundle.js')) {
+            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE END - releases.bundle.js SKIPPED: already processed`);
+            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - processedUrls contains:`, Array.from(this.processedUrls).filter(u => u.includes('releases.bundle')));
+          }
+          return;
+        }
+
+        if (url.includes('releases.bundle.js')) {
+          console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - releases.bundle.js passed alreadyProcessed check`);
+        }
+        
+        // FIXED: For initial loads, collect ALL resources (no timing check)
+        // For route changes, skip if started before filter time
+        if (!isInitialLoad && entry.startTime < filterTime) {
+          if (url.includes('releases.bundle.js')) {
+            const timeType = currentView.routeTriggerTime ? 'route trigger' : 'view start';
+            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE END - releases.bundle.js SKIPPED: timing check failed`);
+            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - Timing details:`, {
+              resourceStartTime: this.safeToFixed(entry.startTime),
+              filterTime: this.safeToFixed(filterTime),
+              timeType: timeType,
+              timeDifference: this.safeToFixed(entry.startTime - filterTime),
+              condition: `${this.safeToFixed(entry.startTime)} < ${this.safeToFixed(filterTime)}`,
+              result: 'FAILED - resource started before filter time'
+            });
+          }
+          return;
+        }
+        
+        if (url.includes('releases.bundle.js')) {
+          console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - releases.bundle.js passed timing check`);
+          console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - Timing validation:`, {
+            condition: isInitialLoad ? 'initial load (no timing check)' : `${this.safeToFixed(entry.startTime)} >= ${this.safeToFixed(filterTime)}`,
+            result: 'PASSED'
+          });
+        }
+        
+        // Skip if we shouldn't collect this resource
+        if (!this.shouldCollectResource(entry)) {
+          if (url.includes('releases.bundle.js')) {
+            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE END - releases.bundle.js SKIPPED: shouldCollectResource returned false`);
+          }
+          return;
+        }
+        
+        if (url.includes('releases.bundle.js')) {
+          console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - releases.bundle.js passed shouldCollectResource check`);
+          console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - Proceeding to extract resource data and add to view`);
+        }
+        
+        try {
+          // Extract full resource data maintaining existing structure
+          const resourceData = this.extractFullResourceData(entry, filterTime, isInitialLoad);
+          
+          if (url.includes('releases.bundle.js')) {
+            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - releases.bundle.js resource data extracted:`, {
+              name: resourceData.name,
+              type: resourceData.type,
+              size: resourceData.transfer_size,
+              startTime: resourceData.start_time,
+              duration: resourceData.duration,
+              viewId: resourceData.viewId.substring(0, 8)
+            });
+          }
+          
+          // Add to current view
+          this.viewManager.addResource(resourceData);
+          
+          if (url.includes('releases.bundle.js')) {
+            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - releases.bundle.js added to ViewManager`);
+          }
+          
+          // Check if this is an AJAX request and extract it
+          // (calls seen by the AJAX collector are recorded there with their real outcome)
+          const ajaxCollector = this.viewManager.sdk?.ajaxCollector;
+          if (this.isAjaxRequest(entry) && !(ajaxCollector && ajaxCollector.covers(entry))) {
+            const ajaxData = this.convertToAjaxData(resourceData, entry);
+            this.viewManager.addAjaxRequest(ajaxData);
+            
+            if (url.includes('releases.bundle.js')) {
+              console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - releases.bundle.js also processed as AJAX request`);
+            }
+          }
+          
+          this.processedUrls.add(entry.name);
+          processedCount++;
+          
+          if (url.includes('releases.bundle.js')) {
+            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE SUCCESS - releases.bundle.js processing completed successfully`);
+            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE - Added to processedUrls, total processed: ${processedCount}`);
+          }
+          
+        } catch (error) {
+          console.error('[Optima ViewScopedCollector] ❌ Error processing resource:', entry.name, error);
+          if (url.includes('releases.bundle.js')) {
+            console.log(`[Optima ViewScopedCollector] 🎯 LIFECYCLE ERROR - releases.bundle.js processing failed:`, error);
+          }
+        }
+      });
+    }
+
+    /**
+     * Extract full resource data maintaining existing structure
+     * @param {PerformanceResourceTiming} entry - Resource timing entry
+     * @param {number} filterTime - Filter time for relative calculations
+     * @param {boolean} isInitialLoad - Whether this is an initial load
+     * @returns {Object} Resource data object
+     */
+    extractFullResourceData(entry, filterTime, isInitialLoad) {
+      this.viewManager.currentView;
+      
+      // FIXED: For initial load, use absolute timing from navigation start
+      // For route changes, use relative timing from filter time
+      let viewRelativeStartTime;
+      
+      if (isInitialLoad) {
+        // For initial loads, use absolute timing from navigation start (entry.startTime is already relative to navigation start)
+        viewRelativeStartTime = entry.startTime;
+      } else {
+        // For route changes, use relative timing from filter time
+        viewRelativeStartTime = entry.startTime - filterTime;
+      }
+      
+      // Calculate all timing values
+      const dnsTime = Math.round(entry.domainLookupEnd - entry.domainLookupStart);
+      const tlsTime = entry.secureConnectionStart ? 
+        Math.round(entry.connectEnd - entry.secureConnectionStart) : 0;
+      const connectionTime = Math.round(entry.connectEnd - entry.connectStart);
+      const requestTime = Math.round(entry.responseStart - entry.requestStart);
+      const responseTime = Math.round(entry.responseEnd - entry.responseStart);
+      const duration = Math.round(entry.duration);
+      
+      // Determine resource type
+      const resourceType = this.getResourceType(entry);
+      
+      // Determine cache status
+      const cacheStatus = this.getCacheStatus(entry);
+      
+      // Build resource data object (maintaining existing structure)
+      const resourceData = {
+        // Basic resource info
+        name: entry.name,
+        size: entry.transferSize || 0,
+        ttfb: requestTime,
+        type: resourceType,
+        
+        // Timing object (existing structure)
+        timing: {
+          dns: dnsTime,
+          tls: tlsTime,
+          request: requestTime,
+          response: responseTime,
+          connection: connectionTime
+        },
+        
+        // Individual timing fields (existing structure)
+        dnsTime: dnsTime,
+        tlsTime: tlsTime,
+        dns_time: dnsTime,
+        tls_time: tlsTime,
+        duration: duration,
+        downloadTime: responseTime,
+        download_time: responseTime,
+        connectionTime: connectionTime,
+        connection_time: connectionTime,
+        
+        // View-relative timing - FIXED to use correct calculation
+        start_time: Math.round(viewRelativeStartTime),
+        
+        // Cache and transfer info
+        cacheStatus: cacheStatus,
+        cache_status: cacheStatus,
+        decoded_size: entry.decodedBodySize || 0,
+        encoded_size: entry.encodedBodySize || 0,
+        transfer_size: entry.transferSize || 0,
+        
+        // Performance timing details
+        connect_end: Math.round(entry.connectEnd),
+        connect_start: Math.round(entry.connectStart),
+        fetch_start: Math.round(entry.fetchStart),
+        response_end: Math.round(entry.responseEnd),
+        response_start: Math.round(entry.responseStart),
+        request_start: Math.round(entry.requestStart),
+        domain_lookup_end: Math.round(entry.domainLookupEnd),
+        domain_lookup_start: Math.round(entry.domainLookupStart),
+        secure_connection_start: Math.round(entry.secureConnectionStart || 0),
+        
+        // Protocol info
+        next_hop_protocol: entry.nextHopProtocol || 'unknown',
+        initiator_type: entry.initiatorType || 'other',
+        
+        // Server-Timing metrics (filtered by serverTimingAllowlist)
+        server_timing: extractServerTiming(entry, this.viewManager.sdk?.config?.serverTimingAllowlist),
+        
+        // View metadata
+        viewId: this.viewManager.currentView.id,
+        viewType: this.viewManager.currentView.type,
+        view_relative_timing: true,
+        
+        // Debug info
+        debug_info: {
+          original_start_time: entry.startTime,
+          filter_time: filterTime,
+          is_initial_load: isInitialLoad,
+          calculation_method: isInitialLoad ? 'absolute_from_navigation' : 'relative_from_filter'
+        }
+      };
+      
+      return resourceData;
+    }
+
+    /**
+     * Determine if resource entry is an AJAX request
+     * @param {PerformanceResourceTiming} entry - Resource timing entry
+     * @returns {boolean} True if AJAX request
+     */
+    isAjaxRequest(entry) {
+      // Check initiator type first (most reliable)
+      if (entry.initiatorType === 'xmlhttprequest' || entry.initiatorType === 'fetch') {
+        return true;
+      }
+      
+      // Check if it's marked as AJAX in our system
+      if (entry.is_ajax === true) {
+        return true;
+      }
+      
+      // Additional heuristics for AJAX detection
+      const url = entry.name.toLowerCase();
+      
+      // Skip common static resource types
+      if (url.endsWith('.js') || url.endsWith('.css') || url.endsWith('.png') || 
+          url.endsWith('.jpg') || url.endsWith('.jpeg') || url.endsWith('.gif') || 
+          url.endsWith('.svg') || url.endsWith('.woff') || url.endsWith('.woff2') || 
+          url.endsWith('.ttf') || url.endsWith('.ico')) {
+        return false;
+      }
+      
+      // Check for API-like URLs
+      if (url.includes('/api/') || url.includes('/ajax/') || url.includes('/graphql')) {
+        return true;
+      }
+      
+      return false;
+    }
+
+    /**
+     * Convert resource data to AJAX data format
+     * @param {Object} resourceData - Resource data object
+     * @param {PerformanceResourceTiming} entry - Original performance entry
+     * @returns {Object} AJAX data object
+     */
+    convertToAjaxData(resourceData, entry) {
+      return {
+        type: entry.initiatorType === 'xmlhttprequest' ? 'xhr' : 'fetch',
+        method: 'GET', // Default, as we can't determine from Performance API
+        method_inferred: true,
+        url: resourceData.name,
+        serverTiming: resourceData.server_timing,
+        status: 200, // Default, as we can't determine from Performance API
+        statusText: 'OK',
+        startTime: resourceData.start_time,
+        duration: resourceData.duration,
+        async: true,
+        requestPayloadSize: 0, // Not available from Performance API
+        responseSize: resourceData.transfer_size,
+        aborted: false,
+        errored: false,
+        timedOut: false,
+        timestamp: Date.now(),
+        resourceTiming: {
+          startTime: resourceData.start_time,
+          duration: resourceData.duration,
+          domainLookupTime: resourceData.dnsTime,
+          connectTime: resourceData.connectionTime,
+          tlsTime: resourceData.tlsTime,
+          requestStartTime: resourceData.request_start,
+          ttfb: resourceData.ttfb,
+          downloadTime: resourceData.downloadTime,
+          entryType: 'resource',
+          initiatorType: entry.initiatorType
+        },
+        requestHeaders: {
+          'content-type': 'unknown',
+          'content-length': 'unknown'
+        },
+        responseHeaders: {
+          'content-type': 'unknown',
+          'content-length': resourceData.transfer_size.toString(),
+          'cache-control': 'unknown'
+        },
+        
+        // View metadata
+        viewId: this.viewManager.currentView.id,
+        viewType: this.viewManager.currentView.type
+      };
+    }
+
+    /**
+     * Determine resource type from performance entry
+     * @param {PerformanceResourceTiming} entry - Resource timing entry
+     * @returns {string} Resource type
+     */
+    getResourceType(entry) {
+      const url = entry.name.toLowerCase();
+      
+      // FIXED: Check for JavaScript files first, regardless of initiatorType
+      // This handles cases where JS files are loaded via <link> tags (modulepreload, prefetch, etc.)
+      // which would have initiatorType='link' but are actually JavaScript files
+      if (url.endsWith('.js')) return 'script';
+      
+      // Check by initiator type for non-JS files
+      if (entry.initiatorType === 'img') return 'image';
+      if (entry.initiatorType === 'script') return 'script';
+      if (entry.initiatorType === 'link') return 'stylesheet';
+      if (entry.initiatorType === 'xmlhttprequest') return 'xhr';
+      if (entry.initiatorType === 'fetch') return 'fetch';
+      
+      // Fallback to URL-based detection for other file types
+      if (url.endsWith('.css')) return 'stylesheet';
+      if (url.endsWith('.png') || url.endsWith('.jpg') || url.endsWith('.jpeg') || 
+          url.endsWith('.gif') || url.endsWith('.svg') || url.endsWith('.webp')) return 'image';
+      if (url.endsWith('.woff') || url.endsWith('.woff2') || url.endsWith('.ttf')) return 'font';
+      if (url.endsWith('.mp4') || url.endsWith('.webm') || url.endsWith('.ogg')) return 'media';
+      
+      return 'other';
+    }
+
+    /**
+     * Determine cache status from performance entry
+     * @param {PerformanceResourceTiming} entry - Resource timing entry
+     * @returns {string} Cache status
+     */
+    getCacheStatus(entry) {
+      // If transfer size is 0 but encoded size > 0, likely from cache
+      if (entry.transferSize === 0 && entry.encodedBodySize > 0) {
+        return 'cache';
+      }
+      
+      // If transfer size > 0, came from network
+      if (entry.transferSize > 0) {
+        return 'network';
+      }
+      
+      // If both are 0, might be cached or failed
+      if (entry.transferSize === 0 && entry.encodedBodySize === 0) {
+        return 'unknown';
+      }
+      
+      return 'network';
+    }
+
+    /**
+     * Determine if we should collect this resource
+     * @param {PerformanceResourceTiming} entry - Resource timing entry
+     * @returns {boolean} True if should collect
+     */
+    shouldCollectResource(entry) {
+      const url = entry.name;
+
+      // Get SDK config for exclusion list
+      const sdkConfig = this.viewManager.sdk?.config || {};
+
+      // Use the unified exclusion list for consistency across all SDK components
+      if (isInExclusionList(url, sdkConfig)) {
+        return false;
+      }
+
+      // Skip data URLs
+      if (url.startsWith('data:')) {
+        return false;
+      }
+      
+      // Skip blob URLs
+      if (url.startsWith('blob:')) {
+        return false;
+      }
+      
+      return true;
+    }
+
+    /**
+     * Get processed URLs count for debugging
+     * @returns {number} Number of processed URLs
+     */
+    getProcessedCount() {
+      return this.processedUrls.size;
+    }
+
+    /**
+     * Reset collector state
+     */
+    reset() {  
+      this.processedUrls.clear();
+      
+      if (this.resourceObserver && this.isObserving) {
+        this.resourceObserver.disconnect();
+        this.isObserving = false;
+      }
+    }
+
+    /**
+     * Get debug information about resource collection
+     */
+    getDebugInfo() {
+      const allResources = performance.getEntriesByType('resource');
+      return {
+        totalDetected: allResources.length,
+        totalProcessed: this.processedUrls.size,
+        jsFiles: allResources.filter(entry => entry.name.toLowerCase().includes('.js')).length,
+        bundleFiles: allResources.filter(entry => entry.name.includes('bundle') || entry.name.includes('chunk')).length,
+        processedUrls: Array.from(this.processedUrls)
+      };
+    }
+  }
+
+  /**
+   * Layout Shift Analysis Utilities
+   * Functions for analyzing layout shifts and identifying their sources
+   */
+
+  /**
+   * Extract information about the largest layout shift source
+   * @param {PerformanceEntry} entry - The layout-shift performance entry
+   * @returns {Object|null} Detailed information about the shift source or null if no sources
+   */
+  function getLargestShiftSource(entry) {
+    // Safety check - if no entry, sources, or empty sources array, return null
+    if (!entry || !entry.sources || entry.sources.length === 0) {
+      return null;
+    }
+    
+    try {
+      // Find the source with the largest impact
+      const largestSource = entry.sources.reduce((largest, source) => {
+        try {
+          // Some browsers provide impactValue, otherwise we estimate from node and geometry
+          const currentImpact = source.impactValue || calculateImpactValue(source);
+          const largestImpact = largest.impactValue || calculateImpactValue(largest);
+          
+          return currentImpact > largestImpact ? source : largest;
+        } catch (err) {
+          // If there's an error calculating impact, use the current largest
+          return largest;
+        }
+      }, entry.sources[0]);
+      
+      // Safety check - if no largest source found
+      if (!largestSource) {
+        return null;
+      }
+      
+      // Get the DOM node or element that shifted
+      const node = largestSource.node;
+      
+      // If no node is available, return position data only
+      if (!node) {
+        return {
+          previousRect: formatRect(largestSource.previousRect),
+          currentRect: formatRect(largestSource.currentRect),
+          impactValue: largestSource.impactValue || calculateImpactValue(largestSource),
+          nodeLost: true,
+          shiftType: determineShiftType(largestSource)
+        };
+      }
+      
+      // Get more detailed information about the element
+      return {
+        // Element identification - with safety checks
+        tagName: node.tagName || 'UNKNOWN',
+        id: node.id || null,
+        className: typeof node.className === 'string' ? node.className : null,
+        cssPath: generateCSSPath(node),
+        domPath: generateDOMPath(node),
+        
+        // Element content
+        textContent: getNodeText(node),
+        
+        // Element attributes useful for debugging
+        attributes: getElementAttributes(node),
+        
+        // Position data
+        previousRect: formatRect(largestSource.previousRect),
+        currentRect: formatRect(largestSource.currentRect),
+        impactValue: largestSource.impactValue || calculateImpactValue(largestSource),
+        
+        // Shift metadata
+        shiftType: determineShiftType(largestSource),
+        isAnimating: isNodeAnimating(node),
+        isImage: node.tagName === 'IMG',
+        isIframe: node.tagName === 'IFRAME',
+        isVideo: node.tagName === 'VIDEO'
+      };
+    } catch (error) {
+      // If there's an error processing the layout shift, log it and return null
+      return null;
+    }
+  }
+
+  /**
+   * Calculate visual impact value of a shift source when not directly provided
+   * @param {Object} source - The layout shift source
+   * @returns {number} Estimated impact value
+   */
+  function calculateImpactValue(source) {
+    // No source or rects
+    if (!source || !source.previousRect || !source.currentRect) {
+      return 0;
+    }
+    
+    // We can estimate impact from the displacement distance and size of element
+    const prev = source.previousRect;
+    const curr = source.currentRect;
+    
+    // Distance moved
+    const dx = Math.abs(prev.x - curr.x);
+    const dy = Math.abs(prev.y - curr.y);
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    
+    // Size of element
+    const area = Math.max(
+      prev.width * prev.height,
+      curr.width * curr.height
+    );
+    
+    // Simple impact estimate: area × distance normalized to viewport
+    const viewportArea = window.innerWidth * window.innerHeight;
+    
+    return distance * (area / viewportArea);
+  }
+
+  /**
+   * Format a DOMRectReadOnly for easier display and analysis
+   * @param {DOMRectReadOnly} rect - The DOM rect object
+   * @returns {Object} Formatted rect with rounded values
+   */
+  function formatRect(rect) {
+    if (!rect) return null;
+    
+    return {
+      x: Math.round(rect.x),
+      y: Math.round(rect.y),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height),
+      top: Math.round(rect.top),
+      right: Math.round(rect.right),
+      bottom: Math.round(rect.bottom),
+      left: Math.round(rect.left)
+    };
+  }
+
+  /**
+   * Generate a CSS selector path for an element
+   * @param {Element} element - The DOM element
+   * @returns {string} CSS path for the element
+   */
+  function generateCSSPath(element) {
+    if (!element) return null;
+    
+    const path = [];
+    let currentElement = element;
+    
+    while (currentElement && currentElement.nodeType === Node.ELEMENT_NODE) {
+      let selector = currentElement.tagName.toLowerCase();
+      
+      // Add ID if present (most specific)
+      if (currentElement.id) {
+        selector += `#${currentElement.id}`;
+        path.unshift(selector);
+        break; // ID is unique, no need to go further up the tree
+      }
+      
+      // Add classes if present
+      if (currentElement.className && typeof currentElement.className === 'string') {
+        const classes = currentElement.className.trim().split(/\s+/);
+        if (classes.length > 0 && classes[0] !== '') {
+          selector += `.${classes.join('.')}`;
+        }
+      }
+      
+      // Try to add :nth-child for more specificity
+      let sibling = currentElement;
+      let nthChild = 1;
+      
+      while (sibling = sibling.previousElementSibling) {
+        nthChild++;
+      }
+      
+      if (nthChild > 1) {
+        selector += `:nth-child(${nthChild})`;
+      }
+      
+      path.unshift(selector);
+      
+      // Stop if we've reached the body or if path is getting too long
+      if (currentElement.tagName.toLowerCase() === 'body' || path.length >= 5) {
+        break;
+      }
+      
+      currentElement = currentElement.parentNode;
+    }
+    
+    return path.join(' > ');
+  }
+
+  /**
+   * Generate a DOM path for an element
+   * @param {Element} element - The DOM element
+   * @returns {string} DOM path
+   */
+  function generateDOMPath(element) {
+    if (!element) return null;
+    
+    const path = [];
+    let currentElement = element;
+    
+    while (currentElement && currentElement.nodeType === Node.ELEMENT_NODE) {
+      let selector = currentElement.tagName.toLowerCase();
+      
+      // Add ID if present (most specific)
+      if (currentElement.id) {
+        selector = `${selector}#${currentElement.id}`;
+      }
+      
+      path.unshift(selector);
+      
+      // Stop if we've reached the body or if path is getting too long
+      if (currentElement.tagName.toLowerCase() === 'body' || path.length >= 5) {
+        break;
+      }
+      
+      currentElement = currentElement.parentNode;
+    }
+    
+    return path.join(' > ');
+  }
+
+  /**
+   * Check if a node is inside an element marked with `data-optima-mask`
+   * Text of masked elements is never collected.
+   * @param {Node} node - The DOM node
+   * @returns {boolean} True if the node's text must be masked
+   */
+  function isMaskedNode(node) {
+    const element = node && (node.nodeType === 1 ? node : node.parentElement);
+    return !!(element && element.closest && element.closest('[data-optima-mask]'));
+  }
+
+  /**
+   * Get trimmed text content from a node
+   * @param {Node} node - The DOM node
+   * @returns {string|null} Trimmed text content ('[masked]' under `data-optima-mask`)
+   */
+  function getNodeText(node) {
+    if (!node || !node.textContent) return null;
+    if (isMaskedNode(node)) return '[masked]';
+    
+    // Trim and normalize whitespace
+    const text = node.textContent.trim().replace(/\s+/g, ' ');
+    
+    // Limit length for efficiency
+    return text.length > 60 ? text.substring(0, 60) + '...' : text;
+  }
+
+  /**
+   * Get key attributes from an element
+   * @param {Element} element - The DOM element
+   * @returns {Object} Map of relevant attributes
+   */
+  function getElementAttributes(element) {
+    if (!element || !element.attributes) return {};
+    
+    const relevantAttrs = {};
+    const importantAttrs = ['src', 'href', 'alt', 'title', 'aria-label', 'role', 'data-testid'];
+    
+    // Extract specific attributes we care about
+    importantAttrs.forEach(attr => {
+      if (element.hasAttribute(attr)) {
+        relevantAttrs[attr] = element.getAttribute(attr);
+      }
+    });
+    
+    // Add any data-* attributes
+    for (let i = 0; i < element.attributes.length; i++) {
+      const attr = element.attributes[i];
+      if (attr.name.startsWith('data-') && !importantAttrs.includes(attr.name)) {
+        relevantAttrs[attr.name] = attr.value;
+      }
+    }
+    
+    return relevantAttrs;
+  }
+
+  /**
+   * Determine what kind of shift occurred
+   * @param {Object} source - The layout shift source
+   * @returns {string} The type of shift that occurred
+   */
+  function determineShiftType(source) {
+    if (!source || !source.previousRect || !source.currentRect) {
+      return 'unknown';
+    }
+    
+    const prev = source.previousRect;
+    const curr = source.currentRect;
+    
+    // Check if element appeared
+    if (prev.width === 0 && prev.height === 0 && (curr.width > 0 || curr.height > 0)) {
+      return 'appeared';
+    }
+    
+    // Check if element disappeared
+    if (curr.width === 0 && curr.height === 0 && (prev.width > 0 || prev.height > 0)) {
+      return 'disappeared';
+    }
+    
+    // Check resize vs move
+    const sizeChanged = Math.abs(prev.width - curr.width) > 1 || Math.abs(prev.height - curr.height) > 1;
+    const positionChanged = Math.abs(prev.x - curr.x) > 1 || Math.abs(prev.y - curr.y) > 1;
+    
+    if (sizeChanged && positionChanged) {
+      return 'resize-and-move';
+    }
+    
+    if (sizeChanged) {
+      return 'resize';
+    }
+    
+    if (positionChanged) {
+      return 'move';
+    }
+    
+    return 'unknown';
+  }
+
+  /**
+   * Check if a node is likely involved in an animation
+   * @param {Element} node - The DOM node
+   * @returns {boolean} Whether the node appears to be animating
+   */
+  function isNodeAnimating(node) {
+    if (!node || !window.getComputedStyle) {
+      return false;
+    }
+    
+    try {
+      const style = window.getComputedStyle(node);
+      
+      // Check for CSS transitions or animations
+      return (
+        style.transitionDuration !== '0s' ||
+        style.animationName !== 'none' ||
+        node.classList.contains('animate') ||
+        node.classList.contains('fade') ||
+        node.classList.contains('slide')
+      );
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * View-Scoped AJAX Collector for Optima SDK
+   * Instruments XHR and fetch to record real request outcomes per view
+   */
+
+  // Response headers captured when ajaxResponseHeaders is not configured
+  const DEFAULT_AJAX_RESPONSE_HEADERS = ['content-type', 'content-length', 'cache-control', 'x-request-id'];
+
+  /**
+   * ViewScopedAjaxCollector - Records XHR/fetch calls on the view active when they started
+   * Patches are installed once for the lifetime of the SDK, unlike the loading time
+   * tracker's, which only watch for activity while a view is loading.
+   */
+  class ViewScopedAjaxCollector {
+    constructor(viewManager) {
+      this.viewManager = viewManager;
+      this.isActive = false;
+      this.originalXHROpen = null;
+      this.originalXHRSend = null;
+      this.originalXHRSetRequestHeader = null;
+      this.originalFetch = null;
+      this.patchedXHROpen = null;
+      this.patchedXHRSend = null;
+      this.patchedXHRSetRequestHeader = null;
+      this.patchedFetch = null;
+      this.correlatedEntries = new WeakSet(); // Resource timing entries already matched to a call
+      this.pendingCalls = []; // Recorded calls not yet matched to a resource entry
+
+      console.log('[Optima AjaxCollector] 🌐 AJAX collector initialized');
+    }
+
+    /**
+     * Install the XHR and fetch instrumentation
+     */
+    start() {
+      if (this.isActive) return;
+
+      this.setupXHRInstrumentation();
+      this.setupFetchInstrumentation();
+
+      this.isActive = true;
+
+      console.log('[Optima AjaxCollector] ✅ XHR/fetch instrumentation installed');
+    }
+
+    /**
+     * Get SDK config
+     * @returns {Object} SDK config
+     */
+    getConfig() {
+      return this.viewManager.sdk?.config || {};
+    }
+
+    /**
+     * Check if a resource entry belongs to a call this collector recorded
+     * The resource collector uses this to skip its own guesses for these calls only;
+     * calls the patches never saw (fetch references taken before init, calls made with
+     * no current view) still reach it.
+     * @param {PerformanceResourceTiming} entry - Resource timing entry
+     * @returns {boolean} True if the call is covered by the instrumentation
+     */
+    covers(entry) {
+      if (!this.isActive) return false;
+      if (this.correlatedEntries.has(entry)) return true;
+
+      // The entry can be observed before its call settles and gets correlated
+      return this.pendingCalls.some(call => call.url === entry.name && entry.startTime >= call.startTime - 1);
+    }
+
+    /**
+     * Stop waiting for a call's resource entry
+     * @param {Object} call - Call state
+     */
+    untrackCall(call) {
+      this.pendingCalls = this.pendingCalls.filter(pending => pending !== call);
+    }
+
+    /**
+     * Remember a recorded call until it is matched to its resource entry
+     * @param {Object} call - Call state
+     */
+    trackCall(call) {
+      // Settled calls that never got an entry (e.g. blocked by the browser) are dropped after 5s
+      const now = performance.now();
+      this.pendingCalls = this.pendingCalls.filter(pending => !pending.unmatchedSince || now - pending.unmatchedSince < 5000);
+
+      this.pendingCalls.push(call);
+      if (this.pendingCalls.length > 100) {
+        this.pendingCalls.shift();
+      }
+    }
+
+    /**
+     * Patch XMLHttpRequest
+     */
+    setupXHRInstrumentation() {
+      if (!window.XMLHttpRequest) return;
+
+      this.originalXHROpen = XMLHttpRequest.prototype.open;
+      this.originalXHRSend = XMLHttpRequest.prototype.send;
+      this.originalXHRSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+
+      const self = this;
+
+      this.patchedXHROpen = XMLHttpRequest.prototype.open = function(method, url, async) {
+        this._optimaAjax = {
+          method: (method || 'GET').toUpperCase(),
+          url: self.resolveUrl(url),
+          async: async !== false,
+          requestHeaders: {}
+        };
+        return self.originalXHROpen.apply(this, arguments);
+      };
+
+      this.patchedXHRSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+        const headerName = String(name).toLowerCase();
+        if (this._optimaAjax && headerName === 'content-type') {
+          this._optimaAjax.requestHeaders['content-type'] = value;
+        } else if (this._optimaAjax && headerName === 'traceparent') {
+          this._optimaAjax.hasTraceparent = true; // The app traces this call itself
+        }
+        return self.originalXHRSetRequestHeader.apply(this, arguments);
+      };
+
+      this.patchedXHRSend = XMLHttpRequest.prototype.send = function(body) {
+        const call = this._optimaAjax;
+        if (!call || !self.shouldRecord(call.url)) {
+          return self.originalXHRSend.apply(this, arguments);
+        }
+
+        call.view = self.viewManager.currentView;
+        call.startTime = performance.now();
+        call.requestPayloadSize = self.getBodySize(body);
+        call.graphqlOperations = self.parseGraphQL(call.url, body);
+        self.trackCall(call);
+
+        const xhr = this;
+        const trace = call.hasTraceparent ? null : self.createTraceContext(call);
+        if (trace) {
+          Object.entries(trace.headers).forEach(([name, value]) => {
+            self.originalXHRSetRequestHeader.call(xhr, name, value);
+          });
+        }
+
+        // Listeners are removed at loadend: an XHR reused for another call must not replay this one
+        let outcome = null;
+        const onError = () => { outcome = 'error'; };
+        const onAbort = () => { outcome = 'abort'; };
+        const onTimeout = () => { outcome = 'timeout'; };
+        const onLoadEnd = () => {
+          xhr.removeEventListener('error', onError);
+          xhr.removeEventListener('abort', onAbort);
+          xhr.removeEventListener('timeout', onTimeout);
+          xhr.removeEventListener('loadend', onLoadEnd);
+
+          self.recordCall(call, {
+            type: 'xhr',
+            status: xhr.status,
+            statusText: xhr.statusText,
+            outcome: outcome,
+            responseHeaders: self.readHeaders(name => xhr.getResponseHeader(name)),
+            responseSize: self.getXHRResponseSize(xhr)
+          });
+        };
+        xhr.addEventListener('error', onError);
+        xhr.addEventListener('abort', onAbort);
+        xhr.addEventListener('timeout', onTimeout);
+        xhr.addEventListener('loadend', onLoadEnd);
+
+        return self.originalXHRSend.apply(this, arguments);
+      };
+    }
+
+    /**
+     * Patch window.fetch
+     */
+    setupFetchInstrumentation() {
+      if (!window.fetch) return;
+
+      this.originalFetch = window.fetch;
+      const self = this;
+
+      this.patchedFetch = window.fetch = function(input, init) {
+        const request = typeof Request !== 'undefined' && input instanceof Request ? input : null;
+        const url = self.resolveUrl(request ? request.url : String(input));
+
+        if (!self.shouldRecord(url)) {
+          return self.originalFetch.apply(this, arguments);
+        }
+
+        const headers = init?.headers || request?.headers;
+
+        // A Request's body can only be read asynchronously, so its size is unknown
+        const bodyKnown = !request || (init && init.body !== undefined);
+        const call = {
+          method: (init?.method || request?.method || 'GET').toUpperCase(),
+          url: url,
+          async: true,
+          requestHeaders: {},
+          view: self.viewManager.currentView,
+          startTime: performance.now(),
+          requestPayloadSize: bodyKnown ? self.getBodySize(init?.body) : null
+        };
+        call.graphqlOperations = bodyKnown || call.method === 'GET' ? self.parseGraphQL(url, init?.body) : null;
+        self.trackCall(call);
+
+        const contentType = self.readRequestHeader(headers, 'content-type');
+        if (contentType) {
+          call.requestHeaders['content-type'] = contentType;
+        }
+
+        let args = arguments;
+        const trace = self.readRequestHeader(headers, 'traceparent') ? null : self.createTraceContext(call);
+        if (trace) {
+          const tracedHeaders = new Headers(headers || undefined);
+          Object.entries(trace.headers).forEach(([name, value]) => tracedHeaders.set(name, value));
+          args = [input, { ...init, headers: tracedHeaders }];
+        }
+
+        return self.originalFetch.apply(this, args).then(response => {
+          const contentLength = response.headers.get('content-length');
+          self.recordCall(call, {
+            type: 'fetch',
+            status: response.status,
+            statusText: response.statusText,
+            outcome: null,
+            responseHeaders: self.readHeaders(name => response.headers.get(name)),
+            responseSize: contentLength !== null ? parseInt(contentLength, 10) : null
+          });
+          return response;
+        }, error => {
+          self.recordCall(call, {
+            type: 'fetch',
+            status: 0,
+            statusText: '',
+            outcome: error && error.name === 'AbortError' ? 'abort' : 'error',
+            responseHeaders: {},
+            responseSize: null
+          });
+          throw error;
+        });
+      };
+    }
+
+    /**
+     * Get the tracing config with defaults for omitted keys
+     * @returns {Object} Tracing config
+     */
+    getTracingConfig() {
+      return {
+        enabled: false,
+        allowedOrigins: [],
+        tracestate: null,
+        baggage: false,
+        ...(this.getConfig().tracing || {})
+      };
+    }
+
+    /**
+     * Check if trace headers may be sent to a URL
+     * Cross-origin targets must be allowlisted: the extra headers trigger a CORS
+     * preflight that servers not expecting them would reject.
+     * @param {string} url - Absolute request URL
+     * @param {Object} tracing - Tracing config
+     * @returns {boolean} True if trace headers can be injected
+     */
+    isTracingAllowed(url, tracing) {
+      let origin;
+      try {
+        origin = new URL(url).origin;
+      } catch (error) {
+        return false;
+      }
+
+      if (origin === window.location.origin) return true;
+
+      return (tracing.allowedOrigins || []).some(allowed =>
+        allowed instanceof RegExp ? allowed.test(origin) : allowed === origin
+      );
+    }
+
+    /**
+     * Create the trace context of a call and record its IDs on the call
+     * All calls of a view share the view's trace ID; each call is its own span.
+     * @param {Object} call - Call state (url, view)
+     * @returns {Object|null} { headers } to inject, or null if the call is not traced
+     */
+    createTraceContext(call) {
+      const tracing = this.getTracingConfig();
+      if (!tracing.enabled || !this.isTracingAllowed(call.url, tracing)) return null;
+
+      const view = call.view;
+      if (!view.traceId) {
+        view.traceId = generateHexId(16);
+      }
+
+      call.traceId = view.traceId;
+      call.spanId = generateHexId(8);
+
+      const headers = {
+        traceparent: `00-${call.traceId}-${call.spanId}-01`
+      };
+
+      if (tracing.tracestate) {
+        headers.tracestate = tracing.tracestate;
+      }
+
+      if (tracing.baggage) {
+        const sessionId = view.sessionId || this.viewManager.sdk?.sessionId;
+        headers.baggage = [
+          sessionId && `optima.session_id=${encodeURIComponent(sessionId)}`,
+          `optima.view_id=${encodeURIComponent(view.id)}`
+        ].filter(Boolean).join(',');
+      }
+
+      return { headers };
+    }
+
+    /**
+     * Check if a call to this URL should be recorded
+     * @param {string} url - Absolute request URL
+     * @returns {boolean} True if the call should be recorded
+     */
+    shouldRecord(url) {
+      // Patches another script wrapped can't be removed - they just stop recording
+      if (!this.isActive || !this.viewManager.currentView) return false;
+
+      // SDK requests and excluded third parties never show up as AJAX calls
+      return !isInExclusionList(url, this.getConfig());
+    }
+
+    /**
+     * Resolve a request URL against the page
+     * @param {string} url - URL as passed to open()/fetch()
+     * @returns {string} Absolute URL (what resource timing entries are named after)
+     */
+    resolveUrl(url) {
+      try {
+        return new URL(url, window.location.href).href;
+      } catch (error) {
+        return String(url);
+      }
+    }
+
+    /**
+     * Read the allowlisted response headers
+     * @param {Function} getHeader - Returns a header value by name (or null)
+     * @returns {Object} Header values by lowercase name
+     */
+    readHeaders(getHeader) {
+      const allowlist = this.getConfig().ajaxResponseHeaders || DEFAULT_AJAX_RESPONSE_HEADERS;
+      const headers = {};
+
+      allowlist.forEach(name => {
+        try {
+          const value = getHeader(name);
+          if (value !== null && value !== undefined) {
+            headers[name.toLowerCase()] = value;
+          }
+        } catch (error) {
+          // Header not exposed (CORS)
+        }
+      });
+
+      return headers;
+    }
+
+    /**
+     * Read a request header from fetch init headers
+     * @param {Headers|Array|Object} headers - Headers in any form fetch accepts
+     * @param {string} name - Lowercase header name
+     * @returns {string|null} Header value
+     */
+    readRequestHeader(headers, name) {
+      if (!headers) return null;
+
+      if (typeof headers.get === 'function') {
+        return headers.get(name);
+      }
+
+      const pairs = Array.isArray(headers) ? headers : Object.entries(headers);
+      const match = pairs.find(([key]) => String(key).toLowerCase() === name);
+      return match ? match[1] : null;
+    }
+
+    /**
+     * Parse the GraphQL operations of a call to a GraphQL endpoint
+     * POST bodies may be a single operation or a batch; GET calls carry the
+     * operation in the query string.
+     * @param {string} url - Absolute request URL
+     * @param {*} body - Request body
+     * @returns {Array|null} Operations, or null if this is not a GraphQL call
+     */
+    parseGraphQL(url, body) {
+      const config = this.getConfig();
+      const endpoints = config.graphqlEndpoints || [];
+
+      let parsedUrl;
+      try {
+        parsedUrl = new URL(url);
+      } catch (error) {
+        return null;
+      }
+      if (!endpoints.some(endpoint => parsedUrl.pathname.includes(endpoint))) return null;
+
+      let requests = [];
+      try {
+        if (typeof body === 'string' && body.length > 0) {
+          const parsed = JSON.parse(body);
+          requests = Array.isArray(parsed) ? parsed : [parsed];
+        } else if (!body && (parsedUrl.searchParams.has('query') || parsedUrl.searchParams.has('extensions'))) {
+          const variables = parsedUrl.searchParams.get('variables');
+          const extensions = parsedUrl.searchParams.get('extensions');
+          requests = [{
+            query: parsedUrl.searchParams.get('query'),
+            operationName: parsedUrl.searchParams.get('operationName'),
+            variables: variables ? JSON.parse(variables) : undefined,
+            extensions: extensions ? JSON.parse(extensions) : undefined
+          }];
+        }
+      } catch (error) {
+        // Not JSON - still a GraphQL endpoint call, but without operation details
+      }
+
+      const operations = requests
+        .filter(request => request && typeof request === 'object')
+        .map(request => this.describeGraphQLOperation(request, config.captureGraphQLVariables));
+
+      return operations.length > 0 ? operations : null;
+    }
+
+    /**
+     * Describe one GraphQL request
+     * @param {Object} request - { query, operationName, variables, extensions }
+     * @param {boolean} captureVariables - Whether to keep the variables
+     * @returns {Object} { operationName, operationType, queryHash[, variables] }
+     */
+    describeGraphQLOperation(request, captureVariables) {
+      const query = typeof request.query === 'string' ? request.query : '';
+
+      // Strip comments and collapse whitespace so formatting does not change the hash
+      const normalizedQuery = query.replace(/#[^\n\r]*/g, '').replace(/\s+/g, ' ').trim();
+
+      const definition = this.findOperationDefinition(normalizedQuery, request.operationName);
+
+      // Persisted queries send only the hash of the document
+      const persistedHash = request.extensions?.persistedQuery?.sha256Hash;
+
+      const operation = {
+        operationName: request.operationName || (definition && definition.name) || null,
+        operationType: definition ? definition.type : null,
+        queryHash: normalizedQuery ? hashString(normalizedQuery).toString(16).padStart(8, '0') : (persistedHash || null)
+      };
+
+      if (captureVariables && request.variables) {
+        operation.variables = request.variables;
+      }
+
+      return operation;
+    }
+
+    /**
+     * Find the operation a GraphQL document executes, skipping fragment definitions
+     * @param {string} query - Normalized query document
+     * @param {string} [operationName] - Requested operation, for documents with several
+     * @returns {Object|null} { type, name } - the `{ ... }` shorthand is an anonymous query
+     */
+    findOperationDefinition(query, operationName) {
+      const operations = [];
+      let header = null; // Keyword and name of the top-level definition being read
+      let depth = 0;
+      let parens = 0;
+
+      for (let i = 0; i < query.length; i++) {
+        const char = query[i];
+
+        // Braces inside string values don't nest
+        if (char === '"') {
+          const blockString = query.startsWith('"""', i);
+          const end = blockString ? query.indexOf('"""', i + 3) : query.slice(i + 1).search(/(?<!\\)"/) + i + 1;
+          if (end < i + 1) break;
+          i = blockString ? end + 2 : end;
+          continue;
+        }
+
+        if (char === '(') parens++;
+        else if (char === ')') parens--;
+        else if (char === '{' && parens === 0) {
+          if (depth === 0) {
+            const definition = header || { type: 'query', name: null };
+            if (definition.type !== 'fragment') operations.push(definition);
+            header = null;
+          }
+          depth++;
+        } else if (char === '}' && parens === 0) {
+          depth--;
+        } else if (depth === 0 && parens === 0 && !header && /[_A-Za-z]/.test(char)) {
+          const match = query.slice(i).match(/^(query|mutation|subscription|fragment)\b\s*([_A-Za-z][_0-9A-Za-z]*)?/);
+          if (match) {
+            header = { type: match[1], name: match[2] || null };
+            i += match[0].length - 1;
+          }
+        }
+      }
+
+      return (operationName && operations.find(operation => operation.name === operationName)) || operations[0] || null;
+    }
+
+    /**
+     * Get the size of a request body
+     * @param {*} body - XHR/fetch body
+     * @returns {number|null} Size in bytes, or null if unknown (FormData, streams)
+     */
+    getBodySize(body) {
+      if (body === null || body === undefined) return 0;
+
+      try {
+        if (typeof body === 'string') return new Blob([body]).size;
+        if (body instanceof Blob) return body.size;
+        if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body.byteLength;
+        if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) return new Blob([body.toString()]).size;
+      } catch (error) {
+        // Fall through to unknown
+      }
+
+      return null;
+    }
+
+    /**
+     * Get the response size of a finished XHR
+     * @param {XMLHttpRequest} xhr - Finished request
+     * @returns {number|null} Size in bytes, or null if unknown
+     */
+    getXHRResponseSize(xhr) {
+      try {
+        const contentLength = xhr.getResponseHeader('content-length');
+        if (contentLength !== null) return parseInt(contentLength, 10);
+
+        if (xhr.responseType === '' || xhr.responseType === 'text') {
+          return new Blob([xhr.responseText]).size;
+        }
+      } catch (error) {
+        // Response not readable
+      }
+
+      return null;
+    }
+
+    /**
+     * Find the resource timing entry of a finished call
+     * @param {Object} call - Call state
+     * @returns {PerformanceResourceTiming|null} Matching entry
+     */
+    findResourceEntry(call) {
+      try {
+        const entries = performance.getEntriesByName(call.url, 'resource');
+
+        // The earliest unmatched entry that started with the call (1ms clock tolerance)
+        for (let i = 0; i < entries.length; i++) {
+          const entry = entries[i];
+          if (entry.startTime >= call.startTime - 1 && !this.correlatedEntries.has(entry) &&
+              (entry.initiatorType === 'xmlhttprequest' || entry.initiatorType === 'fetch')) {
+            this.correlatedEntries.add(entry);
+            this.untrackCall(call);
+            return entry;
+          }
+        }
+      } catch (error) {
+        // Resource timing unavailable
+      }
+
+      // Its entry may still be on the way - keep covering it for a while
+      call.unmatchedSince = performance.now();
+      return null;
+    }
+
+    /**
+     * Build the AJAX record of a finished call and attach it to its view
+     * @param {Object} call - Call state captured at send time
+     * @param {Object} result - Outcome (type, status, statusText, outcome, responseHeaders, responseSize)
+     */
+    recordCall(call, result) {
+      const endTime = performance.now();
+
+      // Recorded right away so an error thrown by the response handler already sees it
+      const failed = result.outcome === 'error' || result.outcome === 'timeout' || result.status === 0 || result.status >= 400;
+      this.viewManager.sdk?.addBreadcrumb('ajax', `${call.method} ${call.url} → ${result.outcome === 'abort' ? 'aborted' : result.status}`, {
+        method: call.method,
+        url: call.url,
+        status: result.status,
+        duration: Math.round(endTime - call.startTime)
+      }, failed && result.outcome !== 'abort' ? 'error' : 'info');
+
+      // The resource timing entry is usually queued just before the call settles
+      setTimeout(() => {
+        try {
+          const entry = this.findResourceEntry(call);
+          const ajaxData = this.buildAjaxData(call, result, endTime, entry);
+          this.attachToView(call.view, ajaxData);
+        } catch (error) {
+          console.error('[Optima AjaxCollector] ❌ Error recording AJAX call:', call.url, error);
+        }
+      }, 0);
+    }
+
+    /**
+     * Build the AJAX record (same structure as the resource collector's)
+     * @param {Object} call - Call state
+     * @param {Object} result - Call outcome
+     * @param {number} endTime - Performance timestamp the call settled at
+     * @param {PerformanceResourceTiming|null} entry - Correlated resource timing entry
+     * @returns {Object} AJAX data object
+     */
+    buildAjaxData(call, result, endTime, entry) {
+      const view = call.view;
+      const viewBaseline = view.type === 'initial' ? 0 : (view.routeTriggerTime || view.startTime);
+      const startTime = Math.round(call.startTime - viewBaseline);
+      const responseSize = entry && entry.encodedBodySize ? entry.encodedBodySize : result.responseSize;
+
+      return {
+        type: result.type,
+        method: call.method,
+        method_inferred: false,
+        url: call.url,
+        serverTiming: extractServerTiming(entry, this.getConfig().serverTimingAllowlist),
+        status: result.status,
+        statusText: result.statusText,
+        startTime: startTime,
+        duration: Math.round(endTime - call.startTime),
+        async: call.async,
+        requestPayloadSize: call.requestPayloadSize,
+        responseSize: responseSize,
+        aborted: result.outcome === 'abort',
+        errored: result.outcome === 'error' || (result.status === 0 && !result.outcome),
+        timedOut: result.outcome === 'timeout',
+        timestamp: Date.now(),
+        resourceTiming: entry ? {
+          startTime: Math.round(entry.startTime - viewBaseline),
+          duration: Math.round(entry.duration),
+          domainLookupTime: Math.round(entry.domainLookupEnd - entry.domainLookupStart),
+          connectTime: Math.round(entry.connectEnd - entry.connectStart),
+          tlsTime: entry.secureConnectionStart ? Math.round(entry.connectEnd - entry.secureConnectionStart) : 0,
+          requestStartTime: Math.round(entry.requestStart),
+          ttfb: Math.round(entry.responseStart - entry.requestStart),
+          downloadTime: Math.round(entry.responseEnd - entry.responseStart),
+          transferSize: entry.transferSize || 0,
+          entryType: 'resource',
+          initiatorType: entry.initiatorType
+        } : null,
+        requestHeaders: call.requestHeaders,
+        responseHeaders: result.responseHeaders,
+        traceId: call.traceId || null,
+        spanId: call.spanId || null,
+        graphqlOperations: call.graphqlOperations,
+        source: 'instrumentation'
+      };
+    }
+
+    /**
+     * Attach an AJAX record to the view active when the call started
+     * @param {Object} view - View the call started in
+     * @param {Object} ajaxData - AJAX data object
+     */
+    attachToView(view, ajaxData) {
+      if (view === this.viewManager.currentView && view.isActive) {
+        this.viewManager.addAjaxRequest(ajaxData);
+      } else {
+        // The view was already sent - keep the record with it and send it on its own
+        ajaxData.viewId = view.id;
+        ajaxData.viewType = view.type;
+        view.ajaxRequests.push(ajaxData);
+        this.viewManager.sdk?.dataSender?.sendLateAjaxUpdate(view, ajaxData);
+      }
+
+      console.log(`[Optima AjaxCollector] 🌐 ${ajaxData.method} ${ajaxData.url} → ${ajaxData.status} (${ajaxData.duration}ms, view: ${view.id.substring(0, 8)}...)`);
+    }
+
+    /**
+     * Remove the instrumentation (for testing or shutdown)
+     */
+    cleanup() {
+      if (!this.isActive) return;
+
+      // Only put back what is still ours, so wrappers installed later keep working
+      if (this.originalXHROpen) {
+        const proto = XMLHttpRequest.prototype;
+        if (proto.open === this.patchedXHROpen) proto.open = this.originalXHROpen;
+        if (proto.send === this.patchedXHRSend) proto.send = this.originalXHRSend;
+        if (proto.setRequestHeader === this.patchedXHRSetRequestHeader) proto.setRequestHeader = this.originalXHRSetRequestHeader;
+      }
+
+      if (this.originalFetch && window.fetch === this.patchedFetch) {
+        window.fetch = this.originalFetch;
+      }
+
+      this.pendingCalls = [];
+      this.isActive = false;
+      console.log('[Optima AjaxCollector] 🧹 XHR/fetch instrumentation removed');
+    }
+  }
+
+  /**
+   * View-Scoped Web Vitals for Optima SDK
+   * Handles web vitals collection with proper view isolation
+   */
+
+
+  /**
+   * ViewScopedWebVitals - Manages web vitals collection per view
+   */
+  class ViewScopedWebVitals {
+    constructor(viewManager) {
+      this.viewManager = viewManager;
+      this.observers = new Map();
+      this.continuousMetrics = ['CLS', 'INP']; // Metrics that continue after route change
+      this.initialOnlyMetrics = ['LCP', 'FID', 'FCP', 'TTFB']; // Metrics only for initial load
+      this.isSetup = false;
+      this.loadingTimeTracker = null; // Track active loading time tracker
+      this.lcpFinalizeCleanup = null; // Removes the LCP finalization listeners
+      this.softNavigationTracker = null; // Route FCP/LCP tracker for route_change views
+      this.mainThreadCollector = null; // Long tasks and LoAF for the current view
+      
+      console.log('[Optima ViewScopedWebVitals] 📊 Web vitals collector initialized');
+    }
+
+    /**
+     * Start collecting web vitals for current view
+     * @param {string} viewType - 'initial', 'route_change', 'bfcache_restore' or 'session_rotation'
+     */
+    startCollecting(viewType) {
+      if (!this.viewManager.currentView) {
+        console.warn('[Optima ViewScopedWebVitals] ⚠️ No active view to collect web vitals for');
+        return;
+      }
+      
+      console.log(`[Optima ViewScopedWebVitals] 🚀 Starting web vitals collection for ${viewType} view`);
+      
+      // Clear existing observers
+      this.clearObservers();
+      
+      if (viewType === 'initial') {
+        this.setupAllMetrics();
+      } else if (viewType === 'bfcache_restore') {
+        this.setupBFCacheRestoreMetrics();
+      } else {
+        // Route changes and session rotations: nothing new was loaded
+        this.setupRouteChangeMetrics();
+      }
+      
+      this.isSetup = true;
+    }
+
+    /**
+     * Setup all metrics for initial page load
+     */
+    setupAllMetrics() {
+      console.log('[Optima ViewScopedWebVitals] 🔧 Setting up all metrics for initial load');
+      
+      // Initial load gets all metrics
+      this.setupLCP();
+      this.setupFID();
+      this.setupFCP();
+      this.setupTTFB();
+      this.setupCLS();
+      this.setupINP();
+      this.setupLoadingTime();
+      this.setupMainThread();
+    }
+
+    /**
+     * Setup only continuous metrics for route changes
+     */
+    setupRouteChangeMetrics() {
+      console.log('[Optima ViewScopedWebVitals] 🔧 Setting up continuous metrics for route change');
+      
+      // Route changes get continuous metrics + loading time
+      this.setupCLS();
+      this.setupINP();
+      this.setupLoadingTime(); // Loading time is also relevant for route changes
+      this.setupRoutePaints(); // Soft-navigation FCP/LCP equivalents
+      this.setupMainThread();
+    }
+
+    /**
+     * Setup metrics for a page restored from the back/forward cache
+     */
+    setupBFCacheRestoreMetrics() {
+      console.log('[Optima ViewScopedWebVitals] 🔧 Setting up metrics for bfcache restore');
+      
+      // The restored page gets fresh CLS/INP, its own loading time and restore paints
+      this.setupCLS();
+      this.setupINP();
+      this.setupLoadingTime();
+      this.setupRestorePaints();
+      this.setupMainThread();
+    }
+
+    /**
+     * Setup FCP/LCP for a bfcache restore - measured to the first frame after pageshow
+     * No paint entries are emitted for a restore; the page is painted whole in the next frame.
+     */
+    setupRestorePaints() {
+      const currentView = this.viewManager.currentView;
+      const restoreTime = currentView.routeTriggerTime || currentView.startTime;
+      
+      console.log(`[Optima ViewScopedWebVitals] ♻️ Measuring restore paints from ${restoreTime.toFixed(2)}ms`);
+      
+      requestAnimationFrame(() => {
+        requestAnimationFrame(() => {
+          if (this.viewManager.currentView !== currentView || !currentView.isActive) return;
+          
+          const value = performance.now() - restoreTime;
+          
+          this.viewManager.updateWebVital('FCP', value, {
+            source: 'bfcache_restore',
+            restoreTime: restoreTime
+          });
+          this.viewManager.updateWebVital('LCP', value, {
+            source: 'bfcache_restore',
+            restoreTime: restoreTime,
+            finalized: true
+          });
+          
+          console.log(`[Optima ViewScopedWebVitals] ♻️ Restore FCP/LCP recorded: ${value.toFixed(2)}ms`);
+        });
+      });
+    }
+
+    /**
+     * Setup Largest Contentful Paint (LCP) - Initial load only
+     */
+    setupLCP() {
+      if (!('PerformanceObserver' in window)) {
+        console.warn('[Optima ViewScopedWebVitals] ⚠️ PerformanceObserver not supported - skipping LCP');
+        return;
+      }
+      
+      const currentView = this.viewManager.currentView;
+      
+      // LCP is ONLY applicable for initial page load, not route changes
+      if (currentView.type !== 'initial') {
+        console.log('[Optima ViewScopedWebVitals] 🎯 Skipping LCP setup - only applicable for initial page load');
+        return;
+      }
+      
+      console.log('[Optima ViewScopedWebVitals] 🎯 Setting up LCP tracking for initial page load');
+      
+      try {
+        const viewStartTime = this.viewManager.currentView.startTime;
+        const currentView = this.viewManager.currentView;
+        const activationStart = getActivationStart();
+        let lastLCPValue = 0;
+        let finalized = false;
+        
+        console.log(`[Optima ViewScopedWebVitals] 🎯 LCP setup - viewStartTime: ${viewStartTime}, viewType: ${currentView.type}`);
+        
+        const processLCPEntries = (entries) => {
+          if (!this.viewManager.currentView || !this.viewManager.currentView.isActive) {
+            console.log('[Optima ViewScopedWebVitals] 🎯 LCP observer fired but no active view');
+            return;
+          }
+          
+          console.log(`[Optima ViewScopedWebVitals] 🎯 LCP observer fired with ${entries.length} entries`);
+          
+          if (entries.length === 0) return;
+          
+          const lastEntry = entries[entries.length - 1];
+          console.log(`[Optima ViewScopedWebVitals] 🎯 LCP entry - startTime: ${lastEntry.startTime}, size: ${lastEntry.size}`);
+          
+          // For initial page load, accept all LCP entries from the buffer
+          // For route changes, only accept entries after view start
+          const isInitialLoad = currentView.type === 'initial';
+          if (!isInitialLoad && lastEntry.startTime < viewStartTime) {
+            console.log(`[Optima ViewScopedWebVitals] 🎯 LCP entry filtered out - occurred before view start (${lastEntry.startTime} < ${viewStartTime})`);
+            return;
+          }
+          
+          // For initial load, always accept buffered entries
+          if (isInitialLoad) {
+            console.log(`[Optima ViewScopedWebVitals] 🎯 LCP entry accepted for initial load - startTime: ${lastEntry.startTime}`);
+          }
+          
+          // Calculate view-relative timing
+          let viewRelativeTime;
+          if (isInitialLoad) {
+            // For initial load, use time since activation (navigation start unless prerendered)
+            viewRelativeTime = Math.max(0, lastEntry.startTime - activationStart);
+          } else {
+            // For route changes, use relative time
+            viewRelativeTime = lastEntry.startTime - viewStartTime;
+          }
+          
+          // Only send event if it's a new, larger value
+          if (lastEntry.startTime > lastLCPValue) {
+            lastLCPValue = lastEntry.startTime;
+            
+            // Extract LCP element information
+            const elementInfo = this.extractLCPElementInfo(lastEntry);
+            
+            // Calculate LCP attribution
+            const attribution = this.calculateLCPAttribution(lastEntry);
+            
+            // Update view's web vital
+            this.viewManager.updateWebVital('LCP', viewRelativeTime, {
+              absoluteTime: lastEntry.startTime,
+              element: elementInfo,
+              attribution: attribution,
+              entry: {
+                id: lastEntry.id,
+                size: lastEntry.size,
+                loadTime: lastEntry.loadTime,
+                renderTime: lastEntry.renderTime
+              }
+            });
+            
+            console.log(`[Optima ViewScopedWebVitals] 🎯 LCP updated: ${viewRelativeTime}ms (absolute: ${lastEntry.startTime}ms)`);
+          } else {
+            console.log(`[Optima ViewScopedWebVitals] 🎯 LCP entry ignored - not larger than previous (${lastEntry.startTime} <= ${lastLCPValue})`);
+          }
+        };
+        
+        const lcpObserver = new PerformanceObserver((list) => {
+          processLCPEntries(list.getEntries());
+        });
+        
+        // Use buffered: true for initial load to capture metrics before SDK init
+        // Use buffered: false for route changes to avoid contamination from previous view
+        const shouldUseBuffer = currentView.type === 'initial';
+        console.log(`[Optima ViewScopedWebVitals] 🎯 LCP observer buffered: ${shouldUseBuffer} (viewType: ${currentView.type})`);
+        
+        lcpObserver.observe({ type: 'largest-contentful-paint', buffered: shouldUseBuffer });
+        this.observers.set('LCP', lcpObserver);
+        
+        // The browser stops reporting LCP candidates after the first input; finalize there
+        // (or when the page is hidden) so later paints can't inflate the value
+        const finalizeLCP = (event) => {
+          if (event.type === 'visibilitychange' && document.visibilityState !== 'hidden') return;
+          if (finalized) return;
+          
+          finalized = true;
+          processLCPEntries(lcpObserver.takeRecords());
+          lcpObserver.disconnect();
+          this.observers.delete('LCP');
+          this.stopLCPFinalization();
+          
+          const lcp = this.viewManager.currentView?.webVitals?.LCP;
+          if (lcp && this.viewManager.currentView.id === currentView.id) {
+            lcp.finalized = true;
+            lcp.finalizedBy = event.type;
+          }
+          
+          console.log(`[Optima ViewScopedWebVitals] 🎯 LCP finalized on ${event.type}: ${lcp?.value ?? 'none'}ms`);
+        };
+        
+        const finalizeEvents = ['keydown', 'pointerdown'];
+        finalizeEvents.forEach(type => {
+          document.addEventListener(type, finalizeLCP, { capture: true, once: true, passive: true });
+        });
+        document.addEventListener('visibilitychange', finalizeLCP, true);
+        
+        this.lcpFinalizeCleanup = () => {
+          finalizeEvents.forEach(type => {
+            document.removeEventListener(type, finalizeLCP, { capture: true });
+          });
+          document.removeEventListener('visibilitychange', finalizeLCP, true);
+        };
+        
+        // Also check if LCP has already been determined (fallback)
+        setTimeout(() => {
+          if (lastLCPValue === 0 && !finalized) {
+            console.log('[Optima ViewScopedWebVitals] 🎯 No LCP detected via observer, checking performance entries directly');
+            const lcpEntries = performance.getEntriesByType('largest-contentful-paint');
+            console.log(`[Optima ViewScopedWebVitals] 🎯 Found ${lcpEntries.length} LCP entries in performance buffer`);
+            
+            if (lcpEntries.length > 0) {
+              const lastLCPEntry = lcpEntries[lcpEntries.length - 1];
+              console.log(`[Optima ViewScopedWebVitals] 🎯 Latest LCP from buffer: ${lastLCPEntry.startTime}ms, size: ${lastLCPEntry.size}`);
+              
+              // Process the entry manually
+              const isInitialLoad = currentView.type === 'initial';
+              let viewRelativeTime;
+              if (isInitialLoad) {
+                viewRelativeTime = Math.max(0, lastLCPEntry.startTime - activationStart);
+              } else {
+                viewRelativeTime = Math.max(0, lastLCPEntry.startTime - viewStartTime);
+              }
+              
+              if (viewRelativeTime >= 0) {
+                const elementInfo = this.extractLCPElementInfo(lastLCPEntry);
+                const attribution = this.calculateLCPAttribution(lastLCPEntry);
+                
+                this.viewManager.updateWebVital('LCP', viewRelativeTime, {
+                  absoluteTime: lastLCPEntry.startTime,
+                  element: elementInfo,
+                  attribution: attribution,
+                  entry: {
+                    id: lastLCPEntry.id,
+                    size: lastLCPEntry.size,
+                    loadTime: lastLCPEntry.loadTime,
+                    renderTime: lastLCPEntry.renderTime
+                  },
+                  source: 'fallback'
+                });
+                
+                console.log(`[Optima ViewScopedWebVitals] 🎯 LCP recorded via fallback: ${viewRelativeTime}ms`);
+              }
+            }
+          }
+        }, 100);
+        
+      } catch (error) {
+        console.error('[Optima ViewScopedWebVitals] ❌ Error setting up LCP:', error);
+      }
+    }
+
+    /**
+     * Setup First Input Delay (FID) - Initial load only
+     */
+    setupFID() {
+      if (!('PerformanceObserver' in window)) return;
+      
+      const currentView = this.viewManager.currentView;
+      
+      // FID is ONLY applicable for initial page load, not route changes
+      if (currentView.type !== 'initial') {
+        console.log('[Optima ViewScopedWebVitals] ⚡ Skipping FID setup - only applicable for initial page load');
+        return;
+      }
+      
+      console.log('[Optima ViewScopedWebVitals] ⚡ Setting up FID tracking for initial page load');
+      
+      try {
+        const viewStartTime = this.viewManager.currentView.startTime;
+        let fidRecorded = false;
+        
+        console.log(`[Optima ViewScopedWebVitals] ⚡ FID setup - viewStartTime: ${viewStartTime}, viewType: ${currentView.type}`);
+        
+        const fidObserver = new PerformanceObserver((list) => {
+          if (!this.viewManager.currentView || !this.viewManager.currentView.isActive) return;
+          
+          const entries = list.getEntries();
+          
+          entries.forEach((entry) => {
+            if (fidRecorded) return; // Only record the first FID
+            
+            console.log(`[Optima ViewScopedWebVitals] ⚡ FID entry found - startTime: ${entry.startTime}`);
+            
+            // For initial page load, accept all FID entries from the buffer (use absolute timing)
+            const viewRelativeTime = entry.startTime;
+            const processingTime = entry.processingEnd - entry.processingStart;
+            const fidValue = entry.processingStart - entry.startTime;
+            
+            // Update view's web vital
+            this.viewManager.updateWebVital('FID', fidValue, {
+              absoluteTime: entry.startTime,
+              viewRelativeTime: viewRelativeTime,
+              processingTime: processingTime,
+              interactionType: entry.name,
+              target: entry.target ? this.getElementInfo(entry.target) : null
+            });
+            
+            fidRecorded = true;
+            console.log(`[Optima ViewScopedWebVitals] ⚡ FID recorded: ${fidValue}ms (absolute: ${entry.startTime}ms)`);
+          });
+        });
+        
+        // Use buffered: true for initial load to capture metrics before SDK init
+        // Use buffered: false for route changes to avoid contamination from previous view
+        const shouldUseBuffer = currentView.type === 'initial';
+        console.log(`[Optima ViewScopedWebVitals] ⚡ FID observer buffered: ${shouldUseBuffer} (viewType: ${currentView.type})`);
+        
+        fidObserver.observe({ type: 'first-input', buffered: shouldUseBuffer });
+        this.observers.set('FID', fidObserver);
+        
+        // Also check if FID has already been determined (fallback)
+        setTimeout(() => {
+          if (!fidRecorded) {
+            console.log('[Optima ViewScopedWebVitals] ⚡ No FID detected via observer, checking performance entries directly');
+            const fidEntries = performance.getEntriesByType('first-input');
+            
+            if (fidEntries.length > 0) {
+              const fidEntry = fidEntries[0]; // First input is the first one
+              console.log(`[Optima ViewScopedWebVitals] ⚡ FID found in buffer: ${fidEntry.startTime}ms`);
+              
+              // For initial page load, use absolute timing
+              const viewRelativeTime = fidEntry.startTime;
+              const processingTime = fidEntry.processingEnd - fidEntry.processingStart;
+              const fidValue = fidEntry.processingStart - fidEntry.startTime;
+              
+              this.viewManager.updateWebVital('FID', fidValue, {
+                absoluteTime: fidEntry.startTime,
+                viewRelativeTime: viewRelativeTime,
+                processingTime: processingTime,
+                interactionType: fidEntry.name,
+                target: fidEntry.target ? this.getElementInfo(fidEntry.target) : null,
+                source: 'fallback'
+              });
+              
+              fidRecorded = true;
+              console.log(`[Optima ViewScopedWebVitals] ⚡ FID recorded via fallback: ${fidValue}ms`);
+            } else {
+              console.log('[Optima ViewScopedWebVitals] ⚡ No FID entry found in performance buffer');
+            }
+          }
+        }, 1000); // Wait 1 second for buffered entries
+        
+      } catch (error) {
+        console.error('[Optima ViewScopedWebVitals] ❌ Error setting up FID:', error);
+      }
+    }
+
+    /**
+     * Setup First Contentful Paint (FCP) - Initial load only
+     */
+    setupFCP() {
+      if (!('PerformanceObserver' in window)) return;
+      
+      const currentView = this.viewManager.currentView;
+      
+      // FCP is ONLY applicable for initial page load, not route changes
+      if (currentView.type !== 'initial') {
+        console.log('[Optima ViewScopedWebVitals] 🎨 Skipping FCP setup - only applicable for initial page load');
+        return;
+      }
+      
+      console.log('[Optima ViewScopedWebVitals] 🎨 Setting up FCP tracking for initial page load');
+      
+      try {
+        const viewStartTime = this.viewManager.currentView.startTime;
+        const activationStart = getActivationStart(); // Non-zero for prerendered pages
+        let fcpRecorded = false;
+        
+        console.log(`[Optima ViewScopedWebVitals] 🎨 FCP setup - viewStartTime: ${viewStartTime}, viewType: ${currentView.type}`);
+        
+        const fcpObserver = new PerformanceObserver((list) => {
+          if (!this.viewManager.currentView || !this.viewManager.currentView.isActive) return;
+          
+          const entries = list.getEntries();
+          const fcpEntry = entries.find(entry => entry.name === 'first-contentful-paint');
+          
+          if (fcpEntry && !fcpRecorded) {
+            console.log(`[Optima ViewScopedWebVitals] 🎨 FCP entry found - startTime: ${fcpEntry.startTime}`);
+            
+            // For initial page load, accept all FCP entries from the buffer (relative to activation for prerendered pages)
+            const viewRelativeTime = Math.max(fcpEntry.startTime - activationStart, 0);
+            
+            this.viewManager.updateWebVital('FCP', viewRelativeTime, {
+              absoluteTime: fcpEntry.startTime,
+              activationStart: activationStart
+            });
+            
+            fcpRecorded = true;
+            console.log(`[Optima ViewScopedWebVitals] 🎨 FCP recorded: ${viewRelativeTime}ms (absolute: ${fcpEntry.startTime}ms)`);
+          }
+        });
+        
+        // Use buffered: true for initial load to capture metrics before SDK init
+        // Use buffered: false for route changes to avoid contamination from previous view
+        const shouldUseBuffer = currentView.type === 'initial';
+        console.log(`[Optima ViewScopedWebVitals] 🎨 FCP observer buffered: ${shouldUseBuffer} (viewType: ${currentView.type})`);
+        
+        fcpObserver.observe({ type: 'paint', buffered: shouldUseBuffer });
+        this.observers.set('FCP', fcpObserver);
+        
+        // Also check if FCP has already been determined (fallback)
+        setTimeout(() => {
+          if (!fcpRecorded) {
+            console.log('[Optima ViewScopedWebVitals] 🎨 No FCP detected via observer, checking performance entries directly');
+            const paintEntries = performance.getEntriesByType('paint');
+            const fcpEntry = paintEntries.find(entry => entry.name === 'first-contentful-paint');
+            
+            if (fcpEntry) {
+              console.log(`[Optima ViewScopedWebVitals] 🎨 FCP found in buffer: ${fcpEntry.startTime}ms`);
+              
+              // For initial page load, measure from activation (0 unless prerendered)
+              const viewRelativeTime = Math.max(fcpEntry.startTime - activationStart, 0);
+              
+              this.viewManager.updateWebVital('FCP', viewRelativeTime, {
+                absoluteTime: fcpEntry.startTime,
+                activationStart: activationStart,
+                source: 'fallback'
+              });
+              
+              fcpRecorded = true;
+              console.log(`[Optima ViewScopedWebVitals] 🎨 FCP recorded via fallback: ${viewRelativeTime}ms`);
+            } else {
+              console.log('[Optima ViewScopedWebVitals] 🎨 No FCP entry found in performance buffer');
+            }
+          }
+        }, 1000); // Wait 1 second for buffered entries
+        
+      } catch (error) {
+        console.error('[Optima ViewScopedWebVitals] ❌ Error setting up FCP:', error);
+      }
+    }
+
+    /**
+     * Setup Time to First Byte (TTFB) - Initial load only
+     */
+    setupTTFB() {
+      const currentView = this.viewManager.currentView;
+      
+      // TTFB is ONLY applicable for initial page load, not route changes
+      if (currentView.type !== 'initial') {
+        console.log('[Optima ViewScopedWebVitals] 🌐 Skipping TTFB setup - only applicable for initial page load');
+        return;
+      }
+      
+      console.log('[Optima ViewScopedWebVitals] 🌐 Setting up TTFB tracking for initial page load');
+      
+      try {
+        const navEntry = performance.getEntriesByType('navigation')[0];
+        if (!navEntry) return;
+        
+        // A prerendered page was fetched before activation: measure from activation, clamped at 0
+        const activationStart = navEntry.activationStart || 0;
+        const ttfb = activationStart > 0
+          ? Math.max(navEntry.responseStart - activationStart, 0)
+          : navEntry.responseStart - navEntry.requestStart;
+        
+        this.viewManager.updateWebVital('TTFB', ttfb, {
+          activationStart: activationStart,
+          serverTiming: extractServerTiming(navEntry, this.viewManager.sdk?.config?.serverTimingAllowlist),
+          domainLookup: navEntry.domainLookupEnd - navEntry.domainLookupStart,
+          connection: navEntry.connectEnd - navEntry.connectStart,
+          request: navEntry.responseStart - navEntry.requestStart,
+          tls: navEntry.secureConnectionStart ? navEntry.connectEnd - navEntry.secureConnectionStart : 0
+        });
+        
+        console.log(`[Optima ViewScopedWebVitals] 🌐 TTFB recorded: ${ttfb}ms`);
+        
+      } catch (error) {
+        console.error('[Optima ViewScopedWebVitals] ❌ Error setting up TTFB:', error);
+      }
+    }
+
+    /**
+     * Setup Cumulative Layout Shift (CLS) - Continuous metric
+     * Shifts are grouped into session windows (gaps under 1s, at most 5s long)
+     * and CLS is the largest window, as in the Core Web Vitals definition.
+     */
+    setupCLS() {
+      if (!('PerformanceObserver' in window)) return;
+      
+      console.log('[Optima ViewScopedWebVitals] 📐 Setting up CLS tracking');
+      
+      try {
+        const viewStartTime = this.viewManager.currentView.startTime;
+        let windowValue = 0;
+        let windowEntries = [];
+        let maxWindowValue = 0;
+        
+        const clsObserver = new PerformanceObserver((list) => {
+          if (!this.viewManager.currentView || !this.viewManager.currentView.isActive) return;
+          
+          const entries = list.getEntries();
+          
+          entries.forEach((entry) => {
+            // Only count shifts that happened after view start
+            if (entry.startTime < viewStartTime || entry.hadRecentInput) return;
+            
+            const firstEntry = windowEntries[0];
+            const lastEntry = windowEntries[windowEntries.length - 1];
+            
+            // Continue the current window, or start a new one
+            if (windowValue &&
+                entry.startTime - lastEntry.startTime < 1000 &&
+                entry.startTime - firstEntry.startTime < 5000) {
+              windowValue += entry.value;
+              windowEntries.push(entry);
+            } else {
+              windowValue = entry.value;
+              windowEntries = [entry];
+            }
+            
+            if (windowValue > maxWindowValue) {
+              maxWindowValue = windowValue;
+              this.reportCLSWindow(windowValue, windowEntries, viewStartTime);
+            }
+          });
+        });
+        
+        // For CLS: Use buffered: true for initial load to include layout shifts from page load
+        // Use buffered: false for route changes to only track shifts after route change
+        const currentView = this.viewManager.currentView;
+        const shouldUseBuffer = currentView.type === 'initial';
+        console.log(`[Optima ViewScopedWebVitals] 📐 CLS observer buffered: ${shouldUseBuffer} (viewType: ${currentView.type})`);
+        
+        clsObserver.observe({ type: 'layout-shift', buffered: shouldUseBuffer });
+        this.observers.set('CLS', clsObserver);
+        
+      } catch (error) {
+        console.error('[Optima ViewScopedWebVitals] ❌ Error setting up CLS:', error);
+      }
+    }
+
+    /**
+     * Report a new worst CLS session window
+     * @param {number} windowValue - Sum of the window's shifts
+     * @param {Array} windowEntries - Layout shift entries in the window
+     * @param {number} viewStartTime - View start time
+     */
+    reportCLSWindow(windowValue, windowEntries, viewStartTime) {
+      const firstEntry = windowEntries[0];
+      const lastEntry = windowEntries[windowEntries.length - 1];
+      const largestEntry = windowEntries.reduce((largest, entry) => entry.value > largest.value ? entry : largest);
+      
+      this.viewManager.updateWebVital('CLS', windowValue, {
+        windowStart: firstEntry.startTime - viewStartTime,
+        windowEnd: lastEntry.startTime - viewStartTime,
+        windowShiftCount: windowEntries.length,
+        largestShiftTime: largestEntry.startTime - viewStartTime,
+        largestShiftValue: largestEntry.value,
+        lastShiftTime: lastEntry.startTime - viewStartTime,
+        lastShiftValue: lastEntry.value,
+        // Sources are read while the shifted nodes are still in the DOM
+        shiftSource: getLargestShiftSource(largestEntry),
+        hadRecentInput: lastEntry.hadRecentInput
+      });
+      
+      console.log(`[Optima ViewScopedWebVitals] 📐 CLS window updated: ${windowValue.toFixed(4)} (${windowEntries.length} shifts, ${(lastEntry.startTime - firstEntry.startTime).toFixed(0)}ms)`);
+    }
+
+    /**
+     * Setup Interaction to Next Paint (INP) - Continuous metric
+     * Entries are grouped by interactionId; each interaction counts with its longest
+     * entry, and INP is the 98th percentile (one outlier ignored per 50 interactions).
+     */
+    setupINP() {
+      console.log('[Optima ViewScopedWebVitals] 🖱️ Setting up INP tracking');
+      
+      if (!('PerformanceObserver' in window) ||
+          !PerformanceObserver.supportedEntryTypes?.includes('event')) {
+        console.warn('[Optima ViewScopedWebVitals] ⚠️ Event timing not supported - skipping INP');
+        return;
+      }
+      
+      try {
+        const viewStartTime = this.viewManager.currentView.startTime;
+        
+        const currentView = this.viewManager.currentView;
+        const shouldUseBuffer = currentView.type === 'initial';
+        
+        // Only the longest interactions are needed for the p98 (10 covers 500 interactions)
+        const interactions = {
+          longest: [],
+          ids: new Set(), // Recent interaction IDs only, to fold entries of one interaction together
+          seen: 0, // Interactions observed at or above the duration threshold
+          // performance.interactionCount also counts the fast interactions the observer never sees
+          baseCount: shouldUseBuffer ? 0 : (performance.interactionCount || 0),
+          maxTracked: 10
+        };
+        
+        const inpObserver = new PerformanceObserver((list) => {
+          if (!this.viewManager.currentView || !this.viewManager.currentView.isActive) return;
+          
+          list.getEntries().forEach((entry) => {
+            // Entries without interactionId (hover, scroll...) are not interactions
+            if (!entry.interactionId) return;
+            
+            if (entry.startTime < viewStartTime) {
+              console.log(`[Optima ViewScopedWebVitals] 🖱️ INP entry ignored (before view start: ${entry.startTime} < ${viewStartTime})`);
+              return;
+            }
+            
+            this.processInteractionEntry(interactions, entry);
+          });
+          
+          this.reportINP(interactions, viewStartTime);
+        });
+        
+        // For INP: Use buffered: true for initial load to include interactions from page load
+        // Use buffered: false for route changes to only track interactions after route change
+        console.log(`[Optima ViewScopedWebVitals] 🖱️ INP observer buffered: ${shouldUseBuffer} (viewType: ${currentView.type})`);
+        
+        inpObserver.observe({ type: 'event', buffered: shouldUseBuffer, durationThreshold: 40 });
+        
+        // first-input is reported even below the duration threshold
+        try {
+          inpObserver.observe({ type: 'first-input', buffered: shouldUseBuffer });
+        } catch (error) {
+          // Not supported - event entries are enough
+        }
+        
+        this.observers.set('INP', inpObserver);
+        
+      } catch (error) {
+        console.error('[Optima ViewScopedWebVitals] ❌ Error setting up INP:', error);
+      }
+    }
+
+    /**
+     * Fold an event timing entry into its interaction
+     * @param {Object} interactions - INP state ({ longest, ids, seen, baseCount, maxTracked })
+     * @param {PerformanceEventTiming} entry - Event timing entry
+     */
+    processInteractionEntry(interactions, entry) {
+      if (!interactions.ids.has(entry.interactionId)) {
+        interactions.seen++;
+        
+        // Entries of one interaction arrive together, so old IDs are not needed
+        if (interactions.ids.size >= 100) {
+          interactions.ids.clear();
+        }
+        interactions.ids.add(entry.interactionId);
+      }
+      
+      const existing = interactions.longest.find(interaction => interaction.id === entry.interactionId);
+      
+      if (existing) {
+        // keydown/keyup or pointerdown/pointerup/click of the same interaction - keep the longest
+        if (entry.duration > existing.duration) {
+          existing.duration = entry.duration;
+          existing.entry = entry;
+        }
+      } else {
+        const shortest = interactions.longest[interactions.longest.length - 1];
+        if (interactions.longest.length < interactions.maxTracked || entry.duration > shortest.duration) {
+          interactions.longest.push({ id: entry.interactionId, duration: entry.duration, entry: entry });
+        }
+      }
+      
+      interactions.longest.sort((a, b) => b.duration - a.duration);
+      interactions.longest.splice(interactions.maxTracked);
+    }
+
+    /**
+     * Report the current INP candidate with attribution
+     * @param {Object} interactions - INP state ({ longest, ids, seen, baseCount, maxTracked })
+     * @param {number} viewStartTime - View start time
+     */
+    reportINP(interactions, viewStartTime) {
+      if (interactions.longest.length === 0) return;
+      
+      // Fall back to the observed count where interactionCount isn't supported
+      const interactionCount = typeof performance.interactionCount === 'number'
+        ? Math.max(performance.interactionCount - interactions.baseCount, interactions.seen)
+        : interactions.seen;
+      const candidate = interactions.longest[Math.min(interactions.longest.length - 1, Math.floor(interactionCount / 50))];
+      const currentINP = this.viewManager.currentView?.webVitals?.INP;
+      
+      if (currentINP && currentINP.value === candidate.duration && currentINP.interactionCount === interactionCount) {
+        return;
+      }
+      
+      const entry = candidate.entry;
+      const elementInfo = entry.target ? this.getElementInfo(entry.target) : null;
+      const longAnimationFrames = this.mainThreadCollector
+        ? this.mainThreadCollector.findOverlappingFrames(entry.startTime, entry.startTime + candidate.duration)
+        : [];
+      
+      this.viewManager.updateWebVital('INP', candidate.duration, {
+        viewRelativeTime: entry.startTime - viewStartTime,
+        interactionType: entry.name.startsWith('key') ? 'keyboard' : 'pointer',
+        eventType: entry.name,
+        interactionTime: entry.startTime,
+        interactionTarget: entry.target ? generateCSSPath(entry.target) : null,
+        target: elementInfo,
+        inputDelay: Math.max(0, entry.processingStart - entry.startTime),
+        processingDuration: Math.max(0, entry.processingEnd - entry.processingStart),
+        presentationDelay: Math.max(0, entry.startTime + entry.duration - entry.processingEnd),
+        interactionCount: interactionCount,
+        longAnimationFrames: longAnimationFrames // Frames the interaction overlapped (script attribution)
+      });
+      
+      console.log(`[Optima ViewScopedWebVitals] 🖱️ INP updated: ${candidate.duration}ms (${interactionCount} interactions, event: ${entry.name}, element: ${elementInfo?.tagName}#${elementInfo?.id || 'no-id'})`);
+    }
+
+    /**
+     * Setup route FCP/LCP tracking - Route changes only
+     */
+    setupRoutePaints() {
+      console.log('[Optima ViewScopedWebVitals] 🧭 Setting up route paint tracking');
+      
+      try {
+        if (this.softNavigationTracker) {
+          this.softNavigationTracker.cleanup();
+        }
+        
+        this.softNavigationTracker = new ViewScopedSoftNavigationTracker(this.viewManager);
+        this.softNavigationTracker.start();
+        
+      } catch (error) {
+        console.error('[Optima ViewScopedWebVitals] ❌ Error setting up route paints:', error);
+      }
+    }
+
+    /**
+     * Setup long task and long animation frame collection - All view types
+     */
+    setupMainThread() {
+      try {
+        if (this.mainThreadCollector) {
+          this.mainThreadCollector.cleanup();
+        }
+        
+        this.mainThreadCollector = new ViewScopedMainThreadCollector(this.viewManager);
+        this.mainThreadCollector.start();
+        
+      } catch (error) {
+        console.error('[Optima ViewScopedWebVitals] ❌ Error setting up main thread collection:', error);
+      }
+    }
+
+    /**
+     * Setup loading time tracking - For both initial load and route changes
+     */
+    setupLoadingTime() {
+      console.log('[Optima ViewScopedWebVitals] ⏱️ Setting up loading time tracking');
+      
+      try {
+        // Cleanup any existing tracker
+        if (this.loadingTimeTracker) {
+          this.loadingTimeTracker.cleanup();
+        }
+        
+        // Create and start new tracker
+        this.loadingTimeTracker = new ViewScopedLoadingTimeTracker(this.viewManager);
+        this.loadingTimeTracker.start();
+        
+      } catch (error) {
+        console.error('[Optima ViewScopedWebVitals] ❌ Error setting up loading time:', error);
+      }
+    }
+
+    /**
+     * Extract LCP element information
+     * @param {PerformanceEntry} lcpEntry - LCP performance entry
+     * @returns {Object} Element information
+     */
+    extractLCPElementInfo(lcpEntry) {
+      try {
+        if (!lcpEntry.element) return null;
+        
+        return {
+          tagName: lcpEntry.element.tagName,
+          id: lcpEntry.element.id || null,
+          className: lcpEntry.element.className || null,
+          src: lcpEntry.element.src || lcpEntry.element.currentSrc || null,
+          url: lcpEntry.url || null,
+          size: lcpEntry.size || 0
+        };
+      } catch (error) {
+        return null;
+      }
+    }
+
+    /**
+     * Stop listening for the LCP finalization events
+     */
+    stopLCPFinalization() {
+      if (this.lcpFinalizeCleanup) {
+        this.lcpFinalizeCleanup();
+        this.lcpFinalizeCleanup = null;
+      }
+    }
+
+    /**
+     * Calculate LCP attribution breakdown
+     * Splits LCP into the four standard sub-parts, which add up to the LCP value:
+     * TTFB, resource load delay, resource load duration and element render delay.
+     * All times are relative to activationStart (prerendered pages).
+     * @param {PerformanceEntry} lcpEntry - LCP performance entry
+     * @returns {Object} Attribution breakdown
+     */
+    calculateLCPAttribution(lcpEntry) {
+      try {
+        const navEntry = performance.getEntriesByType('navigation')[0];
+        if (!navEntry) return null;
+        
+        const activationStart = navEntry.activationStart || 0;
+        const ttfb = Math.max(0, navEntry.responseStart - activationStart);
+        
+        // Image/video LCP elements have a resource; text elements don't
+        const lcpResourceEntry = lcpEntry.url
+          ? performance.getEntriesByType('resource').find(entry => entry.name === lcpEntry.url)
+          : null;
+        
+        const lcpRequestStart = Math.max(
+          ttfb,
+          lcpResourceEntry ? (lcpResourceEntry.requestStart || lcpResourceEntry.startTime) - activationStart : 0
+        );
+        const lcpResponseEnd = Math.max(
+          lcpRequestStart,
+          lcpResourceEntry ? lcpResourceEntry.responseEnd - activationStart : 0
+        );
+        const lcpRenderTime = Math.max(lcpResponseEnd, lcpEntry.startTime - activationStart);
+        
+        return {
+          ttfb: Math.round(ttfb),
+          resourceLoadDelay: Math.round(lcpRequestStart - ttfb),
+          resourceLoadDuration: Math.round(lcpResponseEnd - lcpRequestStart),
+          elementRenderDelay: Math.round(lcpRenderTime - lcpResponseEnd),
+          url: lcpEntry.url || null,
+          hasResourceEntry: !!lcpResourceEntry,
+          activationStart: Math.round(activationStart)
+        };
+      } catch (error) {
+        return null;
+      }
+    }
+
+    /**
+     * Get element information for interactions
+     * @param {Element} element - DOM element
+     * @returns {Object} Element information
+     */
+    getElementInfo(element) {
+      if (!element) return null;
+      
+      try {
+        const info = {
+          tagName: element.tagName,
+          id: element.id || null,
+          className: element.className || null,
+          textContent: isMaskedNode(element) ? '[masked]' : (element.textContent?.substring(0, 100) || null),
+          type: element.type || null,
+          name: element.name || null,
+          href: element.href || null,
+          role: element.getAttribute('role') || null
+        };
+        
+        // Add more context for debugging
+        if (element.closest) {
+          const parentButton = element.closest('button');
+          const parentLink = element.closest('a');
+          const parentForm = element.closest('form');
+          
+          if (parentButton && parentButton !== element) {
+            info.parentButton = {
+              id: parentButton.id || null,
+              className: parentButton.className || null,
+              textContent: isMaskedNode(parentButton) ? '[masked]' : (parentButton.textContent?.substring(0, 50) || null)
+            };
+          }
+          
+          if (parentLink && parentLink !== element) {
+            info.parentLink = {
+              href: parentLink.href || null,
+              textContent: isMaskedNode(parentLink) ? '[masked]' : (parentLink.textContent?.substring(0, 50) || null)
+            };
+          }
+          
+          if (parentForm && parentForm !== element) {
+            info.parentForm = {
+              id: parentForm.id || null,
+              name: parentForm.name || null,
+              action: parentForm.action || null
+            };
+          }
+        }
+        
+        return info;
+      } catch (error) {
+        console.warn('[Optima ViewScopedWebVitals] ⚠️ Error getting element info:', error);
+        return { error: error.message };
+      }
+    }
+
+    /**
+     * Clear all observers
+     */
+    clearObservers() {
+      console.log('[Optima ViewScopedWebVitals] 🧹 Clearing web vitals observers');
+      
+      this.stopLCPFinalization();
+      
+      this.observers.forEach((observer, metric) => {
+        try {
+          observer.disconnect();
+        } catch (error) {
+          console.error(`[Optima ViewScopedWebVitals] ❌ Error disconnecting ${metric} observer:`, error);
+        }
+      });
+      
+      this.observers.clear();
+    }
+
+    /**
+     * Stop collecting and cleanup
+     */
+    stopCollecting() {
+      console.log('[Optima ViewScopedWebVitals] 🛑 Stopping web vitals collection');
+      
+      this.clearObservers();
+      
+      // Cleanup loading time tracker
+      if (this.loadingTimeTracker) {
+        this.loadingTimeTracker.cleanup();
+        this.loadingTimeTracker = null;
+      }
+      
+      if (this.softNavigationTracker) {
+        this.softNavigationTracker.cleanup();
+        this.softNavigationTracker = null;
+      }
+      
+      if (this.mainThreadCollector) {
+        this.mainThreadCollector.cleanup();
+        this.mainThreadCollector = null;
+      }
+      
+      this.isSetup = false;
+    }
+
+    /**
+     * Reset for new view
+     */
+    reset() {
+      console.log('[Optima ViewScopedWebVitals] 🔄 Resetting web vitals collector');
+      
+      this.stopCollecting();
+    }
+  }
+
+  /**
+   * View-Scoped Loading Time Tracker
+   * Adapted from legacy SDK's sophisticated activity-based tracking
+   */
+  class ViewScopedLoadingTimeTracker {
+    constructor(viewManager) {
+      this.viewManager = viewManager;
+      this.startTime = null;
+      this.lastActivityTime = null;
+      this.isComplete = false;
+      this.isTracking = false;
+      this.activitySources = new Set();
+      this.detailedActivities = []; // New: Array to store detailed activity information
+      this.quietPeriod = 200; // 200ms quiet period
+      this.maxWaitTime = 20000; // 20 seconds maximum
+      this.checkInterval = null;
+      this.observers = [];
+      this.pendingRequests = new Set();
+      this.pendingResources = new Set();
+      this.viewType = null;
+      this.baselineTime = null;
+      
+      // Store original methods for cleanup
+      this.originalXHROpen = null;
+      this.originalXHRSend = null;
+      this.originalFetch = null;
+    }
+
+    start() {
+      if (!this.viewManager.currentView) return;
+      
+      const currentView = this.viewManager.currentView;
+      this.viewType = currentView.type;
+      this.isTracking = true;
+      
+      // ENHANCED BASELINE TIME CALCULATION WITH COMPREHENSIVE LOGGING
+      console.group(`🎯 Loading Time Baseline Calculation - ${this.viewType.toUpperCase()} VIEW`);
+      
+      if (this.viewType === 'initial') {
+        // For initial page load, use navigation fetchStart time (when actual request began)
+        try {
+          const navEntry = performance.getEntriesByType('navigation')[0];
+          if (navEntry) {
+            // FIXED: Use fetchStart instead of startTime (which is always 0)
+            // Prerendered pages load before they are shown, so they start at activation
+            const activationStart = navEntry.activationStart || 0;
+            this.baselineTime = performance.timeOrigin + Math.max(navEntry.fetchStart, activationStart);
+            
+            console.log('📊 Navigation Timing Details:');
+            console.table({
+              'Navigation Start': `${navEntry.startTime}ms (always 0)`,
+              'Fetch Start': `${navEntry.fetchStart}ms${activationStart > navEntry.fetchStart ? '' : ' ✅ USING THIS'}`,
+              'Activation Start': activationStart ? `${activationStart}ms ✅ USING THIS (prerendered)` : 'Not prerendered',
+              'DOM Content Loaded': `${navEntry.domContentLoadedEventEnd}ms`,
+              'Load Event End': `${navEntry.loadEventEnd}ms`,
+              'Performance Origin': new Date(performance.timeOrigin).toISOString()
+            });
+            
+            console.log(`✅ Initial load baseline: ${this.baselineTime} (performance.timeOrigin + ${Math.max(navEntry.fetchStart, activationStart)}ms)`);
+          } else {
+            this.baselineTime = performance.timeOrigin;
+            console.warn('⚠️ No navigation entry found, using performance.timeOrigin as fallback');
+          }
+        } catch (e) {
+          this.baselineTime = performance.timeOrigin;
+          console.error('❌ Error getting navigation timing, using performance.timeOrigin as fallback:', e);
+        }
+      } else {
+        // For route changes, use the precise route trigger time if available
+        const routeTriggerTime = currentView.routeTriggerTime;
+        const interactionBaseline = currentView.interactionBaseline;
+        
+        console.log('📊 Route Change Timing Details:');
+        console.table({
+          'View Start Time': `${currentView.startTime.toFixed(2)}ms`,
+          'Route Trigger Time': routeTriggerTime ? `${routeTriggerTime.toFixed(2)}ms ✅ USING THIS` : 'Not available',
+          'Interaction Baseline': interactionBaseline ? `${interactionBaseline.toFixed(2)}ms (alternative)` : 'Not available',
+          'Current Time': `${performance.now().toFixed(2)}ms`,
+          'View Creation Delay': routeTriggerTime ? `${(currentView.startTime - routeTriggerTime).toFixed(2)}ms` : 'N/A'
+        });
+        
+        if (routeTriggerTime && typeof routeTriggerTime === 'number') {
+          // FIXED: Use precise route trigger time instead of current time
+          this.baselineTime = performance.timeOrigin + routeTriggerTime;
+          console.log(`✅ Route change baseline: ${this.baselineTime} (performance.timeOrigin + ${routeTriggerTime.toFixed(2)}ms)`);
+          console.log(`⚡ Precision advantage: ${((performance.timeOrigin + performance.now()) - this.baselineTime).toFixed(2)}ms earlier than current time`);
+        } else {
+          // Fallback to current time if route trigger time is not available
+          this.baselineTime = performance.timeOrigin + performance.now();
+          console.warn('⚠️ No route trigger time available, using current time as fallback');
+          console.log(`🔄 Fallback baseline: ${this.baselineTime} (performance.timeOrigin + ${performance.now().toFixed(2)}ms)`);
+        }
+      }
+      
+      this.startTime = this.baselineTime;
+      this.lastActivityTime = this.baselineTime;
+      
+      console.log(`🎯 FINAL BASELINE: ${this.baselineTime}`);
+      console.log(`📅 Baseline Date: ${new Date(this.baselineTime).toISOString()}`);
+      console.log(`⏱️ Time since baseline: ${((performance.timeOrigin + performance.now()) - this.baselineTime).toFixed(2)}ms`);
+      console.groupEnd();
+      
+      // Enhanced loading time tracking start log
+      console.group(
+        `%c🚀 Loading Time Tracking Started %c${this.viewType.toUpperCase()}`,
+        'color: #10b981; font-weight: bold; font-size: 14px;',
+        'color: #3b82f6; font-weight: bold; font-size: 12px; background: #eff6ff; padding: 2px 6px; border-radius: 4px;'
+      );
+      
+      console.log('%c📊 Tracking Configuration:', 'color: #6b7280; font-weight: bold;');
+      console.table({
+        'View Type': this.viewType,
+        'Baseline Time': new Date(this.baselineTime).toISOString(),
+        'Quiet Period': `${this.quietPeriod}ms`,
+        'Max Wait Time': `${this.viewType === 'initial' ? this.maxWaitTime : 20000}ms`,
+        'Activity Sources': 'resource, xhr, fetch, dom_mutation'
+      });
+      
+      console.groupEnd();
+      
+      // Setup activity monitoring
+      this.setupResourceObserver();
+      this.setupXHRMonitoring();
+      this.setupFetchMonitoring();
+      this.setupMutationObserver();
+      
+      // Start checking for completion
+      this.startCompletionCheck();
+      
+      // Maximum timeout - shorter for route changes
+      const timeout = this.viewType === 'initial' ? this.maxWaitTime : 20000; // 20s for route changes
+      setTimeout(() => {
+        if (!this.isComplete) {
+          this.complete('timeout');
+        }
+      }, timeout);
+    }
+
+    recordActivity(source, details = null) {
+      if (this.isComplete || !this.isTracking) return;
+      
+      const currentTime = performance.timeOrigin + performance.now();
+      const timeSinceBaseline = currentTime - this.baselineTime;
+      const timeSinceLastActivity = currentTime - this.lastActivityTime;
+      
+      this.lastActivityTime = currentTime;
+      this.activitySources.add(source);
+      
+      // Store detailed activity information
+      if (details) {
+        const activityRecord = {
+          type: source,
+          timestamp: currentTime,
+          timeSinceBaseline: Math.round(timeSinceBaseline),
+          ...details
+        };
+        this.detailedActivities.push(activityRecord);
+        
+        // Limit detailed activities to prevent memory bloat (keep last 50)
+        if (this.detailedActivities.length > 50) {
+          this.detailedActivities = this.detailedActivities.slice(-50);
+        }
+      }
+      
+      // Enhanced activity logging with context
+      console.log(
+        `%c📊 Activity Detected %c${source.toUpperCase()}`,
+        'color: #f59e0b; font-weight: bold;',
+        'color: #ffffff; background: #f59e0b; padding: 1px 4px; border-radius: 3px; font-size: 11px;'
+      );
+      console.log(`⏱️ Time since baseline: ${timeSinceBaseline.toFixed(2)}ms`);
+      console.log(`⏰ Time since last activity: ${timeSinceLastActivity.toFixed(2)}ms`);
+      if (details) {
+        console.log(`🔍 Activity details:`, details);
+      }
+      console.log(`📈 Active sources: [${Array.from(this.activitySources).join(', ')}]`);
+      console.log(`🔄 Pending: ${this.pendingRequests.size} requests, ${this.pendingResources.size} resources`);
+      
+      // Reset completion check
+      if (this.checkInterval) {
+        clearTimeout(this.checkInterval);
+      }
+      this.startCompletionCheck();
+    }
+
+    setupResourceObserver() {
+      if (!window.PerformanceObserver || 
+          !window.PerformanceObserver.supportedEntryTypes ||
+          !window.PerformanceObserver.supportedEntryTypes.includes('resource')) {
+        return;
+      }
+
+      try {
+        const observer = new PerformanceObserver((list) => {
+          if (this.isComplete || !this.isTracking) return;
+          
+          const entries = list.getEntries();
+          
+          entries.forEach(entry => {
+            const resourceStartTime = performance.timeOrigin + entry.startTime;
+            
+            // For initial load: consider all resources after navigation start
+            // For route changes: consider resources after baseline (route change time)
+            if (resourceStartTime >= this.baselineTime) {
+              this.pendingResources.add(entry.name);
+              
+              // Create detailed activity information for this resource
+              const resourceDetails = {
+                url: entry.name,
+                type: entry.initiatorType || 'unknown',
+                size: entry.transferSize || 0,
+                duration: Math.round(entry.duration || 0),
+                startTime: Math.round(entry.startTime),
+                endTime: Math.round(entry.startTime + (entry.duration || 0))
+              };
+              
+              this.recordActivity('resource', resourceDetails);
+              
+              // Remove from pending when complete
+              setTimeout(() => {
+                this.pendingResources.delete(entry.name);
+              }, 50);
+            }
+          });
+        });
+
+        observer.observe({ type: 'resource', buffered: false });
+        this.observers.push(observer);
+        
+      } catch (e) {
+        console.error('[Optima LoadingTimeTracker] ❌ Resource observer failed:', e);
+      }
+    }
+
+    setupXHRMonitoring() {
+      if (!window.XMLHttpRequest) return;
+      
+      // Store original methods
+      this.originalXHROpen = XMLHttpRequest.prototype.open;
+      this.originalXHRSend = XMLHttpRequest.prototype.send;
+      
+      const self = this;
+
+      XMLHttpRequest.prototype.open = function(method, url, async) {
+        this._optimaUrl = url;
+        this._optimaMethod = method;
+        this._optimaStartTime = performance.now();
+        return self.originalXHROpen.apply(this, arguments);
+      };
+
+      XMLHttpRequest.prototype.send = function(data) {
+        if (self.isComplete || !self.isTracking) {
+          return self.originalXHRSend.apply(this, arguments);
+        }
+
+        // Get SDK config for exclusion list
+        const sdkConfig = self.viewManager.sdk?.config || {};
+
+        // Check if this URL should be excluded from loading time tracking
+        if (isInExclusionList(this._optimaUrl, sdkConfig)) {
+          return self.originalXHRSend.apply(this, arguments);
+        }
+
+        const requestId = `xhr_${this._optimaUrl}_${this._optimaStartTime}`;
+        self.pendingRequests.add(requestId);
+        
+        // Create detailed activity information for this XHR request
+        const xhrDetails = {
+          url: this._optimaUrl,
+          method: this._optimaMethod || 'GET',
+          startTime: Math.round(this._optimaStartTime),
+          requestType: 'XMLHttpRequest'
+        };
+        
+        self.recordActivity('xhr', xhrDetails);
+
+        const cleanup = () => {
+          self.pendingRequests.delete(requestId);
+        };
+
+        this.addEventListener('loadend', cleanup);
+        this.addEventListener('error', cleanup);
+        this.addEventListener('abort', cleanup);
+
+        return self.originalXHRSend.apply(this, arguments);
+      };
+    }
+
+    setupFetchMonitoring() {
+      if (!window.fetch) return;
+
+      // Store original fetch
+      this.originalFetch = window.fetch;
+      const self = this;
+
+      window.fetch = function(input, init) {
+        if (self.isComplete || !self.isTracking) {
+          return self.originalFetch.apply(this, arguments);
+        }
+
+        const url = typeof input === 'string' ? input : input.url;
+        
+        // Get SDK config for exclusion list
+        const sdkConfig = self.viewManager.sdk?.config || {};
+        
+        // Check if this URL should be excluded from loading time tracking
+        if (isInExclusionList(url, sdkConfig)) {
+          return self.originalFetch.apply(this, arguments);
+        }
+
+        const method = init?.method || 'GET';
+        const requestId = `fetch_${url}_${performance.now()}`;
+        
+        self.pendingRequests.add(requestId);
+        
+        // Create detailed activity information for this Fetch request
+        const fetchDetails = {
+          url: url,
+          method: method,
+          startTime: Math.round(performance.now()),
+          requestType: 'fetch'
+        };
+        
+        self.recordActivity('fetch', fetchDetails);
+
+        return self.originalFetch.apply(this, arguments)
+          .finally(() => {
+            self.pendingRequests.delete(requestId);
+          });
+      };
+    }
+
+    setupMutationObserver() {
+      if (!window.MutationObserver) return;
+
+      try {
+        const observer = new MutationObserver((mutations) => {
+          if (this.isComplete || !this.isTracking) return;
+
+          // Only count significant mutations
+          const significantMutations = mutations.filter(mutation => {
+            // Skip style changes and minor attribute changes
+            if (mutation.type === 'attributes' && 
+                ['style', 'class'].includes(mutation.attributeName)) {
+              return false;
+            }
+            
+            // Count node additions/removals
+            if (mutation.type === 'childList' && 
+                (mutation.addedNodes.length > 0 || mutation.removedNodes.length > 0)) {
+              return true;
+            }
+
+            return false;
+          });
+
+          if (significantMutations.length > 0) {
+            // Create detailed activity information for DOM mutations
+            const mutationDetails = {
+              mutationCount: significantMutations.length,
+              addedNodes: significantMutations.reduce((sum, m) => sum + m.addedNodes.length, 0),
+              removedNodes: significantMutations.reduce((sum, m) => sum + m.removedNodes.length, 0),
+              attributeChanges: significantMutations.filter(m => m.type === 'attributes').length,
+              targets: significantMutations.map(m => m.target.tagName || 'unknown').slice(0, 5) // Limit to first 5 targets
+            };
+            
+            this.recordActivity('dom_mutation', mutationDetails);
+          }
+        });
+
+        observer.observe(document.body || document.documentElement, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          attributeFilter: ['src', 'href', 'data-src']
+        });
+
+        this.observers.push(observer);
+        
+      } catch (e) {
+        console.error('[Optima LoadingTimeTracker] ❌ Mutation observer failed:', e);
+      }
+    }
+
+    setupLoadEventFallback() {
+      // Only for initial page load
+      if (this.viewType !== 'initial') return;
+      
+      if (document.readyState === 'complete') {
+        // Page already loaded - complete quickly for initial load
+        setTimeout(() => {
+          if (!this.isComplete) {
+            this.complete('load_event_already_complete');
+          }
+        }, 100); // Much shorter delay
+      } else {
+        window.addEventListener('load', () => {
+          setTimeout(() => {
+            if (!this.isComplete) {
+              this.complete('load_event');
+            }
+          }, 200); // Shorter delay after load event
+        });
+      }
+    }
+
+    startCompletionCheck() {
+      this.checkInterval = setTimeout(() => {
+        this.checkForCompletion();
+      }, this.quietPeriod);
+    }
+
+    checkForCompletion() {
+      if (this.isComplete || !this.isTracking) return;
+
+      const now = performance.timeOrigin + performance.now();
+      const timeSinceLastActivity = now - this.lastActivityTime;
+      const totalTime = now - this.baselineTime;
+
+      // Check if we have any pending requests or resources
+      const hasPendingActivity = this.pendingRequests.size > 0 || this.pendingResources.size > 0;
+
+      // Enhanced completion check logging
+      console.group(`🔍 Loading Time Completion Check - ${this.viewType.toUpperCase()}`);
+      console.log('%c📊 Current Status:', 'color: #6b7280; font-weight: bold;');
+      console.table({
+        'Time Since Last Activity': `${Math.round(timeSinceLastActivity)}ms`,
+        'Total Time Since Baseline': `${Math.round(totalTime)}ms`,
+        'Quiet Period Threshold': `${this.quietPeriod}ms`,
+        'Pending Requests': this.pendingRequests.size,
+        'Pending Resources': this.pendingResources.size,
+        'Has Pending Activity': hasPendingActivity,
+        'Activity Sources': Array.from(this.activitySources).join(', ') || 'none'
+      });
+
+      // Different completion logic for initial vs route change
+      if (this.viewType === 'initial') {
+        const maxTimeReached = totalTime >= 20000;
+        const quietPeriodMet = timeSinceLastActivity >= this.quietPeriod && !hasPendingActivity;
+        
+        console.log('%c🎯 Initial Load Completion Logic:', 'color: #3b82f6; font-weight: bold;');
+        console.table({
+          'Quiet Period Met': quietPeriodMet,
+          'Max Time Reached (20s)': maxTimeReached,
+          'Will Complete': quietPeriodMet || maxTimeReached,
+          'Completion Reason': maxTimeReached ? 'max_time_reached' : (quietPeriodMet ? 'activity_quiet' : 'continue_tracking')
+        });
+        
+        // For initial load: wait for quiet period or reasonable time limit
+        if (quietPeriodMet || maxTimeReached) {
+          const reason = maxTimeReached ? 'max_time_reached' : 'activity_quiet';
+          console.log(`✅ Completing initial load: ${reason}`);
+          console.groupEnd();
+          this.complete(reason);
+          return;
+        }
+      } else {
+        const quietPeriodMet = timeSinceLastActivity >= this.quietPeriod && !hasPendingActivity;
+        const maxTimeReached = totalTime >= 20000;
+        
+        console.log('%c🎯 Route Change Completion Logic:', 'color: #8b5cf6; font-weight: bold;');
+        console.table({
+          'Quiet Period Met': quietPeriodMet,
+          'Max Time Reached (20s)': maxTimeReached,
+          'Will Complete': quietPeriodMet || maxTimeReached,
+          'Completion Reason': maxTimeReached ? 'route_change_timeout' : (quietPeriodMet ? 'activity_quiet' : 'continue_tracking')
+        });
+        
+        // For route changes: be more aggressive about completion
+        if (quietPeriodMet) {
+          console.log(`✅ Completing route change: activity_quiet`);
+          console.groupEnd();
+          this.complete('activity_quiet');
+          return;
+        }
+        
+        // For route changes, if we've been tracking for more than 10 seconds, complete
+        if (maxTimeReached) {
+          console.log(`✅ Completing route change: route_change_timeout`);
+          console.groupEnd();
+          this.complete('route_change_timeout');
+          return;
+        }
+      }
+      
+      console.log(`🔄 Continuing tracking - next check in ${this.quietPeriod}ms`);
+      console.groupEnd();
+      
+      // Continue checking
+      this.startCompletionCheck();
+    }
+
+    complete(reason) {
+      if (this.isComplete) return;
+
+      this.isComplete = true;
+      this.isTracking = false;
+      
+      // Calculate loading time
+      const endTime = this.lastActivityTime;
+      const loadingTime = Math.round(endTime - this.baselineTime);
+      
+      // FIXED: Capture activity sources and detailed activities BEFORE cleanup (which clears them)
+      const activityList = Array.from(this.activitySources).join(', ') || 'none';
+      const detectedActivities = Array.from(this.activitySources);
+      const detailedActivitiesCopy = [...this.detailedActivities]; // Copy detailed activities
+      
+      // Cleanup observers and restore original methods
+      this.cleanup();
+
+      // Update view's web vital
+      this.viewManager.updateWebVital('loading_time', loadingTime, {
+        reason: reason,
+        activitySources: detectedActivities, // Use captured activities
+        detailedActivities: detailedActivitiesCopy, // Include detailed activities
+        viewType: this.viewType,
+        baselineTime: this.baselineTime,
+        endTime: endTime,
+        pendingRequestsCount: this.pendingRequests.size,
+        pendingResourcesCount: this.pendingResources.size
+      });
+
+      // Enhanced logging (similar to legacy SDK)
+      console.group(
+        `%c🚀 View Loading Time Complete! %c${loadingTime}ms`,
+        'color: #10b981; font-weight: bold; font-size: 14px;',
+        'color: #3b82f6; font-weight: bold; font-size: 16px; background: #eff6ff; padding: 2px 6px; border-radius: 4px;'
+      );
+      
+      console.log('%c📊 Performance Details:', 'color: #6b7280; font-weight: bold;');
+      console.table({
+        'Loading Time': `${loadingTime}ms`,
+        'View Type': this.viewType,
+        'Completion Reason': reason,
+        'Activity Sources': activityList,
+        'Baseline Time': new Date(this.baselineTime).toISOString(),
+        'Completion Time': new Date(endTime).toISOString()
+      });
+      
+      if (detectedActivities.length > 0) {
+        console.log('%c🔍 Detected Activities:', 'color: #6b7280; font-weight: bold;', detectedActivities);
+      }
+      
+      console.log('%c⚡ Ready for analysis in Optima Dashboard', 'color: #8b5cf6; font-style: italic;');
+      console.groupEnd();
+    }
+
+    cleanup() {
+      // Clear check interval
+      if (this.checkInterval) {
+        clearTimeout(this.checkInterval);
+        this.checkInterval = null;
+      }
+
+      // Disconnect observers
+      this.observers.forEach(observer => {
+        if (observer.disconnect) {
+          observer.disconnect();
+        }
+      });
+      this.observers = [];
+
+      // Restore original XHR methods (important for view isolation)
+      if (this.originalXHROpen) {
+        XMLHttpRequest.prototype.open = this.originalXHROpen;
+      }
+      if (this.originalXHRSend) {
+        XMLHttpRequest.prototype.send = this.originalXHRSend;
+      }
+      
+      // Restore original fetch
+      if (this.originalFetch) {
+        window.fetch = this.originalFetch;
+      }
+      
+      // Clear pending tracking
+      this.pendingRequests.clear();
+      this.pendingResources.clear();
+      this.activitySources.clear();
+    }
+  }
+
+  /**
+   * View-Scoped Soft Navigation Paint Tracker
+   * Measures route FCP/LCP for route_change views
+   */
+  class ViewScopedSoftNavigationTracker {
+    constructor(viewManager) {
+      this.viewManager = viewManager;
+      this.view = null;
+      this.baselineTime = null;
+      this.maxWaitTime = 10000; // Stop looking for a route LCP after 10 seconds
+      this.maxCandidatesPerFrame = 200; // Layout reads per animation frame, across all mutations
+      this.maxPendingRoots = 100;
+      this.observers = [];
+      this.mutationObserver = null;
+      this.pendingRoots = new Set();
+      this.measureFrame = null;
+      this.stopTimer = null;
+      this.finalizeHandler = null;
+      this.isTracking = false;
+
+      // Best values so far, per source ('soft-navigation' wins over the heuristics)
+      this.fcpSource = null;
+      this.largestSize = 0;
+      this.lcpSource = null;
+      this.softNavigation = null;
+    }
+
+    /**
+     * Start tracking paints for the current route_change view
+     */
+    start() {
+      const currentView = this.viewManager.currentView;
+      if (!currentView || currentView.type !== 'route_change') return;
+
+      this.view = currentView;
+      this.baselineTime = currentView.routeTriggerTime || currentView.startTime;
+      this.isTracking = true;
+
+      console.log(`[Optima SoftNavigation] 🧭 Tracking route paints from ${this.baselineTime.toFixed(2)}ms`);
+
+      this.observeSoftNavigations();
+      this.observeElementTiming();
+      this.observeMutations();
+
+      // Like LCP, stop at the first input or when the page is hidden
+      this.finalizeHandler = (event) => {
+        if (event.type === 'visibilitychange' && document.visibilityState !== 'hidden') return;
+        this.finalize(event.type);
+      };
+      document.addEventListener('keydown', this.finalizeHandler, { capture: true, passive: true });
+      document.addEventListener('pointerdown', this.finalizeHandler, { capture: true, passive: true });
+      document.addEventListener('visibilitychange', this.finalizeHandler, true);
+
+      this.stopTimer = setTimeout(() => this.finalize('timeout'), this.maxWaitTime);
+    }
+
+    /**
+     * Use Chromium's soft-navigation entries where available
+     * Paint entries of the soft navigation carry its navigationId.
+     */
+    observeSoftNavigations() {
+      if (!PerformanceObserver.supportedEntryTypes?.includes('soft-navigation')) return;
+
+      try {
+        const softNavObserver = new PerformanceObserver((list) => {
+          list.getEntries().forEach(entry => {
+            // The soft navigation for this route starts around the route trigger
+            if (!this.softNavigation && entry.startTime >= this.baselineTime - 50) {
+              this.softNavigation = entry;
+              console.log(`[Optima SoftNavigation] 🧭 Soft navigation entry matched: ${entry.name} (navigationId: ${entry.navigationId})`);
+            }
+          });
+        });
+        softNavObserver.observe({ type: 'soft-navigation', buffered: true });
+        this.observers.push(softNavObserver);
+
+        const paintObserver = new PerformanceObserver((list) => {
+          if (!this.softNavigation) return;
+
+          list.getEntries().forEach(entry => {
+            if (entry.navigationId !== this.softNavigation.navigationId) return;
+
+            if (entry.entryType === 'paint' && entry.name === 'first-contentful-paint') {
+              this.recordFCP(entry.startTime, 'soft-navigation');
+            } else if (entry.entryType === 'largest-contentful-paint') {
+              this.recordLCP(entry.startTime, entry.size, entry.element, 'soft-navigation');
+            }
+          });
+        });
+        paintObserver.observe({ type: 'paint', buffered: true, includeSoftNavigationObservations: true });
+        paintObserver.observe({ type: 'largest-contentful-paint', buffered: true, includeSoftNavigationObservations: true });
+        this.observers.push(paintObserver);
+      } catch (error) {
+        console.warn('[Optima SoftNavigation] ⚠️ Soft navigation observation unavailable:', error);
+      }
+    }
+
+    /**
+     * Use element timing for elements annotated with the `elementtiming` attribute
+     */
+    observeElementTiming() {
+      if (!PerformanceObserver.supportedEntryTypes?.includes('element')) return;
+
+      try {
+        const elementObserver = new PerformanceObserver((list) => {
+          list.getEntries().forEach(entry => {
+            const renderTime = entry.renderTime || entry.loadTime;
+            if (renderTime < this.baselineTime) return;
+
+            const rect = entry.intersectionRect;
+            const size = rect ? rect.width * rect.height : 0;
+            this.recordLCP(renderTime, size, entry.element, 'element-timing');
+          });
+        });
+        elementObserver.observe({ type: 'element', buffered: false });
+        this.observers.push(elementObserver);
+      } catch (error) {
+        console.warn('[Optima SoftNavigation] ⚠️ Element timing unavailable:', error);
+      }
+    }
+
+    /**
+     * Track the largest visible content element added after the route trigger
+     * Added nodes are only collected here; layout is read once per frame in measurePendingMutations.
+     */
+    observeMutations() {
+      if (typeof MutationObserver === 'undefined' || !document.body) return;
+
+      this.mutationObserver = new MutationObserver((mutations) => {
+        mutations.forEach(mutation => {
+          mutation.addedNodes.forEach(node => {
+            const root = node.nodeType === 1 ? node : node.parentElement;
+            if (root && this.pendingRoots.size < this.maxPendingRoots) {
+              this.pendingRoots.add(root);
+            }
+          });
+        });
+
+        if (this.pendingRoots.size > 0 && this.measureFrame === null) {
+          this.measureFrame = requestAnimationFrame(() => this.measurePendingMutations());
+        }
+      });
+
+      this.mutationObserver.observe(document.body, { childList: true, subtree: true });
+    }
+
+    /**
+     * Measure the content added since the last frame and record route FCP/LCP once it is painted
+     */
+    measurePendingMutations() {
+      this.measureFrame = null;
+      const roots = [...this.pendingRoots];
+      this.pendingRoots.clear();
+      if (!this.isTracking) return;
+
+      let budget = this.maxCandidatesPerFrame;
+      let painted = false;
+      let largest = null;
+
+      for (let i = 0; i < roots.length && budget > 0; i++) {
+        const candidates = this.getContentCandidates(roots[i], budget);
+        budget -= candidates.length;
+
+        candidates.forEach(element => {
+          const size = this.getVisibleArea(element);
+          if (size <= 0) return;
+
+          if (this.isPainted(element)) painted = true;
+          if (!largest || size > largest.size) {
+            largest = { element, size };
+          }
+        });
+      }
+
+      const newLargest = largest && largest.size > this.largestSize ? largest : null;
+      const { element } = newLargest || {};
+
+      // Images count once they are loaded and painted
+      if (element && !this.isPainted(element)) {
+        element.addEventListener(element.tagName === 'IMG' ? 'load' : 'loadeddata', () => {
+          this.afterNextPaint(paintTime => this.recordLCP(paintTime, this.getVisibleArea(element), element, 'mutation'));
+        }, { once: true });
+      }
+
+      if (!painted) return;
+
+      // Already inside a frame: the next frame callback runs after this one is painted
+      requestAnimationFrame(() => {
+        if (!this.isTracking) return;
+        const paintTime = performance.now();
+
+        this.recordFCP(paintTime, 'mutation');
+        if (element && this.isPainted(element)) {
+          this.recordLCP(paintTime, newLargest.size, element, 'mutation');
+        }
+      });
+    }
+
+    /**
+     * Collect elements that can be LCP candidates (media and text blocks)
+     * @param {Element} root - Added element
+     * @param {number} limit - Maximum number of elements to return
+     * @returns {Array} Candidate elements
+     */
+    getContentCandidates(root, limit) {
+      const selector = 'img, video, svg, canvas, h1, h2, h3, h4, p, li, td, span, a, button, [elementtiming]';
+      const candidates = [root];
+
+      if (root.querySelectorAll) {
+        const descendants = root.querySelectorAll(selector);
+        for (let i = 0; i < descendants.length && candidates.length < limit; i++) {
+          candidates.push(descendants[i]);
+        }
+      }
+
+      return candidates.filter(element => this.isContentElement(element));
+    }
+
+    /**
+     * Check whether a media element has something to paint yet
+     * @param {Element} element - Candidate element
+     * @returns {boolean} False for images still loading and videos without a frame
+     */
+    isPainted(element) {
+      if (element.tagName === 'IMG') return element.complete;
+      if (element.tagName === 'VIDEO') return element.readyState >= 2;
+      return true;
+    }
+
+    /**
+     * Check if an element paints content itself (not just a layout container)
+     * @param {Element} element - Element to check
+     * @returns {boolean} True for media elements and elements with their own text
+     */
+    isContentElement(element) {
+      if (['IMG', 'VIDEO', 'SVG', 'CANVAS', 'svg'].includes(element.tagName)) return true;
+
+      for (let i = 0; i < element.childNodes.length; i++) {
+        const child = element.childNodes[i];
+        if (child.nodeType === 3 && child.textContent.trim().length > 0) return true;
+      }
+
+      return false;
+    }
+
+    /**
+     * Get the element's area inside the viewport
+     * @param {Element} element - Element to measure
+     * @returns {number} Visible area in px²
+     */
+    getVisibleArea(element) {
+      try {
+        const rect = element.getBoundingClientRect();
+        const width = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+        const height = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+        return Math.max(0, width) * Math.max(0, height);
+      } catch (error) {
+        return 0;
+      }
+    }
+
+    /**
+     * Run a callback once the current DOM changes have been painted
+     * @param {Function} callback - Receives the paint time (performance.now())
+     */
+    afterNextPaint(callback) {
+      requestAnimationFrame(() => {
+        requestAnimationFrame(() => {
+          if (this.isTracking) callback(performance.now());
+        });
+      });
+    }
+
+    /**
+     * Check that the tracked view is still the active one
+     * @returns {boolean} True if values can be recorded
+     */
+    isViewActive() {
+      return this.viewManager.currentView === this.view && this.view.isActive;
+    }
+
+    /**
+     * Record the route FCP (first paint of new content after the route trigger)
+     * @param {number} paintTime - Paint time (performance timeline)
+     * @param {string} source - 'soft-navigation' | 'element-timing' | 'mutation'
+     */
+    recordFCP(paintTime, source) {
+      if (!this.isViewActive()) return;
+
+      // Heuristic values never replace a soft-navigation value
+      if (this.fcpSource && (this.fcpSource === 'soft-navigation' || source !== 'soft-navigation')) return;
+
+      const baseline = source === 'soft-navigation' ? this.softNavigation.startTime : this.baselineTime;
+      const value = Math.max(0, paintTime - baseline);
+      this.fcpSource = source;
+
+      this.viewManager.updateWebVital('route_fcp', value, {
+        source: source,
+        paintTime: paintTime,
+        baselineTime: baseline
+      });
+
+      console.log(`[Optima SoftNavigation] 🎨 Route FCP: ${value.toFixed(0)}ms (source: ${source})`);
+    }
+
+    /**
+     * Record a route LCP candidate
+     * @param {number} paintTime - Paint time (performance timeline)
+     * @param {number} size - Visible size of the element
+     * @param {Element|null} element - Candidate element
+     * @param {string} source - 'soft-navigation' | 'element-timing' | 'mutation'
+     */
+    recordLCP(paintTime, size, element, source) {
+      if (!this.isViewActive() || !size) return;
+
+      const upgradesSource = source === 'soft-navigation' && this.lcpSource !== 'soft-navigation';
+      if (!upgradesSource && (size <= this.largestSize || (this.lcpSource === 'soft-navigation' && source !== 'soft-navigation'))) return;
+
+      const baseline = source === 'soft-navigation' ? this.softNavigation.startTime : this.baselineTime;
+      const value = Math.max(0, paintTime - baseline);
+      this.largestSize = size;
+      this.lcpSource = source;
+
+      this.viewManager.updateWebVital('route_lcp', value, {
+        source: source,
+        paintTime: paintTime,
+        baselineTime: baseline,
+        size: Math.round(size),
+        element: element ? {
+          tagName: element.tagName,
+          id: element.id || null,
+          selector: generateCSSPath(element),
+          src: element.currentSrc || element.src || null
+        } : null
+      });
+
+      console.log(`[Optima SoftNavigation] 🖼️ Route LCP candidate: ${value.toFixed(0)}ms (size: ${Math.round(size)}, source: ${source})`);
+    }
+
+    /**
+     * Stop tracking and mark the route LCP as final
+     * @param {string} reason - What ended tracking
+     */
+    finalize(reason) {
+      if (!this.isTracking) return;
+
+      const lcp = this.isViewActive() ? this.view.webVitals.route_lcp : null;
+      if (lcp) {
+        lcp.finalized = true;
+        lcp.finalizedBy = reason;
+      }
+
+      console.log(`[Optima SoftNavigation] 🏁 Route paint tracking finalized (${reason})`);
+      this.cleanup();
+    }
+
+    /**
+     * Cleanup observers and listeners
+     */
+    cleanup() {
+      this.isTracking = false;
+
+      this.observers.forEach(observer => observer.disconnect());
+      this.observers = [];
+
+      if (this.mutationObserver) {
+        this.mutationObserver.disconnect();
+        this.mutationObserver = null;
+      }
+
+      if (this.measureFrame !== null) {
+        cancelAnimationFrame(this.measureFrame);
+        this.measureFrame = null;
+      }
+      this.pendingRoots.clear();
+
+      if (this.stopTimer) {
+        clearTimeout(this.stopTimer);
+        this.stopTimer = null;
+      }
+
+      if (this.finalizeHandler) {
+        document.removeEventListener('keydown', this.finalizeHandler, { capture: true });
+        document.removeEventListener('pointerdown', this.finalizeHandler, { capture: true });
+        document.removeEventListener('visibilitychange', this.finalizeHandler, true);
+        this.finalizeHandler = null;
+      }
+    }
+  }
+
+  /**
+   * View-Scoped Main Thread Collector
+   * Records long tasks and long animation frames (LoAF) per view
+   */
+
+  // Tasks over this duration (ms) block the main thread (Total Blocking Time)
+  const LONG_TASK_BLOCKING_THRESHOLD = 50;
+
+  class ViewScopedMainThreadCollector {
+    constructor(viewManager) {
+      this.viewManager = viewManager;
+      this.view = null;
+      this.viewStartTime = 0;
+      this.observers = [];
+      this.maxLongTasks = 50; // Longest entries kept per view
+      this.maxLongAnimationFrames = 20;
+
+      // Every recent frame, whatever its length, so linking doesn't depend on which frames the view keeps
+      this.recentFrames = [];
+      this.maxRecentFrames = 50;
+    }
+
+    /**
+     * Start observing for the current view
+     */
+    start() {
+      const currentView = this.viewManager.currentView;
+      if (!currentView || !('PerformanceObserver' in window)) return;
+
+      this.view = currentView;
+      this.recentFrames = [];
+
+      // Initial loads include tasks from before the SDK loaded; other views start at their trigger
+      const isInitialLoad = currentView.type === 'initial';
+      this.viewStartTime = isInitialLoad ? 0 : (currentView.routeTriggerTime || currentView.startTime);
+
+      const supportedTypes = PerformanceObserver.supportedEntryTypes || [];
+
+      if (supportedTypes.includes('longtask')) {
+        this.observe('longtask', isInitialLoad, entry => this.recordLongTask(entry));
+      }
+
+      if (supportedTypes.includes('long-animation-frame')) {
+        this.observe('long-animation-frame', isInitialLoad, entry => this.recordLongAnimationFrame(entry));
+      }
+
+      console.log(`[Optima MainThread] 🧵 Observing long tasks${supportedTypes.includes('long-animation-frame') ? ' and long animation frames' : ''} for ${currentView.type} view`);
+    }
+
+    /**
+     * Observe an entry type
+     * @param {string} type - Performance entry type
+     * @param {boolean} buffered - Include entries from before the observer
+     * @param {Function} handler - Called for each entry of the current view
+     */
+    observe(type, buffered, handler) {
+      try {
+        const observer = new PerformanceObserver((list) => {
+          if (this.viewManager.currentView !== this.view || !this.view.isActive) return;
+
+          list.getEntries().forEach(entry => {
+            if (entry.startTime >= this.viewStartTime) {
+              handler(entry);
             }
           });
         });
-
-        observer.observe({ type: 'resource', buffered: false });
+        observer.observe({ type: type, buffered: buffered });
         this.observers.push(observer);
-        
-      } catch (e) {
-        console.error('[Optima LoadingTimeTracker] ❌ Resource observer failed:', e);
+      } catch (error) {
+        console.warn(`[Optima MainThread] ⚠️ Unable to observe ${type}:`, error);
       }
     }
 
-    setupXHRMonitoring() {
-      if (!window.XMLHttpRequest) return;
-      
-      // Store original methods
-      this.originalXHROpen = XMLHttpRequest.prototype.open;
-      this.originalXHRSend = XMLHttpRequest.prototype.send;
-      
-      const self = this;
+    /**
+     * Keep the longest entries of a list within its limit
+     * @param {Array} list - Entries (modified in place)
+     * @param {Object} item - New entry with a duration
+     * @param {number} limit - Maximum number of entries
+     */
+    keepLongest(list, item, limit) {
+      list.push(item);
+      if (list.length > limit) {
+        list.sort((a, b) => b.duration - a.duration);
+        list.length = limit;
+      }
+    }
 
-      XMLHttpRequest.prototype.open = function(method, url, async) {
-        this._optimaUrl = url;
-        this._optimaMethod = method;
-        this._optimaStartTime = performance.now();
-        return self.originalXHROpen.apply(this, arguments);
+    /**
+     * Record a long task and add it to the view's Total Blocking Time
+     * @param {PerformanceLongTaskTiming} entry - Long task entry
+     */
+    recordLongTask(entry) {
+      const attribution = entry.attribution && entry.attribution[0];
+      const blockingTime = Math.max(0, entry.duration - LONG_TASK_BLOCKING_THRESHOLD);
+
+      this.view.totalBlockingTime += blockingTime;
+      this.view.longTaskCount++;
+
+      // Frames usually arrive after their tasks; linkLongTasks covers that order
+      const frame = this.findOverlappingFrames(entry.startTime, entry.startTime + entry.duration)[0];
+
+      this.keepLongest(this.view.longTasks, {
+        startTime: Math.round(entry.startTime - this.viewStartTime),
+        duration: Math.round(entry.duration),
+        blockingTime: Math.round(blockingTime),
+        name: entry.name, // 'self', 'same-origin-ancestor', 'cross-origin-descendant', ...
+        containerType: attribution?.containerType || null,
+        containerSrc: attribution?.containerSrc || null,
+        containerName: attribution?.containerName || null,
+        longAnimationFrameStart: frame ? frame.startTime : null // startTime of the frame the task ran in
+      }, this.maxLongTasks);
+    }
+
+    /**
+     * Record a long animation frame with its script attribution
+     * @param {PerformanceLongAnimationFrameTiming} entry - LoAF entry
+     */
+    recordLongAnimationFrame(entry) {
+      const frame = {
+        startTime: Math.round(entry.startTime - this.viewStartTime),
+        absoluteStartTime: entry.startTime,
+        duration: Math.round(entry.duration),
+        blockingDuration: Math.round(entry.blockingDuration || 0),
+        renderStart: Math.round(entry.renderStart - this.viewStartTime),
+        styleAndLayoutStart: Math.round(entry.styleAndLayoutStart - this.viewStartTime),
+        firstUIEventTimestamp: entry.firstUIEventTimestamp ? Math.round(entry.firstUIEventTimestamp) : null,
+        scripts: (entry.scripts || []).map(script => ({
+          sourceURL: script.sourceURL || null,
+          sourceFunctionName: script.sourceFunctionName || null,
+          sourceCharPosition: script.sourceCharPosition,
+          invoker: script.invoker || null,
+          invokerType: script.invokerType || null, // 'event-listener', 'user-callback', 'classic-script', ...
+          duration: Math.round(script.duration),
+          executionStart: Math.round(script.executionStart - this.viewStartTime),
+          forcedStyleAndLayoutDuration: Math.round(script.forcedStyleAndLayoutDuration || 0),
+          pauseDuration: Math.round(script.pauseDuration || 0)
+        }))
       };
 
-      XMLHttpRequest.prototype.send = function(data) {
-        if (self.isComplete || !self.isTracking) {
-          return self.originalXHRSend.apply(this, arguments);
-        }
+      this.view.longAnimationFrameCount++;
+      this.recentFrames.push(frame);
+      if (this.recentFrames.length > this.maxRecentFrames) {
+        this.recentFrames.shift();
+      }
+      this.keepLongest(this.view.longAnimationFrames, frame, this.maxLongAnimationFrames);
 
-        // Get SDK config for exclusion list
-        const sdkConfig = self.viewManager.sdk?.config || {};
+      // Link now: the frame may be evicted from the view's list before anything looks for it
+      this.linkLongTasks(frame);
 
-        // Check if this URL should be excluded from loading time tracking
-        if (isInExclusionList(this._optimaUrl, sdkConfig)) {
-          return self.originalXHRSend.apply(this, arguments);
-        }
+      // The frame may arrive after the interaction it delayed was reported as INP
+      this.linkToINP(frame);
+    }
 
-        const requestId = `xhr_${this._optimaUrl}_${this._optimaStartTime}`;
-        self.pendingRequests.add(requestId);
-        
-        // Create detailed activity information for this XHR request
-        const xhrDetails = {
-          url: this._optimaUrl,
-          method: this._optimaMethod || 'GET',
-          startTime: Math.round(this._optimaStartTime),
-          requestType: 'XMLHttpRequest'
-        };
-        
-        self.recordActivity('xhr', xhrDetails);
+    /**
+     * Point the view's long tasks that ran inside a frame at that frame
+     * @param {Object} frame - Recorded long animation frame
+     */
+    linkLongTasks(frame) {
+      const frameEnd = frame.absoluteStartTime + frame.duration;
 
-        const cleanup = () => {
-          self.pendingRequests.delete(requestId);
-        };
+      this.view.longTasks.forEach(task => {
+        const taskStart = task.startTime + this.viewStartTime;
+        if (task.longAnimationFrameStart === null && frame.absoluteStartTime <= taskStart + task.duration && frameEnd >= taskStart) {
+          task.longAnimationFrameStart = frame.startTime;
+        }
+      });
+    }
 
-        this.addEventListener('loadend', cleanup);
-        this.addEventListener('error', cleanup);
-        this.addEventListener('abort', cleanup);
+    /**
+     * Find the recent long animation frames overlapping a time range
+     * @param {number} start - Range start (performance timeline)
+     * @param {number} end - Range end (performance timeline)
+     * @returns {Array} Overlapping frames
+     */
+    findOverlappingFrames(start, end) {
+      if (!this.view) return [];
 
-        return self.originalXHRSend.apply(this, arguments);
-      };
+      return this.recentFrames.filter(frame =>
+        frame.absoluteStartTime <= end && frame.absoluteStartTime + frame.duration >= start
+      );
     }
 
-    setupFetchMonitoring() {
-      if (!window.fetch) return;
+    /**
+     * Attach a frame to the view's INP attribution if it overlaps that interaction
+     * @param {Object} frame - Recorded long animation frame
+     */
+    linkToINP(frame) {
+      const inp = this.view.webVitals.INP;
+      if (!inp || typeof inp.interactionTime !== 'number') return;
 
-      // Store original fetch
-      this.originalFetch = window.fetch;
-      const self = this;
+      const interactionEnd = inp.interactionTime + inp.value;
+      if (frame.absoluteStartTime > interactionEnd || frame.absoluteStartTime + frame.duration < inp.interactionTime) return;
 
-      window.fetch = function(input, init) {
-        if (self.isComplete || !self.isTracking) {
-          return self.originalFetch.apply(this, arguments);
-        }
+      inp.longAnimationFrames = inp.longAnimationFrames || [];
+      if (!inp.longAnimationFrames.includes(frame)) {
+        inp.longAnimationFrames.push(frame);
+        console.log(`[Optima MainThread] 🔗 Linked ${frame.duration}ms long animation frame to INP interaction`);
+      }
+    }
 
-        const url = typeof input === 'string' ? input : input.url;
-        
-        // Get SDK config for exclusion list
-        const sdkConfig = self.viewManager.sdk?.config || {};
-        
-        // Check if this URL should be excluded from loading time tracking
-        if (isInExclusionList(url, sdkConfig)) {
-          return self.originalFetch.apply(this, arguments);
-        }
+    /**
+     * Disconnect observers
+     */
+    cleanup() {
+      this.observers.forEach(observer => observer.disconnect());
+      this.observers = [];
+    }
+  }
 
-        const method = init?.method || 'GET';
-        const requestId = `fetch_${url}_${performance.now()}`;
-        
-        self.pendingRequests.add(requestId);
-        
-        // Create detailed activity information for this Fetch request
-        const fetchDetails = {
-          url: url,
-          method: method,
-          startTime: Math.round(performance.now()),
-          requestType: 'fetch'
-        };
-        
-        self.recordActivity('fetch', fetchDetails);
+  /**
+   * Error collection module for Optima SDK
+   */
 
-        return self.originalFetch.apply(this, arguments)
-          .finally(() => {
-            self.pendingRequests.delete(requestId);
-          });
-      };
+  /**
+   * Set up error monitoring
+   * @param {Object} sdk - Reference to the Optima SDK instance
+   * @returns {Function} Teardown that removes the listeners and restores console.error
+   */
+  function setupErrorMonitoring(sdk) {
+    // Initialize buffer for errors - handle both unified and view-based SDK
+    if (!sdk.buffer) {
+      sdk.buffer = {};
+    }
+    if (!sdk.buffer.errors) {
+      sdk.buffer.errors = [];
+    }
+    
+    // Handle global errors
+    const onError = (event) => {
+      captureErrorEvent(sdk, event);
+    };
+    window.addEventListener('error', onError, true); // Use capture to get all errors
+    
+    // Handle promise rejections
+    const onRejection = (event) => {
+      capturePromiseRejection(sdk, event);
+    };
+    window.addEventListener('unhandledrejection', onRejection);
+    
+    const restoreConsoleError = patchConsoleError(sdk);
+    const restoreConsoleWarn = patchConsoleWarn(sdk);
+    
+    return () => {
+      window.removeEventListener('error', onError, true);
+      window.removeEventListener('unhandledrejection', onRejection);
+      restoreConsoleError();
+      restoreConsoleWarn();
+    };
+  }
+
+  // Frames kept per parsed stack
+  const STACK_FRAME_LIMIT = 50;
+  // In-app frames that make up an error fingerprint
+  const FINGERPRINT_FRAME_COUNT = 5;
+  // URL of this script, so the SDK's own frames (e.g. the console.error patch) are never in-app
+  const SDK_SCRIPT_URL = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null;
+
+  /**
+   * Parse an error stack into structured frames
+   * Understands V8 (`at fn (file:1:2)`), SpiderMonkey and JavaScriptCore (`fn@file:1:2`) formats;
+   * lines that are not frames (e.g. the `TypeError: ...` header) are skipped.
+   * @param {string} stack - Raw error.stack
+   * @returns {Array<Object>} Frames { function, file, line, column, in_app }, innermost first
+   */
+  function parseStackTrace(stack) {
+    if (!stack || typeof stack !== 'string') return [];
+
+    const frames = [];
+    const lines = stack.split('\n');
+    // V8 stacks start with the message, which may itself contain an `@`
+    const parseFrame = /^\s*at /m.test(stack) ? parseV8Frame : parseGeckoFrame;
+
+    for (let i = 0; i < lines.length && frames.length < STACK_FRAME_LIMIT; i++) {
+      const frame = parseFrame(lines[i]);
+      if (frame) {
+        frame.in_app = isInAppFrame(frame.file);
+        frames.push(frame);
+      }
     }
 
-    setupMutationObserver() {
-      if (!window.MutationObserver) return;
+    return frames;
+  }
 
-      try {
-        const observer = new MutationObserver((mutations) => {
-          if (this.isComplete || !this.isTracking) return;
+  /**
+   * Parse a V8 (Chrome, Edge, Node) stack line
+   * @param {string} line - Stack line
+   * @returns {Object|null} Frame or null if the line isn't a V8 frame
+   */
+  function parseV8Frame(line) {
+    const match = line.match(/^\s*at (?:(.+?) \((.+)\)|(.+))$/);
+    if (!match) return null;
 
-          // Only count significant mutations
-          const significantMutations = mutations.filter(mutation => {
-            // Skip style changes and minor attribute changes
-            if (mutation.type === 'attributes' && 
-                ['style', 'class'].includes(mutation.attributeName)) {
-              return false;
-            }
-            
-            // Count node additions/removals
-            if (mutation.type === 'childList' && 
-                (mutation.addedNodes.length > 0 || mutation.removedNodes.length > 0)) {
-              return true;
-            }
+    let location = match[2] || match[3];
 
-            return false;
-          });
+    // Frames inside eval'd code: report the eval call site, the only real file
+    if (location.startsWith('eval at ')) {
+      const callSite = location.match(/\(([^()]+:\d+:\d+)\)/);
+      location = callSite ? callSite[1] : location;
+    }
 
-          if (significantMutations.length > 0) {
-            // Create detailed activity information for DOM mutations
-            const mutationDetails = {
-              mutationCount: significantMutations.length,
-              addedNodes: significantMutations.reduce((sum, m) => sum + m.addedNodes.length, 0),
-              removedNodes: significantMutations.reduce((sum, m) => sum + m.removedNodes.length, 0),
-              attributeChanges: significantMutations.filter(m => m.type === 'attributes').length,
-              targets: significantMutations.map(m => m.target.tagName || 'unknown').slice(0, 5) // Limit to first 5 targets
-            };
-            
-            this.recordActivity('dom_mutation', mutationDetails);
-          }
-        });
+    return createFrame(match[1] || null, location);
+  }
 
-        observer.observe(document.body || document.documentElement, {
-          childList: true,
-          subtree: true,
-          attributes: true,
-          attributeFilter: ['src', 'href', 'data-src']
-        });
+  /**
+   * Parse a SpiderMonkey (Firefox) or JavaScriptCore (Safari) stack line
+   * @param {string} line - Stack line
+   * @returns {Object|null} Frame or null if the line isn't a frame
+   */
+  function parseGeckoFrame(line) {
+    const trimmed = line.trim();
+    if (!trimmed) return null;
 
-        this.observers.push(observer);
-        
-      } catch (e) {
-        console.error('[Optima LoadingTimeTracker] ❌ Mutation observer failed:', e);
-      }
+    const at = trimmed.indexOf('@');
+    if (at === -1) {
+      // JavaScriptCore omits the `@` for anonymous top-level code
+      return /^[a-z][\w+.-]*:\/\/.+:\d+:\d+$/i.test(trimmed) ? createFrame(null, trimmed) : null;
     }
 
-    setupLoadEventFallback() {
-      // Only for initial page load
-      if (this.viewType !== 'initial') return;
-      
-      if (document.readyState === 'complete') {
-        // Page already loaded - complete quickly for initial load
-        setTimeout(() => {
-          if (!this.isComplete) {
-            this.complete('load_event_already_complete');
-          }
-        }, 100); // Much shorter delay
-      } else {
-        window.addEventListener('load', () => {
-          setTimeout(() => {
-            if (!this.isComplete) {
-              this.complete('load_event');
-            }
-          }, 200); // Shorter delay after load event
-        });
-      }
+    let location = trimmed.slice(at + 1);
+
+    // SpiderMonkey eval frames: `file line 12 > eval:1:5` - keep the eval call site
+    const evalSite = location.match(/^(.+?) line (\d+) > (?:eval|Function)/);
+    if (evalSite) {
+      location = `${evalSite[1]}:${evalSite[2]}`;
     }
 
-    startCompletionCheck() {
-      this.checkInterval = setTimeout(() => {
-        this.checkForCompletion();
-      }, this.quietPeriod);
+    return createFrame(trimmed.slice(0, at) || null, location);
+  }
+
+  /**
+   * Split `file:line:column` into a frame
+   * @param {string|null} fn - Function name as reported by the engine
+   * @param {string} location - Location part of the stack line
+   * @returns {Object} Frame
+   */
+  function createFrame(fn, location) {
+    const match = location.match(/^(.*?)(?::(\d+))?(?::(\d+))?$/);
+
+    return {
+      function: fn && fn !== '<anonymous>' ? fn : null,
+      file: match[1] || location,
+      line: match[2] ? parseInt(match[2], 10) : null,
+      column: match[3] ? parseInt(match[3], 10) : null,
+      in_app: false
+    };
+  }
+
+  /**
+   * Check whether a frame's file is application code served from this page's origin
+   * Browser extensions, native code and the SDK itself are not in-app.
+   * @param {string} file - Frame file
+   * @returns {boolean} True if in-app
+   */
+  function isInAppFrame(file) {
+    if (!file || (SDK_SCRIPT_URL && file === SDK_SCRIPT_URL)) return false;
+
+    try {
+      const url = new URL(file);
+      return (url.protocol === 'http:' || url.protocol === 'https:') && url.origin === window.location.origin;
+    } catch (error) {
+      // `native`, `[native code]`, `<anonymous>` and other non-URLs
+      return false;
     }
+  }
 
-    checkForCompletion() {
-      if (this.isComplete || !this.isTracking) return;
+  /**
+   * Normalize a function name so the same function matches across engines
+   * V8 reports `Object.foo` / `async Foo.bar`, SpiderMonkey `bar/<`, JavaScriptCore `bar`.
+   * @param {string|null} fn - Function name
+   * @returns {string} Normalized name ('?' when anonymous)
+   */
+  function normalizeFunctionName(fn) {
+    if (!fn) return '?';
 
-      const now = performance.timeOrigin + performance.now();
-      const timeSinceLastActivity = now - this.lastActivityTime;
-      const totalTime = now - this.baselineTime;
+    const name = fn
+      .replace(/^(?:async|new) /, '')
+      .replace(/[/<]+$/, '')
+      .split(/[./]/)
+      .pop();
 
-      // Check if we have any pending requests or resources
-      const hasPendingActivity = this.pendingRequests.size > 0 || this.pendingResources.size > 0;
+    return name && name !== '<anonymous>' ? name : '?';
+  }
 
-      // Enhanced completion check logging
-      console.group(`🔍 Loading Time Completion Check - ${this.viewType.toUpperCase()}`);
-      console.log('%c📊 Current Status:', 'color: #6b7280; font-weight: bold;');
-      console.table({
-        'Time Since Last Activity': `${Math.round(timeSinceLastActivity)}ms`,
-        'Total Time Since Baseline': `${Math.round(totalTime)}ms`,
-        'Quiet Period Threshold': `${this.quietPeriod}ms`,
-        'Pending Requests': this.pendingRequests.size,
-        'Pending Resources': this.pendingResources.size,
-        'Has Pending Activity': hasPendingActivity,
-        'Activity Sources': Array.from(this.activitySources).join(', ') || 'none'
-      });
+  /**
+   * Normalize a frame file so rebuilds and deploys don't change it
+   * Drops the origin, query and hash, and bundle content hashes (`main.3f2a9c1b.js` -> `main.js`).
+   * @param {string} file - Frame file
+   * @returns {string} Normalized path
+   */
+  function normalizeFramePath(file) {
+    let path = file || '';
 
-      // Different completion logic for initial vs route change
-      if (this.viewType === 'initial') {
-        const maxTimeReached = totalTime >= 20000;
-        const quietPeriodMet = timeSinceLastActivity >= this.quietPeriod && !hasPendingActivity;
-        
-        console.log('%c🎯 Initial Load Completion Logic:', 'color: #3b82f6; font-weight: bold;');
-        console.table({
-          'Quiet Period Met': quietPeriodMet,
-          'Max Time Reached (20s)': maxTimeReached,
-          'Will Complete': quietPeriodMet || maxTimeReached,
-          'Completion Reason': maxTimeReached ? 'max_time_reached' : (quietPeriodMet ? 'activity_quiet' : 'continue_tracking')
-        });
-        
-        // For initial load: wait for quiet period or reasonable time limit
-        if (quietPeriodMet || maxTimeReached) {
-          const reason = maxTimeReached ? 'max_time_reached' : 'activity_quiet';
-          console.log(`✅ Completing initial load: ${reason}`);
-          console.groupEnd();
-          this.complete(reason);
-          return;
-        }
-      } else {
-        const quietPeriodMet = timeSinceLastActivity >= this.quietPeriod && !hasPendingActivity;
-        const maxTimeReached = totalTime >= 20000;
-        
-        console.log('%c🎯 Route Change Completion Logic:', 'color: #8b5cf6; font-weight: bold;');
-        console.table({
-          'Quiet Period Met': quietPeriodMet,
-          'Max Time Reached (20s)': maxTimeReached,
-          'Will Complete': quietPeriodMet || maxTimeReached,
-          'Completion Reason': maxTimeReached ? 'route_change_timeout' : (quietPeriodMet ? 'activity_quiet' : 'continue_tracking')
-        });
-        
-        // For route changes: be more aggressive about completion
-        if (quietPeriodMet) {
-          console.log(`✅ Completing route change: activity_quiet`);
-          console.groupEnd();
-          this.complete('activity_quiet');
-          return;
-        }
-        
-        // For route changes, if we've been tracking for more than 10 seconds, complete
-        if (maxTimeReached) {
-          console.log(`✅ Completing route change: route_change_timeout`);
-          console.groupEnd();
-          this.complete('route_change_timeout');
-          return;
-        }
+    try {
+      path = new URL(path).pathname;
+    } catch (error) {
+      path = path.split(/[?#]/)[0];
+    }
+
+    return path.replace(/[.-]([A-Za-z0-9_]{6,})(?=\.m?js$)/, (segment, hash) => /\d/.test(hash) ? '' : segment);
+  }
+
+  /**
+   * Turn an error message into a template, stripping values that vary per occurrence
+   * @param {string} message - Error message
+   * @returns {string} Message template
+   */
+  function getMessageTemplate(message) {
+    return String(message || '')
+      .replace(/\b[a-z][\w+.-]*:\/\/[^\s'"`)]+/gi, '<url>')
+      .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+      .replace(/\b[^\s@'"]+@[^\s@'"]+\.[a-z]{2,}\b/gi, '<email>')
+      .replace(/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, '<id>')
+      .replace(/\b\d+(?:\.\d+)?\b/g, '<n>')
+      .trim();
+  }
+
+  /**
+   * Compute a fingerprint that groups the same bug across browsers, builds and message values
+   * Uses the innermost in-app frames (function and path, no line/column - those move with
+   * every build) plus the message template. Falls back to all frames when none are in-app.
+   * @param {string} type - Error type
+   * @param {string} message - Error message
+   * @param {Array<Object>} frames - Parsed frames
+   * @returns {string} Fingerprint
+   */
+  function generateErrorFingerprint(type, message, frames) {
+    const inApp = frames.filter(frame => frame.in_app);
+    const significant = (inApp.length > 0 ? inApp : frames).slice(0, FINGERPRINT_FRAME_COUNT);
+
+    const parts = [type, getMessageTemplate(message)];
+    significant.forEach(frame => {
+      parts.push(`${normalizeFunctionName(frame.function)}@${normalizeFramePath(frame.file)}`);
+    });
+
+    return 'fp_' + hashString(parts.join('\n')).toString(16);
+  }
+
+  /**
+   * Parse a stack and fingerprint the error
+   * @param {string} type - Error type
+   * @param {string} message - Error message
+   * @param {string|null} stack - Raw stack
+   * @param {Object} [fallbackFrame] - Frame to use when the stack has none (e.g. cross-origin "Script error.")
+   * @returns {Object} { frames, fingerprint }
+   */
+  function describeErrorStack(type, message, stack, fallbackFrame = null) {
+    let frames = parseStackTrace(stack);
+
+    if (frames.length === 0 && fallbackFrame?.file) {
+      frames = [{ ...fallbackFrame, in_app: isInAppFrame(fallbackFrame.file) }];
+    }
+
+    return {
+      frames,
+      fingerprint: generateErrorFingerprint(type, message, frames)
+    };
+  }
+
+  /**
+   * Generate an error ID based on error properties
+   * @param {string} type - Error type
+   * @param {string} message - Error message
+   * @param {string} source - Error source
+   * @param {string} stack - Error stack trace
+   * @returns {string} A hash ID for the error
+   */
+  function generateErrorId(type, message, source, stack) {
+    // Create a string by combining essential error properties
+    const errorString = `${type}:${message}:${source}:${stack ? stack.substring(0, 150) : ''}`;
+    
+    // Simple hash function
+    let hash = 0;
+    for (let i = 0; i < errorString.length; i++) {
+      const char = errorString.charCodeAt(i);
+      hash = ((hash << 5) - hash) + char;
+      hash = hash & hash; // Convert to 32bit integer
+    }
+    
+    // Return a string version of the hash
+    return 'err_' + Math.abs(hash).toString(16);
+  }
+
+  /**
+   * Capture error events
+   * @param {Object} sdk - Reference to the Optima SDK instance
+   * @param {ErrorEvent} event - Error event to capture
+   */
+  function captureErrorEvent(sdk, event) {
+    if (!event) return;
+    
+    try {
+      // Script errors (not failed resource loads) keep the session under sampleOnError
+      if ((event.error || event.message) && typeof sdk.promoteSession === 'function') {
+        sdk.promoteSession('uncaught_error');
       }
       
-      console.log(`🔄 Continuing tracking - next check in ${this.quietPeriod}ms`);
-      console.groupEnd();
+      const error = event.error || new Error(event.message || 'Unknown error');
+      const message = error.message || event.message || 'Unknown error';
+      const source = event.filename || event.srcElement?.src || window.location.href;
+      const stack = error.stack || null;
+      const type = 'error';
+      
+      const errorData = {
+        type,
+        message,
+        source,
+        lineno: event.lineno || 0,
+        colno: event.colno || 0,
+        stack,
+        ...describeErrorStack(type, message, stack, {
+          function: null,
+          file: event.filename || null,
+          line: event.lineno || null,
+          column: event.colno || null
+        }),
+        timestamp: Date.now(),
+        url: window.location.href,
+        user_agent: navigator.userAgent,
+        error_id: generateErrorId(type, message, source, stack)
+      };
+      
+      // Add to the errors buffer
+      storeErrorData(sdk, errorData);
+      
+      // Flush errors immediately for uncaught errors
+      flushErrors(sdk);
       
-      // Continue checking
-      this.startCompletionCheck();
+      // Also send as event for backward compatibility
+      sdk.sendEvent('error', {
+        error_type: 'uncaught_error',
+        message: errorData.message,
+        source: errorData.source,
+        lineno: errorData.lineno,
+        colno: errorData.colno
+      });
+    } catch (e) {
+      // Don't crash if error processing fails
     }
+  }
 
-    complete(reason) {
-      if (this.isComplete) return;
-
-      this.isComplete = true;
-      this.isTracking = false;
+  /**
+   * Capture unhandled promise rejections
+   * @param {Object} sdk - Reference to the Optima SDK instance
+   * @param {PromiseRejectionEvent} event - Promise rejection event to capture
+   */
+  function capturePromiseRejection(sdk, event) {
+    if (!event || !event.reason) return;
+    
+    try {
+      if (typeof sdk.promoteSession === 'function') {
+        sdk.promoteSession('unhandled_rejection');
+      }
       
-      // Calculate loading time
-      const endTime = this.lastActivityTime;
-      const loadingTime = Math.round(endTime - this.baselineTime);
+      const reason = event.reason;
+      const message = reason instanceof Error ? reason.message : String(reason);
+      const stack = reason instanceof Error ? reason.stack : null;
+      const type = 'unhandled_rejection';
+      const source = 'Promise';
       
-      // FIXED: Capture activity sources and detailed activities BEFORE cleanup (which clears them)
-      const activityList = Array.from(this.activitySources).join(', ') || 'none';
-      const detectedActivities = Array.from(this.activitySources);
-      const detailedActivitiesCopy = [...this.detailedActivities]; // Copy detailed activities
+      const errorData = {
+        type,
+        message,
+        source,
+        stack,
+        ...describeErrorStack(type, message, stack),
+        timestamp: Date.now(),
+        url: window.location.href,
+        user_agent: navigator.userAgent,
+        error_id: generateErrorId(type, message, source, stack)
+      };
       
-      // Cleanup observers and restore original methods
-      this.cleanup();
-
-      // Update view's web vital
-      this.viewManager.updateWebVital('loading_time', loadingTime, {
-        reason: reason,
-        activitySources: detectedActivities, // Use captured activities
-        detailedActivities: detailedActivitiesCopy, // Include detailed activities
-        viewType: this.viewType,
-        baselineTime: this.baselineTime,
-        endTime: endTime,
-        pendingRequestsCount: this.pendingRequests.size,
-        pendingResourcesCount: this.pendingResources.size
-      });
-
-      // Enhanced logging (similar to legacy SDK)
-      console.group(
-        `%c🚀 View Loading Time Complete! %c${loadingTime}ms`,
-        'color: #10b981; font-weight: bold; font-size: 14px;',
-        'color: #3b82f6; font-weight: bold; font-size: 16px; background: #eff6ff; padding: 2px 6px; border-radius: 4px;'
-      );
+      // Add to the errors buffer
+      storeErrorData(sdk, errorData);
       
-      console.log('%c📊 Performance Details:', 'color: #6b7280; font-weight: bold;');
-      console.table({
-        'Loading Time': `${loadingTime}ms`,
-        'View Type': this.viewType,
-        'Completion Reason': reason,
-        'Activity Sources': activityList,
-        'Baseline Time': new Date(this.baselineTime).toISOString(),
-        'Completion Time': new Date(endTime).toISOString()
+      // Flush errors immediately for unhandled rejections
+      flushErrors(sdk);
+      
+      // Also send as event for backward compatibility
+      sdk.sendEvent('error', {
+        error_type: 'unhandled_rejection',
+        message: errorData.message
       });
+    } catch (e) {
+      // Don't crash if error processing fails
+    }
+  }
+
+  /**
+   * @param {Object} sdk - Reference to the Optima SDK instance
+   * @returns {Function} Restores the original console.error
+   */
+  function patchConsoleError(sdk) {
+    const originalConsoleError = console.error;
+    
+    const patchedConsoleError = console.error = function(...args) {
+      const source = 'console.error';
       
-      if (detectedActivities.length > 0) {
-        console.log('%c🔍 Detected Activities:', 'color: #6b7280; font-weight: bold;', detectedActivities);
+      try {
+        // Capture the call stack trace
+        const stackTrace = new Error().stack || '';
+        
+        // Format the message - join args as strings
+        const message = args.map(arg => {
+          if (arg instanceof Error) {
+            return arg.message;
+          } else if (typeof arg === 'object') {
+            try {
+              return JSON.stringify(arg);
+            } catch (e) {
+              return String(arg);
+            }
+          } else {
+            return String(arg);
+          }
+        }).join(' ');
+        
+        const type = 'console_error';
+        
+        const errorData = {
+          type,
+          message,
+          source,
+          stack: stackTrace,
+          ...describeErrorStack(type, message, stackTrace),
+          timestamp: Date.now(),
+          url: window.location.href,
+          user_agent: navigator.userAgent,
+          error_id: generateErrorId(type, message, source, stackTrace)
+        };
+        
+        // Add to the errors buffer
+        storeErrorData(sdk, errorData);
+      } catch (e) {
       }
       
-      console.log('%c⚡ Ready for analysis in Optima Dashboard', 'color: #8b5cf6; font-style: italic;');
-      console.groupEnd();
-    }
-
-    cleanup() {
-      // Clear check interval
-      if (this.checkInterval) {
-        clearTimeout(this.checkInterval);
-        this.checkInterval = null;
+      originalConsoleError.apply(console, args);
+    };
+    
+    return () => {
+      // Leave later wrappers in place rather than silently dropping them
+      if (console.error === patchedConsoleError) {
+        console.error = originalConsoleError;
       }
+    };
+  }
 
-      // Disconnect observers
-      this.observers.forEach(observer => {
-        if (observer.disconnect) {
-          observer.disconnect();
+  /**
+   * Describe a console argument without serializing it
+   * Objects get their constructor name and first few keys - a warning may log a large state tree.
+   * @param {*} arg - Console argument
+   * @returns {string} Short description
+   */
+  function summarizeConsoleArg(arg) {
+    if (arg instanceof Error) return arg.message;
+    if (arg === null || (typeof arg !== 'object' && typeof arg !== 'function')) return String(arg);
+    if (typeof arg === 'function') return `function ${arg.name || '(anonymous)'}`;
+    if (Array.isArray(arg)) return `Array(${arg.length})`;
+    
+    let name = 'Object';
+    try {
+      name = (arg.constructor && arg.constructor.name) || 'Object';
+    } catch (e) {
+      // Proxies and cross-origin objects may throw
+    }
+    
+    const keys = [];
+    try {
+      for (const key in arg) {
+        if (keys.length === 5) {
+          keys.push('...');
+          break;
         }
-      });
-      this.observers = [];
+        keys.push(key);
+      }
+    } catch (e) {
+    }
+    
+    return keys.length > 0 ? `${name} {${keys.join(', ')}}` : name;
+  }
 
-      // Restore original XHR methods (important for view isolation)
-      if (this.originalXHROpen) {
-        XMLHttpRequest.prototype.open = this.originalXHROpen;
+  /**
+   * Record console warnings as breadcrumbs
+   * The SDK's own `[Optima ...]` warnings are skipped.
+   * @param {Object} sdk - Reference to the Optima SDK instance
+   * @returns {Function} Restores the original console.warn
+   */
+  function patchConsoleWarn(sdk) {
+    const originalConsoleWarn = console.warn;
+    
+    const patchedConsoleWarn = console.warn = function(...args) {
+      try {
+        const first = typeof args[0] === 'string' ? args[0] : '';
+        if (!first.startsWith('[Optima') && !first.startsWith('[ViewBasedOptima')) {
+          const message = args.map(summarizeConsoleArg).join(' ');
+          
+          sdk.addBreadcrumb('console', message, null, 'warning');
+        }
+      } catch (e) {
       }
-      if (this.originalXHRSend) {
-        XMLHttpRequest.prototype.send = this.originalXHRSend;
+      
+      originalConsoleWarn.apply(console, args);
+    };
+    
+    return () => {
+      if (console.warn === patchedConsoleWarn) {
+        console.warn = originalConsoleWarn;
+      }
+    };
+  }
+
+  /**
+   * Store error data in the buffer and potentially flush immediately
+   * @param {Object} sdk - Reference to the Optima SDK instance
+   * @param {Object} errorData - Error data to store
+   */
+  function storeErrorData(sdk, errorData) {
+    // Check if we should sample this error (avoid flooding with same errors)
+    if (shouldSampleError(sdk, errorData)) {
+      // What the user did before the error, as it was at this moment
+      errorData.breadcrumbs = sdk.breadcrumbs ? sdk.breadcrumbs.snapshot() : [];
+      
+      // Add to errors buffer (unified SDK compatibility)
+      sdk.buffer.errors.push(errorData);
+      
+      // For View-Based SDK, also add to current view
+      if (sdk.viewManager && sdk.viewManager.currentView) {
+        sdk.viewManager.addError(errorData);
       }
       
-      // Restore original fetch
-      if (this.originalFetch) {
-        window.fetch = this.originalFetch;
+      // If buffer gets large, consolidate immediately
+      if (sdk.buffer.errors.length >= 5) {
+        // Immediately flush errors for critical issues
+        flushErrors(sdk);
+      }
+    }
+  }
+
+  /**
+   * Decide if we should record this error (for sampling/deduplication)
+   * @param {Object} sdk - Reference to the Optima SDK instance
+   * @param {Object} errorData - Error data to check
+   * @returns {boolean} Whether to sample this error
+   */
+  function shouldSampleError(sdk, errorData) {
+    // Always record if there are few errors
+    if (sdk.buffer.errors.length < 5) {
+      return true;
+    }
+    
+    // Check for exact duplicate errors by error_id
+    const isDuplicate = sdk.buffer.errors.some(error => {
+      // If we have error_id, use it for exact matching
+      if (error.error_id && errorData.error_id) {
+        return error.error_id === errorData.error_id;
       }
       
-      // Clear pending tracking
-      this.pendingRequests.clear();
-      this.pendingResources.clear();
-      this.activitySources.clear();
+      // Fallback to property comparison for older errors without IDs
+      return error.type === errorData.type &&
+             error.message === errorData.message && 
+             error.source === errorData.source &&
+             error.stack === errorData.stack;
+    });
+    
+    // If it's an exact duplicate, don't record it
+    if (isDuplicate) {
+      return false;
     }
+    
+    // Check for similar errors in the last few entries (to prevent flooding)
+    const recentErrors = sdk.buffer.errors.slice(-5);
+    const isSimilar = recentErrors.some(error => {
+      return error.message === errorData.message && 
+             error.source === errorData.source &&
+             // Only consider it a duplicate if it happened recently (within 5 seconds)
+             errorData.timestamp - error.timestamp < 100;
+    });
+    
+    return !isSimilar;
   }
 
   /**
-   * Error collection module for Optima SDK
-   */
-
-  /**
-   * Set up error monitoring
+   * Flush errors to the server immediately
    * @param {Object} sdk - Reference to the Optima SDK instance
    */
-  function setupErrorMonitoring(sdk) {
-    // Initialize buffer for errors - handle both unified and view-based SDK
-    if (!sdk.buffer) {
-      sdk.buffer = {};
+  function flushErrors(sdk) {
+    // Skip if no errors to flush
+    if (!sdk.buffer.errors || sdk.buffer.errors.length === 0) {
+      return;
     }
-    if (!sdk.buffer.errors) {
+    
+    // Handle View-Based SDK
+    if (sdk.viewManager && sdk.dataSender) {
+      // For View-Based SDK, errors are already added to current view
+      // Just clear the buffer since errors are sent with view data
       sdk.buffer.errors = [];
+      return;
     }
     
-    // Handle global errors
-    window.addEventListener('error', (event) => {
-      captureErrorEvent(sdk, event);
-    }, true); // Use capture to get all errors
-    
-    // Handle promise rejections
-    window.addEventListener('unhandledrejection', (event) => {
-      capturePromiseRejection(sdk, event);
-    });
-    
-    patchConsoleError(sdk);
+    // Handle Unified SDK (backward compatibility)
+    if (sdk.unifiedDataModel) {
+      // Move errors to unified data model
+      if (!sdk.unifiedDataModel.errors) {
+        sdk.unifiedDataModel.errors = [];
+      }
+      
+      // Add errors to unified model
+      sdk.unifiedDataModel.errors = [
+        ...sdk.unifiedDataModel.errors,
+        ...sdk.buffer.errors
+      ];
+      
+      // Clear buffer
+      sdk.buffer.errors = [];
+      
+      // Send unified data with errors
+      if (sdk._sendUnifiedData) {
+        sdk._sendUnifiedData(false);
+      }
+    } else {
+      // Clear buffer if no unified model
+      sdk.buffer.errors = [];
+    }
   }
 
   /**
-   * Generate an error ID based on error properties
-   * @param {string} type - Error type
-   * @param {string} message - Error message
-   * @param {string} source - Error source
-   * @param {string} stack - Error stack trace
-   * @returns {string} A hash ID for the error
+   * View-Based Optima Performance Monitoring SDK
+   * Enhanced version with view-based data collection and route change support
    */
-  function generateErrorId(type, message, source, stack) {
-    // Create a string by combining essential error properties
-    const errorString = `${type}:${message}:${source}:${stack ? stack.substring(0, 150) : ''}`;
-    
-    // Simple hash function
-    let hash = 0;
-    for (let i = 0; i < errorString.length; i++) {
-      const char = errorString.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
-    }
-    
-    // Return a string version of the hash
-    return 'err_' + Math.abs(hash).toString(16);
-  }
+
+  // Session ID promoted to sampled by an uncaught error (sampleOnError)
+  const SAMPLE_PROMOTED_KEY = 'optima_sample_promoted';
+
+  // Consent states accepted by optima('consent', state)
+  const CONSENT_STATES = ['pending', 'granted', 'denied'];
+  // Every key the SDK writes to localStorage or sessionStorage starts with this
+  const STORAGE_KEY_PREFIX = 'optima_';
 
   /**
-   * Capture error events
-   * @param {Object} sdk - Reference to the Optima SDK instance
-   * @param {ErrorEvent} event - Error event to capture
+   * ViewBasedOptima - Enhanced SDK with view-based architecture
    */
-  function captureErrorEvent(sdk, event) {
-    if (!event) return;
+  const ViewBasedOptima = {
+    // Core properties
+    sessionId: null,
+    sessionSequence: null,
+    sessionManager: null,
+    sessionStartPending: false,
+    tabCoordinator: null,
+    samplePromoted: false,
+    sessionSampled: true, // False while no route of the current session can be sampled
+    sampleHeld: [],
+    consent: null, // 'pending' | 'granted' | 'denied', resolved in init
+    consentBuffer: [],
+    stoppedByConsent: false,
+    lifecycleEventsSetup: false,
+    initOptions: null,
+    errorMonitoringTeardown: null,
+    apiKey: null,
+    disabled: false,
+    version: '2.0.0-view-based',
     
-    try {
-      const error = event.error || new Error(event.message || 'Unknown error');
-      const message = error.message || event.message || 'Unknown error';
-      const source = event.filename || event.srcElement?.src || window.location.href;
-      const stack = error.stack || null;
-      const type = 'error';
+    // View-based components
+    viewManager: null,
+    routeDetector: null,
+    dataSender: null,
+    circuitBreaker: null,
+    redactor: null,
+    breadcrumbs: null,
+    continuousMetrics: null,
+    resourceCollector: null,
+    webVitalsCollector: null,
+    ajaxCollector: null,
+    
+    // State management
+    isInitialized: false,
+    initializationTime: null,
+    visibilityChangeCount: 0,
+    
+    // Configuration - Full compatibility with old SDK
+    config: {
+      // Core settings (same as old SDK)
+      apiKey: null,
+      endpoint: null,
+      sampleRate: 100, // Percentage of sessions to track, 0-100 (decimals allowed)
+      sampleRules: null, // { '/checkout/**': 100, '/admin/*': 0 } - first matching route pattern wins
+      sampleOnError: false, // Keep unsampled sessions that hit an uncaught error
+      sampleOnErrorBufferSize: 50, // Payloads held in memory while waiting for an error
       
-      const errorData = {
-        type,
-        message,
-        source,
-        lineno: event.lineno || 0,
-        colno: event.colno || 0,
-        stack,
-        timestamp: Date.now(),
-        url: window.location.href,
-        user_agent: navigator.userAgent,
-        error_id: generateErrorId(type, message, source, stack)
+      // Batch configuration (same as old SDK)
+      flushInterval: 5000,
+      webVitalsBatchDelay: 2000,
+      batchBeforeSend: true,
+      maxEventsPerBatch: 50,
+      maxResourcesPerBatch: 50,
+      maxWebVitalsPerBatch: 20,
+      maxAjaxCallsPerBatch: 50,
+      payloadCompressionThreshold: 10 * 1024, // 10KB
+      
+      // View-based specific settings
+      enableRouteChangeTracking: true,
+      enableContinuousMetrics: true,
+      batchSize: 3,
+      batchTimeout: 5000,
+      batchMode: 'legacy', // 'legacy' sends one request per payload; 'envelope' one request per batch (collector needs BATCH_ENDPOINT)
+      continuousMetricsInterval: 10000,
+      
+      // Offline queue configuration
+      enableOfflineQueue: true,
+      offlineQueueMaxEntries: 100,
+      offlineQueueMaxBytes: 1024 * 1024, // 1MB
+      offlineQueueMaxAge: 24 * 60 * 60 * 1000, // 24 hours
+      
+      // Session configuration (same keys and default timeout as old SDK)
+      sessionTimeout: 30 * 60 * 1000, // 30 minutes of inactivity
+      maxSessionDuration: 4 * 60 * 60 * 1000, // 4 hours
+      
+      // Retry and circuit breaker configuration
+      maxRetries: 3,
+      retryBaseDelay: 1000,
+      retryMaxDelay: 30000,
+      circuitBreakerThreshold: 5,
+      circuitBreakerCooldown: 60000,
+      circuitBreakerMaxCooldown: 10 * 60000,
+      
+      // Consent management
+      consent: 'granted', // 'pending' keeps everything in memory until optima('consent', 'granted'); 'denied' collects nothing
+      consentBufferSize: 100, // Payloads held in memory while consent is pending
+      honorGlobalPrivacyControl: false, // Start as denied when the browser sends Global Privacy Control
+      honorDoNotTrack: false, // Start as denied when Do-Not-Track is enabled
+      
+      // Redaction of personal data in every payload
+      redaction: {
+        enabled: true,
+        detectors: ['jwt', 'email', 'uuid', 'card'], // Built-in REDACTION_DETECTORS to apply
+        queryParamDenylist: null, // Query parameters to redact (null uses DEFAULT_QUERY_PARAM_DENYLIST)
+        queryParamAllowlist: null, // If set, every other query parameter is redacted
+        rules: [] // Custom rules: [{ pattern: /order-\d+/g, replacement: '[order]' }]
+      },
+      
+      // Breadcrumbs attached to every captured error
+      breadcrumbs: {
+        enabled: true,
+        maxBreadcrumbs: 50,
+        categories: ['navigation', 'click', 'ajax', 'console', 'custom'], // Categories to record
+        redact: {} // Per category: true keeps only structural data, or function(breadcrumb) => breadcrumb | null
+      },
+      
+      // Exclusion configuration
+      exclusionList: null, // Array of URL patterns to exclude from performance tracking (overrides default third-party exclusions)
+      
+      // Server-Timing configuration
+      serverTimingAllowlist: null, // Array of Server-Timing metric names to collect (null collects all)
+      slowAjaxThreshold: 1000, // AJAX calls at or above this duration (ms) feed the server timing summary
+      
+      // AJAX instrumentation configuration
+      enableAjaxInstrumentation: true, // Patch XHR/fetch to record real method, status and sizes
+      ajaxResponseHeaders: null, // Response header names to capture (null uses DEFAULT_AJAX_RESPONSE_HEADERS)
+      
+      // GraphQL operation parsing for instrumented AJAX calls
+      graphqlEndpoints: ['/graphql'], // URL path fragments of GraphQL endpoints
+      captureGraphQLVariables: false, // Variables may hold user data - off unless explicitly enabled
+      
+      // Distributed tracing (W3C trace context) for instrumented AJAX calls
+      tracing: {
+        enabled: false,
+        allowedOrigins: [], // Cross-origin targets that accept traceparent (origins or RegExps); same-origin is always allowed
+        tracestate: null, // Static tracestate header value (e.g. 'vendor=value')
+        baggage: false // Send session and view IDs as a baggage header
+      },
+      
+      // Additional settings
+      debug: false,
+      disabled: false
+    },
+
+    /**
+     * Initialize the view-based SDK
+     * @param {Object} options - Configuration options
+     */
+    init: function(options = {}) {
+      if (this.isInitialized) {
+        console.warn('[ViewBasedOptima] ⚠️ SDK already initialized');
+        return;
+      }
+
+      console.log('1. [ViewBasedOptima] 🚀 Initializing View-Based Optima SDK v' + this.version);
+      
+      // Store initialization time
+      this.initializationTime = Date.now();
+      
+      // Kept so granting consent can start an SDK that a denial stopped
+      this.initOptions = options;
+      
+      // Apply configuration
+      this.applyConfiguration(options);
+      
+      // Validate required options
+      if (!this.config.apiKey) {
+        console.error('[ViewBasedOptima] ❌ API key is required');
+        this.disabled = true;
+        return;
+      }
+      
+      // Check if SDK is disabled by configuration
+      if (this.config.disabled) {
+        console.log('[ViewBasedOptima] ⏸️ SDK disabled by configuration');
+        this.disabled = true;
+        return;
+      }
+      
+      this.consent = this.resolveInitialConsent();
+      if (this.consent === 'denied') {
+        console.log('[ViewBasedOptima] 🚫 Consent denied, SDK not started');
+        this.disabled = true;
+        this.stoppedByConsent = true;
+        return;
+      }
+      this.stoppedByConsent = false;
+      
+      // Function to complete initialization
+      const completeInit = () => {
+        // Consent may have been denied (or init restarted) while waiting for the DOM
+        if (this.isInitialized || this.consent === 'denied') return;
+        
+        console.log('2. [ViewBasedOptima] 🚀 Initializing View-Based Optima SDK v' + this.version);
+        // Initialize session
+        this.initializeSession();
+        
+        // An unsampled session still starts the SDK, so a later session can collect
+        this.sessionSampled = this.initializeSampling();
+        if (!this.sessionSampled) {
+          console.log(`[ViewBasedOptima] ⏸️ Session not tracked (sample rate: ${this.config.sampleRate}%), nothing is sent until the session changes`);
+        }
+        
+        // Initialize view-based architecture
+        this.initializeViewBasedArchitecture();
+        
+        // Setup page lifecycle events
+        this.setupPageLifecycleEvents();
+        
+        this.isInitialized = true;
+        
+        console.log('[ViewBasedOptima] ✅ SDK initialization complete');
+        
+        this.whenActivated(() => this.startCollection());
+      };
+
+      // Check document readiness
+      if (document.readyState === 'loading') {
+        // Wait for DOMContentLoaded if document is not ready
+        document.addEventListener('DOMContentLoaded', completeInit);
+        console.log('[ViewBasedOptima] 🔄 Waiting for DOMContentLoaded before completing initialization');
+      } else {
+        // Complete initialization immediately if document is already ready
+        completeInit();
+      }
+    },
+
+    /**
+     * Apply configuration options
+     * @param {Object} options - Configuration options
+     */
+    applyConfiguration: function(options) {
+      // Merge with default config
+      this.config = {
+        ...this.config,
+        ...options
       };
       
-      // Add to the errors buffer
-      storeErrorData(sdk, errorData);
+      // Validate and normalize sampleRate
+      if (typeof this.config.sampleRate === 'number' && !isNaN(this.config.sampleRate)) {
+        this.config.sampleRate = Math.min(Math.max(this.config.sampleRate, 0), 100);
+      } else {
+        this.config.sampleRate = 100;
+      }
       
-      // Flush errors immediately for uncaught errors
-      flushErrors(sdk);
+      // Store core settings for compatibility
+      this.apiKey = this.config.apiKey;
+      this.endpoint = this.config.endpoint;
+      this.sampleRate = this.config.sampleRate;
+      
+      // Enable debug logging if requested
+      if (this.config.debug) {
+        console.log('[ViewBasedOptima] 🐛 Debug mode enabled');
+        console.log(`[ViewBasedOptima] 🔧 SDK Config - Endpoint: ${this.endpoint}, API Key: ${this.apiKey ? this.apiKey.substring(0, 8) + '...' : 'NOT SET'}, Sample Rate: ${this.sampleRate}%`);
+      }
+      
+      // Sampling is decided in completeInit, once the (possibly resumed) session ID is known
+    },
+
+    /**
+     * Initialize session
+     */
+    initializeSession: function() {
+      // Tab coordination comes first so the first view already has a tab ID
+      // Its tab ID and leader lease are stored, so it only starts with consent
+      if (this.consent === 'granted') {
+        this.tabCoordinator = new TabCoordinator(this);
+        this.tabCoordinator.start();
+      }
       
-      // Also send as event for backward compatibility
-      sdk.sendEvent('error', {
-        error_type: 'uncaught_error',
-        message: errorData.message,
-        source: errorData.source,
-        lineno: errorData.lineno,
-        colno: errorData.colno
+      this.sessionManager = new SessionManager({
+        timeout: this.config.sessionTimeout,
+        maxDuration: this.config.maxSessionDuration,
+        persist: this.consent === 'granted'
       });
-    } catch (e) {
-      // Don't crash if error processing fails
-    }
-  }
+      
+      const session = this.sessionManager.resume();
+      this.sessionId = session.sessionId;
+      this.sessionSequence = session.sequence;
+      this.sessionStartPending = session.isNew;
+      
+      if (session.isNew) {
+        this.broadcastSession();
+      }
+      
+      console.log(`[ViewBasedOptima] 🆔 Session initialized: ${this.sessionId.substring(0, 8)}... (${session.isNew ? 'new' : 'resumed'}, sequence: ${this.sessionSequence})`);
+    },
 
-  /**
-   * Capture unhandled promise rejections
-   * @param {Object} sdk - Reference to the Optima SDK instance
-   * @param {PromiseRejectionEvent} event - Promise rejection event to capture
-   */
-  function capturePromiseRejection(sdk, event) {
-    if (!event || !event.reason) return;
-    
-    try {
-      const reason = event.reason;
-      const message = reason instanceof Error ? reason.message : String(reason);
-      const stack = reason instanceof Error ? reason.stack : null;
-      const type = 'unhandled_rejection';
-      const source = 'Promise';
+    /**
+     * Check whether the session timed out since the last activity
+     * @returns {boolean} True if the session must be rotated
+     */
+    isSessionExpired: function() {
+      return !!this.sessionManager && this.sessionManager.isExpired();
+    },
+
+    /**
+     * Start a new session (the caller is responsible for completing the current view first)
+     * @param {string} reason - What triggered the rotation
+     */
+    rotateSession: function(reason) {
+      if (!this.sessionManager) return;
       
-      const errorData = {
-        type,
-        message,
-        source,
-        stack,
-        timestamp: Date.now(),
-        url: window.location.href,
-        user_agent: navigator.userAgent,
-        error_id: generateErrorId(type, message, source, stack)
-      };
+      const previousSessionId = this.sessionId;
+      const session = this.sessionManager.rotate(reason);
       
-      // Add to the errors buffer
-      storeErrorData(sdk, errorData);
+      this.sessionId = session.sessionId;
+      this.sessionSequence = session.sequence;
+      this.sessionStartPending = session.isNew;
+      this.resetSessionSampling();
       
-      // Flush errors immediately for unhandled rejections
-      flushErrors(sdk);
+      if (session.isNew) {
+        this.broadcastSession();
+      }
       
-      // Also send as event for backward compatibility
-      sdk.sendEvent('error', {
-        error_type: 'unhandled_rejection',
-        message: errorData.message
-      });
-    } catch (e) {
-      // Don't crash if error processing fails
-    }
-  }
+      console.log(`[ViewBasedOptima] 🔄 Session rotated: ${previousSessionId ? previousSessionId.substring(0, 8) : 'none'}... → ${this.sessionId.substring(0, 8)}... (reason: ${reason})`);
+    },
 
-  /**
-   * @param {Object} sdk - Reference to the Optima SDK instance
-   */
-  function patchConsoleError(sdk) {
-    const originalConsoleError = console.error;
-    
-    console.error = function(...args) {
-      const source = 'console.error';
+    /**
+     * Re-derive sampling for a session the tab switched to
+     * Sampling and promotion belong to one session; payloads held for the old one are dropped.
+     */
+    resetSessionSampling: function() {
+      const wasSampled = this.sessionSampled;
+      this.sessionSampled = this.initializeSampling();
       
-      try {
-        // Capture the call stack trace
-        const stackTrace = new Error().stack || '';
-        
-        // Format the message - join args as strings
-        const message = args.map(arg => {
-          if (arg instanceof Error) {
-            return arg.message;
-          } else if (typeof arg === 'object') {
-            try {
-              return JSON.stringify(arg);
-            } catch (e) {
-              return String(arg);
-            }
-          } else {
-            return String(arg);
-          }
-        }).join(' ');
-        
-        const type = 'console_error';
-        
-        const errorData = {
-          type,
-          message,
-          source,
-          stack: stackTrace,
-          timestamp: Date.now(),
-          url: window.location.href,
-          user_agent: navigator.userAgent,
-          error_id: generateErrorId(type, message, source, stackTrace)
-        };
-        
-        // Add to the errors buffer
-        storeErrorData(sdk, errorData);
-      } catch (e) {
+      if (this.sessionSampled && !wasSampled) {
+        console.log('[ViewBasedOptima] ▶️ New session is sampled, collection resumed');
       }
+    },
+
+    /**
+     * Tell other tabs about a session this tab started
+     */
+    broadcastSession: function() {
+      if (!this.tabCoordinator) return;
       
-      originalConsoleError.apply(console, args);
-    };
-  }
+      this.tabCoordinator.broadcast({
+        type: 'session_started',
+        sessionId: this.sessionManager.sessionId,
+        startedAt: this.sessionManager.startedAt,
+        sequence: this.sessionManager.sequence
+      });
+    },
 
-  /**
-   * Store error data in the buffer and potentially flush immediately
-   * @param {Object} sdk - Reference to the Optima SDK instance
-   * @param {Object} errorData - Error data to store
-   */
-  function storeErrorData(sdk, errorData) {
-    // Check if we should sample this error (avoid flooding with same errors)
-    if (shouldSampleError(sdk, errorData)) {
-      // Add to errors buffer (unified SDK compatibility)
-      sdk.buffer.errors.push(errorData);
+    /**
+     * Switch to a session another tab started
+     * The current view keeps its session; later views use the new one.
+     * @param {Object} session - { sessionId, startedAt, sequence }
+     */
+    adoptSession: function(session) {
+      if (!this.sessionManager || !session.sessionId || session.sessionId === this.sessionId) return;
       
-      // For View-Based SDK, also add to current view
-      if (sdk.viewManager && sdk.viewManager.currentView) {
-        sdk.viewManager.addError(errorData);
+      // Two tabs that started sessions at the same time must agree on one: the earliest start wins
+      // (lower ID on a tie). The losing tab hears our session in reply and adopts it.
+      if (!this.sessionManager.isExpired() && !this.isPreferredSession(session)) {
+        console.log(`[ViewBasedOptima] 🔗 Keeping session ${this.sessionId.substring(0, 8)}..., it started before ${session.sessionId.substring(0, 8)}...`);
+        this.broadcastSession();
+        return;
       }
       
-      // If buffer gets large, consolidate immediately
-      if (sdk.buffer.errors.length >= 5) {
-        // Immediately flush errors for critical issues
-        flushErrors(sdk);
+      this.sessionManager.adopt({ ...session, lastActivity: Date.now() });
+      this.sessionId = session.sessionId;
+      this.sessionSequence = session.sequence;
+      this.sessionStartPending = false;
+      this.resetSessionSampling();
+      
+      console.log(`[ViewBasedOptima] 🔗 Joined session from another tab: ${this.sessionId.substring(0, 8)}...`);
+    },
+
+    /**
+     * Check whether another tab's session wins over the current one
+     * @param {Object} session - { sessionId, startedAt }
+     * @returns {boolean} True if the other session started earlier (or at the same time with a lower ID)
+     */
+    isPreferredSession: function(session) {
+      const ownStart = this.sessionManager.startedAt || Infinity;
+      const otherStart = session.startedAt || Infinity;
+      
+      if (otherStart !== ownStart) return otherStart < ownStart;
+      return session.sessionId < this.sessionId;
+    },
+
+    /**
+     * Check whether this tab owns shared work such as replaying the offline queue
+     * @returns {boolean} True if this tab is the leader (or there is no coordinator)
+     */
+    isLeaderTab: function() {
+      return !this.tabCoordinator || this.tabCoordinator.holdsLease();
+    },
+
+    /**
+     * Called when this tab becomes the leader
+     */
+    onTabLeadershipAcquired: function() {
+      // The previous leader may have left payloads behind
+      if (this.dataSender && this.isInitialized) {
+        this.dataSender.replayPersistedQueue('leader_elected');
       }
-    }
-  }
+    },
 
-  /**
-   * Decide if we should record this error (for sampling/deduplication)
-   * @param {Object} sdk - Reference to the Optima SDK instance
-   * @param {Object} errorData - Error data to check
-   * @returns {boolean} Whether to sample this error
-   */
-  function shouldSampleError(sdk, errorData) {
-    // Always record if there are few errors
-    if (sdk.buffer.errors.length < 5) {
-      return true;
-    }
-    
-    // Check for exact duplicate errors by error_id
-    const isDuplicate = sdk.buffer.errors.some(error => {
-      // If we have error_id, use it for exact matching
-      if (error.error_id && errorData.error_id) {
-        return error.error_id === errorData.error_id;
+    /**
+     * Record session activity (throttled)
+     */
+    touchSession: function() {
+      if (this.sessionManager) {
+        this.sessionManager.recordActivity();
+      }
+    },
+
+    /**
+     * Take the pending session_start flag for the view being created
+     * @returns {boolean} True if this is the first view of the session
+     */
+    consumeSessionStart: function() {
+      const isStart = this.sessionStartPending;
+      this.sessionStartPending = false;
+      return isStart;
+    },
+
+    /**
+     * Rotate the session when the user comes back after the timeout
+     * Completes the current view and starts a new one in the new session.
+     * @param {string} source - What brought the user back
+     * @returns {boolean} True if the session was rotated
+     */
+    checkSessionExpiry: function(source) {
+      if (!this.isCollectionAllowed() || !this.viewManager || !this.isSessionExpired()) {
+        return false;
       }
       
-      // Fallback to property comparison for older errors without IDs
-      return error.type === errorData.type &&
-             error.message === errorData.message && 
-             error.source === errorData.source &&
-             error.stack === errorData.stack;
-    });
-    
-    // If it's an exact duplicate, don't record it
-    if (isDuplicate) {
-      return false;
-    }
-    
-    // Check for similar errors in the last few entries (to prevent flooding)
-    const recentErrors = sdk.buffer.errors.slice(-5);
-    const isSimilar = recentErrors.some(error => {
-      return error.message === errorData.message && 
-             error.source === errorData.source &&
-             // Only consider it a duplicate if it happened recently (within 5 seconds)
-             errorData.timestamp - error.timestamp < 100;
-    });
-    
-    return !isSimilar;
-  }
+      console.log(`[ViewBasedOptima] ⏰ Session timed out, rotating (source: ${source})`);
+      
+      // Same URL, nothing loaded - its own view type so it isn't counted as a route change
+      this.viewManager.startNewView('session_rotation', window.location.href, null, null, 'session_rotation');
+      return true;
+    },
 
-  /**
-   * Flush errors to the server immediately
-   * @param {Object} sdk - Reference to the Optima SDK instance
-   */
-  function flushErrors(sdk) {
-    // Skip if no errors to flush
-    if (!sdk.buffer.errors || sdk.buffer.errors.length === 0) {
-      return;
-    }
-    
-    // Handle View-Based SDK
-    if (sdk.viewManager && sdk.dataSender) {
-      // For View-Based SDK, errors are already added to current view
-      // Just clear the buffer since errors are sent with view data
-      sdk.buffer.errors = [];
-      return;
-    }
-    
-    // Handle Unified SDK (backward compatibility)
-    if (sdk.unifiedDataModel) {
-      // Move errors to unified data model
-      if (!sdk.unifiedDataModel.errors) {
-        sdk.unifiedDataModel.errors = [];
+    /**
+     * Initialize view-based architecture components
+     */
+    initializeViewBasedArchitecture: function() {
+      console.log('[ViewBasedOptima] 🏗️ Initializing view-based architecture');
+      
+      // Initialize ViewManager
+      this.viewManager = new ViewManager(this);
+      
+      // Initialize redaction (applied in _sendToServer)
+      this.redactor = new PayloadRedactor(this.config.redaction);
+      
+      this.breadcrumbs = this.config.breadcrumbs?.enabled !== false ? new BreadcrumbTrail(this.config.breadcrumbs) : null;
+      
+      // Initialize RouteChangeDetector
+      if (this.config.enableRouteChangeTracking) {
+        this.routeDetector = new RouteChangeDetector(this.viewManager);
+        this.routeDetector.setupRouteDetection();
+      }
+      
+      // Initialize circuit breaker (shared with other tabs through localStorage)
+      this.circuitBreaker = new SendCircuitBreaker({
+        failureThreshold: this.config.circuitBreakerThreshold,
+        cooldown: this.config.circuitBreakerCooldown,
+        maxCooldown: this.config.circuitBreakerMaxCooldown
+      });
+      
+      // Initialize DataSender
+      this.dataSender = new ViewBasedDataSender(this);
+      
+      // Configure DataSender with all batch settings
+      this.dataSender.updateConfig({ 
+        maxBatchSize: this.config.batchSize,
+        batchTimeout: this.config.batchTimeout,
+        batchMode: this.config.batchMode,
+        flushInterval: this.config.flushInterval,
+        webVitalsBatchDelay: this.config.webVitalsBatchDelay,
+        batchBeforeSend: this.config.batchBeforeSend,
+        maxEventsPerBatch: this.config.maxEventsPerBatch,
+        maxResourcesPerBatch: this.config.maxResourcesPerBatch,
+        maxWebVitalsPerBatch: this.config.maxWebVitalsPerBatch,
+        maxAjaxCallsPerBatch: this.config.maxAjaxCallsPerBatch,
+        payloadCompressionThreshold: this.config.payloadCompressionThreshold
+      });
+      
+      // The offline queue lives in storage, so it waits for consent
+      if (this.consent === 'granted') {
+        this.setupOfflineQueue();
       }
       
-      // Add errors to unified model
-      sdk.unifiedDataModel.errors = [
-        ...sdk.unifiedDataModel.errors,
-        ...sdk.buffer.errors
-      ];
+      // Initialize ContinuousMetricsManager
+      if (this.config.enableContinuousMetrics) {
+        this.continuousMetrics = new ContinuousMetricsManager(this.viewManager, this.dataSender);
+        if (this.config.continuousMetricsInterval && this.continuousMetrics.updateInterval) {
+          this.continuousMetrics.updateInterval(this.config.continuousMetricsInterval);
+        }
+      }
       
-      // Clear buffer
-      sdk.buffer.errors = [];
+      // Initialize collectors
+      this.resourceCollector = new ViewScopedResourceCollector(this.viewManager);
+      this.webVitalsCollector = new ViewScopedWebVitals(this.viewManager);
       
-      // Send unified data with errors
-      if (sdk._sendUnifiedData) {
-        sdk._sendUnifiedData(false);
+      // CRITICAL FIX: Assign webVitalsCollector to viewManager so resource collector can access it
+      this.viewManager.webVitalsCollector = this.webVitalsCollector;
+      
+      // Install AJAX instrumentation before any view starts, so loading time trackers wrap it
+      if (this.config.enableAjaxInstrumentation) {
+        this.ajaxCollector = new ViewScopedAjaxCollector(this.viewManager);
+        this.ajaxCollector.start();
       }
-    } else {
-      // Clear buffer if no unified model
-      sdk.buffer.errors = [];
-    }
-  }
+      
+      console.log('[ViewBasedOptima] ✅ View-based architecture initialized');
+    },
 
-  /**
-   * View-Based Optima Performance Monitoring SDK
-   * Enhanced version with view-based data collection and route change support
-   */
+    /**
+     * Setup persistent queue so failed sends survive flaky networks and reloads
+     */
+    setupOfflineQueue: function() {
+      if (!this.config.enableOfflineQueue) return;
+      
+      this.dataSender.setupOfflineQueue({
+        maxEntries: this.config.offlineQueueMaxEntries,
+        maxBytes: this.config.offlineQueueMaxBytes,
+        maxAge: this.config.offlineQueueMaxAge
+      });
+    },
 
+    /**
+     * Determine if session should be tracked based on sample rate
+     * The decision is a hash of the session ID, so it is the same on every page
+     * load and in every tab of the session.
+     * @param {number} sampleRate - Percentage of sessions to track (0-100, decimals allowed)
+     * @param {string} sessionId - Session ID
+     * @returns {boolean} - Whether to track this session
+     */
+    shouldTrackSession: function(sampleRate, sessionId = this.sessionId) {
+      if (sampleRate >= 100) return true;
+      if (sampleRate <= 0 || !sessionId) return false;
+      
+      return this._getSampleBucket(sessionId) < sampleRate;
+    },
 
-  /**
-   * ViewBasedOptima - Enhanced SDK with view-based architecture
-   */
-  const ViewBasedOptima = {
-    // Core properties
-    sessionId: null,
-    apiKey: null,
-    disabled: false,
-    version: '2.0.0-view-based',
-    
-    // View-based components
-    viewManager: null,
-    routeDetector: null,
-    dataSender: null,
-    continuousMetrics: null,
-    resourceCollector: null,
-    webVitalsCollector: null,
-    
-    // State management
-    isInitialized: false,
-    initializationTime: null,
-    visibilityChangeCount: 0,
-    
-    // Configuration - Full compatibility with old SDK
-    config: {
-      // Core settings (same as old SDK)
-      apiKey: null,
-      endpoint: null,
-      sampleRate: 100,
+    /**
+     * Map a session ID to a stable position in [0, 100)
+     * @param {string} sessionId - Session ID
+     * @returns {number} Sample bucket
+     */
+    _getSampleBucket: function(sessionId) {
+      return hashString(sessionId) / 4294967296 * 100;
+    },
+
+    /**
+     * Get the sample rate that applies to a URL
+     * @param {string} url - Page URL
+     * @returns {number} Sample rate (0-100)
+     */
+    getSampleRateForUrl: function(url) {
+      const rules = this.config.sampleRules;
+      if (!rules || !url) return this.config.sampleRate;
       
-      // Batch configuration (same as old SDK)
-      flushInterval: 5000,
-      webVitalsBatchDelay: 2000,
-      batchBeforeSend: true,
-      maxEventsPerBatch: 50,
-      maxResourcesPerBatch: 50,
-      maxWebVitalsPerBatch: 20,
-      maxAjaxCallsPerBatch: 50,
-      payloadCompressionThreshold: 10 * 1024, // 10KB
+      let path;
+      try {
+        path = new URL(url, window.location.href).pathname;
+      } catch (error) {
+        return this.config.sampleRate;
+      }
       
-      // View-based specific settings
-      enableRouteChangeTracking: true,
-      enableContinuousMetrics: true,
-      batchSize: 3,
-      batchTimeout: 5000,
-      continuousMetricsInterval: 10000,
+      const pattern = Object.keys(rules).find(key => matchRoutePattern(key, path));
+      return pattern !== undefined ? rules[pattern] : this.config.sampleRate;
+    },
+
+    /**
+     * Decide whether the current session sends anything at all
+     * It does if any route could be sampled, or if error promotion is on.
+     * @returns {boolean} True if the session's payloads may be sent
+     */
+    initializeSampling: function() {
+      this.samplePromoted = this._isSessionPromoted(this.sessionId);
+      this.sampleHeld = [];
       
-      // Exclusion configuration
-      exclusionList: null, // Array of URL patterns to exclude from performance tracking (overrides default third-party exclusions)
+      const ruleRates = Object.values(this.config.sampleRules || {});
+      const maxRate = Math.max(this.config.sampleRate, ...ruleRates);
+      const sampled = this.samplePromoted || this.config.sampleOnError || this.shouldTrackSession(maxRate);
       
-      // Additional settings
-      debug: false,
-      disabled: false
+      console.log(`[ViewBasedOptima] 🎲 Sampling: bucket ${this._getSampleBucket(this.sessionId).toFixed(3)}, rate ${this.config.sampleRate}%, max route rate ${maxRate}%, promoted: ${this.samplePromoted} → ${sampled ? 'collecting' : 'not tracked'}`);
+      
+      return sampled;
     },
 
     /**
-     * Initialize the view-based SDK
-     * @param {Object} options - Configuration options
+     * Check if a payload belongs to a sampled session and route
+     * @param {Object} data - Payload
+     * @returns {boolean} True if the payload should be sent
      */
-    init: function(options = {}) {
-      if (this.isInitialized) {
-        console.warn('[ViewBasedOptima] ⚠️ SDK already initialized');
-        return;
-      }
+    _isPayloadSampled: function(data) {
+      if (this.samplePromoted) return true;
+      
+      // Payloads of an earlier session are still judged by that session's bucket
+      const sessionId = data.session_id || this.sessionId;
+      if (sessionId === this.sessionId && !this.sessionSampled) return false;
+      
+      const url = data.url || data.meta?.url || window.location.href;
+      return this.shouldTrackSession(this.getSampleRateForUrl(url), sessionId);
+    },
 
-      console.log('1. [ViewBasedOptima] 🚀 Initializing View-Based Optima SDK v' + this.version);
+    /**
+     * Apply sampling to an outgoing payload
+     * Unsampled payloads are held for sampleOnError, or dropped.
+     * @param {string} endpoint - API endpoint
+     * @param {Object} data - Payload
+     * @returns {Object|null} Payload to send, or null if nothing is left to send
+     */
+    _applySampling: function(endpoint, data) {
+      // Replayed payloads were sampled when they were first sent
+      if (this.samplePromoted || data.offline_replay) return data;
+      
+      if (data.type === 'batch') {
+        const kept = [];
+        data.payloads.forEach(payload => {
+          const full = { ...payload, meta: { ...data.meta, ...payload.meta_overrides } };
+          if (this._isPayloadSampled(full)) {
+            kept.push(payload);
+          } else {
+            delete full.meta_overrides;
+            this._holdUnsampled('/api/optima/collect', full);
+          }
+        });
+        
+        if (kept.length === 0) return null;
+        return { ...data, payloads: kept, payload_count: kept.length };
+      }
       
-      // Store initialization time
-      this.initializationTime = Date.now();
+      if (this._isPayloadSampled(data)) return data;
       
-      // Apply configuration
-      this.applyConfiguration(options);
+      this._holdUnsampled(endpoint, data);
+      return null;
+    },
+
+    /**
+     * Keep an unsampled payload in memory in case the session gets promoted
+     * @param {string} endpoint - API endpoint
+     * @param {Object} data - Payload
+     */
+    _holdUnsampled: function(endpoint, data) {
+      if (!this.config.sampleOnError) return;
       
-      // Validate required options
-      if (!this.config.apiKey) {
-        console.error('[ViewBasedOptima] ❌ API key is required');
-        this.disabled = true;
-        return;
+      this.sampleHeld.push({ endpoint, data });
+      if (this.sampleHeld.length > this.config.sampleOnErrorBufferSize) {
+        this.sampleHeld.shift();
+      }
+    },
+
+    /**
+     * Check whether a session was promoted by an error on an earlier page load
+     * @param {string} sessionId - Session ID
+     * @returns {boolean} True if promoted
+     */
+    _isSessionPromoted: function(sessionId) {
+      try {
+        return !!sessionId && localStorage.getItem(SAMPLE_PROMOTED_KEY) === sessionId;
+      } catch (error) {
+        return false;
       }
+    },
+
+    /**
+     * Keep the whole session after an uncaught error (sampleOnError)
+     * Held payloads are sent and the decision survives page loads.
+     * @param {string} reason - Why the session is promoted
+     */
+    promoteSession: function(reason) {
+      if (!this.config.sampleOnError || this.samplePromoted || !this.sessionId) return;
       
-      // Check if SDK is disabled due to sampling
-      if (this.config.disabled) {
-        console.log('[ViewBasedOptima] ⏸️ SDK disabled due to sampling');
-        this.disabled = true;
-        return;
+      this.samplePromoted = true;
+      if (this.consent === 'granted') {
+        try {
+          localStorage.setItem(SAMPLE_PROMOTED_KEY, this.sessionId);
+        } catch (error) {
+          // Promotion still applies to this page
+        }
       }
       
-      // Function to complete initialization
-      const completeInit = () => {
-        console.log('2. [ViewBasedOptima] 🚀 Initializing View-Based Optima SDK v' + this.version);
-        // Initialize session
-        this.initializeSession();
-        
-        // Initialize view-based architecture
-        this.initializeViewBasedArchitecture();
-        
-        // Setup error monitoring (existing functionality)
-        this.setupErrorMonitoring();
-        
-        // Setup page lifecycle events
-        this.setupPageLifecycleEvents();
-        
-        // Start initial view
-        this.startInitialView();
-        
-        this.isInitialized = true;
-        
-        console.log('[ViewBasedOptima] ✅ SDK initialization complete');
-        
-        // Send initialization event
-        this.sendEvent('sdk_initialized', {
-          version: this.version,
-          architecture: 'view_based',
-          config: this.config
-        });
-      };
+      const held = this.sampleHeld;
+      this.sampleHeld = [];
+      
+      console.log(`[ViewBasedOptima] 🚩 Session promoted to sampled (reason: ${reason}), sending ${held.length} held payloads`);
+      
+      held.forEach(({ endpoint, data }) => {
+        this._sendToServer(endpoint, data);
+      });
+    },
 
-      // Check document readiness
-      if (document.readyState === 'loading') {
-        // Wait for DOMContentLoaded if document is not ready
-        document.addEventListener('DOMContentLoaded', completeInit);
-        console.log('[ViewBasedOptima] 🔄 Waiting for DOMContentLoaded before completing initialization');
-      } else {
-        // Complete initialization immediately if document is already ready
-        completeInit();
+    /**
+     * Decide the consent state init starts with
+     * An explicit optima('consent') call (e.g. queued before init) wins over config and browser signals.
+     * @returns {string} 'pending' | 'granted' | 'denied'
+     */
+    resolveInitialConsent: function() {
+      if (this.consent) return this.consent;
+      
+      const signal = this.getPrivacySignal();
+      if (signal) {
+        console.log(`[ViewBasedOptima] 🛑 Honoring ${signal} signal, consent denied`);
+        return 'denied';
+      }
+      
+      if (!CONSENT_STATES.includes(this.config.consent)) {
+        console.warn(`[ViewBasedOptima] ⚠️ Unknown consent state "${this.config.consent}", assuming granted`);
+        return 'granted';
       }
+      
+      return this.config.consent;
     },
 
     /**
-     * Apply configuration options
-     * @param {Object} options - Configuration options
+     * Check the browser opt-out signals the configuration asks us to honor
+     * @returns {string|null} Signal name, or null if none applies
      */
-    applyConfiguration: function(options) {
-      // Merge with default config
-      this.config = {
-        ...this.config,
-        ...options
-      };
+    getPrivacySignal: function() {
+      if (typeof navigator === 'undefined') return null;
       
-      // Validate and normalize sampleRate (same as old SDK)
-      if (typeof this.config.sampleRate === 'number') {
-        this.config.sampleRate = Math.min(Math.max(this.config.sampleRate, 1), 100);
+      if (this.config.honorGlobalPrivacyControl && navigator.globalPrivacyControl === true) {
+        return 'global_privacy_control';
       }
       
-      // Store core settings for compatibility
-      this.apiKey = this.config.apiKey;
-      this.endpoint = this.config.endpoint;
-      this.sampleRate = this.config.sampleRate;
+      const doNotTrack = navigator.doNotTrack || window.doNotTrack;
+      if (this.config.honorDoNotTrack && (doNotTrack === '1' || doNotTrack === 'yes')) {
+        return 'do_not_track';
+      }
       
-      // Enable debug logging if requested
-      if (this.config.debug) {
-        console.log('[ViewBasedOptima] 🐛 Debug mode enabled');
-        console.log(`[ViewBasedOptima] 🔧 SDK Config - Endpoint: ${this.endpoint}, API Key: ${this.apiKey ? this.apiKey.substring(0, 8) + '...' : 'NOT SET'}, Sample Rate: ${this.sampleRate}%`);
+      return null;
+    },
+
+    /**
+     * Change the consent state
+     * Granting persists the session and flushes the payloads held while pending;
+     * denying drops everything collected, clears storage and restores patched globals.
+     * @param {string} state - 'pending' | 'granted' | 'denied'
+     * @param {Object} [options] - { broadcast } - set false when the change came from another tab
+     */
+    setConsent: function(state, options = {}) {
+      if (!CONSENT_STATES.includes(state)) {
+        console.warn(`[ViewBasedOptima] ⚠️ Unknown consent state "${state}", expected one of ${CONSENT_STATES.join(', ')}`);
+        return;
+      }
+      
+      if (state === this.consent) return;
+      
+      console.log(`[ViewBasedOptima] 🔐 Consent changed: ${this.consent || 'unset'} → ${state}`);
+      this.consent = state;
+      this.config.consent = state;
+      
+      if (state === 'denied') {
+        // Tell the other tabs before cleanup closes the channel
+        if (options.broadcast !== false && this.tabCoordinator) {
+          this.tabCoordinator.broadcast({ type: 'consent_denied' });
+        }
+        this.revokeConsent();
+        return;
+      }
+      
+      // A denial stopped the SDK - start it again now
+      if (this.stoppedByConsent && this.initOptions) {
+        this.disabled = false;
+        this.init(this.initOptions);
+        return;
       }
       
-      // Check if tracking should be disabled based on sample rate
-      if (!this.shouldTrackSession(this.config.sampleRate)) {
-        console.log(`[ViewBasedOptima] 🎲 Session not tracked (sample rate: ${this.config.sampleRate}%)`);
-        this.config.disabled = true;
+      // Before completeInit runs the new state is simply picked up there
+      if (this.isInitialized && state === 'granted') {
+        this.grantConsent();
       }
     },
 
     /**
-     * Initialize session
+     * Check whether collectors may run (not disabled, consent not denied)
+     * Pending consent still collects, in memory only.
+     * @returns {boolean} True if collection is allowed
      */
-    initializeSession: function() {
-      this.sessionId = generateUUID();
+    isCollectionAllowed: function() {
+      return !this.disabled && this.consent !== 'denied';
+    },
+
+    /**
+     * Start storage-backed components and send what was held while consent was pending
+     */
+    grantConsent: function() {
+      this.sessionManager.enablePersistence();
+      
+      if (!this.tabCoordinator) {
+        this.tabCoordinator = new TabCoordinator(this);
+        this.tabCoordinator.start();
+        
+        const view = this.viewManager.currentView;
+        if (view && !view.tabId) {
+          view.tabId = this.tabCoordinator.tabId;
+        }
+      }
+      
+      this.setupOfflineQueue();
+      
+      const buffered = this.consentBuffer;
+      this.consentBuffer = [];
+      
+      console.log(`[ViewBasedOptima] ✅ Consent granted, sending ${buffered.length} held payloads`);
+      
+      // The page is still alive, so there is no need for beacons
+      buffered.forEach(({ endpoint, data, options }) => {
+        this._sendToServer(endpoint, data, { ...options, sync: false });
+      });
       
-      console.log(`[ViewBasedOptima] 🆔 Session initialized: ${this.sessionId.substring(0, 8)}...`);
+      this.dataSender.replayPersistedQueue('consent_granted');
     },
 
     /**
-     * Initialize view-based architecture components
+     * Stop collecting, drop everything held and remove what the SDK stored
      */
-    initializeViewBasedArchitecture: function() {
-      console.log('[ViewBasedOptima] 🏗️ Initializing view-based architecture');
+    revokeConsent: function() {
+      // Nothing may leave the page from here on; _sendToServer drops payloads once consent is denied
+      this.consentBuffer = [];
+      this.sampleHeld = [];
+      if (this.buffer?.errors) this.buffer.errors = [];
+      if (this.breadcrumbs) this.breadcrumbs.clear();
+      if (this.dataSender) this.dataSender.sendQueue = [];
       
-      // Initialize ViewManager
-      this.viewManager = new ViewManager(this);
+      this.disabled = true;
+      this.stoppedByConsent = true;
       
-      // Initialize RouteChangeDetector
-      if (this.config.enableRouteChangeTracking) {
-        this.routeDetector = new RouteChangeDetector(this.viewManager);
-        this.routeDetector.setupRouteDetection();
+      if (this.isInitialized) {
+        this.cleanup();
       }
       
-      // Initialize DataSender
-      this.dataSender = new ViewBasedDataSender(this);
-      
-      // Configure DataSender with all batch settings
-      this.dataSender.updateConfig({ 
-        maxBatchSize: this.config.batchSize,
-        batchTimeout: this.config.batchTimeout,
-        flushInterval: this.config.flushInterval,
-        webVitalsBatchDelay: this.config.webVitalsBatchDelay,
-        batchBeforeSend: this.config.batchBeforeSend,
-        maxEventsPerBatch: this.config.maxEventsPerBatch,
-        maxResourcesPerBatch: this.config.maxResourcesPerBatch,
-        maxWebVitalsPerBatch: this.config.maxWebVitalsPerBatch,
-        maxAjaxCallsPerBatch: this.config.maxAjaxCallsPerBatch,
-        payloadCompressionThreshold: this.config.payloadCompressionThreshold
-      });
+      this.purgeStoredData();
       
-      // Initialize ContinuousMetricsManager
-      if (this.config.enableContinuousMetrics) {
-        this.continuousMetrics = new ContinuousMetricsManager(this.viewManager, this.dataSender);
-        if (this.config.continuousMetricsInterval && this.continuousMetrics.updateInterval) {
-          this.continuousMetrics.updateInterval(this.config.continuousMetricsInterval);
+      console.log('[ViewBasedOptima] 🚫 Consent denied, collection stopped and stored data removed');
+    },
+
+    /**
+     * Remove every key and database the SDK wrote
+     * @returns {Promise} Resolves once the offline queue database is deleted
+     */
+    purgeStoredData: function() {
+      ['localStorage', 'sessionStorage'].forEach(name => {
+        try {
+          // Reading the property itself throws when storage is blocked
+          const storage = window[name];
+          if (!storage) return;
+          
+          const keys = [];
+          for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (key && key.startsWith(STORAGE_KEY_PREFIX)) keys.push(key);
+          }
+          keys.forEach(key => storage.removeItem(key));
+        } catch (error) {
+          // Storage blocked - then nothing was written there either
         }
-      }
+      });
       
-      // Initialize collectors
-      this.resourceCollector = new ViewScopedResourceCollector(this.viewManager);
-      this.webVitalsCollector = new ViewScopedWebVitals(this.viewManager);
+      // A queue write still in flight (localStorage backend) could put its key back after
+      // the sweep, and an open connection keeps the delete blocked - close the queue first
+      const offlineQueue = this.dataSender?.offlineQueue;
+      if (this.dataSender) this.dataSender.offlineQueue = null;
       
-      // CRITICAL FIX: Assign webVitalsCollector to viewManager so resource collector can access it
-      this.viewManager.webVitalsCollector = this.webVitalsCollector;
+      const closed = offlineQueue ? offlineQueue.close() : Promise.resolve();
       
-      console.log('[ViewBasedOptima] ✅ View-based architecture initialized');
+      return closed.then(() => {
+        try {
+          localStorage.removeItem(SEND_QUEUE_STORAGE_KEY);
+        } catch (error) {
+          // Storage blocked - nothing to remove
+        }
+        
+        try {
+          if (typeof indexedDB !== 'undefined') {
+            indexedDB.deleteDatabase(SEND_QUEUE_DB_NAME);
+          }
+        } catch (error) {
+          console.warn('[ViewBasedOptima] ⚠️ Could not delete the offline queue database:', error);
+        }
+      });
     },
 
     /**
-     * Determine if session should be tracked based on sample rate
-     * @param {number} sampleRate - Percentage of sessions to track (1-100)
-     * @returns {boolean} - Whether to track this session
+     * Hold a payload in memory until consent is granted
+     * @param {string} endpoint - API endpoint
+     * @param {Object} data - Payload
+     * @param {Object} options - Send options
      */
-    shouldTrackSession: function(sampleRate) {
-      // Always track if sample rate is 100 or higher
-      if (sampleRate >= 100) return true;
-      
-      // Never track if sample rate is 0 or lower
-      if (sampleRate <= 1) return Math.random() < 0.01;
-      
-      // Use random sampling for rates between 1-100
-      return Math.random() * 100 < sampleRate;
+    _holdUntilConsent: function(endpoint, data, options) {
+      this.consentBuffer.push({ endpoint, data, options });
+      if (this.consentBuffer.length > this.config.consentBufferSize) {
+        this.consentBuffer.shift();
+      }
     },
 
     /**
@@ -5387,7 +10277,7 @@ var optima = (function (exports) {
      */
     setupErrorMonitoring: function() {
       try {
-        setupErrorMonitoring(this);
+        this.errorMonitoringTeardown = setupErrorMonitoring(this);
       } catch (error) {
         console.error('[ViewBasedOptima] ❌ Error setting up error monitoring:', error);
       }
@@ -5397,6 +10287,10 @@ var optima = (function (exports) {
      * Setup page lifecycle events
      */
     setupPageLifecycleEvents: function() {
+      // The handlers only go through `this`, so a restart after consent reuses them
+      if (this.lifecycleEventsSetup) return;
+      this.lifecycleEventsSetup = true;
+      
       // Page visibility changes
       document.addEventListener('visibilitychange', () => {
         this.visibilityChangeCount++;
@@ -5408,11 +10302,28 @@ var optima = (function (exports) {
         }
       });
       
-      // Page unload
-      window.addEventListener('beforeunload', () => {
-        this.handlePageUnload();
+      // Page unload - pagehide instead of beforeunload keeps the page eligible for the bfcache
+      window.addEventListener('pagehide', (event) => {
+        this.handlePageUnload(event.persisted);
+      });
+      
+      // Restored from the back/forward cache: the old view is over, start a new one
+      window.addEventListener('pageshow', (event) => {
+        if (event.persisted) {
+          this.handleBFCacheRestore(event);
+        }
       });
       
+      // User interaction counts as session activity, and may bring the user back after the timeout
+      const onUserActivity = () => {
+        if (!this.isCollectionAllowed()) return;
+        
+        this.checkSessionExpiry('user_interaction');
+        this.touchSession();
+      };
+      document.addEventListener('pointerdown', onUserActivity, { capture: true, passive: true });
+      document.addEventListener('keydown', onUserActivity, { capture: true, passive: true });
+      
       // Page focus/blur
       window.addEventListener('blur', () => {
         this.sendEvent('page_blur', { timestamp: Date.now() });
@@ -5423,6 +10334,44 @@ var optima = (function (exports) {
       });
     },
 
+    /**
+     * Run a callback now, or once a prerendered page (speculation rules) is shown
+     * @param {Function} callback - Work that must not happen for a page the user never sees
+     */
+    whenActivated: function(callback) {
+      if (document.prerendering) {
+        console.log('[ViewBasedOptima] 💤 Page is prerendering, deferring collection until activation');
+        document.addEventListener('prerenderingchange', callback, { once: true });
+        return;
+      }
+      
+      callback();
+    },
+
+    /**
+     * Start monitoring, the initial view and the first sends once the page is visible to the user
+     */
+    startCollection: function() {
+      // Consent may have been denied while the page was prerendering
+      if (!this.isInitialized || !this.isCollectionAllowed()) return;
+      
+      // Setup error monitoring (existing functionality)
+      this.setupErrorMonitoring();
+      
+      // Start initial view
+      this.startInitialView();
+      
+      // Replay anything a previous page load could not deliver (no offline queue until consent is granted)
+      this.dataSender.replayPersistedQueue('page_load');
+      
+      // Send initialization event
+      this.sendEvent('sdk_initialized', {
+        version: this.version,
+        architecture: 'view_based',
+        config: this.config
+      });
+    },
+
     /**
      * Start initial view
      */
@@ -5448,7 +10397,7 @@ var optima = (function (exports) {
 
     /**
      * Start collectors for current view
-     * @param {string} viewType - Type of view ('initial' or 'route_change')
+     * @param {string} viewType - Type of view ('initial', 'route_change', 'bfcache_restore' or 'session_rotation')
      */
     startCollectorsForView: function(viewType) {
       console.log(`[ViewBasedOptima] 🔧 Starting collectors for ${viewType} view`);
@@ -5482,6 +10431,8 @@ var optima = (function (exports) {
      * Handle page hidden event
      */
     handlePageHidden: function() {
+      if (this.disabled || !this.viewManager) return;
+      
       console.log('[ViewBasedOptima] 👁️ Page hidden');
       
       this.sendEvent('page_hidden', { timestamp: Date.now() }, { immediate: true });
@@ -5495,22 +10446,38 @@ var optima = (function (exports) {
       if (this.dataSender) {
         this.dataSender.forceFlush();
       }
+      
+      // Background tabs have nothing new to report - leave the timers to the visible tab
+      if (this.continuousMetrics) {
+        this.continuousMetrics.pause();
+      }
     },
 
     /**
      * Handle page visible event
      */
     handlePageVisible: function() {
+      if (this.disabled || !this.viewManager) return;
+      
       console.log('[ViewBasedOptima] 👁️ Page visible');
       
+      if (this.continuousMetrics) {
+        this.continuousMetrics.resume();
+      }
+      
+      this.checkSessionExpiry('page_visible');
+      
       this.sendEvent('page_visible', { timestamp: Date.now() });
     },
 
     /**
      * Handle page unload event
+     * @param {boolean} persisted - True if the page is entering the back/forward cache
      */
-    handlePageUnload: function() {
-      console.log('[ViewBasedOptima] 📤 Page unloading');
+    handlePageUnload: function(persisted = false) {
+      if (this.disabled || !this.viewManager) return;
+      
+      console.log(`[ViewBasedOptima] 📤 Page unloading${persisted ? ' (entering bfcache)' : ''}`);
       
       // Complete current view
       if (this.viewManager.currentView && !this.viewManager.currentView.isCompleted) {
@@ -5522,12 +10489,25 @@ var optima = (function (exports) {
         this.dataSender.forceFlush();
       }
       
-      // Stop continuous metrics
-      if (this.continuousMetrics) {
+      // Stop continuous metrics - a page entering the bfcache keeps them for the restored view
+      if (this.continuousMetrics && !persisted) {
         this.continuousMetrics.stopContinuousTracking();
       }
     },
 
+    /**
+     * Handle page restored from the back/forward cache
+     * @param {PageTransitionEvent} event - pageshow event with persisted set
+     */
+    handleBFCacheRestore: function(event) {
+      if (this.disabled || !this.viewManager) return;
+      
+      console.log('[ViewBasedOptima] ♻️ Page restored from bfcache');
+      
+      // The pageshow time is the baseline for restore paints and loading time
+      this.viewManager.startNewView('bfcache_restore', window.location.href, null, event.timeStamp, 'bfcache_restore');
+    },
+
     /**
      * Send event (compatible with existing API)
      * @param {string} eventName - Event name
@@ -5556,6 +10536,38 @@ var optima = (function (exports) {
       }
     },
 
+    /**
+     * Record a breadcrumb (used by the collectors)
+     * @param {string} category - One of BREADCRUMB_CATEGORIES
+     * @param {string} message - Short description
+     * @param {Object} [data] - Extra structured data
+     * @param {string} [level] - 'info' | 'warning' | 'error'
+     */
+    addBreadcrumb: function(category, message, data = null, level = 'info') {
+      if (this.disabled || !this.breadcrumbs) return;
+      
+      this.breadcrumbs.add(category, message, data, level);
+    },
+
+    /**
+     * Record a custom breadcrumb - optima('breadcrumb', 'Checkout started', { step: 2 })
+     * @param {string|Object} message - Message, or { message, data, level }
+     * @param {Object} [data] - Extra structured data
+     */
+    leaveBreadcrumb: function(message, data = null) {
+      if (message && typeof message === 'object') {
+        this.addBreadcrumb('custom', message.message, message.data || null, message.level || 'info');
+        return;
+      }
+      
+      if (typeof message !== 'string' || !message) {
+        console.warn('[ViewBasedOptima] ⚠️ Breadcrumb needs a message');
+        return;
+      }
+      
+      this.addBreadcrumb('custom', message, data);
+    },
+
     /**
      * Identify user for current session
      * @param {Object} userIdentity - User identity data (email, name, plan, etc.)
@@ -5570,6 +10582,12 @@ var optima = (function (exports) {
           return;
         }
         
+        if (this.consent !== 'granted') {
+          console.warn('[ViewBasedOptima] ⚠️ Consent not granted, identity not sent');
+          reject(new Error('Consent not granted'));
+          return;
+        }
+        
         if (!this.sessionId) {
           console.warn('[ViewBasedOptima] ⚠️ No active session, identity not sent');
           reject(new Error('No active session'));
@@ -5694,8 +10712,12 @@ var optima = (function (exports) {
       return {
         isInitialized: this.isInitialized,
         sessionId: this.sessionId,
+        session: this.sessionManager ? this.sessionManager.getStatus() : null,
         version: this.version,
         disabled: this.disabled,
+        sampled: this.sessionSampled,
+        consent: this.consent,
+        consentBuffered: this.consentBuffer.length,
         currentView: this.getCurrentView(),
         viewHistory: this.getViewHistory(),
         config: this.config,
@@ -5703,9 +10725,13 @@ var optima = (function (exports) {
           viewManager: !!this.viewManager,
           routeDetector: !!this.routeDetector,
           dataSender: !!this.dataSender,
+          circuitBreaker: this.circuitBreaker ? this.circuitBreaker.getStatus() : null,
+          tabCoordinator: this.tabCoordinator ? this.tabCoordinator.getStatus() : null,
           continuousMetrics: !!this.continuousMetrics,
           resourceCollector: !!this.resourceCollector,
-          webVitalsCollector: !!this.webVitalsCollector
+          webVitalsCollector: !!this.webVitalsCollector,
+          ajaxCollector: !!this.ajaxCollector?.isActive,
+          breadcrumbs: this.breadcrumbs ? this.breadcrumbs.size : null
         }
       };
     },
@@ -5718,10 +10744,15 @@ var optima = (function (exports) {
       this.config = { ...this.config, ...newConfig };
       
       // Apply config changes to components
-      if (this.dataSender && (newConfig.batchSize || newConfig.batchTimeout)) {
+      if (this.dataSender) {
         this.dataSender.updateConfig({
           maxBatchSize: newConfig.batchSize,
-          batchTimeout: newConfig.batchTimeout
+          batchTimeout: newConfig.batchTimeout,
+          batchMode: newConfig.batchMode,
+          maxEventsPerBatch: newConfig.maxEventsPerBatch,
+          maxResourcesPerBatch: newConfig.maxResourcesPerBatch,
+          maxWebVitalsPerBatch: newConfig.maxWebVitalsPerBatch,
+          maxAjaxCallsPerBatch: newConfig.maxAjaxCallsPerBatch
         });
       }
       
@@ -5729,6 +10760,15 @@ var optima = (function (exports) {
         this.continuousMetrics.updateInterval(newConfig.continuousMetricsInterval);
       }
       
+      if (newConfig.redaction) {
+        this.redactor = new PayloadRedactor(this.config.redaction);
+      }
+      
+      // Rebuilding empties the trail, which is what a new size or redaction setting needs anyway
+      if (newConfig.breadcrumbs && this.isInitialized) {
+        this.breadcrumbs = this.config.breadcrumbs.enabled !== false ? new BreadcrumbTrail(this.config.breadcrumbs) : null;
+      }
+      
       console.log('[ViewBasedOptima] ⚙️ Configuration updated:', this.config);
     },
 
@@ -5807,12 +10847,31 @@ var optima = (function (exports) {
      * @param {string} endpoint - API endpoint
      * @param {Object} data - Data to send
      * @param {Object} options - Send options
+     * @returns {Promise<boolean|string>} Resolves true once the server accepted (or permanently rejected) the data,
+     *   SEND_RESULT_HELD or SEND_RESULT_SAMPLED_OUT if it wasn't sent on purpose, false otherwise
      */
     _sendToServer: function(endpoint, data, options = {}) {
-      if (this.disabled) return;
+      if (this.disabled || this.consent === 'denied') return Promise.resolve(false);
+      
+      // Nothing leaves the page until consent is granted
+      if (this.consent === 'pending') {
+        this._holdUntilConsent(endpoint, data, options);
+        return Promise.resolve(SEND_RESULT_HELD);
+      }
+      
+      // Drop (or hold) payloads of unsampled sessions and routes
+      data = this._applySampling(endpoint, data);
+      if (!data) return Promise.resolve(this.config.sampleOnError ? SEND_RESULT_HELD : SEND_RESULT_SAMPLED_OUT);
+      
+      // Scrub personal data before anything is sent or persisted
+      if (this.redactor) {
+        data = this.redactor.redact(data);
+      }
       
       // Add common fields
       data.api_key = this.apiKey;
+      // Kept through retries and replays, so the collector can drop a payload it already has
+      data.idempotency_key = data.idempotency_key || generateUUID();
       data.timestamp = data.timestamp || Date.now();
       data.user_agent = navigator.userAgent;
       
@@ -5821,59 +10880,311 @@ var optima = (function (exports) {
         const baseUrl = this.endpoint || this.config.endpoint || 'https://api.optima.com';
         const url = `${baseUrl}${endpoint}`;
         
+        // Don't even try while the browser knows it is offline - persist for replay instead
+        if (navigator.onLine === false && !options.skipPersist && this.dataSender?.isPersistableEndpoint(endpoint)) {
+          if (this.config.debug) {
+            console.log(`[ViewBasedOptima] 📴 Offline, persisting ${endpoint} payload for replay`);
+          }
+          this.dataSender.persistFailedSend(endpoint, data, 'offline', { sync: options.sync });
+          return Promise.resolve(false);
+        }
+        
+        // Collector is failing - don't hammer it, keep the payload for later
+        if (this.circuitBreaker && !this.circuitBreaker.canSend()) {
+          if (this.config.debug) {
+            console.log(`[ViewBasedOptima] 🔴 Circuit open, not sending to ${endpoint}`);
+          }
+          if (!options.skipPersist && this.dataSender) {
+            this.dataSender.persistFailedSend(endpoint, data, 'circuit_open', { sync: options.sync });
+          }
+          return Promise.resolve(false);
+        }
+        
+        const json = options.sync ? JSON.stringify(data) : null;
+        
+        // Too big for sendBeacon - gzip it and try fetch, keeping a persisted copy
+        if (options.sync && getByteLength(json) > KEEPALIVE_MAX_BYTES) {
+          return this._sendOversizedSync(url, endpoint, data, options);
+        }
+        
         if (options.sync && navigator.sendBeacon) {
           // Use sendBeacon for synchronous sends (with API key in URL)
           const beaconUrl = new URL(url);
           beaconUrl.searchParams.set('api_key', this.apiKey);
           
-          const success = navigator.sendBeacon(beaconUrl.toString(), JSON.stringify(data));
+          const success = navigator.sendBeacon(beaconUrl.toString(), json);
           if (this.config.debug) {
             console.log(`[ViewBasedOptima] 🚨 BeaconAPI send ${success ? 'SUCCESS' : 'FAILED'} to ${endpoint}`);
           }
           
-          if (!success) {
-            // Fallback to fetch if beacon fails
-            this._sendViaFetch(url, data, { ...options, sync: true });
+          if (success) {
+            return Promise.resolve(true);
           }
-        } else {
-          // Use fetch for regular sends
-          this._sendViaFetch(url, data, options);
+          
+          // Fallback to fetch if beacon fails
+          return this._sendViaFetch(url, data, { ...options, endpoint, sync: true })
+            .then(response => this._isSettledResponse(response));
         }
         
+        // Use fetch for regular sends
+        return this._sendViaFetch(url, data, { ...options, endpoint })
+          .then(response => this._isSettledResponse(response));
+        
       } catch (error) {
         if (this.config.debug) {
           console.error('[ViewBasedOptima] ❌ Send error:', error);
         }
+        return Promise.resolve(false);
       }
     },
 
     /**
      * Send data via fetch (internal helper)
+     * Retries 5xx, 429 and network errors with jittered exponential backoff
      * @param {string} url - Full URL
      * @param {Object} data - Data to send
-     * @param {Object} options - Send options
+     * @param {Object} options - Send options (attempt, retry, sync, skipPersist, endpoint)
+     * @returns {Promise<Response|null>} Last response, or null if the request never reached the server
      */
     _sendViaFetch: function(url, data, options = {}) {
-      fetch(url, {
-        method: 'POST',
-        headers: {
+      const attempt = options.attempt || 0;
+      
+      return this._buildRequestBody(JSON.stringify(data), options).then(request => {
+        const headers = {
           'Content-Type': 'application/json',
           'x-api-key': this.apiKey
-        },
-        body: JSON.stringify(data),
-        keepalive: options.sync
+        };
+        
+        if (request.encoding) {
+          headers['Content-Encoding'] = request.encoding;
+        }
+        
+        return fetch(url, {
+          method: 'POST',
+          headers: headers,
+          body: request.body,
+          // keepalive requests over the browser's budget are rejected outright
+          keepalive: !!options.sync && request.size <= KEEPALIVE_MAX_BYTES
+        });
       }).then(response => {
         if (this.config.debug) {
-          console.log(`[ViewBasedOptima] ✅ Fetch ${response.ok ? 'SUCCESS' : 'ERROR'} to ${url}`);
+          console.log(`[ViewBasedOptima] ✅ Fetch ${response.ok ? 'SUCCESS' : 'ERROR'} to ${url} (status: ${response.status}, attempt: ${attempt + 1})`);
         }
-        return response;
-      }).catch(error => {
+        
+        if (response.ok) {
+          this._onSendSuccess();
+          return response;
+        }
+        
+        // 4xx other than 408/429: the collector refused this payload, sending it again won't help
+        if (!this._isRetryableStatus(response.status)) {
+          console.warn(`[ViewBasedOptima] ⚠️ ${url} rejected the payload (status: ${response.status}), dropping it`);
+          return response;
+        }
+        
+        const retryAfterMs = this._parseRetryAfter(response.headers.get('Retry-After'));
+        if (this.circuitBreaker) {
+          this.circuitBreaker.recordFailure(retryAfterMs);
+        }
+        
+        return this._retrySend(url, data, options, retryAfterMs, response, `http_${response.status}`);
+      }, error => {
         if (this.config.debug) {
           console.error('[ViewBasedOptima] ❌ Fetch failed:', error);
         }
+        
+        if (this.circuitBreaker) {
+          this.circuitBreaker.recordFailure();
+        }
+        
+        return this._retrySend(url, data, options, null, null, 'network_error');
+      });
+    },
+
+    /**
+     * Build the request body, gzipping payloads above payloadCompressionThreshold
+     * @param {string} json - Serialized payload
+     * @param {Object} options - Send options
+     * @returns {Promise<Object>} { body, encoding, size }
+     */
+    _buildRequestBody: function(json, options = {}) {
+      const byteLength = getByteLength(json);
+      const plain = { body: json, encoding: null, size: byteLength };
+      const threshold = this.config.payloadCompressionThreshold;
+      
+      if (!threshold || byteLength <= threshold || typeof CompressionStream === 'undefined') {
+        return Promise.resolve(plain);
+      }
+      
+      // During unload the extra async hop can lose the request, so only compress
+      // sync sends when that's the only way to fit the keepalive budget
+      if (options.sync && byteLength <= KEEPALIVE_MAX_BYTES) {
+        return Promise.resolve(plain);
+      }
+      
+      try {
+        const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+        
+        return new Response(stream).blob().then(body => {
+          if (this.config.debug) {
+            console.log(`[ViewBasedOptima] 🗜️ Compressed payload ${byteLength} → ${body.size} bytes`);
+          }
+          return { body: body, encoding: 'gzip', size: body.size };
+        }).catch(error => {
+          if (this.config.debug) {
+            console.warn('[ViewBasedOptima] ⚠️ Compression failed, sending plain JSON:', error);
+          }
+          return plain;
+        });
+      } catch (error) {
+        return Promise.resolve(plain);
+      }
+    },
+
+    /**
+     * Send a payload that sendBeacon can't carry during unload
+     * The payload is persisted first so it is replayed on the next page load
+     * if the request doesn't make it out; the copy is dropped once it does.
+     * If the page dies before the response, the copy is replayed even though the request
+     * may have arrived - both carry the same idempotency_key for the collector to dedupe.
+     * @param {string} url - Full URL
+     * @param {string} endpoint - API endpoint
+     * @param {Object} data - Data to send
+     * @param {Object} options - Send options
+     * @returns {Promise<boolean>} True if the server accepted the data
+     */
+    _sendOversizedSync: function(url, endpoint, data, options) {
+      const persistedId = options.skipPersist || !this.dataSender
+        ? null
+        : this.dataSender.persistFailedSend(endpoint, data, 'oversized_unload', { sync: true });
+      
+      if (this.config.debug) {
+        console.log(`[ViewBasedOptima] 📦 Payload too large for sendBeacon, using fetch for ${endpoint}`);
+      }
+      
+      return this._sendViaFetch(url, data, { ...options, endpoint, sync: true, skipPersist: !!persistedId || options.skipPersist })
+        .then(response => {
+          const settled = this._isSettledResponse(response);
+          
+          if (settled && persistedId) {
+            this.dataSender.offlineQueue.remove(persistedId);
+          }
+          
+          return settled;
+        });
+    },
+
+    /**
+     * Schedule another send attempt, or give up and persist the payload
+     * @param {string} url - Full URL
+     * @param {Object} data - Data to send
+     * @param {Object} options - Send options
+     * @param {number|null} retryAfterMs - Server-requested delay
+     * @param {Response|null} lastResponse - Response of the failed attempt
+     * @param {string} reason - Failure reason
+     * @returns {Promise<Response|null>} Result of the retry chain
+     */
+    _retrySend: function(url, data, options, retryAfterMs, lastResponse, reason) {
+      const attempt = options.attempt || 0;
+      
+      // Unload-time sends can't wait for timers, and replays have their own schedule
+      const canRetry = !options.sync &&
+        options.retry !== false &&
+        attempt < this.config.maxRetries &&
+        (!retryAfterMs || retryAfterMs <= this.config.retryMaxDelay);
+      
+      if (!canRetry) {
+        if (this.config.debug) {
+          console.warn(`[ViewBasedOptima] ⚠️ Giving up on ${url} after ${attempt + 1} attempt(s): ${reason}`);
+        }
+        if (!options.skipPersist && this.dataSender) {
+          this.dataSender.persistFailedSend(options.endpoint, data, reason);
+        }
+        return Promise.resolve(lastResponse);
+      }
+      
+      const delay = retryAfterMs !== null ? retryAfterMs : this._getRetryDelay(attempt);
+      
+      if (this.config.debug) {
+        console.log(`[ViewBasedOptima] 🔁 Retrying ${url} in ${Math.round(delay)}ms (attempt ${attempt + 2}/${this.config.maxRetries + 1}, reason: ${reason})`);
+      }
+      
+      return new Promise(resolve => setTimeout(resolve, delay)).then(() => {
+        // Another tab (or this one) may have opened the circuit while we waited
+        if (this.circuitBreaker && !this.circuitBreaker.canSend()) {
+          if (!options.skipPersist && this.dataSender) {
+            this.dataSender.persistFailedSend(options.endpoint, data, 'circuit_open');
+          }
+          return lastResponse;
+        }
+        
+        return this._sendViaFetch(url, data, { ...options, attempt: attempt + 1 });
       });
     },
 
+    /**
+     * Compute backoff delay with jitter
+     * @param {number} attempt - Zero-based attempt that just failed
+     * @returns {number} Delay in ms
+     */
+    _getRetryDelay: function(attempt) {
+      const exponential = Math.min(this.config.retryMaxDelay, this.config.retryBaseDelay * Math.pow(2, attempt));
+      
+      // Equal jitter: half fixed, half random, so tabs don't retry in lockstep
+      return exponential / 2 + Math.random() * (exponential / 2);
+    },
+
+    /**
+     * Parse a Retry-After header (delta-seconds or HTTP date)
+     * @param {string|null} headerValue - Header value
+     * @returns {number|null} Delay in ms, or null if absent/invalid
+     */
+    _parseRetryAfter: function(headerValue) {
+      if (!headerValue) return null;
+      
+      const seconds = Number(headerValue);
+      if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+      }
+      
+      const date = Date.parse(headerValue);
+      if (!isNaN(date)) {
+        return Math.max(0, date - Date.now());
+      }
+      
+      return null;
+    },
+
+    /**
+     * Check whether an HTTP status is worth retrying
+     * @param {number} status - HTTP status
+     * @returns {boolean} True for 5xx, 429 and 408
+     */
+    _isRetryableStatus: function(status) {
+      return status >= 500 || status === 429 || status === 408;
+    },
+
+    /**
+     * Check whether a send is finished (accepted, or rejected in a way retrying won't fix)
+     * 5xx, 429 and 408 are not: the payload stays queued for replay.
+     * @param {Response|null} response - Final response
+     * @returns {boolean} True if the payload should not be sent again
+     */
+    _isSettledResponse: function(response) {
+      return !!response && (response.ok || !this._isRetryableStatus(response.status));
+    },
+
+    /**
+     * Record a successful send and replay the backlog if the collector just recovered
+     */
+    _onSendSuccess: function() {
+      if (!this.circuitBreaker) return;
+      
+      if (this.circuitBreaker.recordSuccess() && this.dataSender) {
+        this.dataSender.replayPersistedQueue('circuit_closed');
+      }
+    },
+
     /**
      * Cleanup SDK (for testing or shutdown)
      */
@@ -5889,19 +11200,30 @@ var optima = (function (exports) {
       if (this.dataSender) this.dataSender.cleanup();
       if (this.continuousMetrics) this.continuousMetrics.cleanup();
       if (this.resourceCollector) this.resourceCollector.reset();
+      // Loading time trackers wrap the instrumented fetch/XHR, so they unwrap first
       if (this.webVitalsCollector) this.webVitalsCollector.reset();
+      if (this.ajaxCollector) this.ajaxCollector.cleanup();
       if (this.routeDetector) this.routeDetector.cleanup();
+      if (this.tabCoordinator) this.tabCoordinator.cleanup();
+      
+      if (this.errorMonitoringTeardown) {
+        this.errorMonitoringTeardown();
+        this.errorMonitoringTeardown = null;
+      }
       
-      // Reset state
+      // Reset state - nothing may start a view or touch the session after this
       this.isInitialized = false;
       this.sessionId = null;
+      this.viewManager = null;
+      this.sessionManager = null;
     },
 
     /**
      * Generate comprehensive metadata (same as legacy SDK)
+     * @param {Object} [view] - View the metadata is for (may override the navigation type)
      * @returns {Object} Complete metadata object
      */
-    generateMetadata: function() {
+    generateMetadata: function(view = null) {
       // Get navigation entry for HTTP protocol information
       const navEntry = performance.getEntriesByType('navigation')[0];
       
@@ -5926,7 +11248,7 @@ var optima = (function (exports) {
         timestamp: Date.now(),
         browser: this._detectBrowser(),
         os: this._detectOS(),
-        navigation_type: navEntry?.type || null,
+        navigation_type: view?.navigationType || navEntry?.type || null,
         http_version: navEntry?.nextHopProtocol || null,
         sdk_version: this.version,
         lastUpdated: Date.now(),
@@ -6043,6 +11365,10 @@ var optima = (function (exports) {
         return ViewBasedOptima.getStatus();
       } else if (command === 'updateConfig') {
         ViewBasedOptima.updateConfig(args[1]);
+      } else if (command === 'consent') {
+        ViewBasedOptima.setConsent(args[1]);
+      } else if (command === 'breadcrumb') {
+        ViewBasedOptima.leaveBreadcrumb(args[1], args[2]);
       } else {
         console.warn('[ViewBasedOptima] Unknown command:', command);
       }
@@ -0,0 +1,629 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Optima offline symbolication
+ * Rewrites minified error stack frames in Optima payloads to original sources using local .map files.
+ *
+ * CLI:    node optima-symbolicate.js --maps ./dist [--context 5] [payloads.ndjson] > symbolicated.ndjson
+ * Module: const { SourceMapStore, symbolicatePayload } = require('./optima-symbolicate');
+ *
+ * Only Node built-ins are used and nothing is fetched - maps come from the build artifacts directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = new Map(Array.from(BASE64_CHARS, (char, index) => [char, index]));
+
+// Lines of original source kept on each side of a frame's line
+const DEFAULT_CONTEXT_LINES = 5;
+// Parsed maps kept in memory; the least recently used one is dropped first
+const DEFAULT_MAX_CACHED_MAPS = 50;
+// `file:line:column` inside a raw stack line (V8, SpiderMonkey and JavaScriptCore all use it)
+const STACK_LOCATION_PATTERN = /((?:[a-z][\w+.-]*:\/\/|\/)[^\s()@]+?):(\d+):(\d+)/gi;
+
+/**
+ * Decode one mappings segment (base64 VLQ)
+ * @param {string} segment - Encoded segment
+ * @returns {Array<number>} Decoded (relative) values
+ */
+function decodeVLQ(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (let i = 0; i < segment.length; i++) {
+    const digit = BASE64_VALUES.get(segment[i]);
+    if (digit === undefined) {
+      throw new Error(`Invalid base64 VLQ character "${segment[i]}"`);
+    }
+
+    value += (digit & 31) << shift;
+
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * SourceMap - Parsed source map (v3, including indexed maps with sections)
+ */
+class SourceMap {
+  /**
+   * @param {Object} raw - Parsed source map JSON
+   * @param {string} [mapPath] - File the map was read from (for error messages)
+   */
+  constructor(raw, mapPath = null) {
+    if (!raw || raw.version !== 3) {
+      throw new Error(`Unsupported source map version in ${mapPath || 'map'}: ${raw && raw.version}`);
+    }
+
+    this.mapPath = mapPath;
+    this.file = raw.file || null;
+    this.sections = null;
+
+    if (Array.isArray(raw.sections)) {
+      // Indexed map: each section is a full map starting at an offset of the generated file
+      this.sections = raw.sections.map(section => ({
+        line: section.offset.line,
+        column: section.offset.column,
+        map: new SourceMap(section.map, mapPath)
+      }));
+      return;
+    }
+
+    const sourceRoot = raw.sourceRoot ? raw.sourceRoot.replace(/\/?$/, '/') : '';
+    this.sources = (raw.sources || []).map(source => (source && sourceRoot && !/^[a-z][\w+.-]*:/i.test(source) ? sourceRoot + source : source));
+    this.sourcesContent = raw.sourcesContent || [];
+    this.names = raw.names || [];
+    this.lines = this.parseMappings(raw.mappings || '');
+    this.sourceLines = new Map();
+  }
+
+  /**
+   * Decode the mappings string into absolute segments per generated line
+   * @param {string} mappings - Encoded mappings
+   * @returns {Array<Array<Array<number>>>} Per line: [generatedColumn, sourceIndex, sourceLine, sourceColumn, nameIndex?]
+   */
+  parseMappings(mappings) {
+    const lines = [];
+    let sourceIndex = 0;
+    let sourceLine = 0;
+    let sourceColumn = 0;
+    let nameIndex = 0;
+
+    mappings.split(';').forEach(encodedLine => {
+      const segments = [];
+      let generatedColumn = 0;
+
+      encodedLine.split(',').forEach(encoded => {
+        if (!encoded) return;
+
+        const values = decodeVLQ(encoded);
+        generatedColumn += values[0];
+
+        // Segments without a source only mark generated code with no original
+        if (values.length < 4) return;
+
+        sourceIndex += values[1];
+        sourceLine += values[2];
+        sourceColumn += values[3];
+
+        const segment = [generatedColumn, sourceIndex, sourceLine, sourceColumn];
+        if (values.length >= 5) {
+          nameIndex += values[4];
+          segment.push(nameIndex);
+        }
+        segments.push(segment);
+      });
+
+      // Bundlers usually emit sorted segments, but the spec doesn't require it
+      segments.sort((a, b) => a[0] - b[0]);
+      lines.push(segments);
+    });
+
+    return lines;
+  }
+
+  /**
+   * Find the original position of a generated position
+   * @param {number} line - Generated line (1-based, as in stack traces)
+   * @param {number} column - Generated column (1-based, as in stack traces)
+   * @returns {Object|null} { source, line, column, name, sourceIndex, map } (1-based) or null if unmapped
+   */
+  originalPositionFor(line, column) {
+    if (this.sections) {
+      return this.sectionPositionFor(line - 1, column - 1);
+    }
+
+    const segments = this.lines[line - 1];
+    if (!segments || segments.length === 0) return null;
+
+    // Last segment starting at or before the column
+    const target = column - 1;
+    let low = 0;
+    let high = segments.length - 1;
+    let found = -1;
+
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (segments[middle][0] <= target) {
+        found = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    if (found === -1) return null;
+
+    const segment = segments[found];
+    return {
+      source: this.sources[segment[1]] || null,
+      line: segment[2] + 1,
+      column: segment[3] + 1,
+      name: segment.length >= 5 ? this.names[segment[4]] || null : null,
+      sourceIndex: segment[1],
+      map: this
+    };
+  }
+
+  /**
+   * Resolve a position inside an indexed map
+   * @param {number} line - Generated line (0-based)
+   * @param {number} column - Generated column (0-based)
+   * @returns {Object|null} Original position or null
+   */
+  sectionPositionFor(line, column) {
+    let match = null;
+
+    for (const section of this.sections) {
+      if (section.line > line || (section.line === line && section.column > column)) break;
+      match = section;
+    }
+
+    if (!match) return null;
+
+    // Columns are only offset on the section's first line
+    const sectionColumn = line === match.line ? column - match.column : column;
+    return match.map.originalPositionFor(line - match.line + 1, sectionColumn + 1);
+  }
+
+  /**
+   * Get the lines of an embedded original source
+   * @param {number} sourceIndex - Index into sources
+   * @returns {Array<string>|null} Source lines or null if the map has no sourcesContent for it
+   */
+  getSourceLines(sourceIndex) {
+    if (!this.sourceLines.has(sourceIndex)) {
+      const content = this.sourcesContent[sourceIndex];
+      this.sourceLines.set(sourceIndex, typeof content === 'string' ? content.split(/\r?\n/) : null);
+    }
+
+    return this.sourceLines.get(sourceIndex);
+  }
+}
+
+/**
+ * SourceMapStore - Finds and caches source maps in a build artifacts directory
+ */
+class SourceMapStore {
+  /**
+   * @param {string} mapDir - Directory searched (recursively) for .map files
+   * @param {Object} [options] - { maxCachedMaps }
+   */
+  constructor(mapDir, options = {}) {
+    this.mapDir = path.resolve(mapDir);
+    this.maxCachedMaps = options.maxCachedMaps || DEFAULT_MAX_CACHED_MAPS;
+
+    this.cache = new Map(); // mapPath -> { mtimeMs, map }
+    this.index = null; // Lazily built: generated path relative to mapDir -> mapPath
+    this.basenames = null; // Generated file name -> mapPath, or null when several maps share it
+    this.stats = { loaded: 0, cacheHits: 0, missing: 0, failed: 0 };
+  }
+
+  /**
+   * Index every .map file by its path relative to the map directory and by its basename
+   * Maps are found by their own file name (`app.js.map` for `app.js`); the `file` field inside is not read.
+   */
+  buildIndex() {
+    this.index = new Map();
+    this.basenames = new Map();
+
+    const walk = (dir) => {
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (error) {
+        console.error(`[Optima Symbolicate] ⚠️ Cannot read ${dir}: ${error.message}`);
+        return;
+      }
+
+      entries.forEach(entry => {
+        const fullPath = path.join(dir, entry.name);
+
+        if (entry.isDirectory()) {
+          walk(fullPath);
+        } else if (entry.name.endsWith('.map')) {
+          const relative = path.relative(this.mapDir, fullPath).split(path.sep).join('/');
+          this.index.set(relative.slice(0, -4), fullPath);
+          this.addBasename(entry.name.slice(0, -4), fullPath);
+        }
+      });
+    };
+
+    walk(this.mapDir);
+  }
+
+  /**
+   * Register a basename, marking it ambiguous if another map already uses it
+   * @param {string} name - Generated file name
+   * @param {string} mapPath - Map file
+   */
+  addBasename(name, mapPath) {
+    this.basenames.set(name, this.basenames.has(name) ? null : mapPath);
+  }
+
+  /**
+   * Find the map file for a generated file URL
+   * Tries the URL path below the map directory first, then the bare file name if only one map has it.
+   * @param {string} file - Frame file (usually a URL)
+   * @returns {string|null} Map path or null
+   */
+  resolveMapPath(file) {
+    if (!file) return null;
+    if (!this.index) this.buildIndex();
+
+    let pathname = file;
+    try {
+      pathname = new URL(file).pathname;
+    } catch (error) {
+      pathname = file.split(/[?#]/)[0];
+    }
+
+    // A stray `%` makes the path undecodable; match it as captured
+    try {
+      pathname = decodeURIComponent(pathname);
+    } catch (error) {
+      // Keep the raw path
+    }
+
+    // Longest suffix of the URL path that matches an indexed map
+    const parts = pathname.split('/').filter(Boolean);
+    for (let i = 0; i < parts.length; i++) {
+      const mapPath = this.index.get(parts.slice(i).join('/'));
+      if (mapPath) return mapPath;
+    }
+
+    // Guessing between same-named maps (e.g. two builds' main.js) would give wrong frames
+    return (parts.length > 0 && this.basenames.get(parts[parts.length - 1])) || null;
+  }
+
+  /**
+   * Get the parsed map for a generated file, from cache when the file didn't change
+   * @param {string} file - Frame file (usually a URL)
+   * @returns {SourceMap|null} Map or null if there is none (or it can't be parsed)
+   */
+  getMap(file) {
+    const mapPath = this.resolveMapPath(file);
+    if (!mapPath) {
+      this.stats.missing++;
+      return null;
+    }
+
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(mapPath).mtimeMs;
+    } catch (error) {
+      this.stats.missing++;
+      return null;
+    }
+
+    const cached = this.cache.get(mapPath);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      // Re-insert to mark as most recently used
+      this.cache.delete(mapPath);
+      this.cache.set(mapPath, cached);
+      this.stats.cacheHits++;
+      return cached.map;
+    }
+
+    let map = null;
+    try {
+      map = new SourceMap(JSON.parse(fs.readFileSync(mapPath, 'utf8')), mapPath);
+      this.stats.loaded++;
+    } catch (error) {
+      console.error(`[Optima Symbolicate] ❌ Failed to parse ${mapPath}: ${error.message}`);
+      this.stats.failed++;
+    }
+
+    // Failed parses are cached too, so a broken map is reported once per change
+    this.cache.delete(mapPath);
+    this.cache.set(mapPath, { mtimeMs, map });
+    if (this.cache.size > this.maxCachedMaps) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return map;
+  }
+
+  /**
+   * Look up the original position of a generated file position
+   * @param {string} file - Frame file
+   * @param {number} line - Generated line (1-based)
+   * @param {number} column - Generated column (1-based)
+   * @returns {Object|null} Original position or null
+   */
+  originalPositionFor(file, line, column) {
+    if (!line || !column) return null;
+
+    const map = this.getMap(file);
+    return map ? map.originalPositionFor(line, column) : null;
+  }
+}
+
+/**
+ * Build the source context around an original line
+ * @param {Object} position - Original position (from originalPositionFor)
+ * @param {number} contextLines - Lines on each side
+ * @returns {Object|null} { pre_context, context_line, post_context } or null without sourcesContent
+ */
+function getContext(position, contextLines) {
+  const lines = position.map.getSourceLines(position.sourceIndex);
+  if (!lines || position.line > lines.length) return null;
+
+  const index = position.line - 1;
+  return {
+    pre_context: lines.slice(Math.max(0, index - contextLines), index),
+    context_line: lines[index],
+    post_context: lines.slice(index + 1, index + 1 + contextLines)
+  };
+}
+
+/**
+ * Symbolicate parsed frames (innermost first, as produced by the SDK)
+ * A frame's original function name is the name at its caller's call site, so names are
+ * taken from the next (outer) frame. When that frame is native, unmapped or the outermost,
+ * the name at the frame's own mapping is used instead.
+ * @param {Array<Object>} frames - Frames { function, file, line, column, in_app }
+ * @param {SourceMapStore} store - Source map store
+ * @param {Object} [options] - { contextLines }
+ * @returns {Array<Object>} New frames; mapped ones carry `generated` with the minified location
+ */
+function symbolicateFrames(frames, store, options = {}) {
+  const contextLines = options.contextLines === undefined ? DEFAULT_CONTEXT_LINES : options.contextLines;
+  const positions = frames.map(frame => store.originalPositionFor(frame.file, frame.line, frame.column));
+
+  return frames.map((frame, i) => {
+    const position = positions[i];
+    if (!position || !position.source) return frame;
+
+    const callSite = positions[i + 1];
+    const symbolicated = {
+      ...frame,
+      function: (callSite && callSite.name) || position.name || frame.function,
+      file: position.source,
+      line: position.line,
+      column: position.column,
+      generated: { function: frame.function, file: frame.file, line: frame.line, column: frame.column },
+      symbolicated: true
+    };
+
+    if (contextLines > 0) {
+      const context = getContext(position, contextLines);
+      if (context) Object.assign(symbolicated, context);
+    }
+
+    return symbolicated;
+  });
+}
+
+/**
+ * Rewrite every `file:line:column` in a raw stack to its original location
+ * Function names in the raw text are left as reported.
+ * @param {string} stack - Raw stack
+ * @param {SourceMapStore} store - Source map store
+ * @returns {string} Rewritten stack
+ */
+function symbolicateStack(stack, store) {
+  return stack.replace(STACK_LOCATION_PATTERN, (match, file, line, column) => {
+    const position = store.originalPositionFor(file, parseInt(line, 10), parseInt(column, 10));
+    return position && position.source ? `${position.source}:${position.line}:${position.column}` : match;
+  });
+}
+
+/**
+ * Symbolicate the errors of one payload (batch envelopes are walked too)
+ * The minified stack stays available as `raw_stack`.
+ * @param {Object} payload - Optima payload
+ * @param {SourceMapStore} store - Source map store
+ * @param {Object} [options] - { contextLines }
+ * @returns {number} Number of frames symbolicated
+ */
+function symbolicatePayload(payload, store, options = {}) {
+  if (!payload || typeof payload !== 'object') return 0;
+
+  let count = 0;
+
+  if (Array.isArray(payload.payloads)) {
+    payload.payloads.forEach(inner => {
+      count += symbolicatePayload(inner, store, options);
+    });
+  }
+
+  if (Array.isArray(payload.errors)) {
+    payload.errors.forEach(error => {
+      if (!error || typeof error !== 'object') return;
+
+      if (Array.isArray(error.frames)) {
+        error.frames = symbolicateFrames(error.frames, store, options);
+        count += error.frames.filter(frame => frame.symbolicated).length;
+      }
+
+      if (typeof error.stack === 'string' && !error.raw_stack) {
+        const stack = symbolicateStack(error.stack, store);
+        if (stack !== error.stack) {
+          error.raw_stack = error.stack;
+          error.stack = stack;
+        }
+      }
+    });
+  }
+
+  return count;
+}
+
+/**
+ * Symbolicate an NDJSON stream of payloads
+ * Lines that aren't JSON, or that fail to symbolicate, are passed through unchanged.
+ * @param {stream.Readable} input - NDJSON input
+ * @param {stream.Writable} output - NDJSON output
+ * @param {SourceMapStore} store - Source map store
+ * @param {Object} [options] - { contextLines }
+ * @returns {Promise<Object>} Summary { payloads, frames, invalid, failed }
+ */
+async function symbolicateStream(input, output, store, options = {}) {
+  const summary = { payloads: 0, frames: 0, invalid: 0, failed: 0 };
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let payload;
+    try {
+      payload = JSON.parse(line);
+    } catch (error) {
+      summary.invalid++;
+      if (!output.write(line + '\n')) await new Promise(resolve => output.once('drain', resolve));
+      continue;
+    }
+
+    let symbolicated;
+    try {
+      const frames = symbolicatePayload(payload, store, options);
+      symbolicated = JSON.stringify(payload);
+      summary.payloads++;
+      summary.frames += frames;
+    } catch (error) {
+      // One unexpected payload shape must not abort the rest of the stream
+      console.error(`[Optima Symbolicate] ⚠️ Payload left unchanged: ${error.message}`);
+      summary.failed++;
+      symbolicated = line;
+    }
+
+    // Respect backpressure so large inputs don't pile up in memory
+    if (!output.write(symbolicated + '\n')) {
+      await new Promise(resolve => output.once('drain', resolve));
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { maps, contextLines, input, output, help }
+ */
+function parseArgs(argv) {
+  const args = { maps: null, contextLines: DEFAULT_CONTEXT_LINES, input: null, output: null, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--maps' || arg === '-m') {
+      args.maps = argv[++i];
+    } else if (arg === '--context' || arg === '-c') {
+      args.contextLines = parseInt(argv[++i], 10);
+    } else if (arg === '--output' || arg === '-o') {
+      args.output = argv[++i];
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (!args.input) {
+      args.input = arg;
+    } else {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+  }
+
+  if (!args.help && !args.maps) {
+    throw new Error('--maps <dir> is required');
+  }
+  if (Number.isNaN(args.contextLines) || args.contextLines < 0) {
+    throw new Error('--context must be a non-negative number');
+  }
+
+  return args;
+}
+
+/**
+ * CLI entry point
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  const usage = 'Usage: optima-symbolicate --maps <dir> [--context <lines>] [--output <file>] [payloads.ndjson]\n' +
+    'Reads payload NDJSON from the file (or stdin) and writes symbolicated NDJSON to --output (or stdout).';
+
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`[Optima Symbolicate] ❌ ${error.message}\n${usage}`);
+    return 2;
+  }
+
+  if (args.help) {
+    console.log(usage);
+    return 0;
+  }
+
+  if (!fs.existsSync(args.maps) || !fs.statSync(args.maps).isDirectory()) {
+    console.error(`[Optima Symbolicate] ❌ Map directory not found: ${args.maps}`);
+    return 2;
+  }
+
+  const store = new SourceMapStore(args.maps);
+  const input = args.input ? fs.createReadStream(args.input) : process.stdin;
+  const output = args.output ? fs.createWriteStream(args.output) : process.stdout;
+
+  const summary = await symbolicateStream(input, output, store, { contextLines: args.contextLines });
+
+  if (output !== process.stdout) {
+    await new Promise(resolve => output.end(resolve));
+  }
+
+  console.error(`[Optima Symbolicate] ✅ ${summary.payloads} payloads, ${summary.frames} frames symbolicated` +
+    ` (maps loaded: ${store.stats.loaded}, cache hits: ${store.stats.cacheHits}, no map: ${store.stats.missing}, invalid lines: ${summary.invalid}, failed: ${summary.failed})`);
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    console.error('[Optima Symbolicate] ❌ Symbolication failed:', error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  SourceMap,
+  SourceMapStore,
+  decodeVLQ,
+  symbolicateFrames,
+  symbolicateStack,
+  symbolicatePayload,
+  symbolicateStream,
+  main
+};
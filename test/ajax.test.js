@@ -0,0 +1,101 @@
+'use strict';
+
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSdk } = require('./harness');
+
+/**
+ * XMLHttpRequest stand-in whose events are fired by the test
+ */
+class FakeXHR {
+  constructor() {
+    this.listeners = {};
+    this.status = 0;
+    this.statusText = '';
+  }
+
+  open() {}
+
+  send() {}
+
+  setRequestHeader() {}
+
+  getResponseHeader() {
+    return null;
+  }
+
+  addEventListener(type, handler) {
+    (this.listeners[type] = this.listeners[type] || []).push(handler);
+  }
+
+  removeEventListener(type, handler) {
+    this.listeners[type] = (this.listeners[type] || []).filter(h => h !== handler);
+  }
+
+  dispatch(type) {
+    [...(this.listeners[type] || [])].forEach(handler => handler({ type }));
+  }
+}
+
+/**
+ * Start an AJAX collector whose recorded calls are collected instead of attached to a view
+ * @returns {Object} { collector, calls, window }
+ */
+function startCollector() {
+  const XMLHttpRequest = class extends FakeXHR {};
+  const { internals, context } = loadSdk({
+    internals: ['ViewScopedAjaxCollector'],
+    globals: { XMLHttpRequest, Request, Headers }
+  });
+  context.window.XMLHttpRequest = XMLHttpRequest;
+  context.window.fetch = () => Promise.resolve({ status: 200, statusText: 'OK', headers: new Headers() });
+
+  const viewManager = {
+    currentView: { id: 'view-0001', type: 'initial', startTime: 0 },
+    sdk: { config: {}, addBreadcrumb() {} }
+  };
+  const collector = new internals.ViewScopedAjaxCollector(viewManager);
+  const calls = [];
+  collector.recordCall = (call, result) => calls.push({ ...call, ...result });
+  collector.start();
+
+  return { collector, calls, window: context.window };
+}
+
+test('an XHR reused for a second call records each call once', () => {
+  const { calls, window } = startCollector();
+  const xhr = new window.XMLHttpRequest();
+
+  xhr.open('GET', 'https://api.test/first');
+  xhr.send();
+  xhr.status = 200;
+  xhr.dispatch('load');
+  xhr.dispatch('loadend');
+
+  xhr.open('POST', 'https://api.test/second');
+  xhr.send('{"a":1}');
+  xhr.status = 0;
+  xhr.dispatch('error');
+  xhr.dispatch('loadend');
+
+  assert.strictEqual(calls.length, 2);
+  assert.strictEqual(calls[0].url, 'https://api.test/first');
+  assert.strictEqual(calls[0].outcome, null);
+  assert.strictEqual(calls[1].url, 'https://api.test/second');
+  assert.strictEqual(calls[1].outcome, 'error');
+  assert.strictEqual(calls[1].requestPayloadSize, 7);
+  assert.deepStrictEqual(Object.values(xhr.listeners).flat(), []);
+});
+
+test('a fetch Request body is reported as unknown unless init overrides it', async () => {
+  const { calls, window } = startCollector();
+
+  await window.fetch(new Request('https://api.test/items', { method: 'POST', body: '{"a":1}' }));
+  await window.fetch(new Request('https://api.test/items', { method: 'POST', body: '{"a":1}' }), { body: 'abcd' });
+  await window.fetch('https://api.test/items', { method: 'POST', body: 'abc' });
+  await window.fetch('https://api.test/items');
+
+  assert.deepStrictEqual(calls.map(call => call.requestPayloadSize), [null, 4, 3, 0]);
+  assert.deepStrictEqual(calls.map(call => call.method), ['POST', 'POST', 'POST', 'GET']);
+});
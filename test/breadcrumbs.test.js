@@ -0,0 +1,92 @@
+'use strict';
+
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSdk } = require('./harness');
+
+/**
+ * Load an SDK with a breadcrumb trail and an empty error buffer
+ * @param {Object} [config] - Breadcrumb config
+ * @returns {Object} { sdk, internals, context }
+ */
+function loadTrail(config = {}) {
+  const { sdk, internals, context } = loadSdk({ internals: ['BreadcrumbTrail', 'storeErrorData', 'patchConsoleWarn'] });
+  sdk.breadcrumbs = new internals.BreadcrumbTrail(config);
+  sdk.buffer = { errors: [] };
+  return { sdk, internals, context };
+}
+
+test('the trail keeps the newest breadcrumbs, oldest first', () => {
+  const { sdk } = loadTrail({ maxBreadcrumbs: 3 });
+
+  ['one', 'two', 'three', 'four', 'five'].forEach(message => sdk.addBreadcrumb('custom', message));
+
+  assert.deepStrictEqual([...sdk.breadcrumbs.snapshot().map(breadcrumb => breadcrumb.message)], ['three', 'four', 'five']);
+  assert.strictEqual(sdk.breadcrumbs.size, 3);
+
+  sdk.breadcrumbs.clear();
+  assert.strictEqual(sdk.breadcrumbs.snapshot().length, 0);
+});
+
+test('disabled categories are ignored and long data values are cut', () => {
+  const { sdk } = loadTrail({ categories: ['ajax', 'custom'] });
+
+  sdk.addBreadcrumb('click', 'button "Buy"');
+  sdk.addBreadcrumb('ajax', 'GET /api → 200', { url: 'https://api.test/' + 'a'.repeat(300), status: 200 });
+  sdk.leaveBreadcrumb({ message: 'Checkout started', data: { step: 2 }, level: 'warning' });
+
+  const [ajax, custom] = sdk.breadcrumbs.snapshot();
+  assert.strictEqual(sdk.breadcrumbs.size, 2);
+  assert.strictEqual(ajax.data.url.length, 203);
+  assert.strictEqual(ajax.data.status, 200);
+  assert.strictEqual(custom.level, 'warning');
+  assert.strictEqual(custom.data.step, 2);
+});
+
+test('redacted categories keep only structural data, a redaction function can drop breadcrumbs', () => {
+  const { sdk } = loadTrail({
+    redact: {
+      ajax: true,
+      custom: breadcrumb => (breadcrumb.message.includes('secret') ? null : { ...breadcrumb, message: breadcrumb.message.toUpperCase() })
+    }
+  });
+
+  sdk.addBreadcrumb('ajax', 'POST /api/users?email=jane@example.com → 201', { url: '/api/users?email=jane@example.com', method: 'POST', status: 201 });
+  sdk.leaveBreadcrumb('secret plan');
+  sdk.leaveBreadcrumb('opened cart');
+
+  const [ajax, custom] = sdk.breadcrumbs.snapshot();
+  assert.strictEqual(sdk.breadcrumbs.size, 2);
+  assert.strictEqual(ajax.message, '[redacted]');
+  assert.deepStrictEqual({ ...ajax.data }, { method: 'POST', status: 201 });
+  assert.strictEqual(custom.message, 'OPENED CART');
+});
+
+test('errors carry the trail as it was when they happened', () => {
+  const { sdk, internals } = loadTrail();
+
+  sdk.addBreadcrumb('navigation', '/ → /cart');
+  internals.storeErrorData(sdk, { error_id: 'err_1', message: 'boom' });
+  sdk.addBreadcrumb('click', 'button "Pay"');
+
+  const [error] = sdk.buffer.errors;
+  assert.deepStrictEqual([...error.breadcrumbs.map(breadcrumb => breadcrumb.message)], ['/ → /cart']);
+  assert.strictEqual(sdk.breadcrumbs.size, 2);
+});
+
+test('console warnings become breadcrumbs, except the SDK\'s own', () => {
+  const { sdk, internals, context } = loadTrail();
+  const restore = internals.patchConsoleWarn(sdk);
+
+  context.console.warn('Deprecated prop', { size: 1 });
+  context.console.warn('[Optima Sender] ⚠️ Retrying');
+  restore();
+  context.console.warn('after restore');
+
+  const breadcrumbs = sdk.breadcrumbs.snapshot();
+  assert.strictEqual(breadcrumbs.length, 1);
+  assert.strictEqual(breadcrumbs[0].category, 'console');
+  assert.strictEqual(breadcrumbs[0].level, 'warning');
+  assert.match(breadcrumbs[0].message, /^Deprecated prop /);
+});
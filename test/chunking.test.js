@@ -0,0 +1,73 @@
+'use strict';
+
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSdk } = require('./harness');
+
+/**
+ * Create a data sender with a stand-in SDK
+ * @returns {Object} ViewBasedDataSender
+ */
+function createSender() {
+  const { internals } = loadSdk({ internals: ['ViewBasedDataSender'] });
+  return new internals.ViewBasedDataSender({ sessionId: 'session-1' });
+}
+
+/**
+ * Build a view payload with the given number of resources
+ * @param {number} resourceCount - Resources to include
+ * @returns {Object} Payload
+ */
+function createPayload(resourceCount) {
+  return {
+    type: 'view_completion',
+    view_id: 'view-0001',
+    meta: { url: 'https://app.test/' },
+    view_metadata: { title: 'Home' },
+    resources: Array.from({ length: resourceCount }, (_, i) => ({ name: `https://cdn.test/${i}.js` })),
+    web_vitals: { LCP: { value: 1200 }, CLS: { value: 0.01 } }
+  };
+}
+
+test('a payload within the limits is returned as is', () => {
+  const sender = createSender();
+  const payload = createPayload(10);
+
+  const chunks = sender.chunkPayload(payload);
+  assert.strictEqual(chunks.length, 1);
+  assert.strictEqual(chunks[0], payload);
+});
+
+test('payloads over a per-category limit are split into numbered chunks', () => {
+  const sender = createSender();
+  const chunks = [...sender.chunkPayload(createPayload(120))];
+
+  assert.deepStrictEqual(chunks.map(chunk => chunk.resources.length), [50, 50, 20]);
+  assert.deepStrictEqual(chunks.map(chunk => chunk.chunk_index), [0, 1, 2]);
+  chunks.forEach(chunk => {
+    assert.strictEqual(chunk.chunk_count, 3);
+    assert.strictEqual(chunk.view_id, 'view-0001');
+  });
+
+  // Per-view data travels once, with the first chunk
+  assert.ok(chunks[0].meta && chunks[0].view_metadata);
+  assert.ok(!('meta' in chunks[1]) && !('view_metadata' in chunks[2]));
+
+  // Keyed fields are split by entry and every entry is sent exactly once
+  const vitals = chunks.flatMap(chunk => Object.keys(chunk.web_vitals));
+  assert.deepStrictEqual(vitals.sort(), ['CLS', 'LCP']);
+});
+
+test('chunks stay within the byte budget', () => {
+  const sender = createSender();
+  sender.maxChunkBytes = 4000;
+
+  const payload = createPayload(0);
+  payload.events = Array.from({ length: 40 }, (_, i) => ({ type: 'click', target: `#button-${i}`.padEnd(200, '.') }));
+
+  const chunks = sender.chunkPayload(payload);
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => assert.ok(JSON.stringify(chunk).length <= sender.maxChunkBytes));
+  assert.strictEqual(chunks.reduce((count, chunk) => count + chunk.events.length, 0), 40);
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { loadSdk, createResponse } = require('./harness');
+
+test('the compression threshold counts UTF-8 bytes, not characters', async () => {
+  const { sdk } = loadSdk({ globals: { CompressionStream, Response } });
+  sdk.applyConfiguration({ payloadCompressionThreshold: 100 });
+
+  // 70 characters, 128 bytes
+  const json = JSON.stringify({ title: 'é'.repeat(58) });
+  const request = await sdk._buildRequestBody(json);
+
+  assert.strictEqual(request.encoding, 'gzip');
+  const body = Buffer.from(await request.body.arrayBuffer());
+  assert.strictEqual(zlib.gunzipSync(body).toString('utf8'), json);
+
+  const plain = await sdk._buildRequestBody(JSON.stringify({ title: 'e'.repeat(58) }));
+  assert.strictEqual(plain.encoding, null);
+  assert.strictEqual(plain.size, 70);
+});
+
+test('an unload payload over the keepalive budget in bytes skips sendBeacon and keeps a deduplicable copy', async () => {
+  const beacons = [];
+  const requests = [];
+  const { sdk, internals, context } = loadSdk({
+    internals: ['ViewBasedDataSender'],
+    globals: {
+      fetch: (url, init) => {
+        requests.push(init);
+        return Promise.resolve(createResponse(200));
+      }
+    }
+  });
+  context.navigator.sendBeacon = (url, body) => beacons.push(body);
+
+  sdk.applyConfiguration({ apiKey: 'key', endpoint: 'https://collector.test' });
+  sdk.consent = 'granted';
+  sdk.sessionId = 'session-1';
+  sdk.dataSender = new internals.ViewBasedDataSender(sdk);
+  sdk.dataSender.setupOfflineQueue();
+
+  // Under 60KB in characters, about 80KB in bytes
+  const payload = { type: 'view_completion', session_id: 'session-1', title: 'é'.repeat(40000) };
+  const sent = sdk._sendToServer('/api/optima/collect', payload, { sync: true });
+
+  // The copy is written before the request, in case the page is gone before the response
+  const [persisted] = JSON.parse(context.localStorage.getItem('optima_send_queue'));
+  assert.ok(persisted.payload.idempotency_key);
+
+  assert.strictEqual(await sent, true);
+  assert.strictEqual(beacons.length, 0);
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(JSON.parse(requests[0].body).idempotency_key, persisted.payload.idempotency_key);
+});
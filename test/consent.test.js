@@ -0,0 +1,36 @@
+'use strict';
+
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSdk } = require('./harness');
+
+test('a click after the session timeout starts no view once consent is denied', () => {
+  const { sdk, fire } = loadSdk();
+  let viewsStarted = 0;
+  const viewManager = { currentView: null, startNewView: () => { viewsStarted++; } };
+  const expiredSession = { isExpired: () => true, recordActivity: () => true };
+
+  sdk.consent = 'granted';
+  sdk.isInitialized = true;
+  sdk.viewManager = viewManager;
+  sdk.sessionManager = expiredSession;
+  sdk.setupPageLifecycleEvents();
+
+  fire('pointerdown');
+  assert.strictEqual(viewsStarted, 1, 'a timed-out session rotates while consent is granted');
+
+  sdk.setConsent('denied');
+  assert.strictEqual(sdk.viewManager, null);
+  assert.strictEqual(sdk.sessionManager, null);
+
+  fire('pointerdown');
+  fire('keydown');
+
+  // Even a lingering reference must not bring collection back
+  sdk.viewManager = viewManager;
+  sdk.sessionManager = expiredSession;
+  fire('pointerdown');
+
+  assert.strictEqual(viewsStarted, 1);
+});
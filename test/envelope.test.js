@@ -0,0 +1,59 @@
+'use strict';
+
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSdk } = require('./harness');
+
+/**
+ * Rebuild a payload's meta from an envelope as the collector does
+ * @param {Object} envelope - Batch envelope
+ * @param {Object} entry - Envelope entry
+ * @returns {Object} Effective meta
+ */
+function effectiveMeta(envelope, entry) {
+  const meta = { ...envelope.meta, ...entry.meta_overrides };
+  (entry.meta_removed || []).forEach(key => delete meta[key]);
+  return meta;
+}
+
+test('batches are sent one request per payload unless envelopes are enabled', () => {
+  const { sdk, internals } = loadSdk({ internals: ['ViewBasedDataSender'] });
+
+  assert.strictEqual(sdk.config.batchMode, 'legacy');
+  assert.strictEqual(new internals.ViewBasedDataSender(sdk).batchMode, 'legacy');
+});
+
+test('envelope entries carry only the meta that differs from the shared meta', () => {
+  const { internals } = loadSdk({ internals: ['ViewBasedDataSender'] });
+  const sends = [];
+  const sender = new internals.ViewBasedDataSender({
+    sessionId: 'session-1',
+    generateMetadata: () => ({}),
+    _sendToServer: (endpoint, data) => sends.push({ endpoint, data })
+  });
+
+  const shared = { url: 'https://app.test/', viewport: { width: 1280, height: 720 }, referrer: 'https://search.test/' };
+  const payloads = [
+    { view_id: 'view-1', meta: { ...shared } },
+    { view_id: 'view-2', meta: { ...shared, url: 'https://app.test/cart', viewport: { height: 720, width: 1280 } } },
+    { view_id: 'view-3', meta: { url: 'https://app.test/', viewport: shared.viewport } }
+  ];
+  sender.sendBatchEnvelope(payloads);
+
+  assert.strictEqual(sends.length, 1);
+  const { endpoint, data: envelope } = sends[0];
+  assert.strictEqual(endpoint, '/api/optima/collect/batch');
+  assert.strictEqual(envelope.payload_count, 3);
+
+  const [first, second, third] = envelope.payloads;
+  assert.deepStrictEqual({ ...first.meta_overrides }, {});
+  // Key order doesn't make an object differ
+  assert.deepStrictEqual({ ...second.meta_overrides }, { url: 'https://app.test/cart' });
+  assert.deepStrictEqual([...third.meta_removed], ['referrer']);
+
+  envelope.payloads.forEach((entry, i) => {
+    assert.ok(!('meta' in entry));
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(effectiveMeta(envelope, entry))), JSON.parse(JSON.stringify(payloads[i].meta)));
+  });
+});
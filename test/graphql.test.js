@@ -0,0 +1,83 @@
+'use strict';
+
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSdk } = require('./harness');
+
+/**
+ * Create an AJAX collector (not started) with the given SDK config
+ * @param {Object} [config] - SDK config
+ * @returns {Object} ViewScopedAjaxCollector
+ */
+function createCollector(config = {}) {
+  const { internals } = loadSdk({ internals: ['ViewScopedAjaxCollector'] });
+  return new internals.ViewScopedAjaxCollector({ currentView: null, sdk: { config } });
+}
+
+/**
+ * Copy a value out of the SDK's context so it compares with deepStrictEqual
+ * @param {*} value - Value
+ * @returns {*} Plain copy
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+test('the executed operation is found past fragments, strings and variable defaults', () => {
+  const collector = createCollector();
+  const find = (query, operationName) => plain(collector.findOperationDefinition(query, operationName));
+
+  assert.deepStrictEqual(find('fragment F on User { id } query GetUser($id: ID!) { user(id: $id) { ...F } }'), { type: 'query', name: 'GetUser' });
+  assert.deepStrictEqual(find('{ viewer { id } }'), { type: 'query', name: null });
+  assert.deepStrictEqual(find('mutation Save($input: In = { tags: ["{"] }) { save(input: $input) { id } }'), { type: 'mutation', name: 'Save' });
+  assert.deepStrictEqual(find('query A { a(text: "}") } query B { b }', 'B'), { type: 'query', name: 'B' });
+  assert.deepStrictEqual(find('query A { a } query B { b }', 'Missing'), { type: 'query', name: 'A' });
+  assert.strictEqual(collector.findOperationDefinition('', null), null);
+});
+
+test('GraphQL calls are parsed from POST batches and GET query strings on configured endpoints', () => {
+  const collector = createCollector({ graphqlEndpoints: ['/graphql'] });
+
+  const batch = plain(collector.parseGraphQL('https://api.test/graphql', JSON.stringify([
+    { query: 'query GetUser { user { id } }', variables: { id: 1 } },
+    { query: 'mutation { logout }', operationName: null }
+  ])));
+  assert.deepStrictEqual(batch.map(operation => [operation.operationType, operation.operationName]), [['query', 'GetUser'], ['mutation', null]]);
+  assert.ok(!('variables' in batch[0]), 'variables are only kept with captureGraphQLVariables');
+
+  const persisted = plain(collector.parseGraphQL(
+    'https://api.test/graphql?operationName=Feed&extensions=' + encodeURIComponent(JSON.stringify({ persistedQuery: { sha256Hash: 'abc123' } }))
+  ));
+  assert.deepStrictEqual(persisted, [{ operationName: 'Feed', operationType: null, queryHash: 'abc123' }]);
+
+  assert.strictEqual(collector.parseGraphQL('https://api.test/rest/users', '{"query":"{ a }"}'), null);
+});
+
+test('formatting and comments do not change the query hash', () => {
+  const collector = createCollector();
+
+  const compact = collector.describeGraphQLOperation({ query: 'query Q { a b }' }, false);
+  const formatted = collector.describeGraphQLOperation({ query: 'query Q {\n  a # first\n  b\n}' }, false);
+  assert.strictEqual(formatted.queryHash, compact.queryHash);
+  assert.match(compact.queryHash, /^[0-9a-f]{8}$/);
+});
+
+test('GraphQL calls of a view are grouped per operation', () => {
+  const { internals } = loadSdk({ internals: ['ViewBasedDataSender'] });
+  const sender = new internals.ViewBasedDataSender({ sessionId: 'session-1' });
+  const getUser = { operationType: 'query', operationName: 'GetUser', queryHash: '0000000a' };
+  const save = { operationType: 'mutation', operationName: 'Save', queryHash: '0000000b' };
+
+  const summary = plain(sender.summarizeGraphQLOperations([
+    { duration: 100, status: 200, graphqlOperations: [getUser] },
+    { duration: 300, status: 500, graphqlOperations: [getUser] },
+    { duration: 50, status: 200, graphqlOperations: [getUser, save] },
+    { duration: 999, status: 200, graphqlOperations: null }
+  ]));
+
+  assert.deepStrictEqual(summary, [
+    { operation_name: 'GetUser', operation_type: 'query', query_hash: '0000000a', count: 3, error_count: 1, total_duration: 450, max_duration: 300, avg_duration: 150 },
+    { operation_name: 'Save', operation_type: 'mutation', query_hash: '0000000b', count: 1, error_count: 0, total_duration: 50, max_duration: 50, avg_duration: 50 }
+  ]);
+});
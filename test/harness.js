@@ -0,0 +1,79 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'id2.js'), 'utf8');
+
+/**
+ * Create an in-memory Storage stand-in
+ * @returns {Object} localStorage/sessionStorage compatible object
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    get length() { return items.size; },
+    key: i => [...items.keys()][i] ?? null,
+    getItem: k => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => items.set(k, String(v)),
+    removeItem: k => items.delete(k)
+  };
+}
+
+/**
+ * Create a fetch Response stand-in
+ * @param {number} status - HTTP status
+ * @param {Object} [headers] - Response headers
+ * @returns {Object} Response-like object
+ */
+function createResponse(status, headers = {}) {
+  return { ok: status >= 200 && status < 300, status, headers: { get: name => headers[name] ?? null } };
+}
+
+/**
+ * Load id2.js into a fresh context with minimal browser stand-ins
+ * Module-private classes and functions named in `internals` are exposed next to the SDK.
+ * @param {Object} [options] - { internals: Array<string>, globals: Object merged into the context }
+ * @returns {Object} { sdk, internals, context, fire } - fire dispatches document and window events
+ */
+function loadSdk(options = {}) {
+  const listeners = {};
+  const eventTarget = () => ({
+    addEventListener(type, handler) {
+      (listeners[type] = listeners[type] || []).push(handler);
+    },
+    removeEventListener(type, handler) {
+      listeners[type] = (listeners[type] || []).filter(h => h !== handler);
+    }
+  });
+
+  const localStorage = createStorage();
+  const sessionStorage = createStorage();
+  const window = { ...eventTarget(), location: { href: 'https://app.test/' }, localStorage, sessionStorage };
+  const context = {
+    window,
+    document: { ...eventTarget(), readyState: 'complete', visibilityState: 'visible' },
+    navigator: { userAgent: 'node', onLine: true },
+    localStorage,
+    sessionStorage,
+    console: { log() {}, warn() {}, error() {}, group() {}, groupEnd() {}, table() {} },
+    performance: { now: () => 0, getEntriesByType: () => [] },
+    setTimeout, clearTimeout, setInterval, clearInterval, URL, Promise, TextEncoder, Blob,
+    ...options.globals
+  };
+  vm.createContext(context);
+
+  const internals = options.internals || [];
+  const source = SOURCE.replace('  return exports;\n', `${internals.map(name => `exports.${name} = ${name};`).join('')}return exports;\n`);
+  const exported = vm.runInContext(`${source};optima`, context);
+
+  return {
+    sdk: exported.ViewBasedOptima,
+    internals: Object.fromEntries(internals.map(name => [name, exported[name]])),
+    context,
+    fire: type => (listeners[type] || []).forEach(handler => handler({ type }))
+  };
+}
+
+module.exports = { loadSdk, createStorage, createResponse };
@@ -0,0 +1,93 @@
+'use strict';
+
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSdk } = require('./harness');
+
+/**
+ * Wait for pending promise callbacks (and zero-delay timers) to run
+ * @returns {Promise} Resolves on the next macrotask
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+test('replay removes delivered entries and keeps failed ones with another attempt', async () => {
+  const { internals } = loadSdk({ internals: ['PersistentSendQueue'] });
+  const queue = new internals.PersistentSendQueue();
+
+  queue.enqueue('/api/optima/collect', { view_id: 'a' });
+  queue.enqueue('/api/optima/collect', { view_id: 'b' }, { reason: 'offline' });
+  queue.enqueue('/api/optima/collect', { view_id: 'c' });
+  await queue.pendingOperation;
+
+  const order = [];
+  const summary = await queue.replay(entry => {
+    order.push(entry.payload.view_id);
+    return Promise.resolve(entry.payload.view_id !== 'b');
+  });
+
+  assert.strictEqual(queue.backend, 'localstorage');
+  assert.deepStrictEqual(order, ['a', 'b', 'c']);
+  assert.deepStrictEqual({ ...summary }, { sent: 2, failed: 1, expired: 0 });
+
+  const [left] = await queue.readAll();
+  assert.strictEqual(left.payload.view_id, 'b');
+  assert.strictEqual(left.reason, 'offline');
+  assert.strictEqual(left.attempts, 1);
+});
+
+test('the queue evicts the oldest entries past maxEntries and expires old ones', async () => {
+  const { internals } = loadSdk({ internals: ['PersistentSendQueue'] });
+  const queue = new internals.PersistentSendQueue({ maxEntries: 2, maxAge: 1000 });
+
+  ['a', 'b', 'c'].forEach(id => queue.enqueue('/api/optima/collect', { view_id: id }));
+  await queue.pendingOperation;
+  const entries = await queue.readAll();
+  assert.deepStrictEqual([...entries].map(entry => entry.payload.view_id), ['b', 'c']);
+
+  const { kept, dropped } = queue.applyLimits([{ ...entries[0], createdAt: Date.now() - 5000 }, entries[1]]);
+  assert.deepStrictEqual([...kept].map(entry => entry.payload.view_id), ['c']);
+  assert.deepStrictEqual([...dropped].map(entry => entry.payload.view_id), ['b']);
+});
+
+test('enqueueSync writes to localStorage before returning', () => {
+  const { internals, context } = loadSdk({ internals: ['PersistentSendQueue'] });
+  const queue = new internals.PersistentSendQueue();
+
+  const id = queue.enqueueSync('/api/optima/collect', { view_id: 'unload' }, { reason: 'unload' });
+  const stored = JSON.parse(context.localStorage.getItem('optima_send_queue'));
+
+  assert.strictEqual(stored.length, 1);
+  assert.strictEqual(stored[0].id, id);
+  assert.strictEqual(stored[0].reason, 'unload');
+});
+
+test('sampled-out and held payloads are not reported as failed sends', async () => {
+  const { sdk, internals, context } = loadSdk({ internals: ['ViewBasedDataSender'] });
+  const logged = [];
+  context.console.log = message => logged.push(String(message));
+  context.console.warn = message => logged.push(String(message));
+
+  sdk.applyConfiguration({ apiKey: 'key', sampleRate: 0 });
+  sdk.apiKey = 'key';
+  sdk.sessionId = 'session-1';
+  sdk.sessionSampled = sdk.initializeSampling();
+  const sender = new internals.ViewBasedDataSender(sdk);
+  const payload = () => ({ type: 'view_completion', view_id: 'view-0001', session_id: 'session-1' });
+
+  sdk.consent = 'granted';
+  assert.strictEqual(await sdk._sendToServer('/api/optima/collect', payload()), 'sampled_out');
+  sender.performSend(payload(), { immediate: true });
+  await settle();
+  assert.ok(logged.some(line => line.includes('NOT SENT VIEW_COMPLETION')));
+
+  sdk.consent = 'pending';
+  assert.strictEqual(await sdk._sendToServer('/api/optima/collect', payload()), 'held');
+  sender.performSend(payload(), { immediate: true });
+  await settle();
+  assert.ok(logged.some(line => line.includes('HELD VIEW_COMPLETION')));
+
+  assert.ok(!logged.some(line => line.includes('NOT DELIVERED')));
+});
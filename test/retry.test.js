@@ -0,0 +1,99 @@
+'use strict';
+
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSdk, createResponse } = require('./harness');
+
+/**
+ * Load the SDK ready to send, with fetch answering from a list of responses
+ * @param {Array<Object>} responses - Responses in request order (an Error rejects the fetch)
+ * @param {Object} [config] - Extra configuration
+ * @returns {Object} { sdk, requests }
+ */
+function loadSender(responses, config = {}) {
+  const requests = [];
+  const fetch = (url, init) => {
+    requests.push({ url, init });
+    const next = responses.shift();
+    return next instanceof Error ? Promise.reject(next) : Promise.resolve(next);
+  };
+
+  const { sdk } = loadSdk({ globals: { fetch } });
+  sdk.applyConfiguration({ apiKey: 'key', endpoint: 'https://collector.test', retryBaseDelay: 1, ...config });
+  sdk.consent = 'granted';
+  sdk.sessionId = 'session-1';
+  return { sdk, requests };
+}
+
+test('5xx and network errors are retried until the collector accepts', async () => {
+  const { sdk, requests } = loadSender([createResponse(503), new Error('offline'), createResponse(200)]);
+
+  assert.strictEqual(await sdk._sendToServer('/api/optima/collect', { type: 'view_completion' }), true);
+  assert.strictEqual(requests.length, 3);
+});
+
+test('a permanent 4xx is dropped without retrying', async () => {
+  const { sdk, requests } = loadSender([createResponse(400), createResponse(200)]);
+
+  assert.strictEqual(await sdk._sendToServer('/api/optima/collect', { type: 'view_completion' }), true);
+  assert.strictEqual(requests.length, 1);
+});
+
+test('a Retry-After longer than retryMaxDelay is not waited for in the page', async () => {
+  const { sdk, requests } = loadSender([createResponse(429, { 'Retry-After': '120' })], { retryMaxDelay: 1000 });
+
+  assert.strictEqual(await sdk._sendToServer('/api/optima/collect', { type: 'view_completion' }), false);
+  assert.strictEqual(requests.length, 1);
+});
+
+test('Retry-After accepts delta-seconds and HTTP dates', () => {
+  const { sdk } = loadSdk();
+
+  assert.strictEqual(sdk._parseRetryAfter('3'), 3000);
+  assert.strictEqual(sdk._parseRetryAfter(null), null);
+  assert.strictEqual(sdk._parseRetryAfter('soon'), null);
+
+  const delay = sdk._parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+  assert.ok(delay > 8000 && delay <= 10000, `got ${delay}`);
+});
+
+test('backoff grows exponentially within the jitter band and is capped', () => {
+  const { sdk } = loadSdk();
+  sdk.applyConfiguration({ retryBaseDelay: 1000, retryMaxDelay: 5000 });
+
+  for (let i = 0; i < 20; i++) {
+    const second = sdk._getRetryDelay(1);
+    assert.ok(second >= 1000 && second <= 2000, `got ${second}`);
+
+    const capped = sdk._getRetryDelay(10);
+    assert.ok(capped >= 2500 && capped <= 5000, `got ${capped}`);
+  }
+});
+
+test('the circuit opens after repeated failures and lets one probe through per cooldown', () => {
+  const { internals } = loadSdk({ internals: ['SendCircuitBreaker'] });
+  const breaker = new internals.SendCircuitBreaker({ failureThreshold: 2, cooldown: 1000 });
+  const otherTab = new internals.SendCircuitBreaker({ failureThreshold: 2, cooldown: 1000 });
+
+  breaker.recordFailure();
+  assert.strictEqual(breaker.canSend(), true);
+  breaker.recordFailure();
+  assert.strictEqual(breaker.getState().state, 'open');
+  assert.strictEqual(otherTab.canSend(), false, 'the state is shared through localStorage');
+
+  // Cooldown over: the first caller probes, everybody else waits for it
+  breaker.setState({ ...breaker.getState(), openUntil: Date.now() - 1 });
+  assert.strictEqual(breaker.canSend(), true);
+  assert.strictEqual(otherTab.canSend(), false);
+
+  // A failed probe doubles the cooldown
+  breaker.recordFailure();
+  assert.strictEqual(breaker.getState().cooldown, 2000);
+
+  breaker.setState({ ...breaker.getState(), openUntil: Date.now() - 1 });
+  assert.strictEqual(otherTab.canSend(), true);
+  assert.strictEqual(otherTab.recordSuccess(), true);
+  assert.strictEqual(breaker.canSend(), true);
+  assert.strictEqual(breaker.getState().cooldown, 1000);
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSdk } = require('./harness');
+
+/**
+ * Find a session ID inside or outside a sample rate
+ * @param {Object} sdk - SDK
+ * @param {number} rate - Sample rate
+ * @param {boolean} sampled - Whether the ID should be sampled at that rate
+ * @returns {string} Session ID
+ */
+function findSessionId(sdk, rate, sampled) {
+  for (let i = 0; ; i++) {
+    const sessionId = `session-${i}`;
+    if (sdk.shouldTrackSession(rate, sessionId) === sampled) return sessionId;
+  }
+}
+
+test('hashString is 32-bit FNV-1a', () => {
+  const { internals } = loadSdk({ internals: ['hashString'] });
+
+  assert.strictEqual(internals.hashString(''), 0x811c9dc5);
+  assert.strictEqual(internals.hashString('a'), 0xe40c292c);
+  assert.strictEqual(internals.hashString('foobar'), 0xbf9cf968);
+});
+
+test('route patterns match one segment with * and any depth with **', () => {
+  const { internals: { matchRoutePattern } } = loadSdk({ internals: ['matchRoutePattern'] });
+
+  assert.strictEqual(matchRoutePattern('/products/*', '/products/42'), true);
+  assert.strictEqual(matchRoutePattern('/products/*', '/products/42/reviews'), false);
+  assert.strictEqual(matchRoutePattern('/checkout/**', '/checkout/shipping/address'), true);
+  assert.strictEqual(matchRoutePattern('/checkout/**', '/cart'), false);
+  assert.strictEqual(matchRoutePattern('/docs/v1.2', '/docs/v1x2'), false);
+});
+
+test('a session keeps its sampling decision and higher rates keep every lower-rate session', () => {
+  const { sdk } = loadSdk();
+  const ids = Array.from({ length: 2000 }, (_, i) => `session-${i}`);
+
+  const atTen = ids.filter(id => sdk.shouldTrackSession(10, id));
+  assert.ok(atTen.length > 140 && atTen.length < 260, `got ${atTen.length}`);
+  assert.ok(atTen.every(id => sdk.shouldTrackSession(10, id) && sdk.shouldTrackSession(50, id)));
+  assert.strictEqual(sdk.shouldTrackSession(0, 'session-0'), false);
+  assert.strictEqual(sdk.shouldTrackSession(100, 'session-0'), true);
+});
+
+test('per-route rules override the default rate', () => {
+  const { sdk } = loadSdk();
+  sdk.applyConfiguration({ sampleRate: 10, sampleRules: { '/checkout/**': 100, '/admin/*': 0 } });
+
+  assert.strictEqual(sdk.getSampleRateForUrl('https://app.test/checkout/pay'), 100);
+  assert.strictEqual(sdk.getSampleRateForUrl('https://app.test/admin/users'), 0);
+  assert.strictEqual(sdk.getSampleRateForUrl('https://app.test/home'), 10);
+});
+
+test('an unsampled session keeps the SDK running so the next session can collect', async (t) => {
+  const { sdk } = loadSdk();
+  sdk.initializeViewBasedArchitecture = () => {};
+  sdk.setupPageLifecycleEvents = () => {};
+  sdk.whenActivated = () => {};
+
+  sdk.init({ apiKey: 'key', sampleRate: 0 });
+  t.after(() => sdk.tabCoordinator && sdk.tabCoordinator.cleanup());
+
+  assert.strictEqual(sdk.isInitialized, true);
+  assert.strictEqual(sdk.disabled, false);
+  assert.strictEqual(sdk.sessionSampled, false);
+  assert.strictEqual(await sdk._sendToServer('/api/optima/collect', { type: 'view_completion' }), 'sampled_out');
+
+  sdk.config.sampleRate = 50;
+  const sampledId = findSessionId(sdk, 50, true);
+  sdk.sessionManager.startNew = function() {
+    this.sessionId = sampledId;
+    this.startedAt = Date.now();
+    return { sessionId: sampledId, isNew: true, sequence: 2 };
+  };
+  sdk.rotateSession('timeout');
+
+  assert.strictEqual(sdk.sessionId, sampledId);
+  assert.strictEqual(sdk.sessionSampled, true);
+  assert.ok(sdk._applySampling('/api/optima/collect', { type: 'view_completion', session_id: sampledId }));
+
+  // A late payload of an unsampled earlier session is still dropped
+  const unsampledId = findSessionId(sdk, 50, false);
+  assert.strictEqual(sdk._applySampling('/api/optima/collect', { type: 'view_completion', session_id: unsampledId }), null);
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSdk } = require('./harness');
+
+/**
+ * Load the stack helpers with the page served from https://app.test
+ * @returns {Object} Internals
+ */
+function loadStackHelpers() {
+  const { internals, context } = loadSdk({
+    internals: ['parseStackTrace', 'normalizeFunctionName', 'getMessageTemplate', 'generateErrorFingerprint']
+  });
+  context.window.location.origin = 'https://app.test';
+  return internals;
+}
+
+/**
+ * Copy a value out of the SDK's context so it compares with deepStrictEqual
+ * @param {*} value - Value
+ * @returns {*} Plain copy
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+test('V8 stacks are parsed into frames, eval frames point at the call site', () => {
+  const { parseStackTrace } = loadStackHelpers();
+
+  const frames = plain(parseStackTrace([
+    'TypeError: Cannot read properties of undefined (reading \'a@b\')',
+    '    at Object.handleClick (https://app.test/static/main.js:10:5)',
+    '    at eval (eval at run (https://app.test/static/main.js:40:3), <anonymous>:1:1)',
+    '    at https://cdn.other.test/lib.js:1:200',
+    '    at Array.forEach (<anonymous>)'
+  ].join('\n')));
+
+  assert.deepStrictEqual(frames, [
+    { function: 'Object.handleClick', file: 'https://app.test/static/main.js', line: 10, column: 5, in_app: true },
+    { function: 'eval', file: 'https://app.test/static/main.js', line: 40, column: 3, in_app: true },
+    { function: null, file: 'https://cdn.other.test/lib.js', line: 1, column: 200, in_app: false },
+    { function: 'Array.forEach', file: '<anonymous>', line: null, column: null, in_app: false }
+  ]);
+});
+
+test('SpiderMonkey and JavaScriptCore stacks are parsed into frames', () => {
+  const { parseStackTrace } = loadStackHelpers();
+
+  const frames = plain(parseStackTrace([
+    'handleClick/<@https://app.test/static/main.js:10:5',
+    '@https://app.test/static/main.js line 40 > eval:1:1',
+    'https://app.test/static/boot.js:3:9',
+    '',
+    'not a frame'
+  ].join('\n')));
+
+  assert.deepStrictEqual(frames, [
+    { function: 'handleClick/<', file: 'https://app.test/static/main.js', line: 10, column: 5, in_app: true },
+    { function: null, file: 'https://app.test/static/main.js', line: 40, column: null, in_app: true },
+    { function: null, file: 'https://app.test/static/boot.js', line: 3, column: 9, in_app: true }
+  ]);
+  assert.deepStrictEqual(plain(parseStackTrace(null)), []);
+});
+
+test('function names match across engines and message values are templated', () => {
+  const { normalizeFunctionName, getMessageTemplate } = loadStackHelpers();
+
+  assert.strictEqual(normalizeFunctionName('Object.handleClick'), 'handleClick');
+  assert.strictEqual(normalizeFunctionName('async Cart.save'), 'save');
+  assert.strictEqual(normalizeFunctionName('handleClick/<'), 'handleClick');
+  assert.strictEqual(normalizeFunctionName(null), '?');
+
+  assert.strictEqual(
+    getMessageTemplate('User jane@example.com: order 42 (123e4567-e89b-12d3-a456-426614174000) failed at https://api.test/x?id=7, ref 3f2a9c1b7d'),
+    'User <email>: order <n> (<uuid>) failed at <url> ref <id>'
+  );
+});
+
+test('the same bug gets one fingerprint across engines, builds and message values', () => {
+  const { parseStackTrace, generateErrorFingerprint } = loadStackHelpers();
+
+  const chrome = parseStackTrace([
+    'TypeError: Item 12 not found',
+    '    at https://cdn.other.test/lib.js:1:200',
+    '    at Object.handleClick (https://app.test/static/main.3f2a9c1b.js:10:5)',
+    '    at async Cart.save (https://app.test/static/main.3f2a9c1b.js:80:1)'
+  ].join('\n'));
+  const firefox = parseStackTrace([
+    'handleClick/<@https://app.test/static/main.8d7e6f5a.js?v=2:11:7',
+    'save@https://app.test/static/main.8d7e6f5a.js?v=2:95:3'
+  ].join('\n'));
+
+  const fingerprint = generateErrorFingerprint('TypeError', 'Item 12 not found', chrome);
+  assert.match(fingerprint, /^fp_[0-9a-f]+$/);
+  assert.strictEqual(generateErrorFingerprint('TypeError', 'Item 7 not found', firefox), fingerprint);
+  assert.notStrictEqual(generateErrorFingerprint('RangeError', 'Item 12 not found', chrome), fingerprint);
+  assert.notStrictEqual(generateErrorFingerprint('TypeError', 'Item 12 not found', chrome.slice(2)), fingerprint);
+});
@@ -0,0 +1,265 @@
+'use strict';
+
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  SourceMap,
+  SourceMapStore,
+  decodeVLQ,
+  symbolicateFrames,
+  main
+} = require('../optima-symbolicate');
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encode values as one base64 VLQ segment
+ * @param {Array<number>} values - Relative values
+ * @returns {string} Encoded segment
+ */
+function encodeVLQ(values) {
+  return values.map(value => {
+    let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+    let encoded = '';
+    do {
+      let digit = vlq & 31;
+      vlq >>>= 5;
+      if (vlq > 0) digit |= 32;
+      encoded += BASE64_CHARS[digit];
+    } while (vlq > 0);
+    return encoded;
+  }).join('');
+}
+
+/**
+ * Encode absolute segments as a mappings string
+ * @param {Array<Array<Array<number>>>} lines - Per generated line: [column, source, line, column, name?]
+ * @returns {string} Mappings
+ */
+function encodeMappings(lines) {
+  const previous = [0, 0, 0, 0];
+  return lines.map(segments => {
+    let previousColumn = 0;
+    return segments.map(segment => {
+      const relative = [segment[0] - previousColumn];
+      previousColumn = segment[0];
+      for (let i = 1; i < segment.length; i++) {
+        relative.push(segment[i] - previous[i - 1]);
+        previous[i - 1] = segment[i];
+      }
+      return encodeVLQ(relative);
+    }).join(',');
+  }).join(';');
+}
+
+const APP_SOURCE = [
+  'function fail() {',
+  "  throw new Error('x');",
+  '}',
+  '',
+  'function run() {',
+  '  fail();',
+  '}',
+  '',
+  'run();'
+].join('\n');
+
+// app.min.js: function a(){throw new Error('x')}function b(){a()}b();
+const APP_MAP = {
+  version: 3,
+  file: 'app.min.js',
+  sourceRoot: '/project/',
+  sources: ['src/app.js'],
+  sourcesContent: [APP_SOURCE],
+  names: ['fail', 'run'],
+  mappings: encodeMappings([[
+    [0, 0, 0, 0, 0],
+    [13, 0, 1, 2],
+    [34, 0, 4, 0, 1],
+    [47, 0, 5, 2, 0],
+    [56, 0, 8, 0, 1]
+  ]])
+};
+
+const APP_URL = 'https://cdn.test/js/app.min.js';
+
+/**
+ * Create a map directory for one test; removed by the returned cleanup
+ * @param {Object<string, Object>} maps - Relative .map path -> map JSON
+ * @returns {Object} { dir, cleanup }
+ */
+function createMapDir(maps) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'optima-symbolicate-'));
+  Object.entries(maps).forEach(([relative, map]) => {
+    const file = path.join(dir, relative);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(map));
+  });
+  return { dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Run a function with console.error silenced (the store and CLI report to stderr)
+ * @param {Function} fn - Function to run
+ * @returns {Promise<*>} Its result
+ */
+async function quietly(fn) {
+  const error = console.error;
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.error = error;
+  }
+}
+
+test('decodeVLQ decodes multi-digit and negative values', () => {
+  assert.deepStrictEqual(decodeVLQ('AAAA'), [0, 0, 0, 0]);
+  assert.deepStrictEqual(decodeVLQ('AACA'), [0, 0, 1, 0]);
+  assert.deepStrictEqual(decodeVLQ('D'), [-1]);
+  assert.deepStrictEqual(decodeVLQ('gB'), [16]);
+  assert.deepStrictEqual(decodeVLQ('2H'), [123]);
+  assert.deepStrictEqual(decodeVLQ(encodeVLQ([-4096, 7, 0])), [-4096, 7, 0]);
+  assert.throws(() => decodeVLQ('A!'), /Invalid base64 VLQ character/);
+});
+
+test('a source map resolves the last segment at or before the column', () => {
+  const map = new SourceMap(APP_MAP);
+
+  const position = map.originalPositionFor(1, 20);
+  assert.strictEqual(position.source, '/project/src/app.js');
+  assert.strictEqual(position.line, 2);
+  assert.strictEqual(position.column, 3);
+  assert.strictEqual(position.name, null);
+
+  assert.strictEqual(map.originalPositionFor(1, 48).name, 'fail');
+  assert.strictEqual(map.originalPositionFor(2, 1), null);
+  assert.throws(() => new SourceMap({ version: 2 }), /Unsupported source map version/);
+});
+
+test('an indexed map offsets lines, and columns only on the section line', () => {
+  const section = {
+    version: 3,
+    sources: ['b.js'],
+    names: [],
+    mappings: encodeMappings([[[0, 0, 10, 0]], [[4, 0, 20, 2]]])
+  };
+  const map = new SourceMap({
+    version: 3,
+    sections: [
+      { offset: { line: 0, column: 0 }, map: APP_MAP },
+      { offset: { line: 0, column: 100 }, map: section }
+    ]
+  });
+
+  assert.strictEqual(map.originalPositionFor(1, 48).source, '/project/src/app.js');
+
+  const onSectionLine = map.originalPositionFor(1, 101);
+  assert.strictEqual(onSectionLine.source, 'b.js');
+  assert.strictEqual(onSectionLine.line, 11);
+
+  const nextLine = map.originalPositionFor(2, 5);
+  assert.strictEqual(nextLine.line, 21);
+  assert.strictEqual(nextLine.column, 3);
+});
+
+test('frames take their name from the caller, or from their own mapping without one', () => {
+  const { dir, cleanup } = createMapDir({ 'js/app.min.js.map': APP_MAP });
+
+  try {
+    const store = new SourceMapStore(dir);
+    const frames = symbolicateFrames([
+      { function: 'a', file: APP_URL, line: 1, column: 14 },
+      { function: 'b', file: APP_URL, line: 1, column: 48 },
+      { function: 'Array.forEach', file: 'native', line: null, column: null }
+    ], store, { contextLines: 1 });
+
+    assert.strictEqual(frames[0].function, 'fail');
+    assert.strictEqual(frames[0].file, '/project/src/app.js');
+    assert.strictEqual(frames[0].line, 2);
+    assert.strictEqual(frames[0].context_line, "  throw new Error('x');");
+    assert.deepStrictEqual(frames[0].pre_context, ['function fail() {']);
+    assert.deepStrictEqual(frames[0].generated, { function: 'a', file: APP_URL, line: 1, column: 14 });
+
+    // The caller is native, so the name comes from the frame's own mapping
+    assert.strictEqual(frames[1].function, 'fail');
+    assert.strictEqual(frames[2].symbolicated, undefined);
+
+    // Nothing to fall back to: the reported name stays
+    const [outer] = symbolicateFrames([{ function: 'a', file: APP_URL, line: 1, column: 14 }], store);
+    assert.strictEqual(outer.function, 'a');
+  } finally {
+    cleanup();
+  }
+});
+
+test('the store drops the least recently used map past maxCachedMaps', () => {
+  const { dir, cleanup } = createMapDir({ 'a.js.map': APP_MAP, 'b.js.map': APP_MAP });
+
+  try {
+    const small = new SourceMapStore(dir, { maxCachedMaps: 1 });
+    ['a.js', 'b.js', 'a.js'].forEach(file => small.getMap(`https://cdn.test/${file}`));
+    assert.strictEqual(small.stats.loaded, 3);
+    assert.strictEqual(small.stats.cacheHits, 0);
+
+    const large = new SourceMapStore(dir, { maxCachedMaps: 2 });
+    ['a.js', 'b.js', 'a.js'].forEach(file => large.getMap(`https://cdn.test/${file}`));
+    assert.strictEqual(large.stats.loaded, 2);
+    assert.strictEqual(large.stats.cacheHits, 1);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a basename shared by several maps only resolves through its path', () => {
+  const { dir, cleanup } = createMapDir({ 'v1/main.js.map': APP_MAP, 'v2/main.js.map': APP_MAP });
+
+  try {
+    const store = new SourceMapStore(dir);
+    assert.strictEqual(store.resolveMapPath('https://cdn.test/v2/main.js?v=3'), path.join(dir, 'v2', 'main.js.map'));
+    assert.strictEqual(store.resolveMapPath('https://cdn.test/assets/main.js'), null);
+  } finally {
+    cleanup();
+  }
+});
+
+test('the CLI symbolicates an NDJSON file and passes invalid lines through', async () => {
+  const { dir, cleanup } = createMapDir({ 'maps/js/app.min.js.map': APP_MAP });
+
+  try {
+    const input = path.join(dir, 'payloads.ndjson');
+    const output = path.join(dir, 'out.ndjson');
+    const payload = {
+      type: 'batch',
+      payloads: [{
+        errors: [{
+          message: 'x',
+          stack: `Error: x\n    at a (${APP_URL}:1:14)`,
+          frames: [{ function: 'a', file: APP_URL, line: 1, column: 14 }]
+        }]
+      }]
+    };
+    fs.writeFileSync(input, `${JSON.stringify(payload)}\nnot json\n`);
+
+    const code = await quietly(() => main(['--maps', path.join(dir, 'maps'), '--context', '0', '--output', output, input]));
+    assert.strictEqual(code, 0);
+
+    const lines = fs.readFileSync(output, 'utf8').trim().split('\n');
+    assert.strictEqual(lines.length, 2);
+    assert.strictEqual(lines[1], 'not json');
+
+    const [error] = JSON.parse(lines[0]).payloads[0].errors;
+    assert.strictEqual(error.stack, 'Error: x\n    at a (/project/src/app.js:2:3)');
+    assert.strictEqual(error.raw_stack, payload.payloads[0].errors[0].stack);
+    assert.strictEqual(error.frames[0].symbolicated, true);
+    assert.strictEqual(error.frames[0].context_line, undefined);
+
+    assert.strictEqual(await quietly(() => main([input])), 2);
+  } finally {
+    cleanup();
+  }
+});
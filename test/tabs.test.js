@@ -0,0 +1,108 @@
+'use strict';
+
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSdk } = require('./harness');
+
+/**
+ * Create a BroadcastChannel stand-in whose instances talk to each other, across contexts too
+ * @returns {Function} BroadcastChannel class
+ */
+function createBroadcastChannel() {
+  const channels = [];
+
+  return class {
+    constructor() {
+      this.onmessage = null;
+      channels.push(this);
+    }
+
+    postMessage(message) {
+      const data = JSON.parse(JSON.stringify(message));
+      channels.filter(channel => channel !== this).forEach(channel => channel.onmessage && channel.onmessage({ data }));
+    }
+
+    close() {
+      channels.splice(channels.indexOf(this), 1);
+    }
+  };
+}
+
+/**
+ * Load an SDK with a running tab coordinator and an in-memory session
+ * @param {Function} BroadcastChannel - Shared channel class
+ * @returns {Object} SDK
+ */
+function loadTab(BroadcastChannel) {
+  const { sdk, internals } = loadSdk({ internals: ['SessionManager', 'TabCoordinator'], globals: { BroadcastChannel } });
+  sdk.applyConfiguration({ apiKey: 'key' });
+  sdk.sessionManager = new internals.SessionManager({ persist: false });
+  sdk.tabCoordinator = new internals.TabCoordinator(sdk);
+  sdk.tabCoordinator.start();
+  return sdk;
+}
+
+/**
+ * Start a session with a fixed ID and start time, and tell the other tabs
+ * @param {Object} sdk - SDK
+ * @param {string} sessionId - Session ID
+ * @param {number} startedAt - Start time
+ */
+function startSession(sdk, sessionId, startedAt) {
+  sdk.sessionManager.adopt({ sessionId, startedAt, sequence: 1, lastActivity: Date.now() });
+  sdk.sessionId = sessionId;
+  sdk.broadcastSession();
+}
+
+test('tabs that start sessions concurrently settle on the earliest one', (t) => {
+  const BroadcastChannel = createBroadcastChannel();
+  const first = loadTab(BroadcastChannel);
+  const second = loadTab(BroadcastChannel);
+  t.after(() => {
+    first.tabCoordinator.cleanup();
+    second.tabCoordinator.cleanup();
+  });
+
+  const now = Date.now();
+  startSession(second, 'session-later', now - 1000);
+  startSession(first, 'session-earlier', now - 2000);
+  assert.strictEqual(first.sessionId, 'session-earlier');
+  assert.strictEqual(second.sessionId, 'session-earlier');
+
+  // The same start time: the lower ID wins, whichever tab broadcasts last
+  startSession(first, 'session-b', now - 3000);
+  startSession(second, 'session-a', now - 3000);
+  startSession(first, 'session-b', now - 3000);
+  assert.strictEqual(first.sessionId, 'session-a');
+  assert.strictEqual(second.sessionId, 'session-a');
+});
+
+test('a duplicated tab takes a new tab ID and only one tab leads', (t) => {
+  const { internals, context } = loadSdk({
+    internals: ['TabCoordinator'],
+    globals: { BroadcastChannel: createBroadcastChannel() }
+  });
+  const view = { tabId: null };
+  const sdk = { viewManager: { currentView: view }, onTabLeadershipAcquired() {} };
+
+  const original = new internals.TabCoordinator(sdk);
+  original.start();
+
+  // sessionStorage (and the tab ID in it) is copied into the duplicate
+  const duplicate = new internals.TabCoordinator(sdk);
+  t.after(() => {
+    original.cleanup();
+    duplicate.cleanup();
+  });
+
+  assert.strictEqual(duplicate.tabId, original.tabId);
+  view.tabId = duplicate.tabId;
+  duplicate.start();
+
+  assert.notStrictEqual(duplicate.tabId, original.tabId);
+  assert.strictEqual(context.sessionStorage.getItem('optima_tab_id'), duplicate.tabId);
+  assert.strictEqual(view.tabId, duplicate.tabId);
+  assert.strictEqual(original.holdsLease(), true);
+  assert.strictEqual(duplicate.holdsLease(), false);
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSdk } = require('./harness');
+
+/**
+ * Load a web vitals collector with a stand-in view manager and PerformanceObserver
+ * @returns {Object} { vitals, view, viewManager, internals, observe } - observe(type, entries) feeds the observers
+ */
+function loadVitals() {
+  const observers = [];
+  class PerformanceObserver {
+    constructor(callback) {
+      this.callback = callback;
+      this.types = [];
+      observers.push(this);
+    }
+
+    observe(options) {
+      this.types.push(options.type);
+    }
+
+    disconnect() {}
+  }
+  PerformanceObserver.supportedEntryTypes = ['event', 'first-input', 'layout-shift'];
+
+  const { internals, context } = loadSdk({
+    internals: ['ViewScopedWebVitals', 'ContinuousMetricsManager'],
+    globals: { PerformanceObserver }
+  });
+  context.window.PerformanceObserver = PerformanceObserver;
+
+  const view = { id: 'view-0001', type: 'initial', startTime: 0, isActive: true, webVitals: {} };
+  const viewManager = {
+    currentView: view,
+    updateWebVital(name, value, details) {
+      view.webVitals[name] = { value, timestamp: 1, ...details };
+    }
+  };
+
+  return {
+    vitals: new internals.ViewScopedWebVitals(viewManager),
+    view,
+    viewManager,
+    internals,
+    observe(type, entries) {
+      observers
+        .filter(observer => observer.types.includes(type))
+        .forEach(observer => observer.callback({ getEntries: () => entries }));
+    }
+  };
+}
+
+/**
+ * Create an event timing entry
+ * @param {number} interactionId - Interaction ID
+ * @param {number} duration - Entry duration
+ * @param {string} [name] - Event type
+ * @returns {Object} Entry
+ */
+function eventEntry(interactionId, duration, name = 'pointerup') {
+  const startTime = interactionId * 1000;
+  return { interactionId, duration, name, startTime, processingStart: startTime + 10, processingEnd: startTime + 20, target: null };
+}
+
+test('INP counts each interaction once, with its longest entry', () => {
+  const { vitals, view, observe } = loadVitals();
+  vitals.setupINP();
+
+  observe('event', [eventEntry(1, 80, 'keydown'), eventEntry(1, 240, 'keyup'), eventEntry(2, 120), { ...eventEntry(3, 400), interactionId: 0 }]);
+
+  assert.strictEqual(view.webVitals.INP.value, 240);
+  assert.strictEqual(view.webVitals.INP.interactionCount, 2);
+  assert.strictEqual(view.webVitals.INP.interactionType, 'keyboard');
+  assert.strictEqual(view.webVitals.INP.inputDelay, 10);
+});
+
+test('INP ignores one outlier per 50 interactions', () => {
+  const { vitals, view, observe } = loadVitals();
+  vitals.setupINP();
+
+  // Interaction n takes n * 10ms
+  observe('event', Array.from({ length: 49 }, (_, i) => eventEntry(i + 1, (i + 1) * 10)));
+  assert.strictEqual(view.webVitals.INP.value, 490);
+
+  observe('event', Array.from({ length: 61 }, (_, i) => eventEntry(i + 50, (i + 50) * 10)));
+  assert.strictEqual(view.webVitals.INP.interactionCount, 110);
+  assert.strictEqual(view.webVitals.INP.value, 1080);
+});
+
+test('CLS reports the worst session window and keeps the original shift fields', () => {
+  const { vitals, view, viewManager, internals, observe } = loadVitals();
+  vitals.setupCLS();
+
+  const shift = (startTime, value, hadRecentInput = false) => ({ startTime, value, hadRecentInput, sources: [] });
+  observe('layout-shift', [
+    shift(100, 0.1),
+    shift(500, 0.1),
+    shift(700, 0.5, true),
+    // More than 1s later: a new window, smaller than the first until its second shift
+    shift(3000, 0.15),
+    shift(3500, 0.1)
+  ]);
+
+  const cls = view.webVitals.CLS;
+  assert.strictEqual(cls.value, 0.25);
+  assert.strictEqual(cls.windowStart, 3000);
+  assert.strictEqual(cls.windowEnd, 3500);
+  assert.strictEqual(cls.windowShiftCount, 2);
+  assert.strictEqual(cls.largestShiftValue, 0.15);
+  assert.strictEqual(cls.lastShiftTime, 3500);
+  assert.strictEqual(cls.lastShiftValue, 0.1);
+  assert.strictEqual(cls.hadRecentInput, false);
+
+  let update = null;
+  const metrics = new internals.ContinuousMetricsManager(viewManager, { sendContinuousUpdate: sent => { update = sent; } });
+  metrics.sendContinuousUpdate();
+
+  const payload = update.web_vitals.CLS;
+  assert.strictEqual(payload.value, 0.25);
+  assert.strictEqual(payload.window_shift_count, 2);
+  assert.strictEqual(payload.largest_shift_time, 3000);
+  assert.ok('shift_source' in payload);
+  assert.strictEqual(payload.lastShiftTime, 3500);
+  assert.strictEqual(payload.lastShiftValue, 0.1);
+  assert.strictEqual(payload.hadRecentInput, false);
+});